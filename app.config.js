@@ -40,7 +40,11 @@ export default {
       "android.permission.health.READ_WEIGHT",
       "android.permission.health.READ_HEIGHT",
       "android.permission.health.READ_BODY_FAT",
-      "android.permission.health.READ_RESTING_HEART_RATE"
+      "android.permission.health.READ_RESTING_HEART_RATE",
+      "android.permission.health.READ_HEART_RATE_VARIABILITY",
+      "android.permission.health.READ_NUTRITION",
+      "android.permission.health.WRITE_NUTRITION",
+      "android.permission.health.READ_HEALTH_DATA_IN_BACKGROUND"
     ]
   },
   web: {
@@ -65,7 +69,11 @@ export default {
           "android.permission.health.READ_WEIGHT",
           "android.permission.health.READ_HEIGHT",
           "android.permission.health.READ_BODY_FAT",
-          "android.permission.health.READ_RESTING_HEART_RATE"
+          "android.permission.health.READ_RESTING_HEART_RATE",
+          "android.permission.health.READ_HEART_RATE_VARIABILITY",
+          "android.permission.health.READ_NUTRITION",
+          "android.permission.health.WRITE_NUTRITION",
+          "android.permission.health.READ_HEALTH_DATA_IN_BACKGROUND"
         ]
       }
     ],
@@ -73,10 +81,11 @@ export default {
       "@kingstinct/react-native-healthkit",
       {
         NSHealthShareUsageDescription: "SleepFactor needs access to your health data to analyze how your habits affect your sleep quality.",
-        NSHealthUpdateUsageDescription: "SleepFactor needs to write sleep data to help track your sleep patterns.",
+        NSHealthUpdateUsageDescription: "SleepFactor saves the caffeine and alcohol you log to Apple Health when you turn this on in Profile.",
         background: false
       }
     ],
+    "expo-background-task",
     [
       "expo-build-properties",
       {
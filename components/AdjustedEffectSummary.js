@@ -0,0 +1,149 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing } from '../constants';
+
+/**
+ * Shows a habit's confounder-adjusted effect (regression coefficient with confidence interval)
+ */
+const AdjustedEffectSummary = ({ habit, adjustedEffect, sleepMetric }) => {
+  if (!adjustedEffect) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Adjusted Effect</Text>
+        <Text style={styles.unavailableText}>
+          Not enough nights where this habit was logged alongside your other habits to separate its effect.
+        </Text>
+      </View>
+    );
+  }
+
+  const { coefficient, ciLower, ciUpper, n, controlledFor } = adjustedEffect;
+
+  const formatEffect = (value) => {
+    // Per-unit effects of large-scale habits (e.g. steps) can be tiny, so keep significant digits
+    const rounded = Math.abs(value) >= 10 ? value.toFixed(1) :
+                    Math.abs(value) >= 0.1 ? value.toFixed(2) :
+                    Number(value.toPrecision(2)).toString();
+    return `${value > 0 ? '+' : ''}${rounded}`;
+  };
+
+  // An interval that spans zero means the direction of the effect is uncertain
+  const crossesZero = ciLower <= 0 && ciUpper >= 0;
+  const effectColor = crossesZero ? colors.textSecondary : coefficient > 0 ? colors.success : colors.error;
+
+  const effectDescription = habit.type === 'binary'
+    ? `On nights after "${habit.name}"`
+    : `Per extra ${habit.unit || 'unit'} of ${habit.name.toLowerCase()}`;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Adjusted Effect</Text>
+        <View style={[styles.badge, { backgroundColor: effectColor + '20' }]}>
+          <Ionicons
+            name={crossesZero ? 'remove-outline' : coefficient > 0 ? 'trending-up' : 'trending-down'}
+            size={14}
+            color={effectColor}
+          />
+          <Text style={[styles.badgeText, { color: effectColor }]}>
+            {formatEffect(coefficient)} {sleepMetric.unit}
+          </Text>
+        </View>
+      </View>
+
+      <Text style={styles.effectText}>
+        {effectDescription}, {sleepMetric.label.toLowerCase()} changes by {formatEffect(coefficient)} {sleepMetric.unit}
+      </Text>
+
+      <View style={styles.statItem}>
+        <Text style={styles.statLabel}>95% confidence interval</Text>
+        <Text style={styles.statValue}>
+          {formatEffect(ciLower)} to {formatEffect(ciUpper)}
+        </Text>
+      </View>
+
+      <View style={styles.statItem}>
+        <Text style={styles.statLabel}>Nights in model</Text>
+        <Text style={styles.statValue}>{n}</Text>
+      </View>
+
+      <Text style={styles.controlText}>
+        {controlledFor.length > 0
+          ? `Holding constant: ${controlledFor.join(', ')}`
+          : 'No other habits had enough overlapping data to control for'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.regular,
+    marginVertical: spacing.regular,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  title: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+    gap: spacing.xs,
+  },
+  badgeText: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+  },
+  effectText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    lineHeight: 18,
+    marginBottom: spacing.sm,
+  },
+  statItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  statLabel: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    flex: 1,
+  },
+  statValue: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    fontFamily: 'monospace',
+  },
+  controlText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+    lineHeight: 16,
+  },
+  unavailableText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    lineHeight: 18,
+    marginTop: spacing.xs,
+  },
+});
+
+export default AdjustedEffectSummary;
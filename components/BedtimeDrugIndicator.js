@@ -8,18 +8,26 @@ import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import {
+  DRUG_MODELS,
   getBedtimeDrugLevel,
+  getDrugModel,
   getDrugLevelColor,
-  formatDrugLevel
+  formatModelLevel
 } from '../utils/drugHalfLife';
+import { getWidmarkPeak } from '../utils/bloodAlcohol';
+import useModelEvents from '../hooks/useModelEvents';
 
 const BedtimeDrugIndicator = ({
-  consumptionEvents,
+  consumptionEvents: loggedEvents,
   habit,
   bedtime,
   sleepStartTime,
+  bodyProfile = null, // { weightKg, sex } for alcohol on the Widmark model
   compact = false
 }) => {
+  const consumptionEvents = useModelEvents(habit, loggedEvents);
+  const model = useMemo(() => getDrugModel(habit, bodyProfile), [habit, bodyProfile]);
+
   const bedtimeLevel = useMemo(() => {
     if (!consumptionEvents || consumptionEvents.length === 0 || !habit || !bedtime) {
       return null;
@@ -32,20 +40,25 @@ const BedtimeDrugIndicator = ({
       consumptionEvents,
       actualBedtime,
       habit.half_life_hours || 5,
-      habit.drug_threshold_percent || 5
+      habit.drug_threshold_percent || 5,
+      model
     );
 
     // Get color based on level (assuming typical dose is around the average consumption)
     const typicalDose = consumptionEvents.reduce((sum, event) => sum + event.amount, 0) / consumptionEvents.length;
-    const color = getDrugLevelColor(level, typicalDose);
+    // A BAC is compared with the BAC a typical drink would give on its own
+    const typicalLevel = model.type === DRUG_MODELS.widmark
+      ? getWidmarkPeak(typicalDose, model.bodyWeightKg, model.sex)
+      : typicalDose;
+    const color = getDrugLevelColor(level, typicalLevel);
 
     return {
       level,
       color,
       typicalDose,
-      percentage: typicalDose > 0 ? (level / typicalDose) * 100 : 0
+      percentage: typicalLevel > 0 ? (level / typicalLevel) * 100 : 0
     };
-  }, [consumptionEvents, habit, bedtime, sleepStartTime]);
+  }, [consumptionEvents, habit, bedtime, sleepStartTime, model]);
 
   const getIndicatorColor = (colorType) => {
     switch (colorType) {
@@ -101,7 +114,7 @@ const BedtimeDrugIndicator = ({
       <View style={[styles.compactContainer, { borderColor: indicatorColor }]}>
         <Ionicons name="moon" size={14} color={indicatorColor} />
         <Text style={[styles.compactText, { color: indicatorColor }]}>
-          {formatDrugLevel(level, habit.unit || 'units', 1)}
+          {formatModelLevel(level, habit, model)}
         </Text>
       </View>
     );
@@ -113,14 +126,14 @@ const BedtimeDrugIndicator = ({
       <View style={styles.header}>
         <Ionicons name="moon" size={20} color={indicatorColor} />
         <Text style={[styles.title, { color: indicatorColor }]}>
-          Bedtime Drug Level
+          {model.type === DRUG_MODELS.widmark ? 'Blood Alcohol at Sleep' : 'Bedtime Drug Level'}
         </Text>
       </View>
 
       <View style={styles.content}>
         <View style={styles.levelContainer}>
           <Text style={styles.levelValue}>
-            {formatDrugLevel(level, habit.unit || 'units', 1)}
+            {formatModelLevel(level, habit, model)}
           </Text>
           <Text style={styles.levelPercentage}>
             {percentage.toFixed(0)}% of typical dose
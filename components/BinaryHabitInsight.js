@@ -3,17 +3,22 @@ import { View, Text, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing } from '../constants';
 import { BoxPlotComparison } from './BoxPlot';
+import AdjustedEffectSummary from './AdjustedEffectSummary';
+import SignificanceBadge from './SignificanceBadge';
+import LagProfileChart from './LagProfileChart';
+import { formatPValue } from '../utils/statistics';
 
 const BinaryHabitInsight = ({
   insight,
   sleepMetric,
-  width = 350
+  width = 350,
+  effectMode = 'raw'
 }) => {
   if (!insight) {
     return null;
   }
 
-  const { habit, type, totalDataPoints, yesDataPoints, noDataPoints, hasComparisonData, yesStats, noStats } = insight;
+  const { habit, type, totalDataPoints, yesDataPoints, noDataPoints, hasComparisonData, yesStats, noStats, adjustedEffect, significance } = insight;
 
   // Check if we have sufficient data
   if (totalDataPoints < 10) {
@@ -93,14 +98,19 @@ const BinaryHabitInsight = ({
     );
   }
 
+  const formatDifference = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
   // Full comparison available
   return (
     <View style={[styles.container, { width }]}>
       <View style={styles.header}>
         <Text style={styles.habitName}>{habit.name}</Text>
-        <View style={styles.dataBadge}>
-          <Ionicons name="checkmark-circle" size={14} color={colors.success} />
-          <Text style={styles.dataBadgeText}>{totalDataPoints} days</Text>
+        <View style={styles.headerBadges}>
+          <View style={styles.dataBadge}>
+            <Ionicons name="checkmark-circle" size={14} color={colors.success} />
+            <Text style={styles.dataBadgeText}>{totalDataPoints} days</Text>
+          </View>
+          <SignificanceBadge significance={significance} />
         </View>
       </View>
 
@@ -123,6 +133,53 @@ const BinaryHabitInsight = ({
         color2={colors.secondary}
       />
 
+      {significance && (
+        <View style={styles.significanceContainer}>
+          <Text style={styles.significanceTitle}>Is the difference real?</Text>
+
+          {significance.medianDifference && (
+            <>
+              <View style={styles.statItem}>
+                <Text style={styles.statLabel}>Median difference</Text>
+                <Text style={styles.statValue}>
+                  {formatDifference(significance.medianDifference.estimate)} {sleepMetric.unit}
+                </Text>
+              </View>
+              <View style={styles.statItem}>
+                <Text style={styles.statLabel}>95% CI (bootstrap)</Text>
+                <Text style={styles.statValue}>
+                  {formatDifference(significance.medianDifference.ciLower)} to {formatDifference(significance.medianDifference.ciUpper)}
+                </Text>
+              </View>
+            </>
+          )}
+
+          {significance.welch && (
+            <View style={styles.statItem}>
+              <Text style={styles.statLabel}>Welch's t-test</Text>
+              <Text style={styles.statValue}>{formatPValue(significance.welch.pValue)}</Text>
+            </View>
+          )}
+
+          {significance.mannWhitney && (
+            <View style={styles.statItem}>
+              <Text style={styles.statLabel}>Mann-Whitney U</Text>
+              <Text style={styles.statValue}>{formatPValue(significance.mannWhitney.pValue)}</Text>
+            </View>
+          )}
+        </View>
+      )}
+
+      {effectMode === 'adjusted' && (
+        <AdjustedEffectSummary
+          habit={habit}
+          adjustedEffect={adjustedEffect}
+          sleepMetric={sleepMetric}
+        />
+      )}
+
+      <LagProfileChart lagProfile={insight.lagProfile} />
+
       <View style={styles.insightsContainer}>
         <Text style={styles.insightsTitle}>Key Insights</Text>
 
@@ -153,6 +210,14 @@ const BinaryHabitInsight = ({
           );
         })()}
 
+        {significance && (
+          <Text style={styles.insightText}>
+            {significance.isLikelyReal
+              ? `• This difference is unlikely to be chance (${formatPValue(significance.pValue)})`
+              : `• This difference could be due to chance (${formatPValue(significance.pValue)}) - keep logging to confirm`}
+          </Text>
+        )}
+
         {yesStats && noStats && yesStats.median !== null && yesStats.median !== undefined && !isNaN(yesStats.median) && (
           <Text style={styles.insightText}>
             • "Did habit": median {yesStats.median.toFixed(1)} {sleepMetric.unit}
@@ -218,6 +283,10 @@ const styles = StyleSheet.create({
     color: colors.warning,
     fontWeight: typography.weights.medium,
   },
+  headerBadges: {
+    alignItems: 'flex-end',
+    gap: spacing.xs,
+  },
   dataBadge: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -295,6 +364,34 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontFamily: 'monospace',
   },
+  significanceContainer: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.regular,
+    marginTop: spacing.regular,
+    gap: spacing.sm,
+  },
+  significanceTitle: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  statItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  statLabel: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    flex: 1,
+  },
+  statValue: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    fontFamily: 'monospace',
+  },
   insightsContainer: {
     backgroundColor: colors.background,
     borderRadius: 8,
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableWithoutFeedback,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import {
+  CAFFEINE_EXPECTED_EFFECTS,
+  CAFFEINE_METABOLISM_QUESTIONS,
+  DEFAULT_CAFFEINE_METABOLISM_ANSWERS,
+  TYPICAL_CAFFEINE_HALF_LIFE_HOURS,
+} from '../constants/caffeineMetabolism';
+import caffeineProfileService from '../services/caffeineProfileService';
+import insightsService from '../services/insightsService';
+import { MIN_FIT_NIGHTS, suggestCaffeineHalfLife } from '../utils/caffeineMetabolism';
+import { formatPValue } from '../utils/statistics';
+import Button from './Button';
+
+// Below this the fitted half-life says little about how caffeine affects the user's sleep
+const WEAK_CORRELATION = 0.1;
+
+const formatHours = hours => `${Number(hours).toFixed(1).replace(/\.0$/, '')} h`;
+
+/**
+ * Caffeine metabolism questionnaire, with a fit of the half-life to the user's own sleep data
+ * The answers and the latest fit are saved to the user's caffeine profile when a half-life is chosen.
+ */
+const CaffeineMetabolismModal = ({
+  visible,
+  onClose,
+  userId,
+  currentHalfLife,
+  onApply, // (halfLifeHours, source: 'questionnaire' | 'data') => void
+}) => {
+  const [answers, setAnswers] = useState(DEFAULT_CAFFEINE_METABOLISM_ANSWERS);
+  const [sleepMetric, setSleepMetric] = useState('total_sleep_minutes');
+  const [fit, setFit] = useState(null);
+  const [fitAttempted, setFitAttempted] = useState(false);
+  const [fitting, setFitting] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Only metrics caffeine is known to move one way can be fitted to
+  const sleepMetrics = useMemo(() => (
+    insightsService.getAvailableSleepMetrics().filter(metric => CAFFEINE_EXPECTED_EFFECTS[metric.key])
+  ), []);
+  const suggestion = useMemo(() => suggestCaffeineHalfLife(answers), [answers]);
+  const metricLabel = sleepMetrics.find(metric => metric.key === (fit?.sleepMetric || sleepMetric))?.label;
+
+  // Start from the saved profile each time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+
+    setFitAttempted(false);
+    caffeineProfileService.getProfile().then(result => {
+      const profile = result.success ? result.data : null;
+      setAnswers({ ...DEFAULT_CAFFEINE_METABOLISM_ANSWERS, ...(profile?.answers || {}) });
+      // A fit to a metric that can no longer be fitted to isn't shown
+      const savedFit = CAFFEINE_EXPECTED_EFFECTS[profile?.fit?.sleepMetric] ? profile.fit : null;
+      setFit(savedFit);
+      if (savedFit) {
+        setSleepMetric(savedFit.sleepMetric);
+      }
+    });
+  }, [visible]);
+
+  const handleEstimate = async () => {
+    setFitting(true);
+    const result = await caffeineProfileService.estimateHalfLifeFromData(userId, sleepMetric);
+    setFitting(false);
+    setFitAttempted(true);
+
+    if (!result.success) {
+      Alert.alert('Estimate From My Data', result.error || 'Failed to estimate your half-life');
+      return;
+    }
+    setFit(result.data);
+  };
+
+  const handleApply = async (halfLifeHours, source) => {
+    setSaving(true);
+    const result = await caffeineProfileService.saveProfile({ answers, ...(fit ? { fit } : {}) });
+    setSaving(false);
+
+    if (!result.success) {
+      Alert.alert('Caffeine Metabolism', result.error || 'Failed to save your answers');
+      return;
+    }
+    onApply(halfLifeHours, source);
+  };
+
+  const getFitSummary = () => {
+    const metricName = metricLabel?.toLowerCase() || 'this metric';
+    const expectedValues = CAFFEINE_EXPECTED_EFFECTS[fit.sleepMetric] > 0 ? 'higher' : 'lower';
+
+    if (fit.halfLifeHours === null) {
+      return `Over ${fit.nights} nights, more caffeine at sleep onset hasn't gone with ${expectedValues} ` +
+        `${metricName} at any half-life, so there is no half-life to fit to it yet.`;
+    }
+
+    const summary = `Over ${fit.nights} nights, caffeine left at sleep onset lines up most closely with ` +
+      `${metricName} at a ${formatHours(fit.halfLifeHours)} half-life (r = ${fit.correlation.toFixed(2)}; ` +
+      `more caffeine, ${expectedValues} values; ${formatPValue(fit.pValue)} allowing for the ` +
+      `${fit.candidates.length} half-lives tried).`;
+
+    if (Math.abs(fit.correlation) < WEAK_CORRELATION) {
+      return `${summary} The association is very weak, so this estimate is mostly noise.`;
+    }
+    if (fit.pValue >= 0.05) {
+      return `${summary} The association could still be chance; keep logging to firm it up.`;
+    }
+    return summary;
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modal}>
+              <View style={styles.header}>
+                <Text style={styles.title}>Caffeine Metabolism</Text>
+                <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+                  <Ionicons name="close" size={24} color={colors.textSecondary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.content}
+                showsVerticalScrollIndicator={false}
+                contentContainerStyle={{ paddingBottom: 20 }}
+              >
+                <Text style={styles.subtitle}>
+                  Caffeine's half-life ranges from about 2 to over 10 hours between people. Answer a few
+                  questions for a suggestion{currentHalfLife ? ` (now ${formatHours(currentHalfLife)})` : ''}.
+                </Text>
+
+                {CAFFEINE_METABOLISM_QUESTIONS.map(question => (
+                  <View key={question.key} style={styles.questionGroup}>
+                    <Text style={styles.label}>{question.question}</Text>
+                    <View style={styles.optionRow}>
+                      {question.options.map(option => {
+                        const selected = answers[question.key] === option.value;
+                        return (
+                          <TouchableOpacity
+                            key={option.value}
+                            style={[styles.option, selected && styles.optionSelected]}
+                            onPress={() => setAnswers(prev => ({ ...prev, [question.key]: option.value }))}
+                          >
+                            <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                              {option.label}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  </View>
+                ))}
+
+                <View style={styles.resultCard}>
+                  <Text style={styles.resultValue}>Suggested: {formatHours(suggestion.halfLifeHours)}</Text>
+                  {suggestion.explanation.length === 0 ? (
+                    <Text style={styles.explanationText}>
+                      Nothing you answered changes how fast caffeine is cleared, so the typical adult
+                      half-life of {formatHours(TYPICAL_CAFFEINE_HALF_LIFE_HOURS)} applies.
+                    </Text>
+                  ) : (
+                    suggestion.explanation.map(item => (
+                      <Text key={item.question} style={styles.explanationText}>
+                        • {item.text} (×{item.multiplier})
+                      </Text>
+                    ))
+                  )}
+                  <Button
+                    title={`Use ${formatHours(suggestion.halfLifeHours)}`}
+                    onPress={() => handleApply(suggestion.halfLifeHours, 'questionnaire')}
+                    loading={saving}
+                    style={styles.applyButton}
+                  />
+                </View>
+
+                <Text style={styles.sectionTitle}>Estimate From My Data</Text>
+                <Text style={styles.helpText}>
+                  Finds the half-life whose caffeine level when you fall asleep is most strongly associated
+                  with worse values of a sleep metric, using the days you logged caffeine.
+                </Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.metricScroll}>
+                  <View style={styles.optionRow}>
+                    {sleepMetrics.map(metric => {
+                      const selected = sleepMetric === metric.key;
+                      return (
+                        <TouchableOpacity
+                          key={metric.key}
+                          style={[styles.option, selected && styles.optionSelected]}
+                          onPress={() => setSleepMetric(metric.key)}
+                        >
+                          <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                            {metric.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </ScrollView>
+                <Button
+                  title="Estimate"
+                  onPress={handleEstimate}
+                  loading={fitting}
+                  variant="secondary"
+                  style={styles.estimateButton}
+                />
+
+                {!fitting && fit && (
+                  <View style={styles.resultCard}>
+                    {fit.halfLifeHours !== null && (
+                      <Text style={styles.resultValue}>Best fit: {formatHours(fit.halfLifeHours)}</Text>
+                    )}
+                    <Text style={styles.explanationText}>{getFitSummary()}</Text>
+                    {fit.halfLifeHours !== null && (
+                      <Button
+                        title={`Use ${formatHours(fit.halfLifeHours)}`}
+                        onPress={() => handleApply(fit.halfLifeHours, 'data')}
+                        loading={saving}
+                        style={styles.applyButton}
+                      />
+                    )}
+                  </View>
+                )}
+
+                {!fitting && fitAttempted && !fit && (
+                  <Text style={styles.helpText}>
+                    Not enough data yet: it takes at least {MIN_FIT_NIGHTS} days of logged caffeine, with
+                    varying amounts, followed by a recorded night.
+                  </Text>
+                )}
+              </ScrollView>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.regular,
+  },
+  modal: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.regular,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  closeButton: {
+    padding: spacing.xs,
+  },
+  content: {
+    padding: spacing.regular,
+  },
+  subtitle: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.regular,
+  },
+  questionGroup: {
+    marginBottom: spacing.regular,
+  },
+  label: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  option: {
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  optionSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  optionText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+  },
+  optionTextSelected: {
+    color: '#FFFFFF',
+  },
+  resultCard: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.regular,
+    marginBottom: spacing.regular,
+  },
+  resultValue: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+    marginBottom: spacing.sm,
+  },
+  explanationText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+    lineHeight: 18,
+  },
+  applyButton: {
+    marginTop: spacing.sm,
+  },
+  estimateButton: {
+    marginBottom: spacing.regular,
+  },
+  sectionTitle: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  helpText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  metricScroll: {
+    marginBottom: spacing.sm,
+  },
+});
+
+export default CaffeineMetabolismModal;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toHourText = (minutes) => {
+  const hour24 = Math.floor(minutes / 60);
+  const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+  return hour12.toString();
+};
+
+const toMinuteText = (minutes) => (minutes % 60).toString().padStart(2, '0');
+
+/**
+ * 12-hour clock time entry (hour, minute, AM/PM) for a time of day
+ * The value is minutes after midnight; typed values are applied when the field loses focus.
+ */
+const ClockTimeInput = ({ label, minutes, onChange }) => {
+  const [hourText, setHourText] = useState(toHourText(minutes));
+  const [minuteText, setMinuteText] = useState(toMinuteText(minutes));
+  const isPm = minutes >= MINUTES_PER_DAY / 2;
+
+  useEffect(() => {
+    setHourText(toHourText(minutes));
+    setMinuteText(toMinuteText(minutes));
+  }, [minutes]);
+
+  const applyTime = (hour12, minute, pm) => {
+    const hour24 = (hour12 % 12) + (pm ? 12 : 0);
+    onChange(hour24 * 60 + minute);
+  };
+
+  const commitHour = () => {
+    const hour = parseInt(hourText);
+    if (!isNaN(hour) && hour >= 1 && hour <= 12) {
+      applyTime(hour, minutes % 60, isPm);
+    } else {
+      setHourText(toHourText(minutes));
+    }
+  };
+
+  const commitMinute = () => {
+    const minute = parseInt(minuteText);
+    if (!isNaN(minute) && minute >= 0 && minute <= 59) {
+      applyTime(parseInt(toHourText(minutes)), minute, isPm);
+    } else {
+      setMinuteText(toMinuteText(minutes));
+    }
+  };
+
+  const setPeriod = (pm) => {
+    if (pm !== isPm) {
+      applyTime(parseInt(toHourText(minutes)), minutes % 60, pm);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.timeInput}
+          value={hourText}
+          onChangeText={setHourText}
+          onBlur={commitHour}
+          keyboardType="numeric"
+          maxLength={2}
+          selectTextOnFocus
+        />
+        <Text style={styles.separator}>:</Text>
+        <TextInput
+          style={styles.timeInput}
+          value={minuteText}
+          onChangeText={setMinuteText}
+          onBlur={commitMinute}
+          keyboardType="numeric"
+          maxLength={2}
+          selectTextOnFocus
+        />
+        <View style={styles.ampmContainer}>
+          <TouchableOpacity
+            style={[styles.ampmButton, !isPm && styles.ampmButtonActive]}
+            onPress={() => setPeriod(false)}
+          >
+            <Text style={[styles.ampmText, !isPm && styles.ampmTextActive]}>AM</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.ampmButton, isPm && styles.ampmButtonActive]}
+            onPress={() => setPeriod(true)}
+          >
+            <Text style={[styles.ampmText, isPm && styles.ampmTextActive]}>PM</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.regular,
+  },
+  label: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timeInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.regular,
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.background,
+    textAlign: 'center',
+    minWidth: 60,
+  },
+  separator: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+    marginHorizontal: spacing.xs,
+  },
+  ampmContainer: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginLeft: spacing.md,
+  },
+  ampmButton: {
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.regular,
+    backgroundColor: colors.background,
+    minWidth: 50,
+  },
+  ampmButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  ampmText: {
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    textAlign: 'center',
+  },
+  ampmTextActive: {
+    color: colors.white,
+  },
+});
+
+export default ClockTimeInput;
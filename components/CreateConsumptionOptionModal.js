@@ -14,6 +14,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import consumptionOptionsService from '../services/consumptionOptionsService';
+import { DEFAULT_ABSORPTION_MINUTES } from '../utils/drugHalfLife';
 import Button from './Button';
 
 // Icon options removed for now - keeping database column for future use
@@ -38,6 +39,8 @@ const CreateConsumptionOptionModal = ({
   const [nameError, setNameError] = useState('');
   const [amountError, setAmountError] = useState('');
   const [volumeError, setVolumeError] = useState('');
+  const [absorptionMinutes, setAbsorptionMinutes] = useState('');
+  const [absorptionError, setAbsorptionError] = useState('');
 
   // Reset form when modal opens
   useEffect(() => {
@@ -49,6 +52,8 @@ const CreateConsumptionOptionModal = ({
       setNameError('');
       setAmountError('');
       setVolumeError('');
+      setAbsorptionMinutes('');
+      setAbsorptionError('');
     }
   }, [visible]);
 
@@ -100,6 +105,22 @@ const CreateConsumptionOptionModal = ({
       setVolumeError('');
     }
 
+    // Validate time to peak (optional field)
+    if (absorptionMinutes.trim()) {
+      const minutes = parseFloat(absorptionMinutes);
+      if (isNaN(minutes) || minutes <= 0) {
+        setAbsorptionError('Time to peak must be greater than 0');
+        isValid = false;
+      } else if (minutes > 600) {
+        setAbsorptionError('Time to peak seems too long');
+        isValid = false;
+      } else {
+        setAbsorptionError('');
+      }
+    } else {
+      setAbsorptionError('');
+    }
+
     return isValid;
   };
 
@@ -117,7 +138,8 @@ const CreateConsumptionOptionModal = ({
         null, // No icon for now
         volumeMl,
         servingUnit,
-        getDrugUnit() // Auto-determine drug unit based on habit type
+        getDrugUnit(), // Auto-determine drug unit based on habit type
+        absorptionMinutes.trim() ? parseFloat(absorptionMinutes) : null
       );
 
       if (result.success) {
@@ -266,6 +288,27 @@ const CreateConsumptionOptionModal = ({
                 </View>
 
 
+                {/* Time to Peak Input */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Time to Peak (minutes) - Optional</Text>
+                  <TextInput
+                    style={[styles.textInput, absorptionError ? styles.inputError : null]}
+                    value={absorptionMinutes}
+                    onChangeText={(text) => {
+                      setAbsorptionMinutes(text);
+                      if (absorptionError) setAbsorptionError('');
+                    }}
+                    placeholder={`e.g., ${DEFAULT_ABSORPTION_MINUTES}`}
+                    placeholderTextColor={colors.textLight}
+                    keyboardType="numeric"
+                    maxLength={3}
+                  />
+                  {absorptionError ? <Text style={styles.errorText}>{absorptionError}</Text> : null}
+                  <Text style={styles.helpText}>
+                    How long after drinking the level peaks. Leave empty to use {DEFAULT_ABSORPTION_MINUTES} minutes; set it lower for shots and higher for slow sips or drinks with food.
+                  </Text>
+                </View>
+
                 {/* Preview */}
                 <View style={styles.preview}>
                   <Text style={styles.previewLabel}>Preview:</Text>
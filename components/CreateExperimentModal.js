@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableWithoutFeedback,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import experimentService from '../services/experimentService';
+import insightsService from '../services/insightsService';
+import { getToday } from '../utils/dateHelpers';
+
+const CreateExperimentModal = ({
+  visible,
+  onClose,
+  userId,
+  habits,
+  onExperimentCreated,
+}) => {
+  const [name, setName] = useState('');
+  const [selectedHabit, setSelectedHabit] = useState(null);
+  const [sleepMetric, setSleepMetric] = useState('total_sleep_minutes');
+  const [phaseALabel, setPhaseALabel] = useState('');
+  const [phaseAValue, setPhaseAValue] = useState('');
+  const [phaseBLabel, setPhaseBLabel] = useState('');
+  const [phaseBValue, setPhaseBValue] = useState('');
+  const [phaseDays, setPhaseDays] = useState(String(experimentService.DEFAULT_PHASE_DAYS));
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const sleepMetrics = insightsService.getAvailableSleepMetrics();
+
+  // Reset form when modal opens
+  useEffect(() => {
+    if (visible) {
+      setName('');
+      setSelectedHabit(null);
+      setSleepMetric('total_sleep_minutes');
+      setPhaseALabel('');
+      setPhaseAValue('');
+      setPhaseBLabel('');
+      setPhaseBValue('');
+      setPhaseDays(String(experimentService.DEFAULT_PHASE_DAYS));
+      setFormError('');
+    }
+  }, [visible]);
+
+  const handleSelectHabit = (habit) => {
+    setSelectedHabit(habit);
+    if (habit.type === 'binary') {
+      setPhaseAValue('no');
+      setPhaseBValue('yes');
+    } else {
+      setPhaseAValue('');
+      setPhaseBValue('');
+    }
+    if (formError) setFormError('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await experimentService.createExperiment(userId, {
+        habit: selectedHabit,
+        name,
+        sleepMetric,
+        startDate: getToday(),
+        phaseA: { label: phaseALabel, value: phaseAValue, days: phaseDays },
+        phaseB: { label: phaseBLabel, value: phaseBValue, days: phaseDays },
+      });
+
+      if (result.success) {
+        onExperimentCreated?.(result.data);
+        onClose();
+      } else {
+        setFormError(result.error || 'Failed to create experiment');
+      }
+    } catch (error) {
+      console.error('Error creating experiment:', error);
+      Alert.alert('Error', 'Failed to create experiment. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.selectedChipText]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderValueInput = (value, setValue) => {
+    if (selectedHabit?.type === 'binary') {
+      return (
+        <View style={styles.chipGrid}>
+          {renderChip('yes', 'Yes', value === 'yes', () => setValue('yes'))}
+          {renderChip('no', 'No', value === 'no', () => setValue('no'))}
+        </View>
+      );
+    }
+
+    return (
+      <TextInput
+        style={styles.textInput}
+        value={value}
+        onChangeText={setValue}
+        placeholder={selectedHabit?.unit ? `Expected ${selectedHabit.unit} per day` : 'Expected amount per day'}
+        placeholderTextColor={colors.textLight}
+        keyboardType="numeric"
+        maxLength={10}
+      />
+    );
+  };
+
+  const renderPhase = (title, label, setLabel, value, setValue, placeholder) => (
+    <View style={styles.phaseCard}>
+      <Text style={styles.phaseTitle}>{title}</Text>
+      <TextInput
+        style={styles.textInput}
+        value={label}
+        onChangeText={setLabel}
+        placeholder={placeholder}
+        placeholderTextColor={colors.textLight}
+        maxLength={60}
+      />
+      {selectedHabit && (
+        <View style={styles.phaseValue}>
+          <Text style={styles.helpText}>Expected value</Text>
+          {renderValueInput(value, setValue)}
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modal}>
+              <View style={styles.header}>
+                <Text style={styles.title}>New Experiment</Text>
+                <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+                  <Ionicons name="close" size={24} color={colors.textSecondary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.content}
+                showsVerticalScrollIndicator={false}
+                contentContainerStyle={{ paddingBottom: 20 }}
+              >
+                <Text style={styles.subtitle}>
+                  Run a habit one way, then the other, and compare how you slept. The experiment starts today.
+                </Text>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Name</Text>
+                  <TextInput
+                    style={styles.textInput}
+                    value={name}
+                    onChangeText={setName}
+                    placeholder="e.g., Afternoon caffeine"
+                    placeholderTextColor={colors.textLight}
+                    maxLength={50}
+                  />
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Habit</Text>
+                  <View style={styles.chipGrid}>
+                    {(habits || []).map(habit =>
+                      renderChip(habit.id, habit.name, selectedHabit?.id === habit.id, () => handleSelectHabit(habit))
+                    )}
+                  </View>
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Sleep metric</Text>
+                  <View style={styles.chipGrid}>
+                    {sleepMetrics.map(metric =>
+                      renderChip(metric.key, metric.label, sleepMetric === metric.key, () => setSleepMetric(metric.key))
+                    )}
+                  </View>
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Phases</Text>
+                  {renderPhase('Phase A', phaseALabel, setPhaseALabel, phaseAValue, setPhaseAValue, 'e.g., No caffeine after 2pm')}
+                  {renderPhase('Phase B', phaseBLabel, setPhaseBLabel, phaseBValue, setPhaseBValue, 'e.g., Normal caffeine')}
+                  <Text style={styles.helpText}>
+                    Expected values are locked once the experiment starts.
+                  </Text>
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Days per phase</Text>
+                  <TextInput
+                    style={styles.textInput}
+                    value={phaseDays}
+                    onChangeText={setPhaseDays}
+                    keyboardType="numeric"
+                    maxLength={3}
+                  />
+                </View>
+
+                {formError ? <Text style={styles.errorText}>{formError}</Text> : null}
+              </ScrollView>
+
+              <View style={styles.actions}>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.cancelButton]}
+                  onPress={onClose}
+                  disabled={saving}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.saveButton]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  <Text style={styles.saveButtonText}>
+                    {saving ? 'Starting...' : 'Start'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.regular,
+  },
+  modal: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.regular,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  closeButton: {
+    padding: spacing.xs,
+  },
+  content: {
+    padding: spacing.regular,
+  },
+  subtitle: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.regular,
+  },
+  inputGroup: {
+    marginBottom: spacing.regular,
+  },
+  label: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: spacing.regular,
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.background,
+  },
+  errorText: {
+    fontSize: typography.sizes.small,
+    color: colors.error,
+    marginTop: spacing.xs,
+  },
+  helpText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  chipGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    alignItems: 'center',
+  },
+  selectedChip: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '10',
+  },
+  chipText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    fontWeight: typography.weights.medium,
+  },
+  selectedChipText: {
+    color: colors.primary,
+    fontWeight: typography.weights.semibold,
+  },
+  phaseCard: {
+    padding: spacing.md,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginTop: spacing.sm,
+  },
+  phaseTitle: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.semibold,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  phaseValue: {
+    marginTop: spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    padding: spacing.regular,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: spacing.regular,
+    paddingHorizontal: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.white,
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+  },
+});
+
+export default CreateExperimentModal;
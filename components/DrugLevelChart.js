@@ -11,11 +11,18 @@ import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import {
   formatDrugLevel,
-  calculateTotalDrugLevel
+  formatModelLevel,
+  calculateTotalDrugLevel,
+  getDrugModel,
+  DRUG_MODELS
 } from '../utils/drugHalfLife';
+import useModelEvents from '../hooks/useModelEvents';
 
 const { width: screenWidth } = Dimensions.get('window');
 const CHART_HEIGHT = 250;
+// Lowest top of the y axis, so a trace of a drug doesn't fill the chart (0.08% BAC is a common driving limit)
+const MIN_Y_MAX = 1;
+const MIN_BAC_Y_MAX = 0.08;
 const CHART_PADDING = {
   top: 20,
   right: 20,
@@ -24,14 +31,16 @@ const CHART_PADDING = {
 };
 
 const DrugLevelChart = ({
-  consumptionEvents,
+  consumptionEvents: loggedEvents,
   habit,
   selectedDate,
   sleepStartTime,
   bedtime,
+  bodyProfile = null, // { weightKg, sex } for alcohol on the Widmark model
   width, // Optional width prop to override default calculation
   showBorder = true // Whether to show container border (default true for standalone, false when nested)
 }) => {
+  const consumptionEvents = useModelEvents(habit, loggedEvents);
   const [forceUpdate, setForceUpdate] = useState(0);
 
   // Force re-render every minute to update current time indicator
@@ -51,6 +60,15 @@ const DrugLevelChart = ({
     // Ensure selectedDate is a Date object
     const date = selectedDate instanceof Date ? selectedDate : new Date(selectedDate);
 
+    // Levels use the habit's model; the other half-life model is worked out at bedtime for
+    // comparison (a BAC has nothing in the same unit to compare with)
+    const model = getDrugModel(habit, bodyProfile);
+    const isWidmark = model.type === DRUG_MODELS.widmark;
+    const comparisonModel = isWidmark ? null : {
+      ...model,
+      type: model.type === DRUG_MODELS.bolus ? DRUG_MODELS.absorption : DRUG_MODELS.bolus,
+    };
+
     // Calculate how far back to look for consumption events based on half-life
     const halfLifeHours = habit.half_life_hours || 5;
     const historyDays = Math.max(3, Math.ceil((halfLifeHours * 3) / 24));
@@ -77,7 +95,8 @@ const DrugLevelChart = ({
             consumptionEvents,
             timePoint,
             habit.half_life_hours || 5,
-            habit.drug_threshold_percent || 5
+            habit.drug_threshold_percent || 5,
+            model
           )
         : 0;
       return level;
@@ -99,7 +118,18 @@ const DrugLevelChart = ({
           consumptionEvents,
           bedtimeTime,
           habit.half_life_hours || 5,
-          habit.drug_threshold_percent || 5
+          habit.drug_threshold_percent || 5,
+          model
+        )
+      : 0;
+
+    const comparisonBedtimeLevel = comparisonModel && consumptionEvents && consumptionEvents.length > 0
+      ? calculateTotalDrugLevel(
+          consumptionEvents,
+          bedtimeTime,
+          habit.half_life_hours || 5,
+          habit.drug_threshold_percent || 5,
+          comparisonModel
         )
       : 0;
 
@@ -112,11 +142,13 @@ const DrugLevelChart = ({
           consumptionEvents,
           now,
           habit.half_life_hours || 5,
-          habit.drug_threshold_percent || 5
+          habit.drug_threshold_percent || 5,
+          model
         )
       : 0;
 
-    const maxLevel = Math.max(...dataPoints, 1);
+    const minYMax = isWidmark ? MIN_BAC_Y_MAX : MIN_Y_MAX;
+    const maxLevel = Math.max(...dataPoints, minYMax);
 
     // Find bedtime index
     const bedtimeIndex = timePoints.findIndex(tp => tp >= bedtimeTime);
@@ -134,9 +166,12 @@ const DrugLevelChart = ({
     return {
       dataPoints,
       timePoints,
-      maxLevel: Math.max(maxLevel, 1),
+      maxLevel: Math.max(maxLevel, minYMax),
+      model,
       bedtimeTime,
       bedtimeLevel,
+      comparisonModel,
+      comparisonBedtimeLevel,
       bedtimeIndex: bedtimeIndex >= 0 ? bedtimeIndex : null,
       currentTime: isToday ? now : null,
       currentLevel: isToday ? currentLevel : 0,
@@ -144,7 +179,7 @@ const DrugLevelChart = ({
       timeRange: { start: startTime, end: endTime },
       hasConsumptionEvents: consumptionEvents && consumptionEvents.length > 0
     };
-  }, [consumptionEvents, habit, selectedDate, bedtime, sleepStartTime, forceUpdate]);
+  }, [consumptionEvents, habit, selectedDate, bedtime, sleepStartTime, bodyProfile, forceUpdate]);
 
   const formatYAxisLabel = (value) => {
     if (value === null || value === undefined || isNaN(value)) {
@@ -154,6 +189,9 @@ const DrugLevelChart = ({
     if (isNaN(numValue)) {
       return '0';
     }
+    if (chartData?.model.type === DRUG_MODELS.widmark) {
+      return formatModelLevel(numValue, habit, chartData.model);
+    }
     return formatDrugLevel(numValue, habit?.unit || 'units', numValue === 0 ? 0 : 1);
   };
 
@@ -278,14 +316,21 @@ const DrugLevelChart = ({
         <View style={styles.footnoteRow}>
           <Ionicons name="moon" size={14} color={bedtimeStatus.color} />
           <Text style={[styles.footnoteText, { color: bedtimeStatus.color }]}>
-            Bedtime: {formatDrugLevel(chartData.bedtimeLevel, habit.unit || 'units')} ({bedtimeStatus.status})
+            {chartData.model.type === DRUG_MODELS.widmark ? 'Sleep onset' : 'Bedtime'}:{' '}
+            {formatModelLevel(chartData.bedtimeLevel, habit, chartData.model)} ({bedtimeStatus.status})
           </Text>
         </View>
+        {chartData.hasConsumptionEvents && chartData.comparisonModel && (
+          <Text style={styles.comparisonText}>
+            {chartData.comparisonModel.type === DRUG_MODELS.bolus ? 'With instant absorption' : 'With gradual absorption'}:{' '}
+            {formatModelLevel(chartData.comparisonBedtimeLevel, habit, chartData.comparisonModel)} at bedtime
+          </Text>
+        )}
         {chartData.currentTime && (
           <View style={styles.footnoteRow}>
             <Ionicons name="time" size={14} color={colors.primary} />
             <Text style={styles.footnoteText}>
-              Current: {formatDrugLevel(chartData.currentLevel, habit.unit || 'units')}
+              Current: {formatModelLevel(chartData.currentLevel, habit, chartData.model)}
             </Text>
           </View>
         )}
@@ -344,6 +389,11 @@ const styles = StyleSheet.create({
     fontSize: typography.sizes.small,
     color: colors.textSecondary,
   },
+  comparisonText: {
+    fontSize: typography.sizes.small,
+    color: colors.textLight,
+    marginLeft: spacing.md + spacing.xs,
+  },
   noDataText: {
     fontSize: typography.sizes.small,
     color: colors.textLight,
@@ -0,0 +1,166 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { colors, typography, spacing } from '../constants';
+
+const CHART_HEIGHT = 96;
+
+/**
+ * Bar chart of a habit's correlation with the sleep metric at each lag and rolling window
+ * Bars above the line are positive correlations, below the line negative ones.
+ */
+const LagProfileChart = ({ lagProfile }) => {
+  if (!lagProfile) {
+    return null;
+  }
+
+  const { lags = [], rollingWindows = [], strongest } = lagProfile;
+
+  const getLabel = (entry) => {
+    if (entry.rollingWindow > 1) return `${entry.rollingWindow}d`;
+    return entry.lagNights === 0 ? '0' : `+${entry.lagNights}`;
+  };
+
+  const describe = (entry) => {
+    if (entry.rollingWindow > 1) return `${entry.rollingWindow}-day total`;
+    if (entry.lagNights === 0) return 'the usual night';
+    return `${entry.lagNights} night${entry.lagNights !== 1 ? 's' : ''} later`;
+  };
+
+  const isStrongest = (entry) =>
+    strongest &&
+    entry.lagNights === strongest.lagNights &&
+    entry.rollingWindow === strongest.rollingWindow;
+
+  const renderBar = (entry) => {
+    const halfHeight = CHART_HEIGHT / 2;
+    const barHeight = entry.correlation !== null ? Math.abs(entry.correlation) * halfHeight : 0;
+    const barColor = isStrongest(entry) ? colors.primary : colors.primaryLight + '60';
+
+    return (
+      <View key={getLabel(entry)} style={styles.barColumn}>
+        <View style={styles.barArea}>
+          {entry.correlation !== null ? (
+            <View
+              style={[
+                styles.bar,
+                {
+                  height: Math.max(barHeight, 2),
+                  backgroundColor: barColor,
+                  ...(entry.correlation >= 0
+                    ? { bottom: halfHeight }
+                    : { top: halfHeight }),
+                },
+              ]}
+            />
+          ) : (
+            <Text style={styles.noDataText}>–</Text>
+          )}
+        </View>
+        <Text style={[styles.barLabel, isStrongest(entry) && styles.barLabelStrongest]}>
+          {getLabel(entry)}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Timing Profile</Text>
+      <Text style={styles.subtitle}>Correlation by nights after the habit and by multi-day totals</Text>
+
+      <View style={styles.chart}>
+        <View style={styles.zeroLine} />
+        <View style={styles.group}>{lags.map(renderBar)}</View>
+        {rollingWindows.length > 0 && <View style={styles.groupDivider} />}
+        <View style={styles.group}>{rollingWindows.map(renderBar)}</View>
+      </View>
+
+      <Text style={styles.caption}>
+        {strongest
+          ? `Strongest association: ${describe(strongest)} (r = ${strongest.correlation.toFixed(2)})`
+          : 'Not enough data at any lag yet'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.regular,
+    marginTop: spacing.regular,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  title: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  subtitle: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  zeroLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    top: CHART_HEIGHT / 2,
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  group: {
+    flexDirection: 'row',
+    flex: 1,
+  },
+  groupDivider: {
+    width: 1,
+    height: CHART_HEIGHT,
+    backgroundColor: colors.border,
+    marginHorizontal: spacing.sm,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  barArea: {
+    height: CHART_HEIGHT,
+    width: '60%',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  bar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    borderRadius: 3,
+  },
+  noDataText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textLight,
+  },
+  barLabel: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  barLabelStrongest: {
+    color: colors.primary,
+    fontWeight: typography.weights.semibold,
+  },
+  caption: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+    lineHeight: 18,
+  },
+});
+
+export default LagProfileChart;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableWithoutFeedback,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import { WAKE_MOOD_OPTIONS } from '../constants/morningCheckIn';
+import sleepDataService from '../services/sleepDataService';
+import RestedFeelingSlider from './RestedFeelingSlider';
+
+/**
+ * Morning check-in: how rested the user feels, their mood on waking and an optional note,
+ * saved on last night's sleep record
+ */
+const MorningCheckInModal = ({
+  visible,
+  onClose,
+  sleepRecord,
+  onCheckInSaved,
+}) => {
+  const [restedFeeling, setRestedFeeling] = useState(null);
+  const [wakeMood, setWakeMood] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Start from any earlier answers so the check-in can be edited
+  useEffect(() => {
+    if (visible) {
+      setRestedFeeling(sleepRecord?.rested_feeling ?? null);
+      setWakeMood(sleepRecord?.wake_mood ?? null);
+      setNote(sleepRecord?.check_in_note || '');
+    }
+  }, [visible, sleepRecord]);
+
+  const handleSave = async () => {
+    if (!sleepRecord) return;
+
+    if (restedFeeling === null && wakeMood === null) {
+      Alert.alert('Nothing to save', 'Rate how rested you feel or pick your mood first.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const updated = await sleepDataService.saveMorningCheckIn(sleepRecord.date, {
+        rested_feeling: restedFeeling,
+        wake_mood: wakeMood,
+        check_in_note: note,
+      });
+      // The parent hides the modal; onClose is kept for skipping the check-in
+      onCheckInSaved(updated);
+    } catch (error) {
+      console.error('Error saving morning check-in:', error);
+      Alert.alert('Error', 'Failed to save your check-in. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modal}>
+              <View style={styles.header}>
+                <Text style={styles.title}>Good morning</Text>
+                <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+                  <Ionicons name="close" size={24} color={colors.textSecondary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.content}
+                showsVerticalScrollIndicator={false}
+                bounces={true}
+                alwaysBounceVertical={false}
+                contentContainerStyle={{ paddingBottom: 20 }}
+              >
+                <Text style={styles.subtitle}>
+                  A quick check-in on last night's sleep. It takes a few seconds and helps show which habits leave you feeling rested.
+                </Text>
+
+                <RestedFeelingSlider value={restedFeeling} onChange={setRestedFeeling} />
+
+                {/* Mood on waking */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Mood on waking</Text>
+                  <View style={styles.moodGrid}>
+                    {WAKE_MOOD_OPTIONS.map(mood => {
+                      const isSelected = wakeMood === mood.value;
+                      return (
+                        <TouchableOpacity
+                          key={mood.value}
+                          style={[styles.moodOption, isSelected && styles.selectedMood]}
+                          onPress={() => setWakeMood(isSelected ? null : mood.value)}
+                        >
+                          <Ionicons
+                            name={mood.icon}
+                            size={22}
+                            color={isSelected ? colors.primary : colors.textSecondary}
+                          />
+                          <Text style={[styles.moodText, isSelected && styles.selectedMoodText]}>
+                            {mood.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+
+                {/* Note */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Note - Optional</Text>
+                  <TextInput
+                    style={[styles.textInput, styles.noteInput]}
+                    value={note}
+                    onChangeText={setNote}
+                    placeholder="e.g., woke up at 3am, vivid dreams"
+                    placeholderTextColor={colors.textLight}
+                    multiline
+                    maxLength={280}
+                  />
+                </View>
+              </ScrollView>
+
+              {/* Action Buttons */}
+              <View style={styles.actions}>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.cancelButton]}
+                  onPress={onClose}
+                  disabled={saving}
+                >
+                  <Text style={styles.cancelButtonText}>Not now</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.saveButton]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  <Text style={styles.saveButtonText}>
+                    {saving ? 'Saving...' : 'Save'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.regular,
+  },
+  modal: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.regular,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  closeButton: {
+    padding: spacing.xs,
+  },
+  content: {
+    padding: spacing.regular,
+  },
+  subtitle: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+  },
+  inputGroup: {
+    marginBottom: spacing.regular,
+  },
+  label: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: spacing.regular,
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.background,
+  },
+  noteInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  moodGrid: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  moodOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  selectedMood: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '10',
+  },
+  moodText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    fontWeight: typography.weights.medium,
+    marginTop: 2,
+  },
+  selectedMoodText: {
+    color: colors.primary,
+    fontWeight: typography.weights.semibold,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    padding: spacing.regular,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: spacing.regular,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  cancelButtonText: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textSecondary,
+  },
+  saveButtonText: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.white,
+  },
+});
+
+export default MorningCheckInModal;
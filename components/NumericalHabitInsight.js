@@ -3,17 +3,22 @@ import { View, Text, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing } from '../constants';
 import ScatterPlot from './ScatterChart';
+import AdjustedEffectSummary from './AdjustedEffectSummary';
+import SignificanceBadge from './SignificanceBadge';
+import LagProfileChart from './LagProfileChart';
+import { formatPValue } from '../utils/statistics';
 
 const NumericalHabitInsight = ({
   insight,
   sleepMetric,
-  width = 350
+  width = 350,
+  effectMode = 'raw'
 }) => {
   if (!insight) {
     return null;
   }
 
-  const { habit, type, totalDataPoints, dataPoints, correlation, correlationStrength, trendDirection } = insight;
+  const { habit, type, totalDataPoints, dataPoints, correlation, correlationStrength, trendDirection, adjustedEffect, significance } = insight;
 
   // Check if we have sufficient data
   if (totalDataPoints < 10) {
@@ -77,9 +82,12 @@ const NumericalHabitInsight = ({
     <View style={[styles.container, { width }]}>
       <View style={styles.header}>
         <Text style={styles.habitName}>{habit.name}</Text>
-        <View style={styles.dataBadge}>
-          <Ionicons name="checkmark-circle" size={14} color={colors.success} />
-          <Text style={styles.dataBadgeText}>{totalDataPoints} days</Text>
+        <View style={styles.headerBadges}>
+          <View style={styles.dataBadge}>
+            <Ionicons name="checkmark-circle" size={14} color={colors.success} />
+            <Text style={styles.dataBadgeText}>{totalDataPoints} days</Text>
+          </View>
+          <SignificanceBadge significance={significance} />
         </View>
       </View>
 
@@ -107,40 +115,66 @@ const NumericalHabitInsight = ({
         trendDirection={trendDirection}
       />
 
-      <View style={styles.correlationContainer}>
-        <View style={styles.correlationHeader}>
-          <Text style={styles.correlationTitle}>Correlation Analysis</Text>
-          <View style={[styles.correlationBadge, { backgroundColor: getCorrelationColor(correlationStrength) + '20' }]}>
-            <Text style={[styles.correlationBadgeText, { color: getCorrelationColor(correlationStrength) }]}>
-              {correlationStrength || 'none'}
-            </Text>
-          </View>
-        </View>
-
-        <View style={styles.correlationStats}>
-          <View style={styles.statItem}>
-            <Text style={styles.statLabel}>Correlation coefficient (r)</Text>
-            <Text style={styles.statValue}>
-              {correlation !== null && correlation !== undefined ? correlation.toFixed(3) : 'N/A'}
-            </Text>
+      {effectMode === 'adjusted' ? (
+        <AdjustedEffectSummary
+          habit={habit}
+          adjustedEffect={adjustedEffect}
+          sleepMetric={sleepMetric}
+        />
+      ) : (
+        <View style={styles.correlationContainer}>
+          <View style={styles.correlationHeader}>
+            <Text style={styles.correlationTitle}>Correlation Analysis</Text>
+            <View style={[styles.correlationBadge, { backgroundColor: getCorrelationColor(correlationStrength) + '20' }]}>
+              <Text style={[styles.correlationBadgeText, { color: getCorrelationColor(correlationStrength) }]}>
+                {correlationStrength || 'none'}
+              </Text>
+            </View>
           </View>
 
-          <View style={styles.statItem}>
-            <Text style={styles.statLabel}>Trend direction</Text>
-            <View style={styles.trendContainer}>
-              <Ionicons
-                name={getTrendIcon(trendDirection)}
-                size={16}
-                color={getTrendColor(trendDirection)}
-              />
-              <Text style={[styles.trendText, { color: getTrendColor(trendDirection) }]}>
-                {trendDirection === 'positive' ? 'Positive' :
-                 trendDirection === 'negative' ? 'Negative' : 'No trend'}
+          <View style={styles.correlationStats}>
+            <View style={styles.statItem}>
+              <Text style={styles.statLabel}>Correlation coefficient (r)</Text>
+              <Text style={styles.statValue}>
+                {correlation !== null && correlation !== undefined ? correlation.toFixed(3) : 'N/A'}
               </Text>
             </View>
+
+            {significance?.fisherZ && (
+              <View style={styles.statItem}>
+                <Text style={styles.statLabel}>95% CI for r</Text>
+                <Text style={styles.statValue}>
+                  {significance.fisherZ.ciLower.toFixed(2)} to {significance.fisherZ.ciUpper.toFixed(2)}
+                </Text>
+              </View>
+            )}
+
+            {significance && (
+              <View style={styles.statItem}>
+                <Text style={styles.statLabel}>Significance (Fisher z)</Text>
+                <Text style={styles.statValue}>{formatPValue(significance.pValue)}</Text>
+              </View>
+            )}
+
+            <View style={styles.statItem}>
+              <Text style={styles.statLabel}>Trend direction</Text>
+              <View style={styles.trendContainer}>
+                <Ionicons
+                  name={getTrendIcon(trendDirection)}
+                  size={16}
+                  color={getTrendColor(trendDirection)}
+                />
+                <Text style={[styles.trendText, { color: getTrendColor(trendDirection) }]}>
+                  {trendDirection === 'positive' ? 'Positive' :
+                   trendDirection === 'negative' ? 'Negative' : 'No trend'}
+                </Text>
+              </View>
+            </View>
           </View>
         </View>
-      </View>
+      )}
+
+      <LagProfileChart lagProfile={insight.lagProfile} />
 
       <View style={styles.insightsContainer}>
         <Text style={styles.insightsTitle}>Key Insights</Text>
@@ -181,6 +215,14 @@ const NumericalHabitInsight = ({
           </Text>
         )}
 
+        {significance && (
+          <Text style={styles.insightText}>
+            {significance.isLikelyReal
+              ? `• This relationship is unlikely to be chance (${formatPValue(significance.pValue)})`
+              : `• This relationship could be due to chance (${formatPValue(significance.pValue)})`}
+          </Text>
+        )}
+
         <Text style={styles.insightText}>
           • Based on {totalDataPoints} days of data
         </Text>
@@ -224,6 +266,10 @@ const styles = StyleSheet.create({
     color: colors.warning,
     fontWeight: typography.weights.medium,
   },
+  headerBadges: {
+    alignItems: 'flex-end',
+    gap: spacing.xs,
+  },
   dataBadge: {
     flexDirection: 'row',
     alignItems: 'center',
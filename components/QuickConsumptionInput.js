@@ -15,9 +15,12 @@ import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import { getPresetById } from '../constants/drugPresets';
+import { getDataOriginLabel } from '../constants/dataOrigins';
 import consumptionOptionsService from '../services/consumptionOptionsService';
+import drugLevelService from '../services/drugLevelService';
+import healthWriteBackService from '../services/healthWriteBackService';
 import { supabase } from '../services/supabase';
-import { getBedtimeDrugLevel } from '../utils/drugHalfLife';
+import { addDaysToDateString, formatDateForDB } from '../utils/dateHelpers';
 import Button from './Button';
 import CreateConsumptionOptionModal from './CreateConsumptionOptionModal';
 import EditConsumptionOptionModal from './EditConsumptionOptionModal';
@@ -125,18 +128,22 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
           consumed_at: consumptionTime.toISOString(),
           amount: defaultAmount,
           drink_type: null, // No specific option for quick add
-        });
+        })
+        .select()
+        .single();
 
       if (result.error) {
         console.error('Error adding quick consumption:', result.error);
         Alert.alert('Error', 'Failed to add consumption');
       } else {
+        await healthWriteBackService.writeEvent(habit, result.data);
+
         // Clear None selection since we're adding consumption
 
         // Immediately update the bedtime drug level in habit_logs
         try {
           console.log(`🔄 Auto-saving bedtime drug level for ${habit?.name} on ${selectedDate}`);
-          await updateBedtimeDrugLevel(habit?.id, selectedDate);
+          await updateBedtimeDrugLevel(selectedDate);
           console.log('✅ Auto-saved bedtime drug level for quick consumption');
         } catch (levelError) {
           console.error('Failed to auto-save bedtime drug level:', levelError);
@@ -155,94 +162,22 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
   };
 
   // Calculate and update bedtime drug level after consumption events change
-  const updateBedtimeDrugLevel = async (habitId, selectedDate) => {
+  const updateBedtimeDrugLevel = async (date) => {
     if (!userId) {
       console.log('❌ No userId for bedtime level update');
       return;
     }
 
-    try {
-      console.log(`🔍 Starting bedtime level calculation for habit ${habitId}`);
-      // Only update for caffeine and alcohol habits
-      const { data: habit, error: habitError } = await supabase
-        .from('habits')
-        .select('*')
-        .eq('id', habitId)
-        .single();
-
-      if (habitError || !habit || habit.type !== 'quick_consumption' ||
-          (!habit.name.toLowerCase().includes('caffeine') && !habit.name.toLowerCase().includes('alcohol'))) {
-        return; // Not a drug habit we care about
-      }
-
-      // Get user's notification time (bedtime)
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('notification_time')
-        .eq('id', userId)
-        .single();
-
-      const notificationTime = userData?.notification_time || '22:00:00'; // Default 10 PM
-
-      // Create bedtime Date object for the selected date
-      const bedtimeDate = new Date(selectedDate);
-      const [hours, minutes, seconds] = notificationTime.split(':').map(Number);
-      bedtimeDate.setHours(hours, minutes, seconds || 0, 0);
-
-      // If bedtime is in the past, it should be the next day
-      const now = new Date();
-      if (bedtimeDate <= now) {
-        bedtimeDate.setDate(bedtimeDate.getDate() + 1);
-      }
-
-      // Get all consumption events for this habit across the relevant time period
-      const maxHalfLife = habit.half_life_hours || 5;
-      const historyDays = Math.max(3, Math.ceil((maxHalfLife * 3) / 24));
-      const historyStart = new Date(bedtimeDate);
-      historyStart.setDate(historyStart.getDate() - historyDays);
-
-      const { data: eventsData, error: eventsError } = await supabase
-        .from('habit_consumption_events')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('habit_id', habitId)
-        .gte('consumed_at', historyStart.toISOString())
-        .lte('consumed_at', bedtimeDate.toISOString())
-        .order('consumed_at', { ascending: true });
-
-      if (eventsError) {
-        console.error('Error fetching consumption events:', eventsError);
-        return;
-      }
-
-      const bedtimeLevel = eventsData && eventsData.length > 0
-        ? getBedtimeDrugLevel(eventsData, bedtimeDate, habit.half_life_hours || 5)
-        : 0;
-
-      // Update the drug levels table with the calculated bedtime level
-      const drugLevelEntry = {
-        user_id: userId,
-        habit_id: habitId,
-        date: selectedDate,
-        level_value: bedtimeLevel,
-        unit: habit.unit,
-        calculated_at: new Date().toISOString(),
-      };
-
-      const { error: logError } = await supabase
-        .from('drug_levels')
-        .upsert(drugLevelEntry, {
-          onConflict: 'user_id,habit_id,date',
-        });
-
-      if (logError) {
-        console.error(`Error updating bedtime level for ${habit.name}:`, logError);
-      } else {
-        console.log(`✅ Updated ${habit.name} bedtime level: ${bedtimeLevel.toFixed(2)} ${habit.unit} for date: ${selectedDate}`);
-      }
+    const dateStr = formatDateForDB(date);
+    const result = await drugLevelService.updateBedtimeLevels(userId, habit, [dateStr]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
-    } catch (error) {
-      console.error('Error updating bedtime drug level:', error);
+    // A late drink still counts at the next day's bedtime, if that day already has a level
+    const nextDayResult = await drugLevelService.recalculateStoredLevels(userId, habit, [addDaysToDateString(dateStr, 1)]);
+    if (!nextDayResult.success) {
+      throw new Error(nextDayResult.error);
     }
   };
 
@@ -314,9 +249,11 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
 
             if (deleteError) throw deleteError;
 
+            await healthWriteBackService.deleteEvents(habit, consumptionEvents);
+
             // Update bedtime drug level
             try {
-              await updateBedtimeDrugLevel(habit?.id, selectedDate);
+              await updateBedtimeDrugLevel(selectedDate);
             } catch (levelError) {
               console.error('Failed to auto-update bedtime drug level:', levelError);
             }
@@ -354,6 +291,8 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
 
             if (deleteError) throw deleteError;
 
+            await healthWriteBackService.deleteEvents(habit, consumptionEvents);
+
             // Insert a special "none" consumption event with proper UUID
             const noneEventTime = new Date(dateObj);
             noneEventTime.setHours(12, 0, 0, 0); // Noon as default time for "none"
@@ -375,7 +314,7 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
             // Update bedtime drug level to 0 (no consumption)
             try {
               console.log(`🔄 Auto-saving bedtime drug level for ${habit?.name} on ${selectedDate} (None selected)`);
-              await updateBedtimeDrugLevel(habit?.id, selectedDate);
+              await updateBedtimeDrugLevel(selectedDate);
               console.log('✅ Auto-saved bedtime drug level for None selection');
             } catch (levelError) {
               console.error('Failed to auto-save bedtime drug level:', levelError);
@@ -553,9 +492,12 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
         return;
       }
 
+      // Save it to the health app too, if the user turned that on
+      const { data: savedEvent } = await healthWriteBackService.writeEvent(habit, result.data);
+
       // Use the actual database record with proper UUID
       const newEvent = {
-        ...result.data,
+        ...savedEvent,
         base_amount: baseAmount, // Store base amount for reference
         serving: servingMultiplier, // Store serving multiplier
       };
@@ -574,7 +516,7 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
       // Immediately update the bedtime drug level in habit_logs
       try {
         console.log(`🔄 Auto-saving bedtime drug level for ${habit?.name} on ${selectedDate}`);
-        await updateBedtimeDrugLevel(habit?.id, selectedDate);
+        await updateBedtimeDrugLevel(selectedDate);
         console.log('✅ Auto-saved bedtime drug level for consumption event');
       } catch (levelError) {
         console.error('Failed to auto-save bedtime drug level:', levelError);
@@ -641,11 +583,18 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
         return;
       }
 
+      const { data: syncedEvent } = await healthWriteBackService.updateEvent(habit, {
+        ...eventToUpdate,
+        ...updateData,
+      });
+
       // Update the existing event locally
       const updatedEvents = consumptionEvents.map(event =>
         event.id === eventId
           ? {
               ...event,
+              health_record_id: syncedEvent.health_record_id,
+              health_record_source: syncedEvent.health_record_source,
               consumed_at: consumptionTime.toISOString(),
               amount: totalAmount,
               volume: volumeConsumed,
@@ -661,7 +610,7 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
       // Update bedtime drug level
       try {
         console.log(`🔄 Auto-updating bedtime drug level for ${habit?.name} on ${selectedDate}`);
-        await updateBedtimeDrugLevel(habit?.id, selectedDate);
+        await updateBedtimeDrugLevel(selectedDate);
         console.log('✅ Auto-updated bedtime drug level for consumption event update');
       } catch (levelError) {
         console.error('Failed to auto-update bedtime drug level:', levelError);
@@ -694,6 +643,11 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
         return;
       }
 
+      await healthWriteBackService.deleteEvents(
+        habit,
+        consumptionEvents.filter(event => event.id === eventId)
+      );
+
       // Remove from local state
       onChange(consumptionEvents.filter(event => event.id !== eventId));
 
@@ -702,7 +656,7 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
       // Update bedtime drug level
       try {
         console.log(`🔄 Auto-updating bedtime drug level for ${habit?.name} on ${selectedDate} after deletion`);
-        await updateBedtimeDrugLevel(habit?.id, selectedDate);
+        await updateBedtimeDrugLevel(selectedDate);
         console.log('✅ Auto-updated bedtime drug level after consumption event deletion');
       } catch (levelError) {
         console.error('Failed to auto-update bedtime drug level:', levelError);
@@ -889,34 +843,49 @@ const QuickConsumptionInput = ({ habit, value, onChange, unit, selectedDate, use
               <View key={event.id} style={styles.loggedItemRow}>
                 <Text style={styles.loggedItemText}>
                   {formatTime(event.consumed_at)} {getConsumptionTypeName(event.drink_type)} {volumeDisplay}
+                  {event.imported_from && (
+                    <Text style={styles.importedFromText}> · {getDataOriginLabel(event.imported_from)}</Text>
+                  )}
                 </Text>
-                <View style={styles.loggedItemActions}>
+                {event.imported_from ? (
                   <TouchableOpacity
                     style={styles.actionButton}
-                    onPress={() => editConsumptionEvent(event)}
+                    onPress={() => Alert.alert(
+                      'Imported Drink',
+                      `This was logged in ${getDataOriginLabel(event.imported_from)}. Change or delete it there and it will update here on the next sync.`
+                    )}
                   >
-                    <Ionicons name="pencil" size={14} color={colors.primary} />
+                    <Ionicons name="information-circle-outline" size={14} color={colors.textSecondary} />
                   </TouchableOpacity>
-                  <TouchableOpacity
-                    style={styles.actionButton}
-                    onPress={() => {
-                      Alert.alert(
-                        'Delete Consumption',
-                        'Are you sure you want to delete this consumption entry?',
-                        [
-                          { text: 'Cancel', style: 'cancel' },
-                          {
-                            text: 'Delete',
-                            style: 'destructive',
-                            onPress: () => deleteConsumptionEvent(event.id)
-                          }
-                        ]
-                      );
-                    }}
-                  >
-                    <Ionicons name="trash" size={14} color={colors.error} />
-                  </TouchableOpacity>
-                </View>
+                ) : (
+                  <View style={styles.loggedItemActions}>
+                    <TouchableOpacity
+                      style={styles.actionButton}
+                      onPress={() => editConsumptionEvent(event)}
+                    >
+                      <Ionicons name="pencil" size={14} color={colors.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.actionButton}
+                      onPress={() => {
+                        Alert.alert(
+                          'Delete Consumption',
+                          'Are you sure you want to delete this consumption entry?',
+                          [
+                            { text: 'Cancel', style: 'cancel' },
+                            {
+                              text: 'Delete',
+                              style: 'destructive',
+                              onPress: () => deleteConsumptionEvent(event.id)
+                            }
+                          ]
+                        );
+                      }}
+                    >
+                      <Ionicons name="trash" size={14} color={colors.error} />
+                    </TouchableOpacity>
+                  </View>
+                )}
               </View>
             );
           })}
@@ -1513,6 +1482,9 @@ const styles = StyleSheet.create({
     flex: 1,
     lineHeight: typography.sizes.small,
   },
+  importedFromText: {
+    fontStyle: 'italic',
+  },
   loggedItemActions: {
     flexDirection: 'row',
     gap: 2,
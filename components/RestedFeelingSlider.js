@@ -3,10 +3,11 @@ import { View, Text, StyleSheet } from 'react-native';
 import Slider from '@react-native-community/slider';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
+import { RESTED_FEELING_MIN, RESTED_FEELING_MAX } from '../constants/morningCheckIn';
 
 const RestedFeelingSlider = ({ value = null, onChange }) => {
-  // Use 5 as the display value when null, but track if it was actually set
-  const displayValue = value === null ? 5 : value;
+  // Show the middle of the scale when null, but track if it was actually set
+  const displayValue = value === null ? Math.ceil((RESTED_FEELING_MIN + RESTED_FEELING_MAX) / 2) : value;
 
   return (
     <View style={styles.container}>
@@ -16,8 +17,8 @@ const RestedFeelingSlider = ({ value = null, onChange }) => {
       </View>
       <Slider
         style={styles.slider}
-        minimumValue={0}
-        maximumValue={10}
+        minimumValue={RESTED_FEELING_MIN}
+        maximumValue={RESTED_FEELING_MAX}
         step={1}
         value={displayValue}
         onValueChange={onChange}
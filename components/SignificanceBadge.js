@@ -0,0 +1,46 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing } from '../constants';
+
+/**
+ * Badge telling the user whether an insight is likely real or could be chance
+ */
+const SignificanceBadge = ({ significance }) => {
+  if (!significance) {
+    return null;
+  }
+
+  const likelyReal = significance.isLikelyReal;
+  const color = likelyReal ? colors.success : colors.warning;
+
+  return (
+    <View style={[styles.badge, { backgroundColor: color + '20' }]}>
+      <Ionicons
+        name={likelyReal ? 'shield-checkmark-outline' : 'help-circle-outline'}
+        size={14}
+        color={color}
+      />
+      <Text style={[styles.badgeText, { color }]}>
+        {likelyReal ? 'Likely real' : 'Could be chance'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+    gap: spacing.xs,
+  },
+  badgeText: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+  },
+});
+
+export default SignificanceBadge;
@@ -0,0 +1,235 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import { useUserPreferences } from '../contexts/UserPreferencesContext';
+import {
+  calculateCircadianMetrics,
+  calculateSleepRegularityIndex,
+  calculateSocialJetlag,
+} from '../utils/sleepRegularity';
+
+const PLOT_HEIGHT = 160;
+const DOT_SIZE = 10;
+const AXIS_STEP_MINUTES = 60;
+
+/**
+ * Scatter of bedtime (x) against wake time (y) for recent nights
+ * A tight cluster means a regular schedule; the latest night is highlighted.
+ */
+const SleepScheduleChart = ({ sleepHistory }) => {
+  const { formatTimeShort } = useUserPreferences();
+
+  const schedule = useMemo(() => {
+    if (!sleepHistory || sleepHistory.length === 0) return null;
+
+    const sorted = [...sleepHistory].sort((a, b) => a.date.localeCompare(b.date));
+    const metricsByDate = calculateCircadianMetrics(sorted);
+
+    const nights = sorted
+      .map(record => ({ date: record.date, ...metricsByDate[record.date] }))
+      .filter(night => night.bedtime_minutes !== null && night.wake_time_minutes !== null);
+
+    if (nights.length === 0) return null;
+
+    // Round the axes out to whole hours around the data
+    const getAxis = (values) => {
+      const min = Math.floor(Math.min(...values) / AXIS_STEP_MINUTES) * AXIS_STEP_MINUTES;
+      const max = Math.ceil(Math.max(...values) / AXIS_STEP_MINUTES) * AXIS_STEP_MINUTES;
+      return { min, max: max > min ? max : min + AXIS_STEP_MINUTES };
+    };
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return {
+      nights,
+      xAxis: getAxis(nights.map(night => night.bedtime_minutes)),
+      yAxis: getAxis(nights.map(night => night.wake_time_minutes)),
+      averageBedtime: mean(nights.map(night => night.bedtime_minutes)),
+      averageWakeTime: mean(nights.map(night => night.wake_time_minutes)),
+      socialJetlag: calculateSocialJetlag(
+        nights.map(night => ({ date: night.date, midpoint: night.sleep_midpoint_minutes }))
+      ),
+      regularityIndex: calculateSleepRegularityIndex(sorted),
+    };
+  }, [sleepHistory]);
+
+  if (!schedule) return null;
+
+  const { nights, xAxis, yAxis } = schedule;
+  const latestNight = nights[nights.length - 1];
+
+  // Minutes from midnight → a Date so times follow the user's 12/24h preference
+  const formatClock = (minutes) => formatTimeShort(new Date(2000, 0, 1, 0, Math.round(minutes)));
+
+  const formatDuration = (minutes) => {
+    const rounded = Math.round(minutes);
+    if (rounded < 60) return `${rounded}m`;
+    return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+  };
+
+  const toPercent = (value, axis) => ((value - axis.min) / (axis.max - axis.min)) * 100;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.titleRow}>
+        <Ionicons name="time-outline" size={24} color={colors.primary} />
+        <Text style={styles.title}>Sleep Schedule</Text>
+      </View>
+      <Text style={styles.subtitle}>Bedtime vs wake time, last {nights.length} nights</Text>
+
+      <View style={styles.chartRow}>
+        <View style={styles.yAxisLabels}>
+          <Text style={styles.axisText}>{formatClock(yAxis.max)}</Text>
+          <Text style={styles.axisTitle}>Wake</Text>
+          <Text style={styles.axisText}>{formatClock(yAxis.min)}</Text>
+        </View>
+
+        <View style={styles.plotArea}>
+          {nights.map(night => {
+            const isLatest = night === latestNight;
+            return (
+              <View
+                key={night.date}
+                style={[
+                  styles.dot,
+                  isLatest && styles.dotLatest,
+                  {
+                    left: `${toPercent(night.bedtime_minutes, xAxis)}%`,
+                    bottom: `${toPercent(night.wake_time_minutes, yAxis)}%`,
+                  },
+                ]}
+              />
+            );
+          })}
+        </View>
+      </View>
+
+      <View style={styles.xAxisLabels}>
+        <Text style={styles.axisText}>{formatClock(xAxis.min)}</Text>
+        <Text style={styles.axisTitle}>Bedtime</Text>
+        <Text style={styles.axisText}>{formatClock(xAxis.max)}</Text>
+      </View>
+
+      <View style={styles.statsRow}>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{formatClock(schedule.averageBedtime)}</Text>
+          <Text style={styles.statLabel}>Avg bedtime</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{formatClock(schedule.averageWakeTime)}</Text>
+          <Text style={styles.statLabel}>Avg wake</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>
+            {schedule.socialJetlag !== null ? formatDuration(schedule.socialJetlag) : '–'}
+          </Text>
+          <Text style={styles.statLabel}>Social jetlag</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>
+            {schedule.regularityIndex !== null ? Math.round(schedule.regularityIndex) : '–'}
+          </Text>
+          <Text style={styles.statLabel}>Regularity</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+    marginLeft: spacing.sm,
+  },
+  subtitle: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+    marginBottom: spacing.regular,
+  },
+  chartRow: {
+    flexDirection: 'row',
+  },
+  yAxisLabels: {
+    width: 56,
+    height: PLOT_HEIGHT,
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    paddingRight: spacing.xs,
+  },
+  plotArea: {
+    flex: 1,
+    height: PLOT_HEIGHT,
+    borderLeftWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: colors.border,
+    marginRight: DOT_SIZE / 2,
+    marginTop: DOT_SIZE / 2,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    marginLeft: -DOT_SIZE / 2,
+    marginBottom: -DOT_SIZE / 2,
+    backgroundColor: colors.primaryLight + '60',
+  },
+  dotLatest: {
+    backgroundColor: colors.primary,
+    borderWidth: 2,
+    borderColor: colors.white,
+  },
+  xAxisLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginLeft: 56,
+    marginTop: spacing.xs,
+  },
+  axisText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+  },
+  axisTitle: {
+    fontSize: typography.sizes.xs,
+    color: colors.textLight,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginTop: spacing.regular,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  statLabel: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+});
+
+export default SleepScheduleChart;
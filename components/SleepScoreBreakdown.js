@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+
+/**
+ * Composite sleep score with an expandable breakdown of its components
+ * Used when the health platform doesn't provide its own score.
+ */
+const SleepScoreBreakdown = ({ scoreResult }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!scoreResult) {
+    return null;
+  }
+
+  const getScoreColor = (score) => {
+    if (score >= 75) return colors.success;
+    if (score >= 50) return colors.warning;
+    return colors.error;
+  };
+
+  const isPersonal = scoreResult.components.some(component => component.isPersonal);
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        activeOpacity={0.7}
+      >
+        <View>
+          <Text style={styles.title}>Sleep Score</Text>
+          <Text style={styles.subtitle}>
+            {isPersonal ? 'Compared with your last 30 nights' : 'Compared with typical sleep'}
+          </Text>
+        </View>
+        <View style={styles.scoreContainer}>
+          <Text style={[styles.score, { color: getScoreColor(scoreResult.score) }]}>
+            {scoreResult.score}
+          </Text>
+          <Text style={styles.scoreMax}>/100</Text>
+          <Ionicons
+            name={expanded ? 'chevron-up' : 'chevron-down'}
+            size={16}
+            color={colors.textSecondary}
+          />
+        </View>
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.components}>
+          {scoreResult.components.map(component => (
+            <View key={component.key} style={styles.component}>
+              <View style={styles.componentHeader}>
+                <Text style={styles.componentLabel}>
+                  {component.label} · {Math.round(component.weight * 100)}%
+                </Text>
+                <Text style={styles.componentScore}>{component.score}</Text>
+              </View>
+              <View style={styles.barTrack}>
+                <View
+                  style={[
+                    styles.barFill,
+                    { width: `${component.score}%`, backgroundColor: getScoreColor(component.score) },
+                  ]}
+                />
+              </View>
+              <Text style={styles.componentExplanation}>{component.explanation}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.sm,
+    paddingTop: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: typography.weights.medium,
+    color: colors.textSecondary,
+  },
+  subtitle: {
+    fontSize: typography.sizes.xs,
+    color: colors.textLight,
+    marginTop: 2,
+  },
+  scoreContainer: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    gap: 2,
+  },
+  score: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.bold,
+  },
+  scoreMax: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginRight: spacing.xs,
+  },
+  components: {
+    marginTop: spacing.sm,
+    paddingHorizontal: spacing.sm,
+    gap: spacing.sm,
+  },
+  component: {
+    gap: 4,
+  },
+  componentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  componentLabel: {
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+    fontWeight: typography.weights.medium,
+  },
+  componentScore: {
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+    fontWeight: typography.weights.semibold,
+  },
+  barTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  componentExplanation: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+  },
+});
+
+export default SleepScoreBreakdown;
@@ -1,10 +1,24 @@
 import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Polyline } from 'react-native-svg';
 import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import { useUserPreferences } from '../contexts/UserPreferencesContext';
 
+const BAR_HEIGHT = 40;
+// Keep the heart rate line clear of the bar's rounded top and bottom
+const HR_LINE_PADDING = 6;
+
+/**
+ * Format minutes as "2h 15m" or "40m"
+ */
+const formatHeartRateDelay = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+};
+
 const SleepTimeline = ({ sleepData }) => {
   const { formatTime } = useUserPreferences();
 
@@ -55,7 +69,7 @@ const SleepTimeline = ({ sleepData }) => {
         totalDurationMinutes,
       };
     } else {
-      // Fall back to aggregated data (for HealthKit or manual entries)
+      // Fall back to aggregated data (for manual entries and nights without stage intervals)
       const {
         deep_sleep_minutes = 0,
         light_sleep_minutes = 0,
@@ -142,6 +156,29 @@ const SleepTimeline = ({ sleepData }) => {
     }
   }, [sleepData]);
 
+  // Heart rate line over the bar, scaled to the night's own range (higher bpm is higher up)
+  const heartRateLine = useMemo(() => {
+    if (!timelineData || !Array.isArray(sleepData.heart_rate_samples)) return null;
+
+    const startMs = timelineData.sleepStart.getTime();
+    const durationMs = timelineData.sleepEnd.getTime() - startMs;
+    const points = sleepData.heart_rate_samples
+      .map(sample => ({ x: ((new Date(sample.time).getTime() - startMs) / durationMs) * 100, bpm: sample.bpm }))
+      .filter(point => point.x >= 0 && point.x <= 100);
+    if (points.length < 2) return null;
+
+    const minBpm = Math.min(...points.map(point => point.bpm));
+    const bpmRange = Math.max(Math.max(...points.map(point => point.bpm)) - minBpm, 1);
+    const plotHeight = BAR_HEIGHT - HR_LINE_PADDING * 2;
+
+    return points
+      .map(point => {
+        const y = HR_LINE_PADDING + plotHeight - ((point.bpm - minBpm) / bpmRange) * plotHeight;
+        return `${point.x.toFixed(2)},${y.toFixed(1)}`;
+      })
+      .join(' ');
+  }, [timelineData, sleepData]);
+
   if (!timelineData || timelineData.segments.length === 0) return null;
 
   const { segments, sleepStart, sleepEnd } = timelineData;
@@ -178,6 +215,22 @@ const SleepTimeline = ({ sleepData }) => {
               />
             );
           })}
+          {heartRateLine && (
+            <Svg
+              style={StyleSheet.absoluteFill}
+              viewBox={`0 0 100 ${BAR_HEIGHT}`}
+              preserveAspectRatio="none"
+            >
+              <Polyline
+                points={heartRateLine}
+                fill="none"
+                stroke={colors.heartRate}
+                strokeWidth={1.5}
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            </Svg>
+          )}
         </View>
         {/* Moon icon at start */}
         <View style={styles.moonIcon}>
@@ -191,6 +244,19 @@ const SleepTimeline = ({ sleepData }) => {
         <Text style={styles.timeLabel}>{endTime}</Text>
       </View>
 
+      {heartRateLine && sleepData.lowest_heart_rate != null && (
+        <View style={styles.heartRateSummary}>
+          <Ionicons name="heart" size={12} color={colors.heartRate} />
+          <Text style={styles.heartRateText}>
+            Lowest {Math.round(sleepData.lowest_heart_rate)} bpm
+            {sleepData.time_to_lowest_hr_minutes != null &&
+              `, ${formatHeartRateDelay(sleepData.time_to_lowest_hr_minutes)} after falling asleep`}
+            {sleepData.nocturnal_hr_dip_percent != null &&
+              ` · ${Math.round(sleepData.nocturnal_hr_dip_percent)}% dip`}
+          </Text>
+        </View>
+      )}
+
     </View>
   );
 };
@@ -204,7 +270,7 @@ const styles = StyleSheet.create({
     position: 'relative',
   },
   timelineBar: {
-    height: 40,
+    height: BAR_HEIGHT,
     borderRadius: 20,
     flexDirection: 'row',
     overflow: 'hidden',
@@ -231,6 +297,18 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: typography.weights.medium,
   },
+  heartRateSummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingHorizontal: spacing.xs,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  heartRateText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+  },
 });
 
 export default SleepTimeline;
@@ -0,0 +1,126 @@
+// Caffeine metabolism questionnaire
+// Caffeine is broken down almost entirely by one liver enzyme (CYP1A2), so how long it lasts varies
+// several-fold between people. Each answer scales a typical adult half-life; the answers are stored
+// in users.caffeine_profile.
+
+// Typical caffeine half-life in healthy adults who don't smoke
+export const TYPICAL_CAFFEINE_HALF_LIFE_HOURS = 5;
+
+// Suggestions are kept within the range reported in healthy and clinical populations
+export const MIN_CAFFEINE_HALF_LIFE_HOURS = 1.5;
+export const MAX_CAFFEINE_HALF_LIFE_HOURS = 24;
+
+// Which way more caffeine at sleep onset is expected to move a sleep metric: 1 up, -1 down.
+// The half-life is only fitted to these metrics, and only to correlations in that direction.
+export const CAFFEINE_EXPECTED_EFFECTS = {
+  total_sleep_minutes: -1,
+  deep_sleep_minutes: -1,
+  rem_sleep_minutes: -1,
+  awake_minutes: 1,
+  awakenings_count: 1,
+  sleep_score: -1,
+  rested_feeling: -1,
+  wake_mood: -1,
+  sleep_efficiency: -1,
+  sleep_latency_minutes: 1,
+  waso_minutes: 1,
+  longest_sleep_bout_minutes: -1,
+  hrv: -1,
+};
+
+export const CAFFEINE_METABOLISM_QUESTIONS = [
+  {
+    key: 'smoking',
+    question: 'Do you smoke?',
+    options: [
+      { value: 'no', label: 'No', multiplier: 1 },
+      {
+        value: 'yes',
+        label: 'Yes',
+        multiplier: 0.55,
+        explanation: 'Smoking speeds up the enzyme that clears caffeine, so it wears off in about half the time',
+      },
+    ],
+  },
+  {
+    key: 'oralContraceptives',
+    question: 'Do you take hormonal birth control (the pill)?',
+    options: [
+      { value: 'no', label: 'No', multiplier: 1 },
+      {
+        value: 'yes',
+        label: 'Yes',
+        multiplier: 1.8,
+        explanation: 'Oral contraceptives slow caffeine clearance, nearly doubling its half-life',
+      },
+    ],
+  },
+  {
+    key: 'pregnancy',
+    question: 'Are you pregnant?',
+    options: [
+      { value: 'no', label: 'No', multiplier: 1 },
+      {
+        value: 'first_trimester',
+        label: '1st trimester',
+        multiplier: 1.2,
+        explanation: 'Caffeine clearance starts slowing early in pregnancy',
+      },
+      {
+        value: 'second_trimester',
+        label: '2nd trimester',
+        multiplier: 1.8,
+        explanation: 'By the second trimester caffeine lasts nearly twice as long',
+      },
+      {
+        value: 'third_trimester',
+        label: '3rd trimester',
+        multiplier: 3,
+        explanation: 'In the third trimester caffeine can last around three times as long',
+      },
+    ],
+  },
+  {
+    key: 'liver',
+    question: 'How is your liver health?',
+    options: [
+      { value: 'healthy', label: 'Healthy', multiplier: 1 },
+      {
+        value: 'mild',
+        label: 'Mild condition',
+        multiplier: 1.5,
+        explanation: 'Liver conditions such as fatty liver slow caffeine breakdown',
+      },
+      {
+        value: 'severe',
+        label: 'Cirrhosis',
+        multiplier: 4,
+        explanation: 'With cirrhosis caffeine can stay in the body several times longer',
+      },
+    ],
+  },
+  {
+    key: 'genetics',
+    question: 'Has a genetic test shown your CYP1A2 type?',
+    options: [
+      { value: 'unknown', label: "Don't know", multiplier: 1 },
+      {
+        value: 'fast',
+        label: 'Fast (AA)',
+        multiplier: 0.85,
+        explanation: 'The fast CYP1A2 variant clears caffeine a little quicker than average',
+      },
+      {
+        value: 'slow',
+        label: 'Slow (AC/CC)',
+        multiplier: 1.4,
+        explanation: 'A slow CYP1A2 variant makes caffeine last longer',
+      },
+    ],
+  },
+];
+
+// Answers before the questionnaire is filled in: the first option of each question
+export const DEFAULT_CAFFEINE_METABOLISM_ANSWERS = Object.fromEntries(
+  CAFFEINE_METABOLISM_QUESTIONS.map(question => [question.key, question.options[0].value])
+);
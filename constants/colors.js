@@ -33,6 +33,10 @@ export const colors = {
     light: '#60A5FA',     // Light blue for light sleep
     rem: '#A78BFA',       // Purple for REM sleep
     awake: '#FBBF24',     // Amber for awake periods
+    out_of_bed: '#D1D5DB', // Grey for time out of bed
   },
+
+  // Heart rate line drawn over the sleep timeline
+  heartRate: '#F43F5E',
 };
 
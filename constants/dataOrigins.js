@@ -0,0 +1,29 @@
+// Apps that commonly write sleep to Health Connect or HealthKit
+// Keys are the data origin ids the platforms report (Android package names, iOS bundle identifiers)
+
+export const KNOWN_DATA_ORIGINS = {
+  'com.apple.health': 'Apple Health (iPhone & Watch)',
+  'com.google.android.apps.fitness': 'Google Fit',
+  'com.google.android.apps.healthdata': 'Health Connect',
+  'com.fitbit.FitbitMobile': 'Fitbit',
+  'com.sec.android.app.shealth': 'Samsung Health',
+  'com.urbandroid.sleep': 'Sleep as Android',
+  'com.ouraring.oura': 'Oura',
+  'com.garmin.android.apps.connectmobile': 'Garmin Connect',
+  'com.garmin.connect.mobile': 'Garmin Connect',
+  'com.withings.wiscale2': 'Withings',
+  'com.northcube.sleepcycle': 'Sleep Cycle',
+  'com.tantsissa.AutoSleep': 'AutoSleep',
+  'com.whoop.android': 'WHOOP',
+  'com.whoop.iphone': 'WHOOP',
+};
+
+// Get a display label for a data origin, preferring the name the platform reported
+export const getDataOriginLabel = (origin, name = null) => {
+  if (name) return name;
+  if (!origin) return 'Unknown app';
+  return KNOWN_DATA_ORIGINS[origin] || origin;
+};
+
+// SleepFactor's own package names / bundle identifiers, so records it wrote aren't read back in
+export const SLEEPFACTOR_DATA_ORIGINS = ['com.sleepfactor.app', 'com.sleepfactor.app.dev'];
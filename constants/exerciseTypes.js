@@ -0,0 +1,147 @@
+// Exercise categories shared by Health Connect exercise sessions and HealthKit workouts
+// met is a typical intensity for the activity in metabolic equivalents (1 MET = sitting at rest),
+// rounded from the Compendium of Physical Activities. It stands in for intensity when comparing
+// workouts, since neither platform reports a common effort measure for every session.
+
+export const EXERCISE_TYPES = {
+  running: { label: 'Running', met: 9.8 },
+  walking: { label: 'Walking', met: 3.5 },
+  hiking: { label: 'Hiking', met: 6.0 },
+  cycling: { label: 'Cycling', met: 7.5 },
+  swimming: { label: 'Swimming', met: 7.0 },
+  rowing: { label: 'Rowing', met: 7.0 },
+  elliptical: { label: 'Elliptical', met: 5.0 },
+  stair_climbing: { label: 'Stair Climbing', met: 8.0 },
+  hiit: { label: 'HIIT', met: 8.0 },
+  strength_training: { label: 'Strength Training', met: 5.0 },
+  team_sports: { label: 'Team Sports', met: 7.0 },
+  racquet_sports: { label: 'Racquet Sports', met: 7.0 },
+  martial_arts: { label: 'Martial Arts', met: 7.5 },
+  climbing: { label: 'Climbing', met: 8.0 },
+  winter_sports: { label: 'Winter Sports', met: 7.0 },
+  dance: { label: 'Dance', met: 5.0 },
+  yoga: { label: 'Yoga', met: 2.5 },
+  pilates: { label: 'Pilates', met: 3.0 },
+  stretching: { label: 'Stretching', met: 2.3 },
+  other: { label: 'Workout', met: 5.0 },
+};
+
+// Health Connect ExerciseSessionRecord.exerciseType values
+export const HEALTH_CONNECT_EXERCISE_TYPES = {
+  2: 'racquet_sports', // Badminton
+  4: 'team_sports', // Baseball
+  5: 'team_sports', // Basketball
+  8: 'cycling',
+  9: 'cycling', // Stationary
+  10: 'hiit', // Boot camp
+  11: 'martial_arts', // Boxing
+  13: 'strength_training', // Calisthenics
+  14: 'team_sports', // Cricket
+  16: 'dance',
+  25: 'elliptical',
+  28: 'team_sports', // American football
+  29: 'team_sports', // Australian football
+  34: 'strength_training', // Gymnastics
+  35: 'team_sports', // Handball
+  36: 'hiit',
+  37: 'hiking',
+  38: 'team_sports', // Ice hockey
+  39: 'winter_sports', // Ice skating
+  44: 'martial_arts',
+  46: 'rowing', // Paddling
+  48: 'pilates',
+  50: 'racquet_sports', // Racquetball
+  51: 'climbing',
+  53: 'rowing',
+  54: 'rowing', // Machine
+  55: 'team_sports', // Rugby
+  56: 'running',
+  57: 'running', // Treadmill
+  61: 'winter_sports', // Skiing
+  62: 'winter_sports', // Snowboarding
+  63: 'winter_sports', // Snowshoeing
+  64: 'team_sports', // Soccer
+  65: 'team_sports', // Softball
+  66: 'racquet_sports', // Squash
+  68: 'stair_climbing',
+  69: 'stair_climbing', // Machine
+  70: 'strength_training',
+  71: 'stretching',
+  73: 'swimming', // Open water
+  74: 'swimming', // Pool
+  75: 'racquet_sports', // Table tennis
+  76: 'racquet_sports', // Tennis
+  78: 'team_sports', // Volleyball
+  79: 'walking',
+  80: 'team_sports', // Water polo
+  81: 'strength_training', // Weightlifting
+  83: 'yoga',
+};
+
+// HealthKit HKWorkoutActivityType values
+export const HEALTHKIT_WORKOUT_TYPES = {
+  1: 'team_sports', // American football
+  3: 'team_sports', // Australian football
+  4: 'racquet_sports', // Badminton
+  5: 'team_sports', // Baseball
+  6: 'team_sports', // Basketball
+  8: 'martial_arts', // Boxing
+  9: 'climbing',
+  10: 'team_sports', // Cricket
+  11: 'hiit', // Cross training
+  13: 'cycling',
+  14: 'dance',
+  15: 'dance', // Dance-inspired training
+  16: 'elliptical',
+  20: 'strength_training', // Functional strength training
+  22: 'strength_training', // Gymnastics
+  23: 'team_sports', // Handball
+  24: 'hiking',
+  25: 'team_sports', // Hockey
+  28: 'martial_arts',
+  31: 'rowing', // Paddle sports
+  34: 'racquet_sports', // Racquetball
+  35: 'rowing',
+  36: 'team_sports', // Rugby
+  37: 'running',
+  39: 'winter_sports', // Skating
+  40: 'winter_sports', // Snow sports
+  41: 'team_sports', // Soccer
+  42: 'team_sports', // Softball
+  43: 'racquet_sports', // Squash
+  44: 'stair_climbing',
+  46: 'swimming',
+  47: 'racquet_sports', // Table tennis
+  48: 'racquet_sports', // Tennis
+  50: 'strength_training', // Traditional strength training
+  51: 'team_sports', // Volleyball
+  52: 'walking',
+  54: 'team_sports', // Water polo
+  56: 'martial_arts', // Wrestling
+  57: 'yoga',
+  58: 'pilates', // Barre
+  59: 'strength_training', // Core training
+  60: 'winter_sports', // Cross-country skiing
+  61: 'winter_sports', // Downhill skiing
+  62: 'stretching', // Flexibility
+  63: 'hiit',
+  64: 'hiit', // Jump rope
+  65: 'martial_arts', // Kickboxing
+  66: 'pilates',
+  67: 'winter_sports', // Snowboarding
+  68: 'stair_climbing', // Stairs
+  69: 'hiit', // Step training
+  72: 'yoga', // Tai chi
+  73: 'hiit', // Mixed cardio
+  77: 'dance', // Cardio dance
+  78: 'dance', // Social dance
+  79: 'racquet_sports', // Pickleball
+  80: 'stretching', // Cooldown
+};
+
+/**
+ * Get the typical intensity of an exercise category
+ * @param {string} exerciseType - Key of EXERCISE_TYPES
+ * @returns {number} METs, falling back to a generic workout
+ */
+export const getExerciseMet = (exerciseType) => (EXERCISE_TYPES[exerciseType] || EXERCISE_TYPES.other).met;
@@ -0,0 +1,131 @@
+// Health metrics synced from HealthKit / Health Connect as automatic habits
+// Each becomes a numeric habit named after `name`, logged once per day.
+// Overnight metrics are measured while asleep, so their daily log is dated by the night
+// (the date sleep_data uses) rather than the calendar day of each reading, and Insights
+// offers them as outcomes alongside the sleep metrics.
+// Exercise timing metrics aren't read from the platform directly: they're worked out from the
+// stored workouts and the following night's sleep onset (see utils/exerciseTiming.js).
+
+export const HEALTH_METRICS = [
+  {
+    key: 'steps',
+    name: 'Daily Steps',
+    unit: 'steps',
+    type: 'numeric',
+    description: 'Number of steps taken in a day'
+  },
+  {
+    key: 'active_energy',
+    name: 'Active Energy Burned',
+    unit: 'kcal',
+    type: 'numeric',
+    description: 'Calories burned through physical activity'
+  },
+  {
+    key: 'heart_rate_max',
+    name: 'Max Heart Rate',
+    unit: 'bpm',
+    type: 'numeric',
+    description: 'Maximum heart rate during the day'
+  },
+  {
+    key: 'heart_rate_resting',
+    name: 'Resting Heart Rate',
+    unit: 'bpm',
+    type: 'numeric',
+    description: 'Average resting heart rate'
+  },
+  {
+    key: 'exercise_minutes',
+    name: 'Exercise Time',
+    unit: 'minutes',
+    type: 'numeric',
+    description: 'Time spent exercising'
+  },
+  {
+    key: 'distance_walking',
+    name: 'Walking Distance',
+    unit: 'km',
+    type: 'numeric',
+    description: 'Distance walked'
+  },
+  {
+    key: 'respiratory_rate',
+    name: 'Overnight Respiratory Rate',
+    unit: 'breaths/min',
+    type: 'numeric',
+    description: 'Average breathing rate during the night',
+    overnight: true
+  },
+  {
+    key: 'oxygen_saturation',
+    name: 'Overnight Blood Oxygen',
+    unit: '%',
+    type: 'numeric',
+    description: 'Average blood oxygen saturation (SpO2) during the night',
+    overnight: true
+  },
+  {
+    key: 'hrv',
+    name: 'Overnight HRV',
+    unit: 'ms',
+    type: 'numeric',
+    // HealthKit reports SDNN and Health Connect RMSSD; both track the same trend but aren't interchangeable
+    description: 'Average heart rate variability during the night',
+    overnight: true
+  },
+  {
+    key: 'body_temperature',
+    name: 'Body Temperature',
+    unit: '°C',
+    type: 'numeric',
+    description: 'Average body temperature reading for the day'
+  },
+  {
+    key: 'weight',
+    name: 'Body Weight',
+    unit: 'kg',
+    type: 'numeric',
+    description: 'Latest weight reading for the day'
+  },
+  {
+    key: 'late_exercise_minutes',
+    name: 'Exercise Near Bedtime',
+    unit: 'minutes',
+    type: 'numeric',
+    description: 'Minutes of exercise in the 3 hours before falling asleep',
+    derived: 'exercise'
+  },
+  {
+    key: 'workout_sleep_gap',
+    name: 'Workout to Sleep Gap',
+    unit: 'minutes',
+    type: 'numeric',
+    description: 'Time from the end of the last workout to falling asleep',
+    derived: 'exercise'
+  },
+  {
+    key: 'workout_intensity',
+    name: 'Workout Intensity',
+    unit: 'MET',
+    type: 'numeric',
+    description: 'Average intensity of the day\'s workouts, weighted by duration',
+    derived: 'exercise'
+  }
+];
+
+/**
+ * Whether a metric is measured overnight and dated by the night
+ * @param {string} metricKey - Metric key (e.g., 'oxygen_saturation')
+ * @returns {boolean} True for overnight metrics
+ */
+export const isOvernightMetric = (metricKey) =>
+  HEALTH_METRICS.some(metric => metric.key === metricKey && metric.overnight);
+
+/**
+ * Whether a metric is worked out from stored exercise sessions rather than read from the platform
+ * @param {string} metricKey - Metric key (e.g., 'workout_sleep_gap')
+ * @returns {boolean} True for exercise timing metrics
+ */
+export const isExerciseTimingMetric = (metricKey) =>
+  HEALTH_METRICS.some(metric => metric.key === metricKey && metric.derived === 'exercise');
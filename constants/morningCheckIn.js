@@ -0,0 +1,19 @@
+// Morning check-in scales
+// Both answers are stored on the night's sleep_data row as 1-5 integers
+
+export const RESTED_FEELING_MIN = 1;
+export const RESTED_FEELING_MAX = 5;
+
+export const WAKE_MOOD_OPTIONS = [
+  { value: 1, label: 'Awful', icon: 'sad-outline' },
+  { value: 2, label: 'Low', icon: 'cloudy-outline' },
+  { value: 3, label: 'Okay', icon: 'remove-circle-outline' },
+  { value: 4, label: 'Good', icon: 'partly-sunny-outline' },
+  { value: 5, label: 'Great', icon: 'sunny-outline' },
+];
+
+// Get the label for a stored wake_mood value
+export const getWakeMoodLabel = (value) => {
+  const option = WAKE_MOOD_OPTIONS.find(mood => mood.value === value);
+  return option ? option.label : null;
+};
@@ -0,0 +1,33 @@
+import { colors } from './colors';
+
+// How each sync_runs status and trigger is shown in Profile and the diagnostics screen
+
+export const SYNC_RUN_STATUS = {
+  success: { label: 'Synced', color: colors.success },
+  skipped: { label: 'Skipped', color: colors.warning },
+  failed: { label: 'Failed', color: colors.error },
+};
+
+// Record types of drinks imported from other apps (see consumptionImportService)
+export const IMPORTED_CONSUMPTION_LABELS = {
+  caffeine: 'Caffeine (imported)',
+  alcohol: 'Alcohol (imported)',
+};
+
+export const SYNC_RUN_TRIGGERS = {
+  background: 'Background',
+  foreground: 'App opened',
+  manual: 'Sync now',
+  replay: 'Replay',
+};
+
+/**
+ * One-line summary of a run: what it saved, or why it didn't
+ * @param {Object} run - Row from sync_runs
+ * @returns {string} Summary, or '' when there is nothing to say
+ */
+export const getSyncRunSummary = (run) => {
+  if (run.status !== 'success') return run.message || '';
+  return `${run.sleep_records_synced} ${run.sleep_records_synced === 1 ? 'night' : 'nights'}, ` +
+    `${run.metrics_synced} metric ${run.metrics_synced === 1 ? 'log' : 'logs'}`;
+};
@@ -3,6 +3,7 @@ import React, { createContext, useState, useEffect, useContext, useRef } from 'r
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getSession, onAuthStateChange } from '../services/auth';
 import { supabase } from '../services/supabase';
+import timezoneService from '../services/timezoneService';
 
 const AuthContext = createContext({});
 
@@ -128,6 +129,13 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
 
+  // Day boundaries follow the user's zone, so load it as soon as someone is signed in
+  useEffect(() => {
+    if (user?.id) {
+      timezoneService.initialize();
+    }
+  }, [user?.id]);
+
   const value = {
     user,
     session,
@@ -2,6 +2,8 @@ import { useState, useEffect, useCallback } from 'react';
 import { AppState } from 'react-native';
 import sleepSyncService from '../services/sleepSyncService';
 import healthMetricsService from '../services/healthMetricsService';
+import backgroundSyncService from '../services/backgroundSyncService';
+import syncRunService from '../services/syncRunService';
 
 /**
  * Hook for managing health data synchronization
@@ -31,6 +33,11 @@ export const useHealthSync = ({
         if (initialized) {
           const permissionsGranted = await sleepSyncService.hasPermissions();
           setHasPermissions(permissionsGranted);
+
+          // Keep syncing while the app is closed, unless the user turned it off in Profile
+          if (permissionsGranted) {
+            backgroundSyncService.registerIfEnabled();
+          }
         }
       } catch (err) {
         console.error('Failed to initialize health sync:', err);
@@ -44,7 +51,7 @@ export const useHealthSync = ({
   // Auto-sync on mount if enabled
   useEffect(() => {
     if (autoSyncOnMount && isInitialized && hasPermissions && !isLoading) {
-      performSync();
+      performSync({ trigger: 'foreground' });
     }
   }, [autoSyncOnMount, isInitialized, hasPermissions]);
 
@@ -56,7 +63,7 @@ export const useHealthSync = ({
       if (nextAppState === 'active' && isInitialized && hasPermissions) {
         // Check if sync is needed (based on time since last sync)
         if (sleepSyncService.isSyncNeeded()) {
-          performSync();
+          performSync({ trigger: 'foreground' });
         }
       }
     };
@@ -71,16 +78,19 @@ export const useHealthSync = ({
   /**
    * Perform health data synchronization
    * @param {Object} options - Sync options
-   * @param {boolean} options.force - Force sync even if recently synced
-   * @param {number} options.daysBack - Number of days to sync (default: 7)
+   * @param {boolean} options.force - Re-read the whole window instead of only what changed since the last sync
+   * @param {number} options.daysBack - Number of days to read when there is no stored token, or when forcing (default: 7)
    * @param {string} options.userId - User ID for health metrics sync
+   * @param {string} options.trigger - Recorded in the sync log: 'manual' (default) when the user asked
+   *   for the sync, 'foreground' when the app started it on opening or resuming
    * @returns {Promise<Object>} Sync result
    */
-  const performSync = useCallback(async ({ force = false, daysBack = 7, userId } = {}) => {
+  const performSync = useCallback(async ({ force = false, daysBack = 7, userId, trigger = 'manual' } = {}) => {
     if (!isInitialized) {
       throw new Error('Health sync service not initialized');
     }
 
+    const startedAt = new Date();
     setIsLoading(true);
     setError(null);
     setNeedsPermissions(false);
@@ -102,7 +112,8 @@ export const useHealthSync = ({
           healthMetricsResult = await healthMetricsService.syncHealthMetrics(
             userId,
             startDate,
-            endDate
+            endDate,
+            { force }
           );
 
           // Combine results
@@ -112,9 +123,12 @@ export const useHealthSync = ({
           console.warn('Health metrics sync failed, but sleep sync succeeded:', healthError);
           // Don't fail the entire sync if health metrics fail
           combinedResult.healthMetricsError = healthError.message;
+          healthMetricsResult = { success: false, message: healthError.message };
         }
       }
 
+      await syncRunService.recordSyncRun({ trigger, startedAt, sleepResult, metricsResult: healthMetricsResult });
+
       if (combinedResult.success) {
         setLastSyncResult(combinedResult);
         setHasPermissions(true);
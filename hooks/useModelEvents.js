@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import drugLevelService from '../services/drugLevelService';
+
+/**
+ * Hook for a habit's consumption events as the level calculations see them
+ * Gives events the absorption time of the consumption option they were logged with (see
+ * drugLevelService.getModelEvents), so charts show the same levels Insights uses.
+ * @param {Object} habit - Habit the events were logged for
+ * @param {Array} consumptionEvents - Consumption events
+ * @returns {Array} Events; the logged events until the habit's options have loaded
+ */
+export const useModelEvents = (habit, consumptionEvents) => {
+  const [modelEvents, setModelEvents] = useState(consumptionEvents);
+
+  useEffect(() => {
+    let active = true;
+    setModelEvents(consumptionEvents);
+
+    drugLevelService.getModelEvents(habit, consumptionEvents).then(events => {
+      if (active) setModelEvents(events);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [habit?.id, consumptionEvents]);
+
+  return modelEvents;
+};
+
+export default useModelEvents;
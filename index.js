@@ -1,6 +1,9 @@
 import 'react-native-gesture-handler';
 import { registerRootComponent } from 'expo';
 
+// Defines the background sync task; must load before the app so the OS can run it headless
+import './services/backgroundSyncService';
+
 console.log('📦 Starting app from index.js...');
 
 import App from './App';
@@ -7,6 +7,10 @@ import AuthScreen from '../screens/AuthScreen';
 import TabNavigator from './TabNavigator';
 import HabitLoggingScreen from '../screens/HabitLoggingScreen';
 import AccountScreen from '../screens/AccountScreen';
+import ExperimentsScreen from '../screens/ExperimentsScreen';
+import ManualSleepEntryScreen from '../screens/ManualSleepEntryScreen';
+import SleepSourcesScreen from '../screens/SleepSourcesScreen';
+import SyncDiagnosticsScreen from '../screens/SyncDiagnosticsScreen';
 import ResetPasswordScreen from '../screens/ResetPasswordScreen';
 
 const Stack = createNativeStackNavigator();
@@ -97,6 +101,14 @@ const AppNavigator = ({ navigationRef }) => {
               options={{ presentation: 'modal' }}
             />
             <Stack.Screen name="Account" component={AccountScreen} />
+            <Stack.Screen name="Experiments" component={ExperimentsScreen} />
+            <Stack.Screen
+              name="ManualSleepEntry"
+              component={ManualSleepEntryScreen}
+              options={{ presentation: 'modal' }}
+            />
+            <Stack.Screen name="SleepSources" component={SleepSourcesScreen} />
+            <Stack.Screen name="SyncDiagnostics" component={SyncDiagnosticsScreen} />
           </>
         ) : (
           <>
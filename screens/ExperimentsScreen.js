@@ -0,0 +1,475 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { useAuth } from '../contexts/AuthContext';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import Button from '../components/Button';
+import SignificanceBadge from '../components/SignificanceBadge';
+import CreateExperimentModal from '../components/CreateExperimentModal';
+import experimentService from '../services/experimentService';
+import insightsService from '../services/insightsService';
+import { getToday, formatDate } from '../utils/dateHelpers';
+import { formatPValue } from '../utils/statistics';
+
+const ExperimentsScreen = () => {
+  const navigation = useNavigation();
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [experiments, setExperiments] = useState([]);
+  const [habits, setHabits] = useState([]);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+
+  const sleepMetrics = insightsService.getAvailableSleepMetrics();
+
+  useEffect(() => {
+    loadExperiments();
+  }, [user]);
+
+  const loadExperiments = async () => {
+    if (!user) return;
+
+    setLoading(true);
+    try {
+      // Finish any experiment whose last night has been recorded before listing
+      await experimentService.completeFinishedExperiments(user.id);
+
+      const [experimentsResult, activeHabits] = await Promise.all([
+        experimentService.getExperiments(user.id),
+        insightsService.getActiveHabits(user.id),
+      ]);
+
+      if (!experimentsResult.success) throw new Error(experimentsResult.error);
+
+      setExperiments(experimentsResult.data);
+      setHabits(activeHabits);
+    } catch (error) {
+      console.error('Error loading experiments:', error);
+      Alert.alert('Error', 'Failed to load experiments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = (experiment) => {
+    Alert.alert(
+      'Cancel Experiment',
+      `Stop "${experiment.name}"? No results will be calculated.`,
+      [
+        { text: 'Keep Running', style: 'cancel' },
+        {
+          text: 'Cancel Experiment',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await experimentService.cancelExperiment(experiment.id);
+            if (result.success) {
+              loadExperiments();
+            } else {
+              Alert.alert('Error', 'Failed to cancel experiment');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const getMetric = (key) =>
+    sleepMetrics.find(metric => metric.key === key) || { label: key, unit: '' };
+
+  const formatMetricValue = (value) =>
+    Math.abs(value) >= 10 ? Math.round(value).toString() : value.toFixed(1);
+
+  const formatDifference = (value) =>
+    `${value > 0 ? '+' : ''}${formatMetricValue(value)}`;
+
+  const renderPhaseRow = (phaseKey, label, value, habit, isCurrent) => (
+    <View style={[styles.phaseRow, isCurrent && styles.phaseRowCurrent]}>
+      <Text style={[styles.phaseKey, isCurrent && styles.phaseKeyCurrent]}>{phaseKey}</Text>
+      <View style={styles.phaseContent}>
+        <Text style={styles.phaseLabel}>{label}</Text>
+        <Text style={styles.phaseExpected}>
+          Expected: {experimentService.formatExpectedValue(value, habit)}
+        </Text>
+      </View>
+    </View>
+  );
+
+  const renderActiveExperiment = (experiment) => {
+    const habit = experiment.habits;
+    const current = experimentService.getPhaseForDate(experiment, getToday());
+    const metric = getMetric(experiment.sleep_metric);
+
+    let status;
+    if (current.phase) {
+      status = `Phase ${current.phase} · Day ${current.dayOfPhase} of ${current.phaseDays}`;
+    } else {
+      // Last habit day has passed; waiting for that night's sleep
+      status = 'Waiting for the final night of sleep';
+    }
+
+    return (
+      <View key={experiment.id} style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={styles.cardTitleContainer}>
+            <Text style={styles.cardTitle}>{experiment.name}</Text>
+            <Text style={styles.cardSubtitle}>
+              {habit?.name} · {metric.label}
+            </Text>
+          </View>
+          <View style={[styles.statusBadge, { backgroundColor: colors.primary + '20' }]}>
+            <Text style={[styles.statusBadgeText, { color: colors.primary }]}>Active</Text>
+          </View>
+        </View>
+
+        <Text style={styles.statusText}>{status}</Text>
+
+        {renderPhaseRow('A', experiment.phase_a_label, experiment.phase_a_value, habit, current.phase === 'A')}
+        {renderPhaseRow('B', experiment.phase_b_label, experiment.phase_b_value, habit, current.phase === 'B')}
+
+        <Text style={styles.dateText}>
+          {formatDate(`${experiment.start_date}T00:00:00`)} – {formatDate(`${experimentService.getEndDate(experiment)}T00:00:00`)}
+        </Text>
+
+        <TouchableOpacity style={styles.cancelLink} onPress={() => handleCancel(experiment)}>
+          <Text style={styles.cancelLinkText}>Cancel experiment</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderPhaseResult = (phaseKey, phase, metric) => (
+    <View style={styles.resultColumn}>
+      <Text style={styles.resultPhase}>Phase {phaseKey}</Text>
+      <Text style={styles.resultLabel} numberOfLines={2}>{phase.label}</Text>
+      <Text style={styles.resultValue}>
+        {phase.stats ? `${formatMetricValue(phase.stats.median)} ${metric.unit}` : '–'}
+      </Text>
+      <Text style={styles.resultDetail}>median of {phase.nights} night{phase.nights !== 1 ? 's' : ''}</Text>
+      <Text style={styles.resultDetail}>
+        {phase.adherent}/{phase.logged} logged days on protocol
+      </Text>
+    </View>
+  );
+
+  const renderCompletedExperiment = (experiment) => {
+    const { results } = experiment;
+    const metric = getMetric(experiment.sleep_metric);
+    const isCancelled = experiment.status === 'cancelled';
+    const statusColor = isCancelled ? colors.textSecondary : colors.success;
+    const significance = results?.significance;
+
+    return (
+      <View key={experiment.id} style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={styles.cardTitleContainer}>
+            <Text style={styles.cardTitle}>{experiment.name}</Text>
+            <Text style={styles.cardSubtitle}>
+              {experiment.habits?.name} · {metric.label}
+            </Text>
+          </View>
+          <View style={[styles.statusBadge, { backgroundColor: statusColor + '20' }]}>
+            <Text style={[styles.statusBadgeText, { color: statusColor }]}>
+              {isCancelled ? 'Cancelled' : 'Completed'}
+            </Text>
+          </View>
+        </View>
+
+        {results && (
+          <>
+            <View style={styles.resultsRow}>
+              {renderPhaseResult('A', results.phaseA, metric)}
+              {renderPhaseResult('B', results.phaseB, metric)}
+            </View>
+
+            {significance ? (
+              <View style={styles.effectContainer}>
+                <SignificanceBadge significance={significance} />
+                <Text style={styles.effectText}>
+                  Phase A vs B: {formatDifference(significance.medianDifference.estimate)} {metric.unit} (median)
+                </Text>
+                <Text style={styles.effectDetail}>
+                  95% CI {formatDifference(significance.medianDifference.ciLower)} to {formatDifference(significance.medianDifference.ciUpper)} · {formatPValue(significance.pValue)}
+                </Text>
+              </View>
+            ) : (
+              <Text style={styles.effectDetail}>
+                Not enough nights with sleep data in both phases to compare.
+              </Text>
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const activeExperiments = experiments.filter(e => e.status === 'active');
+  const pastExperiments = experiments.filter(e => e.status !== 'active');
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Experiments</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+          <View style={styles.content}>
+            <Text style={styles.intro}>
+              Test one habit at a time: follow phase A, then phase B, and see how your sleep changed between them.
+            </Text>
+
+            <Button
+              title="New Experiment"
+              onPress={() => setShowCreateModal(true)}
+              disabled={habits.length === 0}
+            />
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Active</Text>
+              {activeExperiments.length > 0 ? (
+                activeExperiments.map(renderActiveExperiment)
+              ) : (
+                <Text style={styles.emptyText}>No experiments running</Text>
+              )}
+            </View>
+
+            {pastExperiments.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Past</Text>
+                {pastExperiments.map(renderCompletedExperiment)}
+              </View>
+            )}
+          </View>
+        </ScrollView>
+      )}
+
+      <CreateExperimentModal
+        visible={showCreateModal}
+        onClose={() => setShowCreateModal(false)}
+        userId={user?.id}
+        habits={habits}
+        onExperimentCreated={loadExperiments}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.regular,
+    paddingTop: spacing.regular,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  title: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+  },
+  headerSpacer: {
+    width: 40, // Match back button width for centering
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: spacing.regular,
+    paddingBottom: 100, // Extra padding for navigation bar
+  },
+  intro: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+    lineHeight: 22,
+    marginBottom: spacing.regular,
+  },
+  section: {
+    marginTop: spacing.xl,
+  },
+  sectionTitle: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+    marginBottom: spacing.regular,
+  },
+  emptyText: {
+    fontSize: typography.sizes.body,
+    color: colors.textLight,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: spacing.lg,
+    marginBottom: spacing.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: spacing.sm,
+  },
+  cardTitleContainer: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  cardTitle: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.semibold,
+    color: colors.textPrimary,
+  },
+  cardSubtitle: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  statusBadge: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+  },
+  statusBadgeText: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+  },
+  statusText: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.primary,
+    marginBottom: spacing.sm,
+  },
+  phaseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginTop: spacing.sm,
+  },
+  phaseRowCurrent: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '10',
+  },
+  phaseKey: {
+    width: 28,
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.bold,
+    color: colors.textSecondary,
+  },
+  phaseKeyCurrent: {
+    color: colors.primary,
+  },
+  phaseContent: {
+    flex: 1,
+  },
+  phaseLabel: {
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+  },
+  phaseExpected: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  dateText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.md,
+  },
+  cancelLink: {
+    marginTop: spacing.sm,
+    alignSelf: 'flex-start',
+  },
+  cancelLinkText: {
+    fontSize: typography.sizes.small,
+    color: colors.error,
+    fontWeight: typography.weights.medium,
+  },
+  resultsRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginTop: spacing.sm,
+  },
+  resultColumn: {
+    flex: 1,
+    padding: spacing.md,
+    borderRadius: 8,
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  resultPhase: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.semibold,
+    color: colors.textSecondary,
+  },
+  resultLabel: {
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+    marginTop: spacing.xs,
+  },
+  resultValue: {
+    fontSize: typography.sizes.large,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+    marginTop: spacing.sm,
+  },
+  resultDetail: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  effectContainer: {
+    marginTop: spacing.md,
+    alignItems: 'flex-start',
+    gap: spacing.xs,
+  },
+  effectText: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+  },
+  effectDetail: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+  },
+});
+
+export default ExperimentsScreen;
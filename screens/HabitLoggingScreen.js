@@ -15,10 +15,11 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../services/supabase';
 import healthMetricsService from '../services/healthMetricsService';
-import { getBedtimeDrugLevel } from '../utils/drugHalfLife';
+import experimentService from '../services/experimentService';
+import insightsService from '../services/insightsService';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
-import { formatDateRange, formatDateTitle } from '../utils/dateHelpers';
+import { formatDateRange, formatDateTitle, formatDateForDB, getToday } from '../utils/dateHelpers';
 import DateSelector from '../components/DateSelector';
 import HabitInput from '../components/HabitInput';
 import DatePickerModal from '../components/DatePickerModal';
@@ -38,11 +39,21 @@ const HabitLoggingScreen = () => {
   const [calendarModalVisible, setCalendarModalVisible] = useState(false);
   const [habitLogCounts, setHabitLogCounts] = useState({});
   const [consumptionEvents, setConsumptionEvents] = useState({});
+  const [activeExperiments, setActiveExperiments] = useState({});
+  const [unlockedHabits, setUnlockedHabits] = useState({});
 
   useEffect(() => {
     loadHabitsAndLogs();
   }, [selectedDate, user]);
 
+  const loadActiveExperiments = async () => {
+    const result = await experimentService.getActiveExperimentsByHabit(user.id);
+    if (!result.success) return activeExperiments;
+
+    setActiveExperiments(result.data);
+    return result.data;
+  };
+
   // Save habitLogs to AsyncStorage whenever they change (debounced)
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -180,6 +191,21 @@ const HabitLoggingScreen = () => {
         });
       }
 
+      // Habits in an experiment phase are locked to the phase's expected value, so days up to today
+      // without a log start out following the protocol
+      const experiments = await loadActiveExperiments();
+      if (formatDateForDB(selectedDate) <= getToday()) {
+        normalizedHabits.forEach(habit => {
+          const current = getExperimentPhase(habit, experiments);
+          if (current && !isConsumptionHabit(habit) && !hasLoggedValue(logsMap[habit.id])) {
+            logsMap[habit.id] = habit.type === 'binary'
+              ? String(current.expectedValue).toLowerCase()
+              : String(current.expectedValue);
+          }
+        });
+      }
+
+      setUnlockedHabits({});
       setHabitLogs(logsMap);
 
       // Load log counts for each habit
@@ -206,8 +232,8 @@ const HabitLoggingScreen = () => {
 
   const cleanupAndEnsureHabits = async (existingHabits) => {
     const alwaysAvailableHabits = [
-      { name: 'Caffeine', type: 'quick_consumption', unit: 'mg', consumption_types: ['espresso', 'instant_coffee', 'energy_drink', 'soft_drink'] },
-      { name: 'Alcohol', type: 'quick_consumption', unit: 'drinks', consumption_types: ['beer', 'wine', 'liquor', 'cocktail'] },
+      { name: 'Caffeine', type: 'quick_consumption', unit: 'mg', consumption_types: ['espresso', 'instant_coffee', 'energy_drink', 'soft_drink'], drug_model: 'absorption' },
+      { name: 'Alcohol', type: 'quick_consumption', unit: 'drinks', consumption_types: ['beer', 'wine', 'liquor', 'cocktail'], drug_model: 'widmark' },
     ];
 
     // Old/deprecated habits to remove (replaced by Caffeine/Alcohol)
@@ -242,6 +268,7 @@ const HabitLoggingScreen = () => {
               type: requiredHabit.type,
               unit: requiredHabit.unit,
               consumption_types: requiredHabit.consumption_types,
+              drug_model: requiredHabit.drug_model,
               is_active: true,
               is_pinned: false,
               priority: 0,
@@ -383,76 +410,6 @@ const HabitLoggingScreen = () => {
     }
   };
 
-
-  // Calculate bedtime drug level for a given habit and date
-  const calculateBedtimeDrugLevel = async (habit, date) => {
-    if (!user || habit.type !== 'quick_consumption') return null;
-
-    try {
-      // Get user's notification time (bedtime) from profile
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('notification_time')
-        .eq('id', user.id)
-        .single();
-
-      if (userError || !userData?.notification_time) {
-        console.log('No notification time found for user, using default 10 PM');
-        // Default to 10 PM if no notification time is set
-      }
-
-      const notificationTime = userData?.notification_time || '22:00:00';
-
-      // Create bedtime Date object for the selected date
-      const bedtimeDate = new Date(date);
-      const [hours, minutes, seconds] = notificationTime.split(':').map(Number);
-      bedtimeDate.setHours(hours, minutes, seconds || 0, 0);
-
-      // If bedtime is in the past (user already slept), it should be the next day
-      // But for habit logging, we want the bedtime for the night following the logged day
-      const now = new Date();
-      if (bedtimeDate <= now) {
-        bedtimeDate.setDate(bedtimeDate.getDate() + 1);
-      }
-
-      // Get all consumption events for this habit across the relevant time period
-      // Look back far enough to capture long half-life effects (3 half-lives)
-      const maxHalfLife = habit.half_life_hours || 5;
-      const historyDays = Math.max(3, Math.ceil((maxHalfLife * 3) / 24));
-      const historyStart = new Date(bedtimeDate);
-      historyStart.setDate(historyStart.getDate() - historyDays);
-
-      const { data: eventsData, error: eventsError } = await supabase
-        .from('habit_consumption_events')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('habit_id', habit.id)
-        .gte('consumed_at', historyStart.toISOString())
-        .lte('consumed_at', bedtimeDate.toISOString())
-        .order('consumed_at', { ascending: true });
-
-      if (eventsError) {
-        console.error('Error fetching consumption events for bedtime calculation:', eventsError);
-        return null;
-      }
-
-      if (!eventsData || eventsData.length === 0) {
-        return 0; // No consumption events means 0 drug level
-      }
-
-      // Calculate the drug level at bedtime
-      const bedtimeLevel = getBedtimeDrugLevel(eventsData, bedtimeDate, habit.half_life_hours || 5);
-
-      console.log(`🧮 Calculated bedtime ${habit.name} level: ${bedtimeLevel.toFixed(2)} ${habit.unit} at ${bedtimeDate.toISOString()}`);
-      return bedtimeLevel;
-
-    } catch (error) {
-      console.error('Error calculating bedtime drug level:', error);
-      return null;
-    }
-  };
-
-
   const getDateRangeText = () => {
     const date = new Date(selectedDate);
     const previousDate = new Date(date);
@@ -467,6 +424,79 @@ const HabitLoggingScreen = () => {
 
   const screenTitle = `${formatDateTitle(selectedDate)}'s Habits`;
 
+  const isConsumptionHabit = (habit) => habit.type === 'drug' || habit.type === 'quick_consumption';
+
+  const hasLoggedValue = (value) => value !== undefined && value !== null && value !== '';
+
+  // The experiment phase a habit is in on the selected date, or null
+  const getExperimentPhase = (habit, experiments = activeExperiments) => {
+    const experiment = experiments[habit.id];
+    if (!experiment) return null;
+
+    const current = experimentService.getPhaseForDate(experiment, formatDateForDB(selectedDate));
+    return current.phase ? { ...current, experiment } : null;
+  };
+
+  const isOffProtocol = (habit, current) => {
+    const loggedValue = habitLogs[habit.id];
+    return !isConsumptionHabit(habit) && hasLoggedValue(loggedValue) &&
+      !experimentService.isAdherent(
+        current.experiment,
+        habit,
+        insightsService.getHabitValue({ value: String(loggedValue) }, habit),
+        current.phase
+      );
+  };
+
+  // A habit in a phase keeps the expected value until the user confirms logging something else
+  const isHabitLocked = (habit) => {
+    const current = getExperimentPhase(habit);
+    return !!current && !isConsumptionHabit(habit) && !unlockedHabits[habit.id] && !isOffProtocol(habit, current);
+  };
+
+  const confirmUnlockHabit = (habit, current) => {
+    Alert.alert(
+      'Log a Different Value?',
+      `Phase ${current.phase} (${current.label}) expects ${experimentService.formatExpectedValue(current.expectedValue, habit)}. ` +
+        'Logging something else counts this day as not following the experiment.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Change Value',
+          style: 'destructive',
+          onPress: () => setUnlockedHabits(prev => ({ ...prev, [habit.id]: true })),
+        },
+      ]
+    );
+  };
+
+  // Remind which experiment phase applies on this date and flag values that break its protocol
+  const renderExperimentHint = (habit) => {
+    const current = getExperimentPhase(habit);
+    if (!current) return null;
+
+    const offProtocol = isOffProtocol(habit, current);
+    const locked = isHabitLocked(habit);
+
+    return (
+      <TouchableOpacity
+        style={[styles.experimentHint, offProtocol && styles.experimentHintWarning]}
+        onPress={() => confirmUnlockHabit(habit, current)}
+        disabled={!locked}
+      >
+        <Ionicons
+          name={offProtocol ? 'warning-outline' : locked ? 'lock-closed-outline' : 'flask-outline'}
+          size={12}
+          color={offProtocol ? colors.warning : colors.primary}
+        />
+        <Text style={[styles.experimentHintText, offProtocol && styles.experimentHintTextWarning]}>
+          Phase {current.phase}: {current.label} (expected {experimentService.formatExpectedValue(current.expectedValue, habit)})
+          {locked && <Text style={styles.experimentHintAction}> · Change</Text>}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   // Separate habits into pinned and unpinned
   const pinnedHabits = habits.filter(h => h.is_pinned);
   const unpinnedHabits = habits.filter(h => !h.is_pinned);
@@ -529,6 +559,7 @@ const HabitLoggingScreen = () => {
                         ]}>
                           {isHabitLoggedToday(habit) ? '✓ Logged today' : 'Not logged today'}
                         </Text>
+                        {renderExperimentHint(habit)}
                       </View>
                     )}
                     <View style={[
@@ -546,17 +577,23 @@ const HabitLoggingScreen = () => {
                           </Text>
                         </View>
                       )}
-                      <HabitInput
-                        habit={habit}
-                        value={(habit.type === 'drug' || habit.type === 'quick_consumption')
-                          ? (consumptionEvents[habit.id] || [])
-                          : (habitLogs[habit.id] || '')}
-                        onChange={(value) => handleHabitChange(habit.id, value)}
-                        unit={habit.unit}
-                        selectedDate={selectedDate}
-                        userId={user?.id}
-                        onConsumptionAdded={refreshConsumptionEvents}
-                      />
+                      {isDrugHabit && renderExperimentHint(habit)}
+                      <View
+                        pointerEvents={isHabitLocked(habit) ? 'none' : 'auto'}
+                        style={isHabitLocked(habit) && styles.habitInputLocked}
+                      >
+                        <HabitInput
+                          habit={habit}
+                          value={(habit.type === 'drug' || habit.type === 'quick_consumption')
+                            ? (consumptionEvents[habit.id] || [])
+                            : (habitLogs[habit.id] || '')}
+                          onChange={(value) => handleHabitChange(habit.id, value)}
+                          unit={habit.unit}
+                          selectedDate={selectedDate}
+                          userId={user?.id}
+                          onConsumptionAdded={refreshConsumptionEvents}
+                        />
+                      </View>
                     </View>
                   </View>
                 );
@@ -651,6 +688,35 @@ const styles = StyleSheet.create({
     color: colors.error, // Red color for not logged status
     fontWeight: '500', // Slightly bolder to emphasize
   },
+  experimentHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    marginTop: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: colors.primary + '10',
+  },
+  experimentHintWarning: {
+    backgroundColor: colors.warning + '20',
+  },
+  experimentHintText: {
+    fontSize: typography.sizes.xs,
+    color: colors.primary,
+    flexShrink: 1,
+  },
+  experimentHintTextWarning: {
+    color: colors.warning,
+    fontWeight: typography.weights.medium,
+  },
+  experimentHintAction: {
+    fontWeight: typography.weights.semibold,
+  },
+  habitInputLocked: {
+    opacity: 0.6,
+  },
   habitInput: {
     justifyContent: 'flex-end',
     minWidth: 120, // Ensure consistent width for input controls
@@ -13,13 +13,21 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import DraggableFlatList from 'react-native-draggable-flatlist';
 import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../services/supabase';
 import healthMetricsService from '../services/healthMetricsService';
 import sleepSyncService from '../services/sleepSyncService';
+import syncRunService from '../services/syncRunService';
 import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
+import caffeineProfileService from '../services/caffeineProfileService';
+import drugLevelService from '../services/drugLevelService';
+import { getDrugTypeFromHabitName } from '../constants/drugPresets';
+import { DRUG_MODELS, DEFAULT_ABSORPTION_MINUTES, getDrugModel } from '../utils/drugHalfLife';
 import Button from '../components/Button';
+import CaffeineMetabolismModal from '../components/CaffeineMetabolismModal';
+import NavigationCard from '../components/NavigationCard';
 
 const PREDEFINED_HABITS = [
   { name: 'Exercise', type: 'binary', unit: null },
@@ -30,12 +38,13 @@ const PREDEFINED_HABITS = [
 
 // Always available habits that are automatically created for all users
 const ALWAYS_AVAILABLE_HABITS = [
-  { name: 'Caffeine', type: 'quick_consumption', unit: 'mg', consumption_types: ['espresso', 'instant_coffee', 'energy_drink', 'soft_drink'] },
-  { name: 'Alcohol', type: 'quick_consumption', unit: 'drinks', consumption_types: ['beer', 'wine', 'liquor', 'cocktail'] },
+  { name: 'Caffeine', type: 'quick_consumption', unit: 'mg', consumption_types: ['espresso', 'instant_coffee', 'energy_drink', 'soft_drink'], drug_model: 'absorption' },
+  { name: 'Alcohol', type: 'quick_consumption', unit: 'drinks', consumption_types: ['beer', 'wine', 'liquor', 'cocktail'], drug_model: 'widmark' },
 ];
 
 
 const HabitManagementScreen = () => {
+  const navigation = useNavigation();
   const { user } = useAuth();
   const [manualHabits, setManualHabits] = useState([]);
   const [automaticHabits, setAutomaticHabits] = useState([]);
@@ -50,6 +59,11 @@ const HabitManagementScreen = () => {
   const [newHabitUnit, setNewHabitUnit] = useState('');
   const [newHabitHalfLife, setNewHabitHalfLife] = useState('5');
   const [newHabitThreshold, setNewHabitThreshold] = useState('5');
+  const [newHabitDrugModel, setNewHabitDrugModel] = useState(DRUG_MODELS.absorption);
+  const [newHabitAbsorption, setNewHabitAbsorption] = useState(String(DEFAULT_ABSORPTION_MINUTES));
+  // Caffeine metabolism questionnaire, opened from the habit form or from a caffeine habit's card
+  const [metabolismFormVisible, setMetabolismFormVisible] = useState(false);
+  const [metabolismHabit, setMetabolismHabit] = useState(null);
 
   useEffect(() => {
     loadHabits();
@@ -98,6 +112,7 @@ const HabitManagementScreen = () => {
             type: habit.type,
             unit: habit.unit,
             consumption_types: habit.consumption_types,
+            drug_model: habit.drug_model,
             is_custom: false,
             is_pinned: true,
             priority: ALWAYS_AVAILABLE_HABITS.findIndex(h => h.name === habit.name),
@@ -188,6 +203,7 @@ const HabitManagementScreen = () => {
 
     try {
       console.log(`🔄 Starting sync for ${metricKey}, habit ID: ${habitId}`);
+      const startedAt = new Date();
 
       // Calculate date range: last 30 days
       const endDate = new Date();
@@ -227,6 +243,20 @@ const HabitManagementScreen = () => {
         // Don't fail the health metric sync if sleep sync fails
       }
 
+      if (sleepSyncResult) {
+        await syncRunService.recordSyncRun({
+          trigger: 'manual',
+          startedAt,
+          sleepResult: sleepSyncResult,
+          metricsResult: {
+            success: syncResult.success,
+            totalSynced: syncResult.synced || 0,
+            message: syncResult.message,
+            results: syncResult.success ? [{ metric: metricKey, ...syncResult }] : [],
+          },
+        });
+      }
+
       if (syncResult.success) {
         const recordCount = syncResult.synced || 0;
         console.log(`✅ Health metric sync completed: ${recordCount} records synced for ${metricKey}`);
@@ -592,6 +622,7 @@ const HabitManagementScreen = () => {
             type: alwaysAvailableHabit.type,
             unit: alwaysAvailableHabit.unit,
             consumption_types: alwaysAvailableHabit.consumption_types,
+            drug_model: alwaysAvailableHabit.drug_model,
             is_custom: false,
             is_pinned: true,
             priority: ALWAYS_AVAILABLE_HABITS.findIndex(h => h.name === habit.name),
@@ -668,44 +699,88 @@ const HabitManagementScreen = () => {
     setNewHabitUnit(habit.unit || '');
     setNewHabitHalfLife(habit.half_life_hours ? habit.half_life_hours.toString() : '5');
     setNewHabitThreshold(habit.drug_threshold_percent ? habit.drug_threshold_percent.toString() : '5');
+    setNewHabitDrugModel(getDrugModel(habit).type);
+    setNewHabitAbsorption(String(getDrugModel(habit).absorptionMinutes));
     setEditModalVisible(true);
   };
 
+  // Drug settings apply to custom drug habits, and to the caffeine and alcohol habits drug levels are stored for
+  const hasDrugSettings = (type, habit) => type === 'drug' || drugLevelService.isDrugHabit(habit);
+
+  // Blood alcohol (the Widmark model) is only offered for alcohol habits drug levels are stored for
+  const getDrugModelChoices = (habit) => [
+    { model: DRUG_MODELS.absorption, label: 'Gradual' },
+    { model: DRUG_MODELS.bolus, label: 'Instant' },
+    ...(drugLevelService.isDrugHabit(habit) && getDrugTypeFromHabitName(habit.name) === 'alcohol'
+      ? [{ model: DRUG_MODELS.widmark, label: 'Blood alcohol' }]
+      : []),
+  ];
+
   const handleEditCustomHabit = async () => {
     if (!editingHabit || !user) return;
 
-    if (!newHabitName.trim()) {
+    // Only the drug settings of predefined habits can be changed
+    const isCustom = editingHabit.is_custom;
+    const drugSettings = hasDrugSettings(newHabitType, editingHabit);
+
+    if (isCustom && !newHabitName.trim()) {
       Alert.alert('Error', 'Please enter a habit name');
       return;
     }
 
-    if ((newHabitType === 'numeric' || newHabitType === 'drug') && !newHabitUnit.trim()) {
+    if (isCustom && (newHabitType === 'numeric' || newHabitType === 'drug') && !newHabitUnit.trim()) {
       Alert.alert('Error', 'Please enter a unit for this habit type');
       return;
     }
 
-    if (newHabitType === 'drug') {
+    if (drugSettings) {
       const halfLife = parseFloat(newHabitHalfLife);
       if (isNaN(halfLife) || halfLife <= 0) {
         Alert.alert('Error', 'Please enter a valid half-life (greater than 0)');
         return;
       }
+
+      const absorptionMinutes = parseFloat(newHabitAbsorption);
+      if (newHabitDrugModel !== DRUG_MODELS.bolus && (isNaN(absorptionMinutes) || absorptionMinutes <= 0)) {
+        Alert.alert('Error', 'Please enter a valid time to peak (greater than 0)');
+        return;
+      }
     }
 
     try {
-      const { error } = await supabase
+      const { data: updatedHabit, error } = await supabase
         .from('habits')
         .update({
-          name: newHabitName.trim(),
-          type: newHabitType,
-          unit: (newHabitType === 'numeric' || newHabitType === 'drug') ? newHabitUnit.trim() : null,
-          half_life_hours: newHabitType === 'drug' ? parseFloat(newHabitHalfLife) : null,
-          drug_threshold_percent: newHabitType === 'drug' ? parseFloat(newHabitThreshold) : null,
+          ...(isCustom && {
+            name: newHabitName.trim(),
+            type: newHabitType,
+            unit: (newHabitType === 'numeric' || newHabitType === 'drug') ? newHabitUnit.trim() : null,
+          }),
+          ...(drugSettings ? {
+            half_life_hours: parseFloat(newHabitHalfLife),
+            drug_threshold_percent: parseFloat(newHabitThreshold),
+            drug_model: newHabitDrugModel,
+            absorption_minutes: newHabitDrugModel !== DRUG_MODELS.bolus ? parseFloat(newHabitAbsorption) : null,
+          } : {
+            half_life_hours: null,
+            drug_threshold_percent: null,
+            absorption_minutes: null,
+          }),
         })
-        .eq('id', editingHabit.id);
+        .eq('id', editingHabit.id)
+        .select()
+        .single();
 
       if (error) throw error;
 
+      // Levels already stored were calculated with the old settings
+      if (drugLevelService.isDrugHabit(updatedHabit)) {
+        const levelResult = await drugLevelService.recalculateStoredLevels(user.id, updatedHabit);
+        if (!levelResult.success) {
+          console.error('Error recalculating drug levels after edit:', levelResult.error);
+        }
+      }
+
       // Refresh habits list
       await loadHabits(true);
 
@@ -717,6 +792,8 @@ const HabitManagementScreen = () => {
       setNewHabitUnit('');
       setNewHabitHalfLife('5');
       setNewHabitThreshold('5');
+      setNewHabitDrugModel(DRUG_MODELS.absorption);
+      setNewHabitAbsorption(String(DEFAULT_ABSORPTION_MINUTES));
 
       Alert.alert('Success', 'Habit updated successfully');
     } catch (error) {
@@ -770,6 +847,12 @@ const HabitManagementScreen = () => {
         Alert.alert('Error', 'Please enter a valid half-life (greater than 0)');
         return;
       }
+
+      const absorptionMinutes = parseFloat(newHabitAbsorption);
+      if (newHabitDrugModel !== DRUG_MODELS.bolus && (isNaN(absorptionMinutes) || absorptionMinutes <= 0)) {
+        Alert.alert('Error', 'Please enter a valid time to peak (greater than 0)');
+        return;
+      }
     }
 
     try {
@@ -789,6 +872,10 @@ const HabitManagementScreen = () => {
           unit: (newHabitType === 'numeric' || newHabitType === 'drug') ? newHabitUnit.trim() : null,
           half_life_hours: newHabitType === 'drug' ? parseFloat(newHabitHalfLife) : null,
           drug_threshold_percent: newHabitType === 'drug' ? parseFloat(newHabitThreshold) : null,
+          ...(newHabitType === 'drug' && { drug_model: newHabitDrugModel }),
+          absorption_minutes: newHabitType === 'drug' && newHabitDrugModel !== DRUG_MODELS.bolus
+            ? parseFloat(newHabitAbsorption)
+            : null,
           is_custom: true,
           is_pinned: true, // New habits start pinned by default
           priority: maxPriority,
@@ -809,6 +896,8 @@ const HabitManagementScreen = () => {
       setNewHabitUnit('');
       setNewHabitHalfLife('5');
       setNewHabitThreshold('5');
+      setNewHabitDrugModel(DRUG_MODELS.absorption);
+      setNewHabitAbsorption(String(DEFAULT_ABSORPTION_MINUTES));
       loadHabits(true); // Force refresh
     } catch (error) {
       console.error('Error adding habit:', error);
@@ -816,12 +905,27 @@ const HabitManagementScreen = () => {
     }
   };
 
+  const isCaffeineHabit = (habit) =>
+    habit.type === 'drug' && getDrugTypeFromHabitName(habit.name) === 'caffeine';
+
+  const applyCaffeineHalfLife = async (halfLifeHours, source) => {
+    const result = await caffeineProfileService.applyHalfLife(user.id, halfLifeHours, source);
+    if (!result.success) {
+      Alert.alert('Error', 'Failed to update caffeine half-life');
+      return;
+    }
+
+    setMetabolismHabit(null);
+    loadHabits(true);
+  };
+
   const getHabitTypeDescription = (habit) => {
+    const drugDescription = habit.unit ? `Drug (${habit.unit})` : 'Drug';
     const typeDescriptions = {
       binary: 'Yes/No',
       numeric: habit.unit ? `Numeric (${habit.unit})` : 'Numeric',
       time: 'Time',
-      drug: habit.unit ? `Drug (${habit.unit})` : 'Drug',
+      drug: habit.half_life_hours ? `${drugDescription}, ${habit.half_life_hours} h half-life` : drugDescription,
       quick_consumption: habit.unit ? `Quick Consumption (${habit.unit})` : 'Quick Consumption'
     };
     return typeDescriptions[habit.type] || habit.type;
@@ -893,6 +997,22 @@ const HabitManagementScreen = () => {
             </View>
 
             <View style={styles.actionSection}>
+              {!isAlwaysAvailable && isCaffeineHabit(habit) && (
+                <TouchableOpacity
+                  style={styles.editButton}
+                  onPress={() => setMetabolismHabit(habit)}
+                >
+                  <Ionicons name="speedometer-outline" size={18} color={colors.textSecondary} />
+                </TouchableOpacity>
+              )}
+              {!habit.is_custom && !isAlwaysAvailable && drugLevelService.isDrugHabit(habit) && (
+                <TouchableOpacity
+                  style={styles.editButton}
+                  onPress={() => openEditModal(habit)}
+                >
+                  <Ionicons name="pencil" size={18} color={colors.textSecondary} />
+                </TouchableOpacity>
+              )}
               {habit.is_custom && (
                 <>
                   <TouchableOpacity
@@ -1060,6 +1180,22 @@ const HabitManagementScreen = () => {
                 </View>
               )}
 
+              {/* Experiments Section */}
+              <View style={styles.sectionContainer}>
+                <View style={styles.sectionHeader}>
+                  <Text style={styles.sectionTitle}>Experiments</Text>
+                  <Text style={styles.sectionSubtitle}>
+                    Test how changing a habit affects your sleep
+                  </Text>
+                </View>
+                <NavigationCard
+                  icon="flask-outline"
+                  title="Habit Experiments"
+                  subtitle="Run an A/B test on one of your habits"
+                  onPress={() => navigation.navigate('Experiments')}
+                />
+              </View>
+
               {/* Add Custom Habit Section */}
               <View style={styles.addSection}>
                 <Button
@@ -1148,6 +1284,14 @@ const HabitManagementScreen = () => {
                       onChangeText={setNewHabitHalfLife}
                       keyboardType="numeric"
                     />
+                    {getDrugTypeFromHabitName(newHabitName) === 'caffeine' && (
+                      <TouchableOpacity
+                        style={styles.metabolismLink}
+                        onPress={() => setMetabolismFormVisible(true)}
+                      >
+                        <Text style={styles.metabolismLinkText}>Personalize for my metabolism</Text>
+                      </TouchableOpacity>
+                    )}
                   </View>
                   <View style={styles.inputContainer}>
                     <Text style={styles.label}>Threshold (% of initial dose)</Text>
@@ -1159,6 +1303,42 @@ const HabitManagementScreen = () => {
                       keyboardType="numeric"
                     />
                   </View>
+                  <View style={styles.inputContainer}>
+                    <Text style={styles.label}>Absorption</Text>
+                    <View style={styles.typeSelector}>
+                      {getDrugModelChoices(null).map(({ model, label }) => (
+                        <TouchableOpacity
+                          key={model}
+                          style={[
+                            styles.typeButton,
+                            newHabitDrugModel === model && styles.typeButtonActive,
+                          ]}
+                          onPress={() => setNewHabitDrugModel(model)}
+                        >
+                          <Text
+                            style={[
+                              styles.typeButtonText,
+                              newHabitDrugModel === model && styles.typeButtonTextActive,
+                            ]}
+                          >
+                            {label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                  {newHabitDrugModel !== DRUG_MODELS.bolus && (
+                    <View style={styles.inputContainer}>
+                      <Text style={styles.label}>Time to peak (minutes)</Text>
+                      <TextInput
+                        style={styles.input}
+                        placeholder={String(DEFAULT_ABSORPTION_MINUTES)}
+                        value={newHabitAbsorption}
+                        onChangeText={setNewHabitAbsorption}
+                        keyboardType="numeric"
+                      />
+                    </View>
+                  )}
                 </>
               )}
 
@@ -1178,9 +1358,20 @@ const HabitManagementScreen = () => {
             </View>
           </View>
         </View>
+
+        <CaffeineMetabolismModal
+          visible={metabolismFormVisible}
+          onClose={() => setMetabolismFormVisible(false)}
+          userId={user?.id}
+          currentHalfLife={parseFloat(newHabitHalfLife) || null}
+          onApply={(halfLifeHours) => {
+            setNewHabitHalfLife(String(halfLifeHours));
+            setMetabolismFormVisible(false);
+          }}
+        />
       </Modal>
 
-      {/* Edit Custom Habit Modal */}
+      {/* Edit Habit Modal */}
       <Modal
         visible={editModalVisible}
         animationType="slide"
@@ -1190,61 +1381,67 @@ const HabitManagementScreen = () => {
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Edit Habit</Text>
+              <Text style={styles.modalTitle}>
+                {editingHabit && !editingHabit.is_custom ? `${editingHabit.name} Settings` : 'Edit Habit'}
+              </Text>
               <TouchableOpacity onPress={() => setEditModalVisible(false)}>
                 <Ionicons name="close" size={24} color={colors.textPrimary} />
               </TouchableOpacity>
             </View>
 
             <View style={styles.modalForm}>
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Habit Name</Text>
-                <TextInput
-                  style={styles.input}
-                  placeholder="Enter habit name"
-                  value={newHabitName}
-                  onChangeText={setNewHabitName}
-                />
-              </View>
+              {editingHabit?.is_custom && (
+                <>
+                  <View style={styles.inputContainer}>
+                    <Text style={styles.label}>Habit Name</Text>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="Enter habit name"
+                      value={newHabitName}
+                      onChangeText={setNewHabitName}
+                    />
+                  </View>
 
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Type</Text>
-                <View style={styles.typeSelector}>
-                  {['binary', 'numeric', 'time', 'drug'].map((type) => (
-                    <TouchableOpacity
-                      key={type}
-                      style={[
-                        styles.typeButton,
-                        newHabitType === type && styles.typeButtonActive,
-                      ]}
-                      onPress={() => setNewHabitType(type)}
-                    >
-                      <Text
-                        style={[
-                          styles.typeButtonText,
-                          newHabitType === type && styles.typeButtonTextActive,
-                        ]}
-                      >
-                        {type.charAt(0).toUpperCase() + type.slice(1)}
-                      </Text>
-                    </TouchableOpacity>
-                  ))}
-                </View>
-              </View>
+                  <View style={styles.inputContainer}>
+                    <Text style={styles.label}>Type</Text>
+                    <View style={styles.typeSelector}>
+                      {['binary', 'numeric', 'time', 'drug'].map((type) => (
+                        <TouchableOpacity
+                          key={type}
+                          style={[
+                            styles.typeButton,
+                            newHabitType === type && styles.typeButtonActive,
+                          ]}
+                          onPress={() => setNewHabitType(type)}
+                        >
+                          <Text
+                            style={[
+                              styles.typeButtonText,
+                              newHabitType === type && styles.typeButtonTextActive,
+                            ]}
+                          >
+                            {type.charAt(0).toUpperCase() + type.slice(1)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
 
-              {(newHabitType === 'numeric' || newHabitType === 'drug') && (
-                <View style={styles.inputContainer}>
-                  <Text style={styles.label}>Unit</Text>
-                  <TextInput
-                    style={styles.input}
-                    placeholder="e.g., cups, minutes, kg"
-                    value={newHabitUnit}
-                    onChangeText={setNewHabitUnit}
-                  />
-                </View>
+                  {(newHabitType === 'numeric' || newHabitType === 'drug') && (
+                    <View style={styles.inputContainer}>
+                      <Text style={styles.label}>Unit</Text>
+                      <TextInput
+                        style={styles.input}
+                        placeholder="e.g., cups, minutes, kg"
+                        value={newHabitUnit}
+                        onChangeText={setNewHabitUnit}
+                      />
+                    </View>
+                  )}
+                </>
               )}
 
-              {newHabitType === 'drug' && (
+              {hasDrugSettings(newHabitType, editingHabit) && (
                 <>
                   <View style={styles.inputContainer}>
                     <Text style={styles.label}>Half-life (hours)</Text>
@@ -1255,6 +1452,14 @@ const HabitManagementScreen = () => {
                       onChangeText={setNewHabitHalfLife}
                       keyboardType="numeric"
                     />
+                    {getDrugTypeFromHabitName(newHabitName) === 'caffeine' && (
+                      <TouchableOpacity
+                        style={styles.metabolismLink}
+                        onPress={() => setMetabolismFormVisible(true)}
+                      >
+                        <Text style={styles.metabolismLinkText}>Personalize for my metabolism</Text>
+                      </TouchableOpacity>
+                    )}
                   </View>
                   <View style={styles.inputContainer}>
                     <Text style={styles.label}>Threshold (% of initial dose)</Text>
@@ -1266,6 +1471,42 @@ const HabitManagementScreen = () => {
                       keyboardType="numeric"
                     />
                   </View>
+                  <View style={styles.inputContainer}>
+                    <Text style={styles.label}>Absorption</Text>
+                    <View style={styles.typeSelector}>
+                      {getDrugModelChoices(editingHabit).map(({ model, label }) => (
+                        <TouchableOpacity
+                          key={model}
+                          style={[
+                            styles.typeButton,
+                            newHabitDrugModel === model && styles.typeButtonActive,
+                          ]}
+                          onPress={() => setNewHabitDrugModel(model)}
+                        >
+                          <Text
+                            style={[
+                              styles.typeButtonText,
+                              newHabitDrugModel === model && styles.typeButtonTextActive,
+                            ]}
+                          >
+                            {label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                  {newHabitDrugModel !== DRUG_MODELS.bolus && (
+                    <View style={styles.inputContainer}>
+                      <Text style={styles.label}>Time to peak (minutes)</Text>
+                      <TextInput
+                        style={styles.input}
+                        placeholder={String(DEFAULT_ABSORPTION_MINUTES)}
+                        value={newHabitAbsorption}
+                        onChangeText={setNewHabitAbsorption}
+                        keyboardType="numeric"
+                      />
+                    </View>
+                  )}
                 </>
               )}
             </View>
@@ -1285,7 +1526,27 @@ const HabitManagementScreen = () => {
             </View>
           </View>
         </View>
+
+        <CaffeineMetabolismModal
+          visible={metabolismFormVisible}
+          onClose={() => setMetabolismFormVisible(false)}
+          userId={user?.id}
+          currentHalfLife={parseFloat(newHabitHalfLife) || null}
+          onApply={(halfLifeHours) => {
+            setNewHabitHalfLife(String(halfLifeHours));
+            setMetabolismFormVisible(false);
+          }}
+        />
       </Modal>
+
+      {/* Caffeine metabolism for an existing caffeine habit */}
+      <CaffeineMetabolismModal
+        visible={!!metabolismHabit}
+        onClose={() => setMetabolismHabit(null)}
+        userId={user?.id}
+        currentHalfLife={metabolismHabit?.half_life_hours}
+        onApply={applyCaffeineHalfLife}
+      />
     </SafeAreaView>
   );
 };
@@ -1368,6 +1629,14 @@ const styles = StyleSheet.create({
   editButton: {
     padding: spacing.xs,
   },
+  metabolismLink: {
+    marginTop: spacing.xs,
+  },
+  metabolismLinkText: {
+    fontSize: typography.sizes.small,
+    color: colors.primary,
+    fontWeight: typography.weights.medium,
+  },
   habitInfo: {
     flex: 1,
     paddingRight: spacing.sm,
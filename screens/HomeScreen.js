@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -41,13 +41,20 @@ const AVERAGE_SLEEP_PERCENTAGES = {
   awake_minutes: 4, // ~4% of awake time during sleep period
   awakenings_count: 1.5, // Average number of awakenings per night
 };
-import { getToday, isSameDay, formatDateTitle, getDatesArray, isToday, formatTimeAgo } from '../utils/dateHelpers';
+import { getToday, isSameDay, formatDateTitle, getDatesArray, isToday, formatTimeAgo, addDaysToDateString } from '../utils/dateHelpers';
+import { toDateString } from '../utils/timezone';
 import DateSelector from '../components/DateSelector';
 import HabitSummaryCard from '../components/HabitSummaryCard';
 import DatePickerModal from '../components/DatePickerModal';
 import NavigationCard from '../components/NavigationCard';
 import HealthConnectPrompt from '../components/HealthConnectPrompt';
 import SleepTimeline from '../components/SleepTimeline';
+import SleepScheduleChart from '../components/SleepScheduleChart';
+import SleepScoreBreakdown from '../components/SleepScoreBreakdown';
+import MorningCheckInModal from '../components/MorningCheckInModal';
+import { RESTED_FEELING_MAX, getWakeMoodLabel } from '../constants/morningCheckIn';
+import { getDataOriginLabel } from '../constants/dataOrigins';
+import { calculateSleepScore, calculateSleepScoreBaseline, SLEEP_SCORE_BASELINE_NIGHTS } from '../utils/sleepScore';
 
 const HomeScreen = () => {
   const navigation = useNavigation();
@@ -67,6 +74,8 @@ const HomeScreen = () => {
   const [totalHabitCount, setTotalHabitCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [calendarModalVisible, setCalendarModalVisible] = useState(false);
+  const [checkInModalVisible, setCheckInModalVisible] = useState(false);
+  const refreshSleepOnFocus = useRef(false);
 
   // Sleep data state
   const [sleepData, setSleepData] = useState(null);
@@ -76,6 +85,7 @@ const HomeScreen = () => {
   // Personal sleep averages state
   const [personalAverages, setPersonalAverages] = useState(null);
   const [averagesLoading, setAveragesLoading] = useState(false);
+  const [sleepHistory, setSleepHistory] = useState([]);
 
   // Data cache for recent dates (today + last 5 days)
   const [sleepDataCache, setSleepDataCache] = useState(new Map());
@@ -103,6 +113,11 @@ const HomeScreen = () => {
       checkHabitsLogged();
       checkTodaysHabitsLogged();
       fetchHabitCount();
+      // Back from the manual sleep entry screen: the cached night may be out of date
+      if (refreshSleepOnFocus.current) {
+        refreshSleepOnFocus.current = false;
+        fetchSleepData({ skipCache: true });
+      }
     }, [selectedDate, user])
   );
 
@@ -163,7 +178,7 @@ const HomeScreen = () => {
 
         try {
           clearError();
-          const result = await performSync({ force: false, userId: user.id });
+          const result = await performSync({ force: false, userId: user.id, trigger: 'foreground' });
           if (!isCancelled && result.success && result.syncedRecords > 0) {
             // Clear cache for today's date since we just synced fresh data
             updateSleepDataCache(selectedDate, undefined);
@@ -197,6 +212,30 @@ const HomeScreen = () => {
     };
   }, [selectedDate, user, healthSyncInitialized, hasPermissions, initialSyncAttempted]);
 
+  // Prompt for the morning check-in once last night's record is in, unless it was answered or put off today
+  useEffect(() => {
+    if (!sleepData || sleepData.checked_in_at || sleepData.date !== getToday()) return;
+
+    let isCancelled = false;
+
+    const promptCheckIn = async () => {
+      try {
+        const dismissed = await AsyncStorage.getItem(getCheckInDismissedKey(sleepData.date));
+        if (!isCancelled && !dismissed) {
+          setCheckInModalVisible(true);
+        }
+      } catch (error) {
+        console.error('Error reading morning check-in state:', error);
+      }
+    };
+
+    promptCheckIn();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [sleepData]);
+
   // Check permissions and show prompt if needed
   useEffect(() => {
     if (healthSyncInitialized && needsPermissions && !hasPermissions) {
@@ -305,7 +344,7 @@ const HomeScreen = () => {
     if (!user) return 0;
 
     try {
-      const dateString = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+      const dateString = typeof date === 'string' ? date : toDateString(date);
 
       // Track unique habits that have been logged
       const loggedHabits = new Set();
@@ -423,11 +462,11 @@ const HomeScreen = () => {
     updateHabitCountCache(selectedDate, count);
   };
 
-  const fetchSleepData = async () => {
+  const fetchSleepData = async ({ skipCache = false } = {}) => {
     if (!user) return;
 
     // Check cache first
-    const cachedData = getCachedSleepData(selectedDate);
+    const cachedData = skipCache ? undefined : getCachedSleepData(selectedDate);
     if (cachedData !== undefined) {
       setSleepData(cachedData);
       return; // No loading state needed for cached data
@@ -448,6 +487,24 @@ const HomeScreen = () => {
     }
   };
 
+  const getCheckInDismissedKey = (date) => `@morning_check_in_dismissed_${date}`;
+
+  const handleCloseCheckIn = async () => {
+    setCheckInModalVisible(false);
+    if (sleepData && !sleepData.checked_in_at) {
+      try {
+        await AsyncStorage.setItem(getCheckInDismissedKey(sleepData.date), 'true');
+      } catch (error) {
+        console.error('Error saving morning check-in state:', error);
+      }
+    }
+  };
+
+  const handleCheckInSaved = (updatedRecord) => {
+    setCheckInModalVisible(false);
+    setSleepData(updatedRecord);
+    updateSleepDataCache(updatedRecord.date, updatedRecord);
+  };
 
   const handleLogHabits = () => {
     const dateToUse = selectedDate instanceof Date ? selectedDate : new Date(selectedDate);
@@ -466,10 +523,16 @@ const HomeScreen = () => {
     navigation.navigate('HabitLogging', { date: dateObj.toISOString() });
   };
 
+  const handleEnterSleepManually = () => {
+    refreshSleepOnFocus.current = true;
+    navigation.navigate('ManualSleepEntry', { date: getCacheKey(selectedDate) });
+  };
+
   const handleSyncNow = async () => {
     try {
       clearError();
-      const result = await performSync({ force: true, userId: user.id });
+      // Edits made in the source app arrive through the changes token, so no window re-read is needed
+      const result = await performSync({ force: false, userId: user.id });
       if (result.success) {
         // Refresh sleep data for current date
         await fetchSleepData();
@@ -491,7 +554,7 @@ const HomeScreen = () => {
   };
 
   // Cache management functions
-  const getCacheKey = (date) => typeof date === 'string' ? date : date.toISOString().split('T')[0];
+  const getCacheKey = (date) => typeof date === 'string' ? date : toDateString(date);
 
   const updateSleepDataCache = (date, data) => {
     setSleepDataCache(prev => new Map(prev).set(getCacheKey(date), data));
@@ -524,11 +587,9 @@ const HomeScreen = () => {
     try {
       // Preload data for today + last 5 days (6 days total)
       const datesToPreload = [];
+      const today = getToday();
       for (let i = 0; i < 6; i++) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        const dateString = date.toISOString().split('T')[0]; // Convert to YYYY-MM-DD string
-        datesToPreload.push(dateString);
+        datesToPreload.push(addDaysToDateString(today, -i));
       }
 
       // Load sleep data for all dates in parallel
@@ -650,6 +711,19 @@ const HomeScreen = () => {
     return metrics;
   };
 
+  // Composite score for nights the health platform didn't score, calibrated on the nights before
+  const computedSleepScore = useMemo(() => {
+    if (!sleepData || (sleepData.sleep_score !== null && sleepData.sleep_score !== undefined)) {
+      return null;
+    }
+
+    const earliest = addDaysToDateString(sleepData.date, -SLEEP_SCORE_BASELINE_NIGHTS);
+    const previousNights = sleepHistory.filter(record =>
+      record.date < sleepData.date && record.date >= earliest
+    );
+    return calculateSleepScore(sleepData, calculateSleepScoreBaseline(previousNights));
+  }, [sleepData, sleepHistory]);
+
   const getDataSourceDisplay = (source) => {
     switch (source) {
       case 'health_connect':
@@ -670,18 +744,20 @@ const HomeScreen = () => {
     setAveragesLoading(true);
     try {
       // Get last 30 days of sleep data for calculating personal averages
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      const thirtyDaysAgo = addDaysToDateString(getToday(), -30);
 
       const { data: historicalData, error } = await supabase
         .from('sleep_data')
         .select('*')
         .eq('user_id', user.id)
-        .gte('date', thirtyDaysAgo.toISOString().split('T')[0])
+        .gte('date', thirtyDaysAgo)
         .order('date', { ascending: false });
 
       if (error) throw error;
 
+      // Same 30 nights feed the sleep schedule chart
+      setSleepHistory(historicalData || []);
+
       if (!historicalData || historicalData.length === 0) {
         // No historical data, use population averages as fallback
         setPersonalAverages(AVERAGE_SLEEP_PERCENTAGES);
@@ -1003,9 +1079,18 @@ const HomeScreen = () => {
                       </Text>
                     </TouchableOpacity>
                   )}
+                  <TouchableOpacity
+                    onPress={handleEnterSleepManually}
+                    style={styles.cardSyncButton}
+                  >
+                    <Ionicons name="create-outline" size={20} color={colors.primary} />
+                    <Text style={[styles.cardSyncButtonText, { color: colors.primary }]}>Edit</Text>
+                  </TouchableOpacity>
                 </View>
                 <Text style={styles.dataSourceInfo}>
                   Synced by: {getDataSourceDisplay(sleepData.source)}
+                  {sleepData.data_origin ? ` · ${getDataOriginLabel(sleepData.data_origin, sleepData.data_origin_name)}` : ''}
+                  {sleepData.user_overridden && sleepData.source !== 'manual' ? ' (edited by you)' : ''}
                 </Text>
               </View>
 
@@ -1048,9 +1133,38 @@ const HomeScreen = () => {
                         </View>
                       )}
 
+                      {sleepData.nap_count > 0 && (
+                        renderSleepMetricRow(
+                          sleepData.nap_count === 1 ? 'Nap' : `Naps (${sleepData.nap_count})`,
+                          formatSleepDuration(sleepData.nap_minutes),
+                          null, null, null, null, 'naps'
+                        )
+                      )}
+
                       {sleepData.sleep_score && (
                         renderSleepMetricRow('Sleep Score', `${sleepData.sleep_score}/100`, null, null, null, null, 'sleep-score')
                       )}
+
+                      <SleepScoreBreakdown scoreResult={computedSleepScore} />
+
+                      {sleepData.checked_in_at ? (
+                        <>
+                          {sleepData.rested_feeling != null && (
+                            renderSleepMetricRow('Rested Feeling', `${sleepData.rested_feeling}/${RESTED_FEELING_MAX}`, null, null, null, null, 'rested-feeling')
+                          )}
+                          {sleepData.wake_mood != null && (
+                            renderSleepMetricRow('Mood on Waking', getWakeMoodLabel(sleepData.wake_mood), null, null, null, null, 'wake-mood')
+                          )}
+                        </>
+                      ) : (
+                        <TouchableOpacity
+                          style={styles.checkInLink}
+                          onPress={() => setCheckInModalVisible(true)}
+                        >
+                          <Ionicons name="sunny-outline" size={16} color={colors.primary} />
+                          <Text style={styles.checkInLinkText}>How rested do you feel? Check in</Text>
+                        </TouchableOpacity>
+                      )}
                     </>
                   );
                 })()}
@@ -1135,11 +1249,24 @@ const HomeScreen = () => {
                     <Text style={styles.connectButtonText}>Connect Health App</Text>
                   </TouchableOpacity>
                 )}
+                <TouchableOpacity
+                  style={styles.manualEntryButton}
+                  onPress={handleEnterSleepManually}
+                >
+                  <Text style={styles.manualEntryButtonText}>Enter Sleep Manually</Text>
+                </TouchableOpacity>
               </View>
             </View>
           )}
         </View>
 
+        {/* Sleep Schedule */}
+        {sleepHistory.length > 0 && (
+          <View style={styles.section}>
+            <SleepScheduleChart sleepHistory={sleepHistory} />
+          </View>
+        )}
+
         {/* Navigation Cards */}
         <View style={styles.section}>
           <NavigationCard
@@ -1164,6 +1291,14 @@ const HomeScreen = () => {
         selectedDate={selectedDate}
         onDateSelect={handleCalendarDateSelect}
       />
+
+      {/* Morning Check-in Modal */}
+      <MorningCheckInModal
+        visible={checkInModalVisible}
+        onClose={handleCloseCheckIn}
+        sleepRecord={sleepData}
+        onCheckInSaved={handleCheckInSaved}
+      />
     </SafeAreaView>
   );
 };
@@ -1387,6 +1522,32 @@ const styles = StyleSheet.create({
     fontWeight: typography.weights.medium,
     textAlign: 'center',
   },
+  manualEntryButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    paddingHorizontal: spacing.regular,
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    marginTop: spacing.sm,
+  },
+  manualEntryButtonText: {
+    color: colors.primary,
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    textAlign: 'center',
+  },
+  checkInLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.regular,
+    paddingVertical: spacing.sm,
+  },
+  checkInLinkText: {
+    fontSize: typography.sizes.body,
+    color: colors.primary,
+    fontWeight: typography.weights.medium,
+    marginLeft: spacing.xs,
+  },
   syncStatus: {
     flexDirection: 'row',
     alignItems: 'center',
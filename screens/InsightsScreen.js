@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -6,6 +6,7 @@ import {
   ScrollView,
   TouchableOpacity,
   Dimensions,
+  ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
@@ -14,6 +15,7 @@ import { colors } from '../constants/colors';
 import { typography, spacing } from '../constants';
 import { useAuth } from '../contexts/AuthContext';
 import insightsService from '../services/insightsService';
+import insightsCacheService from '../services/insightsCacheService';
 import BinaryHabitInsight from '../components/BinaryHabitInsight';
 import NumericalHabitInsight from '../components/NumericalHabitInsight';
 import PlaceholderHabitInsight from '../components/PlaceholderHabitInsight';
@@ -25,48 +27,82 @@ const InsightsScreen = () => {
 
   // State for insights data
   const [loading, setLoading] = useState(true);
-  const [insights, setInsights] = useState({ validInsights: [], placeholders: [] });
+  const [insights, setInsights] = useState({ validInsights: [], placeholders: [], adjustedModel: null });
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Ignore results from loads that were superseded by a newer selection
+  const loadRequestRef = useRef(0);
 
   // State for selectors
   const [selectedMetric, setSelectedMetric] = useState('total_sleep_minutes');
   const [selectedTimeRange, setSelectedTimeRange] = useState('all');
   const [showMetricPicker, setShowMetricPicker] = useState(false);
   const [showTimeRangePicker, setShowTimeRangePicker] = useState(false);
+  const [selectedTiming, setSelectedTiming] = useState('default');
+
+  // Raw effects compare each habit on its own; adjusted effects hold the other habits constant
+  const [effectMode, setEffectMode] = useState('raw');
 
   // Get available options from insights service
   const availableMetrics = insightsService.getAvailableSleepMetrics();
   const availableTimeRanges = insightsService.getAvailableTimeRanges();
+  const availableTimings = insightsService.getAvailableHabitTimings();
 
   useEffect(() => {
     loadInsights();
-  }, [user, selectedMetric, selectedTimeRange]);
+  }, [user, selectedMetric, selectedTimeRange, selectedTiming]);
 
   // Refresh insights data when screen comes into focus
   useFocusEffect(
     useCallback(() => {
       loadInsights();
-    }, [user, selectedMetric, selectedTimeRange])
+    }, [user, selectedMetric, selectedTimeRange, selectedTiming])
   );
 
   const loadInsights = async () => {
     if (!user) return;
 
-    setLoading(true);
+    const requestId = ++loadRequestRef.current;
+    const isCurrentRequest = () => requestId === loadRequestRef.current;
+
+    // Render cached insights straight away, then recalculate in the background if needed
+    const cached = await insightsCacheService.getCachedInsights(user.id, selectedMetric, selectedTimeRange, selectedTiming);
+    if (!isCurrentRequest()) return;
+
+    const hasCachedInsights = cached.success && cached.data;
+    if (hasCachedInsights) {
+      setInsights(cached.data.insights);
+      setLoading(false);
+      if (cached.data.isFresh) {
+        setRefreshing(false);
+        return;
+      }
+    } else {
+      setLoading(true);
+    }
+
+    setRefreshing(true);
     try {
-      const dateRange = insightsService.calculateDateRange(selectedTimeRange);
-      const insightsData = await insightsService.getHabitsInsights(
+      const insightsData = await insightsService.refreshHabitsInsights(
         user.id,
         selectedMetric,
-        dateRange.startDate,
-        dateRange.endDate
+        selectedTimeRange,
+        selectedTiming
       );
 
-      setInsights(insightsData);
+      if (isCurrentRequest()) {
+        setInsights(insightsData);
+      }
     } catch (error) {
       console.error('Error loading insights:', error);
-      setInsights([]);
+      if (isCurrentRequest() && !hasCachedInsights) {
+        setInsights({ validInsights: [], placeholders: [], adjustedModel: null });
+      }
     } finally {
-      setLoading(false);
+      if (isCurrentRequest()) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
   };
 
@@ -90,6 +126,7 @@ const InsightsScreen = () => {
           insight={insight}
           sleepMetric={metricInfo}
           width={cardWidth}
+          effectMode={effectMode}
         />
       );
     } else if (insight.type === 'numerical') {
@@ -99,6 +136,7 @@ const InsightsScreen = () => {
           insight={insight}
           sleepMetric={metricInfo}
           width={cardWidth}
+          effectMode={effectMode}
         />
       );
     } else if (insight.type === 'placeholder') {
@@ -146,8 +184,14 @@ const InsightsScreen = () => {
 
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
-      <View style={styles.header}>
+      <View style={[styles.header, styles.headerRow]}>
         <Text style={styles.title}>Sleep Insights</Text>
+        {refreshing && (
+          <View style={styles.refreshingIndicator}>
+            <ActivityIndicator size="small" color={colors.primary} />
+            <Text style={styles.refreshingText}>Updating</Text>
+          </View>
+        )}
       </View>
 
       {/* Selectors */}
@@ -185,6 +229,32 @@ const InsightsScreen = () => {
         </TouchableOpacity>
       </View>
 
+      {/* Habit Timing Chips */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.timingScroll}
+        contentContainerStyle={styles.timingContainer}
+      >
+        {availableTimings.map((timing) => (
+          <TouchableOpacity
+            key={timing.key}
+            style={[
+              styles.timingChip,
+              selectedTiming === timing.key && styles.timingChipSelected
+            ]}
+            onPress={() => setSelectedTiming(timing.key)}
+          >
+            <Text style={[
+              styles.timingChipText,
+              selectedTiming === timing.key && styles.timingChipTextSelected
+            ]}>
+              {timing.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
       {/* Metric Picker Options */}
       {showMetricPicker && (
         <View style={styles.pickerContainer}>
@@ -241,8 +311,44 @@ const InsightsScreen = () => {
         <View style={styles.content}>
           <Text style={styles.subtitle}>
             Discover how your habits impact {metricInfo.label.toLowerCase()}
+            {selectedTiming !== 'default' && ` (${insightsService.getHabitTiming(selectedTiming).label.toLowerCase()})`}
           </Text>
 
+          {/* Raw vs Adjusted Toggle */}
+          {insights.validInsights.length > 0 && (
+            <View style={styles.effectModeSection}>
+              <View style={styles.effectModeToggle}>
+                {[
+                  { key: 'raw', label: 'Raw' },
+                  { key: 'adjusted', label: 'Adjusted' }
+                ].map((mode) => (
+                  <TouchableOpacity
+                    key={mode.key}
+                    style={[
+                      styles.effectModeOption,
+                      effectMode === mode.key && styles.effectModeOptionSelected
+                    ]}
+                    onPress={() => setEffectMode(mode.key)}
+                  >
+                    <Text style={[
+                      styles.effectModeText,
+                      effectMode === mode.key && styles.effectModeTextSelected
+                    ]}>
+                      {mode.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.effectModeDescription}>
+                {effectMode === 'raw'
+                  ? 'Each habit compared on its own'
+                  : insights.adjustedModel
+                    ? `Each habit's effect with your other habits held constant (${insights.adjustedModel.n} nights)`
+                    : 'Not enough nights with all habits logged to adjust for each other yet'}
+              </Text>
+            </View>
+          )}
+
           {/* Valid Insights Section */}
           {insights.validInsights.length > 0 && (
             <View style={styles.insightsSection}>
@@ -300,6 +406,20 @@ const styles = StyleSheet.create({
     paddingTop: spacing.regular,
     paddingBottom: spacing.md,
   },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  refreshingIndicator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  refreshingText: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+  },
   title: {
     fontSize: typography.sizes.xl,
     fontWeight: typography.weights.bold,
@@ -335,6 +455,34 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
     flex: 1,
   },
+  timingScroll: {
+    flexGrow: 0,
+    marginBottom: spacing.sm,
+  },
+  timingContainer: {
+    paddingHorizontal: spacing.regular,
+    gap: spacing.sm,
+  },
+  timingChip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+  timingChipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  timingChipText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+  },
+  timingChipTextSelected: {
+    color: colors.white,
+    fontWeight: typography.weights.medium,
+  },
   pickerContainer: {
     backgroundColor: colors.cardBackground,
     marginHorizontal: spacing.regular,
@@ -367,6 +515,40 @@ const styles = StyleSheet.create({
     paddingHorizontal: spacing.regular,
     paddingBottom: 120, // Increased from spacing.xl to account for navigation footer bar
   },
+  effectModeSection: {
+    marginBottom: spacing.regular,
+  },
+  effectModeToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: spacing.xs,
+  },
+  effectModeOption: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  effectModeOptionSelected: {
+    backgroundColor: colors.primary,
+  },
+  effectModeText: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.medium,
+    color: colors.textSecondary,
+  },
+  effectModeTextSelected: {
+    color: colors.white,
+  },
+  effectModeDescription: {
+    fontSize: typography.sizes.xs,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
   insightsSection: {
     marginBottom: spacing.xl,
   },
@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import sleepDataService from '../services/sleepDataService';
+import drugLevelService from '../services/drugLevelService';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import { formatDateTitle, getToday } from '../utils/dateHelpers';
+import {
+  buildManualSleepRecord,
+  getManualSleepEntryFromRecord,
+  getManualSleepInterval,
+  validateManualSleepEntry,
+} from '../utils/manualSleepEntry';
+import Button from '../components/Button';
+import ClockTimeInput from '../components/ClockTimeInput';
+
+const DEFAULT_BEDTIME_MINUTES = 23 * 60;
+const DEFAULT_WAKE_TIME_MINUTES = 7 * 60;
+
+const SOURCE_LABELS = {
+  health_connect: 'Health Connect',
+  healthkit: 'Apple Health',
+};
+
+const ManualSleepEntryScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const date = route.params?.date || getToday();
+
+  const [existingRecord, setExistingRecord] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [entry, setEntry] = useState({
+    date,
+    bedtimeMinutes: DEFAULT_BEDTIME_MINUTES,
+    wakeTimeMinutes: DEFAULT_WAKE_TIME_MINUTES,
+    awakeningsCount: '',
+    awakeMinutes: '',
+    deepMinutes: '',
+    lightMinutes: '',
+    remMinutes: '',
+  });
+
+  useEffect(() => {
+    loadExistingNight();
+  }, [date]);
+
+  const loadExistingNight = async () => {
+    setLoading(true);
+    try {
+      const record = await sleepDataService.getSleepDataForDate(date);
+      setExistingRecord(record);
+
+      const storedEntry = getManualSleepEntryFromRecord(record);
+      if (storedEntry) {
+        setEntry(storedEntry);
+      }
+    } catch (error) {
+      console.error('Error loading sleep data for manual entry:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateEntry = (field, value) => {
+    setEntry(prev => ({ ...prev, [field]: value }));
+  };
+
+  const timeInBedMinutes = useMemo(() => {
+    const { start, end } = getManualSleepInterval(date, entry.bedtimeMinutes, entry.wakeTimeMinutes);
+    return Math.round((end - start) / (60 * 1000));
+  }, [date, entry.bedtimeMinutes, entry.wakeTimeMinutes]);
+
+  const formatDuration = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+  const handleSave = async () => {
+    const validationError = validateManualSleepEntry(entry);
+    if (validationError) {
+      Alert.alert('Check your entry', validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const savedRecord = await sleepDataService.saveManualSleepData({
+        ...buildManualSleepRecord(entry),
+        source: existingRecord?.source,
+      });
+      // The evening's blood alcohol is measured at the sleep onset just entered
+      await drugLevelService.updateSleepOnsetLevels(savedRecord.user_id, [savedRecord.date]);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving manual sleep data:', error);
+      Alert.alert('Error', 'Failed to save this night. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderMinutesField = (label, field, placeholder = '0') => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.textInput}
+        value={entry[field]}
+        onChangeText={(text) => updateEntry(field, text.replace(/[^0-9]/g, ''))}
+        placeholder={placeholder}
+        placeholderTextColor={colors.textLight}
+        keyboardType="numeric"
+        maxLength={4}
+      />
+    </View>
+  );
+
+  const syncedSourceLabel = existingRecord ? SOURCE_LABELS[existingRecord.source] : null;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>{existingRecord ? 'Edit Sleep' : 'Add Sleep'}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.content}>
+            <Text style={styles.dateTitle}>
+              {date === getToday() ? "Last Night's Sleep" : `Sleep on ${formatDateTitle(date)}`}
+            </Text>
+
+            {syncedSourceLabel && !existingRecord.user_overridden && (
+              <View style={styles.noticeCard}>
+                <Ionicons name="information-circle-outline" size={20} color={colors.primary} />
+                <Text style={styles.noticeText}>
+                  This night was synced from {syncedSourceLabel}. Your correction replaces its stage timeline with the totals below, and future syncs will leave this night as you saved it.
+                </Text>
+              </View>
+            )}
+
+            {/* Times */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Times</Text>
+              <View style={styles.card}>
+                <ClockTimeInput
+                  label="Went to bed"
+                  minutes={entry.bedtimeMinutes}
+                  onChange={(minutes) => updateEntry('bedtimeMinutes', minutes)}
+                />
+                <ClockTimeInput
+                  label="Woke up"
+                  minutes={entry.wakeTimeMinutes}
+                  onChange={(minutes) => updateEntry('wakeTimeMinutes', minutes)}
+                />
+                <Text style={styles.helperText}>
+                  Time in bed: {formatDuration(timeInBedMinutes)}
+                </Text>
+              </View>
+            </View>
+
+            {/* Interruptions */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Interruptions</Text>
+              <View style={styles.card}>
+                {renderMinutesField('Times woken up', 'awakeningsCount')}
+                {renderMinutesField('Minutes awake', 'awakeMinutes')}
+              </View>
+            </View>
+
+            {/* Stages */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Sleep Stages - Optional</Text>
+              <View style={styles.card}>
+                <Text style={styles.helperText}>
+                  Leave these empty if you don't know them. Total sleep is then your time in bed minus minutes awake.
+                </Text>
+                {renderMinutesField('Deep sleep (minutes)', 'deepMinutes', '')}
+                {renderMinutesField('Light sleep (minutes)', 'lightMinutes', '')}
+                {renderMinutesField('REM sleep (minutes)', 'remMinutes', '')}
+              </View>
+            </View>
+
+            <Button
+              title="Save"
+              onPress={handleSave}
+              loading={saving}
+              style={styles.saveButton}
+            />
+          </View>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.regular,
+    paddingTop: spacing.regular,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  title: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+  },
+  headerSpacer: {
+    width: 40, // Match back button width for centering
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: spacing.regular,
+    paddingBottom: 100, // Extra padding for navigation bar
+  },
+  dateTitle: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.semibold,
+    color: colors.textSecondary,
+  },
+  noticeCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.primary + '10',
+    borderRadius: 12,
+    padding: spacing.md,
+    marginTop: spacing.regular,
+  },
+  noticeText: {
+    flex: 1,
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+    marginLeft: spacing.sm,
+  },
+  section: {
+    marginTop: spacing.xl,
+  },
+  sectionTitle: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+    marginBottom: spacing.regular,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  inputGroup: {
+    marginBottom: spacing.regular,
+  },
+  label: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: spacing.regular,
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.background,
+  },
+  helperText: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.regular,
+  },
+  saveButton: {
+    marginTop: spacing.xl,
+  },
+});
+
+export default ManualSleepEntryScreen;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,6 +6,9 @@ import {
   ScrollView,
   TouchableOpacity,
   Alert,
+  Switch,
+  Platform,
+  TextInput,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import Constants from 'expo-constants';
@@ -23,11 +26,112 @@ import Button from '../components/Button';
 import NavigationCard from '../components/NavigationCard';
 import useHealthSync from '../hooks/useHealthSync';
 import sleepDataService from '../services/sleepDataService';
+import backgroundSyncService from '../services/backgroundSyncService';
+import healthWriteBackService from '../services/healthWriteBackService';
+import bodyProfileService from '../services/bodyProfileService';
+import drugLevelService from '../services/drugLevelService';
+import syncRunService from '../services/syncRunService';
+import { formatTimeAgo } from '../utils/dateHelpers';
+import { SYNC_RUN_STATUS, getSyncRunSummary } from '../constants/syncRuns';
+
+const BACKGROUND_RUNS_SHOWN = 5;
+
+// Weights outside this range (kg) are taken to be typos
+const MIN_BODY_WEIGHT_KG = 20;
+const MAX_BODY_WEIGHT_KG = 400;
+
+const SEX_OPTIONS = [
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' },
+  { value: null, label: 'Not set' },
+];
 
 const ProfileScreen = () => {
   const navigation = useNavigation();
   const { user } = useAuth();
   const { preferences, updatePreference } = useUserPreferences();
+  const [backgroundSync, setBackgroundSync] = useState({ enabled: true, restricted: false });
+  const [backgroundRuns, setBackgroundRuns] = useState([]);
+  const [writeBackEnabled, setWriteBackEnabled] = useState(false);
+  const [bodyProfile, setBodyProfile] = useState({ weightKg: null, sex: null });
+  const [bodyWeightText, setBodyWeightText] = useState('');
+
+  useEffect(() => {
+    loadBackgroundSync();
+    healthWriteBackService.isEnabled().then(setWriteBackEnabled);
+    loadBodyProfile();
+  }, []);
+
+  const loadBodyProfile = async () => {
+    const result = await bodyProfileService.getSavedProfile();
+    if (result.success) {
+      setBodyProfile(result.data);
+      setBodyWeightText(result.data.weightKg ? String(result.data.weightKg) : '');
+    }
+  };
+
+  const loadBackgroundSync = async () => {
+    const [statusResult, runsResult] = await Promise.all([
+      backgroundSyncService.getStatus(),
+      syncRunService.getRecentRuns({ trigger: 'background', limit: BACKGROUND_RUNS_SHOWN }),
+    ]);
+    if (statusResult.success) {
+      setBackgroundSync(statusResult.data);
+    }
+    if (runsResult.success) {
+      setBackgroundRuns(runsResult.data);
+    }
+  };
+
+  const handleToggleBackgroundSync = async (enabled) => {
+    setBackgroundSync(prev => ({ ...prev, enabled }));
+    const result = await backgroundSyncService.setEnabled(enabled);
+    if (!result.success) {
+      Alert.alert('Background Sync', result.error || 'Failed to change background sync');
+    }
+    await loadBackgroundSync();
+  };
+
+  const handleToggleWriteBack = async (enabled) => {
+    setWriteBackEnabled(enabled);
+    const result = await healthWriteBackService.setEnabled(enabled);
+    if (!result.success) {
+      setWriteBackEnabled(!enabled);
+      Alert.alert('Save to Health App', result.error || 'Failed to change this setting');
+    }
+  };
+
+  const saveBodyProfile = async (profile) => {
+    const previous = bodyProfile;
+    setBodyProfile(profile);
+    const result = await bodyProfileService.updateSavedProfile(profile);
+    if (!result.success) {
+      setBodyProfile(previous);
+      setBodyWeightText(previous.weightKg ? String(previous.weightKg) : '');
+      Alert.alert('Body Details', result.error || 'Failed to save your body details');
+      return;
+    }
+
+    // Every stored blood alcohol estimate was made with the old details
+    const levelResult = await drugLevelService.recalculateBloodAlcoholLevels(user.id);
+    if (!levelResult.success) {
+      console.warn('Blood alcohol levels were not recalculated:', levelResult.error);
+    }
+  };
+
+  const handleBodyWeightEndEditing = () => {
+    const text = bodyWeightText.trim().replace(',', '.');
+    const weightKg = text ? parseFloat(text) : null;
+
+    if (weightKg !== null && (isNaN(weightKg) || weightKg < MIN_BODY_WEIGHT_KG || weightKg > MAX_BODY_WEIGHT_KG)) {
+      Alert.alert('Body Details', `Enter a weight between ${MIN_BODY_WEIGHT_KG} and ${MAX_BODY_WEIGHT_KG} kg`);
+      setBodyWeightText(bodyProfile.weightKg ? String(bodyProfile.weightKg) : '');
+      return;
+    }
+    if (weightKg === bodyProfile.weightKg) return;
+
+    saveBodyProfile({ ...bodyProfile, weightKg });
+  };
 
   // Clear user-specific cached data from AsyncStorage
   const clearUserCaches = async (userId) => {
@@ -236,8 +340,78 @@ const ProfileScreen = () => {
               <Text style={styles.label}>Sleep Data Source</Text>
               <Text style={styles.value}>{getDataSourceDisplay(hasPermissions)}</Text>
             </View>
+            <NavigationCard
+              icon="swap-vertical"
+              title="Sleep Source Priority"
+              subtitle="Choose which app wins when several recorded the same sleep"
+              onPress={() => navigation.navigate('SleepSources')}
+            />
             {hasPermissions && (
               <>
+                <View style={[styles.infoCard, styles.backgroundSyncCard]}>
+                  <View style={styles.settingRow}>
+                    <View style={styles.settingText}>
+                      <Text style={styles.value}>Background Sync</Text>
+                      <Text style={styles.label}>
+                        Sync sleep and health metrics every few hours while the app is closed
+                      </Text>
+                    </View>
+                    <Switch
+                      value={backgroundSync.enabled}
+                      onValueChange={handleToggleBackgroundSync}
+                      trackColor={{ false: colors.border, true: colors.primary }}
+                      thumbColor="#FFFFFF"
+                    />
+                  </View>
+                  {backgroundSync.restricted && (
+                    <Text style={styles.backgroundSyncWarning}>
+                      Background activity is restricted for SleepFactor in your device settings.
+                    </Text>
+                  )}
+                  {backgroundSync.enabled && (
+                    backgroundRuns.length > 0 ? (
+                      backgroundRuns.map(run => (
+                        <View key={run.id} style={styles.syncRunRow}>
+                          <Text style={[styles.syncRunStatus, { color: SYNC_RUN_STATUS[run.status]?.color }]}>
+                            {SYNC_RUN_STATUS[run.status]?.label || run.status}
+                          </Text>
+                          <View style={styles.settingText}>
+                            <Text style={styles.syncRunTime}>{formatTimeAgo(run.started_at)}</Text>
+                            {!!getSyncRunSummary(run) && (
+                              <Text style={styles.label}>{getSyncRunSummary(run)}</Text>
+                            )}
+                          </View>
+                        </View>
+                      ))
+                    ) : (
+                      <Text style={styles.syncRunEmpty}>No background syncs yet</Text>
+                    )
+                  )}
+                </View>
+                <View style={[styles.infoCard, styles.backgroundSyncCard]}>
+                  <View style={styles.settingRow}>
+                    <View style={styles.settingText}>
+                      <Text style={styles.value}>Save Caffeine & Alcohol</Text>
+                      <Text style={styles.label}>
+                        {Platform.OS === 'ios'
+                          ? 'Add the caffeine and alcohol you log to Apple Health'
+                          : 'Add the caffeine you log to Health Connect (it has no place for alcohol)'}
+                      </Text>
+                    </View>
+                    <Switch
+                      value={writeBackEnabled}
+                      onValueChange={handleToggleWriteBack}
+                      trackColor={{ false: colors.border, true: colors.primary }}
+                      thumbColor="#FFFFFF"
+                    />
+                  </View>
+                </View>
+                <NavigationCard
+                  icon="pulse"
+                  title="Sync Diagnostics"
+                  subtitle="See what each sync read and saved, and replay a date"
+                  onPress={() => navigation.navigate('SyncDiagnostics')}
+                />
                 <Button
                   title="Sync 30 Days of Data"
                   onPress={handleSyncData}
@@ -322,6 +496,45 @@ const ProfileScreen = () => {
                 </TouchableOpacity>
               </View>
             </View>
+            <View style={[styles.infoCard, styles.notificationsCard]}>
+              <Text style={styles.value}>Body Details</Text>
+              <Text style={styles.label}>
+                Used to estimate your blood alcohol. Weight synced from your health app is used when there is one.
+              </Text>
+              <Text style={[styles.label, styles.bodyFieldLabel]}>Weight (kg)</Text>
+              <TextInput
+                style={styles.bodyWeightInput}
+                value={bodyWeightText}
+                onChangeText={setBodyWeightText}
+                onEndEditing={handleBodyWeightEndEditing}
+                placeholder="e.g., 70"
+                placeholderTextColor={colors.textLight}
+                keyboardType="decimal-pad"
+                maxLength={5}
+              />
+              <Text style={[styles.label, styles.bodyFieldLabel]}>Sex</Text>
+              <View style={styles.timeFormatContainer}>
+                {SEX_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.label}
+                    style={[
+                      styles.timeFormatOption,
+                      bodyProfile.sex === option.value && styles.timeFormatOptionSelected,
+                    ]}
+                    onPress={() => bodyProfile.sex !== option.value && saveBodyProfile({ ...bodyProfile, sex: option.value })}
+                  >
+                    <Text
+                      style={[
+                        styles.timeFormatText,
+                        bodyProfile.sex === option.value && styles.timeFormatTextSelected,
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
             <View style={[styles.infoCard, styles.notificationsCard]}>
               <Text style={styles.label}>Notifications</Text>
               <Text style={styles.value}>Coming soon</Text>
@@ -440,6 +653,45 @@ const styles = StyleSheet.create({
   notificationsCard: {
     marginTop: spacing.md,
   },
+  backgroundSyncCard: {
+    marginTop: spacing.sm,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+  settingText: {
+    flex: 1,
+  },
+  backgroundSyncWarning: {
+    fontSize: typography.sizes.small,
+    color: colors.warning,
+    marginTop: spacing.sm,
+  },
+  syncRunRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: spacing.md,
+    paddingTop: spacing.sm,
+    marginTop: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  syncRunStatus: {
+    width: 56,
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.semibold,
+  },
+  syncRunTime: {
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+  },
+  syncRunEmpty: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+  },
   timeFormatContainer: {
     flexDirection: 'row',
     gap: spacing.sm,
@@ -467,6 +719,18 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     fontWeight: typography.weights.medium,
   },
+  bodyFieldLabel: {
+    marginTop: spacing.md,
+  },
+  bodyWeightInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: spacing.md,
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.background,
+  },
   versionContainer: {
     flexDirection: 'row',
     alignItems: 'center',
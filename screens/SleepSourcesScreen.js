@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import sleepSourceService from '../services/sleepSourceService';
+import { getDataOriginLabel } from '../constants/dataOrigins';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import Button from '../components/Button';
+
+const SleepSourcesScreen = () => {
+  const navigation = useNavigation();
+
+  const [origins, setOrigins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [hasChanges, setHasChanges] = useState(false);
+
+  useEffect(() => {
+    loadOrigins();
+  }, []);
+
+  const loadOrigins = async () => {
+    setLoading(true);
+    const result = await sleepSourceService.getDataOrigins();
+    if (result.success) {
+      setOrigins(result.data);
+    } else {
+      Alert.alert('Error', 'Failed to load the apps that recorded your sleep');
+    }
+    setHasChanges(false);
+    setLoading(false);
+  };
+
+  const moveOrigin = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= origins.length) return;
+
+    const reordered = [...origins];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setOrigins(reordered);
+    setHasChanges(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await sleepSourceService.updateSourcePriority(origins.map(origin => origin.data_origin));
+    setSaving(false);
+
+    if (result.success) {
+      setHasChanges(false);
+      Alert.alert(
+        'Ranking Saved',
+        'New nights will use this ranking. Use "Sync 30 Days of Data" in Profile to re-pick nights that are already synced.'
+      );
+    } else {
+      Alert.alert('Error', 'Failed to save your ranking. Please try again.');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Sleep Sources</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.content}>
+            <Text style={styles.description}>
+              When more than one app recorded the same sleep, the app highest in this list is used for that night.
+              Apps you haven't ranked come after the ranked ones.
+            </Text>
+
+            {origins.length === 0 ? (
+              <View style={styles.card}>
+                <Text style={styles.emptyText}>
+                  No apps have recorded sleep yet. Sync your sleep data and they will appear here.
+                </Text>
+              </View>
+            ) : (
+              <View style={styles.card}>
+                {origins.map((origin, index) => (
+                  <View
+                    key={origin.data_origin}
+                    style={[styles.originRow, index > 0 && styles.originRowDivider]}
+                  >
+                    <Text style={styles.rank}>{index + 1}</Text>
+                    <View style={styles.originInfo}>
+                      <Text style={styles.originLabel}>
+                        {getDataOriginLabel(origin.data_origin, origin.data_origin_name)}
+                      </Text>
+                      <Text style={styles.originDetail}>
+                        {origin.sessionCount} {origin.sessionCount === 1 ? 'session' : 'sessions'}
+                      </Text>
+                    </View>
+                    <TouchableOpacity
+                      onPress={() => moveOrigin(index, -1)}
+                      disabled={index === 0}
+                      style={styles.moveButton}
+                    >
+                      <Ionicons
+                        name="chevron-up"
+                        size={22}
+                        color={index === 0 ? colors.border : colors.primary}
+                      />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => moveOrigin(index, 1)}
+                      disabled={index === origins.length - 1}
+                      style={styles.moveButton}
+                    >
+                      <Ionicons
+                        name="chevron-down"
+                        size={22}
+                        color={index === origins.length - 1 ? colors.border : colors.primary}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {origins.length > 0 && (
+              <Button
+                title="Save Ranking"
+                onPress={handleSave}
+                loading={saving}
+                disabled={!hasChanges}
+                style={styles.saveButton}
+              />
+            )}
+          </View>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.regular,
+    paddingTop: spacing.regular,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  title: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+  },
+  headerSpacer: {
+    width: 40, // Match back button width for centering
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: spacing.regular,
+    paddingBottom: 100, // Extra padding for navigation bar
+  },
+  description: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.regular,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  emptyText: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  originRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+  originRowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  rank: {
+    width: 24,
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.bold,
+    color: colors.primary,
+  },
+  originInfo: {
+    flex: 1,
+  },
+  originLabel: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+  },
+  originDetail: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  moveButton: {
+    padding: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  saveButton: {
+    marginTop: spacing.xl,
+  },
+});
+
+export default SleepSourcesScreen;
@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { useAuth } from '../contexts/AuthContext';
+import sleepSyncService from '../services/sleepSyncService';
+import healthMetricsService from '../services/healthMetricsService';
+import syncRunService from '../services/syncRunService';
+import { SYNC_RUN_STATUS, SYNC_RUN_TRIGGERS, IMPORTED_CONSUMPTION_LABELS, getSyncRunSummary } from '../constants/syncRuns';
+import { colors } from '../constants/colors';
+import { typography, spacing } from '../constants';
+import { formatTimeAgo, formatDateTitle, getToday } from '../utils/dateHelpers';
+import Button from '../components/Button';
+import DatePickerModal from '../components/DatePickerModal';
+
+const RUNS_SHOWN = 30;
+
+const SyncDiagnosticsScreen = () => {
+  const navigation = useNavigation();
+  const { user } = useAuth();
+
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [replayDate, setReplayDate] = useState(getToday());
+  const [datePickerVisible, setDatePickerVisible] = useState(false);
+  const [replaying, setReplaying] = useState(false);
+
+  useEffect(() => {
+    loadRuns();
+  }, []);
+
+  const loadRuns = async () => {
+    const result = await syncRunService.getRecentRuns({ limit: RUNS_SHOWN });
+    if (result.success) {
+      setRuns(result.data);
+    } else {
+      Alert.alert('Error', 'Failed to load sync history');
+    }
+    setLoading(false);
+  };
+
+  const handleReplay = async () => {
+    if (!user) return;
+
+    setReplaying(true);
+    try {
+      const startedAt = new Date();
+      const sleepResult = await sleepSyncService.replaySleepDate(replayDate);
+      const metricsResult = sleepResult.success
+        ? await healthMetricsService.resyncDate(user.id, replayDate)
+        : null;
+
+      const recorded = await syncRunService.recordSyncRun({
+        trigger: 'replay',
+        startedAt,
+        sleepResult,
+        metricsResult,
+      });
+      await loadRuns();
+      if (recorded.success) {
+        setExpandedRunId(recorded.data.id);
+      }
+
+      if (!sleepResult.success) {
+        Alert.alert('Replay Failed', sleepResult.error || 'Sleep sync failed');
+      }
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const getRecordTypeLabel = (recordType) => {
+    if (recordType === 'sleep') return 'Sleep';
+    if (IMPORTED_CONSUMPTION_LABELS[recordType]) return IMPORTED_CONSUMPTION_LABELS[recordType];
+    return healthMetricsService.getAvailableMetrics().find(metric => metric.key === recordType)?.name || recordType;
+  };
+
+  const getRangeLabel = (run) => {
+    if (!run.range_start) return 'Nothing read';
+    if (run.range_start === run.range_end) return formatDateTitle(run.range_start);
+    return `${formatDateTitle(run.range_start)} – ${formatDateTitle(run.range_end)}`;
+  };
+
+  const getDurationLabel = (run) => {
+    const seconds = Math.max(0, Math.round((new Date(run.finished_at) - new Date(run.started_at)) / 1000));
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  const renderDetail = (label, value) => (
+    <View style={styles.detailRow}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue}>{value}</Text>
+    </View>
+  );
+
+  const renderRun = (run, index) => {
+    const expanded = expandedRunId === run.id;
+    const errors = run.errors || [];
+    const summary = getSyncRunSummary(run);
+
+    return (
+      <View key={run.id} style={index > 0 && styles.runDivider}>
+        <TouchableOpacity
+          style={styles.runRow}
+          onPress={() => setExpandedRunId(expanded ? null : run.id)}
+          activeOpacity={0.7}
+        >
+          <Text style={[styles.runStatus, { color: SYNC_RUN_STATUS[run.status]?.color }]}>
+            {SYNC_RUN_STATUS[run.status]?.label || run.status}
+          </Text>
+          <View style={styles.runInfo}>
+            <Text style={styles.runTitle}>
+              {SYNC_RUN_TRIGGERS[run.trigger] || run.trigger} · {formatTimeAgo(run.started_at)}
+            </Text>
+            {!!summary && <Text style={styles.runSummary}>{summary}</Text>}
+          </View>
+          {errors.length > 0 && (
+            <Text style={styles.errorCount}>{errors.length}</Text>
+          )}
+          <Ionicons
+            name={expanded ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={colors.textSecondary}
+          />
+        </TouchableOpacity>
+
+        {expanded && (
+          <View style={styles.runDetails}>
+            {renderDetail('Started', new Date(run.started_at).toLocaleString())}
+            {renderDetail('Duration', getDurationLabel(run))}
+            {renderDetail('Dates', getRangeLabel(run))}
+            {renderDetail('Sleep read', run.incremental ? 'Changes since last sync' : 'Whole date range')}
+            {renderDetail(
+              'Record types',
+              run.record_types?.length > 0 ? run.record_types.map(getRecordTypeLabel).join(', ') : 'None'
+            )}
+            {renderDetail('Fetched', `${run.records_fetched} records`)}
+            {renderDetail('Skipped', `${run.records_skipped} records`)}
+            {renderDetail(
+              'Saved',
+              `${run.sleep_records_synced} ${run.sleep_records_synced === 1 ? 'night' : 'nights'}, ` +
+                `${run.metrics_synced} metric ${run.metrics_synced === 1 ? 'log' : 'logs'}`
+            )}
+            {!!run.message && renderDetail('Note', run.message)}
+
+            {errors.length > 0 && (
+              <View style={styles.errorList}>
+                <Text style={styles.errorListTitle}>Errors</Text>
+                {errors.map((error, errorIndex) => (
+                  <Text key={errorIndex} style={styles.errorText}>
+                    {getRecordTypeLabel(error.record_type)}
+                    {error.date ? `, ${formatDateTitle(error.date)}` : ''}: {error.message}
+                  </Text>
+                ))}
+              </View>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Sync Diagnostics</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.content}>
+            <Text style={styles.sectionTitle}>Replay a Date</Text>
+            <View style={styles.card}>
+              <Text style={styles.description}>
+                Re-read one date's sleep and health metrics from your health app and save them again.
+                Nights you entered or corrected by hand are left as they are.
+              </Text>
+              <TouchableOpacity
+                style={styles.dateButton}
+                onPress={() => setDatePickerVisible(true)}
+              >
+                <Ionicons name="calendar-outline" size={20} color={colors.primary} />
+                <Text style={styles.dateButtonText}>{formatDateTitle(replayDate)}</Text>
+              </TouchableOpacity>
+              <Button
+                title="Replay Sync"
+                onPress={handleReplay}
+                loading={replaying}
+                style={styles.replayButton}
+              />
+            </View>
+
+            <Text style={styles.sectionTitle}>Sync History</Text>
+            <View style={styles.card}>
+              {runs.length > 0 ? (
+                runs.map(renderRun)
+              ) : (
+                <Text style={styles.emptyText}>No syncs recorded in the last 30 days</Text>
+              )}
+            </View>
+          </View>
+        </ScrollView>
+      )}
+
+      <DatePickerModal
+        visible={datePickerVisible}
+        onClose={() => setDatePickerVisible(false)}
+        selectedDate={replayDate}
+        onDateSelect={setReplayDate}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.regular,
+    paddingTop: spacing.regular,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    padding: spacing.xs,
+  },
+  title: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+  },
+  headerSpacer: {
+    width: 40, // Match back button width for centering
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: spacing.regular,
+    paddingBottom: 100, // Extra padding for navigation bar
+  },
+  sectionTitle: {
+    fontSize: typography.sizes.medium,
+    fontWeight: typography.weights.bold,
+    color: colors.textPrimary,
+    marginTop: spacing.lg,
+    marginBottom: spacing.regular,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  description: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.md,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  dateButtonText: {
+    fontSize: typography.sizes.body,
+    fontWeight: typography.weights.medium,
+    color: colors.textPrimary,
+  },
+  replayButton: {
+    marginTop: spacing.md,
+  },
+  emptyText: {
+    fontSize: typography.sizes.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  runDivider: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  runRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+    gap: spacing.sm,
+  },
+  runStatus: {
+    width: 64,
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.semibold,
+  },
+  runInfo: {
+    flex: 1,
+  },
+  runTitle: {
+    fontSize: typography.sizes.body,
+    color: colors.textPrimary,
+  },
+  runSummary: {
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  errorCount: {
+    minWidth: 22,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 11,
+    overflow: 'hidden',
+    textAlign: 'center',
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.bold,
+    color: '#FFFFFF',
+    backgroundColor: colors.error,
+  },
+  runDetails: {
+    paddingBottom: spacing.md,
+    paddingLeft: 64 + spacing.sm, // Line up with the run title
+  },
+  detailRow: {
+    flexDirection: 'row',
+    paddingVertical: 2,
+  },
+  detailLabel: {
+    width: 96,
+    fontSize: typography.sizes.small,
+    color: colors.textSecondary,
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+  },
+  errorList: {
+    marginTop: spacing.sm,
+  },
+  errorListTitle: {
+    fontSize: typography.sizes.small,
+    fontWeight: typography.weights.semibold,
+    color: colors.error,
+    marginBottom: spacing.xs,
+  },
+  errorText: {
+    fontSize: typography.sizes.small,
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+});
+
+export default SyncDiagnosticsScreen;
@@ -0,0 +1,259 @@
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import * as Battery from 'expo-battery';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import sleepSyncService from './sleepSyncService';
+import healthMetricsService from './healthMetricsService';
+import syncRunService from './syncRunService';
+
+export const BACKGROUND_SYNC_TASK = 'sleepfactor-background-sync';
+
+// The OS treats this as a lower bound and runs the task when it suits the device
+const BACKGROUND_SYNC_INTERVAL_MINUTES = 120;
+
+// Below this charge, and not charging, a run is skipped to spare the battery
+const MIN_BATTERY_LEVEL = 0.2;
+
+const BACKGROUND_SYNC_DAYS_BACK = 7;
+
+const ENABLED_STORAGE_KEY = '@background_sync_enabled';
+
+// Where AuthContext persists the session; a background launch has no UI to restore it
+const SESSION_STORAGE_KEY = 'auth_session';
+
+/**
+ * Service running the sleep and health metrics sync on a schedule while the app is closed
+ * The task is registered with expo-background-task, which leaves scheduling to WorkManager on
+ * Android and BGTaskScheduler on iOS. Every run, skipped ones included, is recorded in sync_runs.
+ */
+class BackgroundSyncService {
+  /**
+   * Whether the user wants background sync (on unless turned off in Profile)
+   * @returns {Promise<boolean>} True if enabled
+   */
+  async isEnabled() {
+    try {
+      const stored = await AsyncStorage.getItem(ENABLED_STORAGE_KEY);
+      return stored !== 'false';
+    } catch (error) {
+      console.error('Error reading background sync setting:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Turn background sync on or off, registering or removing the task to match
+   * @param {boolean} enabled - True to sync in the background
+   * @returns {Promise<Object>} { success, data: { enabled, registered } | null, error }
+   */
+  async setEnabled(enabled) {
+    try {
+      await AsyncStorage.setItem(ENABLED_STORAGE_KEY, enabled ? 'true' : 'false');
+
+      if (enabled) {
+        await this.register();
+      } else {
+        await this.unregister();
+      }
+
+      const registered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK);
+      return { success: true, data: { enabled, registered } };
+    } catch (error) {
+      console.error('Error changing background sync setting:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Register the task if the user hasn't turned background sync off
+   * Safe to call on every launch.
+   * @returns {Promise<boolean>} True if the task is registered
+   */
+  async registerIfEnabled() {
+    try {
+      if (!(await this.isEnabled())) {
+        return false;
+      }
+      await this.register();
+      return true;
+    } catch (error) {
+      console.error('Error registering background sync:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Register the background task
+   * @returns {Promise<void>}
+   */
+  async register() {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status === BackgroundTask.BackgroundTaskStatus.Restricted) {
+      throw new Error('Background tasks are restricted on this device');
+    }
+
+    if (!(await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK))) {
+      await BackgroundTask.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+        minimumInterval: BACKGROUND_SYNC_INTERVAL_MINUTES,
+      });
+    }
+  }
+
+  /**
+   * Remove the background task
+   * @returns {Promise<void>}
+   */
+  async unregister() {
+    if (await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK)) {
+      await BackgroundTask.unregisterTaskAsync(BACKGROUND_SYNC_TASK);
+    }
+  }
+
+  /**
+   * Get whether background sync can run on this device and is switched on
+   * @returns {Promise<Object>} { success, data: { enabled, registered, restricted } | null, error }
+   */
+  async getStatus() {
+    try {
+      const [enabled, registered, status] = await Promise.all([
+        this.isEnabled(),
+        TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK),
+        BackgroundTask.getStatusAsync(),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          enabled,
+          registered,
+          restricted: status === BackgroundTask.BackgroundTaskStatus.Restricted,
+        },
+      };
+    } catch (error) {
+      console.error('Error getting background sync status:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Restore the signed-in session in a process started without the UI
+   * The refresh token is single-use, so a session refreshed here is written back for the app.
+   * @returns {Promise<Object|null>} The user, or null if nobody is signed in
+   */
+  async restoreSession() {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session) {
+      return session.user;
+    }
+
+    const stored = await AsyncStorage.getItem(SESSION_STORAGE_KEY);
+    if (!stored) {
+      return null;
+    }
+
+    const { access_token, refresh_token } = JSON.parse(stored);
+    const { data, error } = await supabase.auth.setSession({ access_token, refresh_token });
+    if (error || !data?.session) {
+      return null;
+    }
+
+    await AsyncStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data.session));
+    return data.session.user;
+  }
+
+  /**
+   * Check whether the battery allows a run
+   * @returns {Promise<string|null>} Why the run should be skipped, or null to go ahead
+   */
+  async getBatteryConstraint() {
+    try {
+      const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+      const charging = batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL;
+
+      if (lowPowerMode) {
+        return 'Battery saver is on';
+      }
+      // batteryLevel is -1 when the device doesn't report it
+      if (!charging && batteryLevel >= 0 && batteryLevel < MIN_BATTERY_LEVEL) {
+        return `Battery below ${Math.round(MIN_BATTERY_LEVEL * 100)}%`;
+      }
+      return null;
+    } catch (error) {
+      // Without a reading, leave it to the OS scheduler
+      console.warn('Could not read battery state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sync sleep and health metrics once, and record the outcome
+   * @returns {Promise<Object>} { status, message, ... } as recorded in sync_runs
+   */
+  async runBackgroundSync() {
+    const startedAt = new Date();
+
+    try {
+      const user = await this.restoreSession();
+      if (!user) {
+        // Nothing to sync, and nowhere to record the run
+        return { status: 'skipped', sleepRecordsSynced: 0, metricsSynced: 0, message: 'Not signed in' };
+      }
+
+      const batteryConstraint = await this.getBatteryConstraint();
+      if (batteryConstraint) {
+        return await this.finishRun(startedAt, {
+          status: 'skipped',
+          sleepRecordsSynced: 0,
+          metricsSynced: 0,
+          message: batteryConstraint,
+        });
+      }
+
+      const sleepResult = await sleepSyncService.syncSleepData({ daysBack: BACKGROUND_SYNC_DAYS_BACK });
+
+      let metricsResult = null;
+      if (sleepResult.success) {
+        const endDate = new Date();
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - BACKGROUND_SYNC_DAYS_BACK);
+        metricsResult = await healthMetricsService.syncHealthMetrics(user.id, startDate, endDate);
+      }
+
+      return await this.finishRun(startedAt, syncRunService.summarizeResults(sleepResult, metricsResult));
+    } catch (error) {
+      console.error('Background sync failed:', error);
+      return await this.finishRun(startedAt, {
+        status: 'failed',
+        sleepRecordsSynced: 0,
+        metricsSynced: 0,
+        message: error.message || 'Background sync failed',
+      });
+    }
+  }
+
+  /**
+   * Record a background run in sync_runs
+   * @param {Date} startedAt - When the run started
+   * @param {Object} outcome - Fields for syncRunService.recordRun(), apart from trigger and startedAt
+   * @returns {Promise<Object>} The outcome
+   */
+  async finishRun(startedAt, outcome) {
+    await syncRunService.recordRun({ trigger: 'background', startedAt, ...outcome });
+    return outcome;
+  }
+}
+
+const backgroundSyncService = new BackgroundSyncService();
+
+// Tasks must be defined when the JS bundle loads, before any UI, since the OS can start the app
+// just to run them; index.js imports this module first for that reason
+TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+  const outcome = await backgroundSyncService.runBackgroundSync();
+  return outcome.status === 'failed'
+    ? BackgroundTask.BackgroundTaskResult.Failed
+    : BackgroundTask.BackgroundTaskResult.Success;
+});
+
+// Export singleton instance
+export default backgroundSyncService;
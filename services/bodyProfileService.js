@@ -0,0 +1,110 @@
+import { supabase } from './supabase';
+
+// Name of the health metric habit synced weight is logged under (see constants/healthMetrics.js)
+const BODY_WEIGHT_HABIT_NAME = 'Body Weight';
+
+/**
+ * Service for the body details blood alcohol estimates depend on
+ * Sex and a fallback weight live on the users row (sex, body_weight_kg). Weight synced from the
+ * health platform takes precedence, as of the day being estimated, so estimates follow weight changes.
+ */
+class BodyProfileService {
+  /**
+   * Get the current user's entered body details
+   * @returns {Promise<Object>} { success, data: { weightKg, sex } | null, error }
+   */
+  async getSavedProfile() {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from('users')
+        .select('body_weight_kg, sex')
+        .eq('id', user.id)
+        .single();
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        data: {
+          weightKg: data?.body_weight_kg ? Number(data.body_weight_kg) : null,
+          sex: data?.sex || null,
+        },
+      };
+    } catch (error) {
+      console.error('Error fetching body profile:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Save the current user's body details
+   * @param {Object} profile - Body details
+   * @param {number|null} profile.weightKg - Weight in kg, or null to clear it
+   * @param {string|null} profile.sex - 'male', 'female', or null to clear it
+   * @returns {Promise<Object>} { success, data: { weightKg, sex } | null, error }
+   */
+  async updateSavedProfile({ weightKg, sex }) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({ body_weight_kg: weightKg || null, sex: sex || null })
+        .eq('id', user.id);
+
+      if (error) throw error;
+
+      return { success: true, data: { weightKg: weightKg || null, sex: sex || null } };
+    } catch (error) {
+      console.error('Error updating body profile:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Get the body details to estimate a day's blood alcohol with
+   * @param {string} userId - User ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Object>} { weightKg, sex, weightSource: 'synced' | 'profile' | null }; weightKg
+   *   is null when none is known, and the estimate falls back to a default
+   */
+  async getProfileForDate(userId, date) {
+    const { data: userData } = await supabase
+      .from('users')
+      .select('body_weight_kg, sex')
+      .eq('id', userId)
+      .single();
+
+    const { data: weightLogs } = await supabase
+      .from('habit_logs')
+      .select('numeric_value, habits!inner(name, is_custom)')
+      .eq('user_id', userId)
+      .eq('habits.name', BODY_WEIGHT_HABIT_NAME)
+      .eq('habits.is_custom', false)
+      .lte('date', date)
+      .not('numeric_value', 'is', null)
+      .order('date', { ascending: false })
+      .limit(1);
+
+    const syncedWeight = weightLogs?.[0]?.numeric_value;
+    const savedWeight = userData?.body_weight_kg;
+
+    return {
+      weightKg: syncedWeight ? Number(syncedWeight) : savedWeight ? Number(savedWeight) : null,
+      sex: userData?.sex || null,
+      weightSource: syncedWeight ? 'synced' : savedWeight ? 'profile' : null,
+    };
+  }
+}
+
+export default new BodyProfileService();
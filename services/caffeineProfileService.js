@@ -0,0 +1,225 @@
+import { supabase } from './supabase';
+import drugLevelService from './drugLevelService';
+import insightsService from './insightsService';
+import { CAFFEINE_EXPECTED_EFFECTS } from '../constants/caffeineMetabolism';
+import { getDrugTypeFromHabitName } from '../constants/drugPresets';
+import { getDrugModel } from '../utils/drugHalfLife';
+import { fitCaffeineHalfLife, suggestCaffeineHalfLife } from '../utils/caffeineMetabolism';
+import { addDaysToDateString, getToday } from '../utils/dateHelpers';
+import { getStartOfDay, getZonedTime } from '../utils/timezone';
+
+// Nights looked at when fitting the half-life to sleep data
+const FIT_WINDOW_DAYS = 180;
+
+// Caffeine drunk this long before sleep onset is left out of the fit (below threshold at any half-life tried)
+const FIT_HISTORY_HOURS = 72;
+
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Service for the user's caffeine metabolism profile (users.caffeine_profile)
+ * The profile keeps the questionnaire answers and the half-life they suggest, the latest fit of the
+ * half-life to the user's sleep data, and which half-life was applied to the Caffeine habit.
+ */
+class CaffeineProfileService {
+  /**
+   * Get the current user's caffeine profile
+   * @returns {Promise<Object>} { success, data: profile | null, error }; data is null until it is first saved
+   */
+  async getProfile() {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from('users')
+        .select('caffeine_profile')
+        .eq('id', user.id)
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data: data?.caffeine_profile || null };
+    } catch (error) {
+      console.error('Error fetching caffeine profile:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Save parts of the current user's caffeine profile, keeping the rest
+   * The questionnaire suggestion is worked out again from the answers whenever they are saved.
+   * @param {Object} changes - Any of { answers, fit, appliedHalfLifeHours, appliedSource }
+   * @returns {Promise<Object>} { success, data: profile | null, error }
+   */
+  async saveProfile(changes) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const current = await this.getProfile();
+      if (!current.success) throw new Error(current.error);
+
+      const profile = {
+        ...(current.data || {}),
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      if (changes.answers) {
+        profile.questionnaireHalfLifeHours = suggestCaffeineHalfLife(changes.answers).halfLifeHours;
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({ caffeine_profile: profile })
+        .eq('id', user.id);
+
+      if (error) throw error;
+
+      return { success: true, data: profile };
+    } catch (error) {
+      console.error('Error saving caffeine profile:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Get the user's Caffeine habit
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Habit, or null if the user has none
+   */
+  async getCaffeineHabit(userId) {
+    const habits = await drugLevelService.getDrugHabits(userId);
+    return habits.find(habit => getDrugTypeFromHabitName(habit.name) === 'caffeine') || null;
+  }
+
+  /**
+   * Fit the caffeine half-life to the user's sleep
+   * Uses the days caffeine was logged (including "None" days) whose following night has a sleep onset
+   * and a value for the metric.
+   * @param {string} userId - User ID
+   * @param {string} sleepMetric - Sleep metric key, one of CAFFEINE_EXPECTED_EFFECTS
+   * @returns {Promise<Object>} { success, data: { halfLifeHours, correlation, pValue, nights, candidates,
+   *   sleepMetric, fittedAt } | null, error }; data is null when there aren't enough nights to fit, and
+   *   halfLifeHours is null when caffeine hasn't gone with the metric moving the expected way
+   */
+  async estimateHalfLifeFromData(userId, sleepMetric) {
+    try {
+      if (!CAFFEINE_EXPECTED_EFFECTS[sleepMetric]) {
+        throw new Error('Caffeine has no known effect on this metric to fit the half-life to');
+      }
+
+      const habit = await this.getCaffeineHabit(userId);
+      if (!habit) {
+        throw new Error('Start tracking caffeine to estimate your half-life from your data');
+      }
+
+      const endDate = getToday();
+      const startDate = addDaysToDateString(endDate, -FIT_WINDOW_DAYS);
+
+      const { data: levelRows, error: levelsError } = await supabase
+        .from('drug_levels')
+        .select('date')
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id)
+        .gte('date', startDate)
+        .lte('date', endDate);
+
+      if (levelsError) throw levelsError;
+
+      // Sleep is dated by the morning, so the night after the last logged day is included
+      const sleepData = await insightsService.getSleepData(
+        userId,
+        getZonedTime(startDate, 12 * 60),
+        getZonedTime(addDaysToDateString(endDate, 1), 12 * 60)
+      );
+      const sleepByDate = Object.fromEntries(sleepData.map(sleep => [sleep.date, sleep]));
+
+      const { data: events, error: eventsError } = await supabase
+        .from('habit_consumption_events')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id)
+        .gte('consumed_at', getStartOfDay(addDaysToDateString(startDate, -3)).toISOString())
+        .order('consumed_at', { ascending: true });
+
+      if (eventsError) throw eventsError;
+
+      const timedEvents = (await drugLevelService.getModelEvents(habit, events))
+        .map(event => ({ ...event, time: new Date(event.consumed_at).getTime() }));
+
+      const nights = (levelRows || []).flatMap(({ date }) => {
+        const sleep = sleepByDate[addDaysToDateString(date, 1)];
+        const value = sleep?.[sleepMetric];
+        if (!sleep?.sleep_start_time || value === null || value === undefined) return [];
+
+        const onset = new Date(sleep.sleep_start_time);
+        return [{
+          onset,
+          value: Number(value),
+          events: timedEvents.filter(event =>
+            event.time <= onset.getTime() && event.time > onset.getTime() - FIT_HISTORY_HOURS * HOUR_MS
+          ),
+        }];
+      });
+
+      const fit = fitCaffeineHalfLife(
+        nights,
+        getDrugModel(habit),
+        CAFFEINE_EXPECTED_EFFECTS[sleepMetric],
+        habit.drug_threshold_percent || 5
+      );
+      return {
+        success: true,
+        data: fit ? { ...fit, sleepMetric, fittedAt: new Date().toISOString() } : null,
+      };
+    } catch (error) {
+      console.error('Error estimating caffeine half-life:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Use a half-life for the Caffeine habit and recalculate its stored levels with it
+   * @param {string} userId - User ID
+   * @param {number} halfLifeHours - Half-life in hours
+   * @param {string} source - 'questionnaire' or 'data'
+   * @returns {Promise<Object>} { success, data: habit | null, error }
+   */
+  async applyHalfLife(userId, halfLifeHours, source) {
+    try {
+      const habit = await this.getCaffeineHabit(userId);
+      if (!habit) {
+        throw new Error('No caffeine habit to apply the half-life to');
+      }
+
+      const { data: updatedHabit, error } = await supabase
+        .from('habits')
+        .update({ half_life_hours: halfLifeHours, updated_at: new Date().toISOString() })
+        .eq('id', habit.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const levelResult = await drugLevelService.recalculateStoredLevels(userId, updatedHabit);
+      if (!levelResult.success) throw new Error(levelResult.error);
+
+      const profileResult = await this.saveProfile({ appliedHalfLifeHours: halfLifeHours, appliedSource: source });
+      if (!profileResult.success) throw new Error(profileResult.error);
+
+      return { success: true, data: updatedHabit };
+    } catch (error) {
+      console.error('Error applying caffeine half-life:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+export default new CaffeineProfileService();
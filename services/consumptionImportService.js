@@ -0,0 +1,204 @@
+import { supabase } from './supabase';
+import healthService from './healthService';
+import consumptionOptionsService from './consumptionOptionsService';
+import drugLevelService from './drugLevelService';
+import { getDrugTypeFromHabitName } from '../constants/drugPresets';
+import { SLEEPFACTOR_DATA_ORIGINS } from '../constants/dataOrigins';
+import { matchConsumptionOption, reconcileConsumptionRecords } from '../utils/consumptionImport';
+import { getStartOfDay, getEndOfDay, toDateStringAt } from '../utils/timezone';
+import { addDaysToDateString, getToday } from '../utils/dateHelpers';
+
+/**
+ * Service importing caffeine and alcohol that other apps saved to Apple Health / Health Connect
+ * Imported records become habit_consumption_events of the Caffeine and Alcohol habits, marked with
+ * the app they came from (imported_from), and the bedtime drug levels of the days they touch are
+ * recalculated. Records the user also logged in SleepFactor are skipped.
+ */
+class ConsumptionImportService {
+  constructor() {
+    this.tableName = 'habit_consumption_events';
+  }
+
+  /**
+   * Import the drinks other apps logged over a date range
+   * Imported events whose platform record has gone are deleted, and changed records update their event.
+   * @param {string} userId - User ID
+   * @param {string} startDate - First date in YYYY-MM-DD format
+   * @param {string} endDate - Last date in YYYY-MM-DD format
+   * @returns {Promise<Array>} One result per drug habit, shaped like the entries of
+   *   healthMetricsService.syncHealthMetrics().results with 'caffeine' or 'alcohol' as the metric
+   */
+  async importConsumption(userId, startDate, endDate) {
+    let habits;
+    try {
+      habits = await drugLevelService.getDrugHabits(userId);
+    } catch (error) {
+      console.warn('Error loading habits for consumption import:', error.message);
+      return [];
+    }
+
+    if (habits.length > 0 && !(await healthService.hasPermissionForRecordType('Nutrition'))) {
+      return habits.map(habit => ({
+        metric: getDrugTypeFromHabitName(habit.name),
+        skipped: true,
+        reason: 'permission_not_granted'
+      }));
+    }
+
+    const results = [];
+    for (const habit of habits) {
+      const type = getDrugTypeFromHabitName(habit.name);
+      try {
+        results.push({
+          metric: type,
+          habitId: habit.id,
+          ...(await this.importHabitConsumption(userId, habit, type, startDate, endDate))
+        });
+      } catch (error) {
+        console.warn(`Error importing ${type}:`, error.message);
+        results.push({ metric: type, error: error.message, skipped: true });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Import one habit's drinks and bring its events and drug levels up to date
+   * @param {string} userId - User ID
+   * @param {Object} habit - Caffeine or alcohol habit
+   * @param {string} type - 'caffeine' or 'alcohol'
+   * @param {string} startDate - First date in YYYY-MM-DD format
+   * @param {string} endDate - Last date in YYYY-MM-DD format
+   * @returns {Promise<Object>} { synced, removed, duplicates, dataPoints, incremental, errors }
+   */
+  async importHabitConsumption(userId, habit, type, startDate, endDate) {
+    const source = healthService.getSourceIdentifier();
+    const windowStart = getStartOfDay(startDate);
+    const windowEnd = getEndOfDay(endDate);
+
+    const records = await healthService.getConsumptionRecords({ type, startTime: windowStart, endTime: windowEnd });
+
+    const { data: events, error: eventsError } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('habit_id', habit.id)
+      .gte('consumed_at', windowStart.toISOString())
+      .lte('consumed_at', windowEnd.toISOString());
+
+    if (eventsError) throw eventsError;
+
+    const { newRecords, changedEvents, staleEvents, duplicates } = reconcileConsumptionRecords(
+      records,
+      events || [],
+      { source, ownDataOrigins: SLEEPFACTOR_DATA_ORIGINS }
+    );
+
+    if (newRecords.length === 0 && changedEvents.length === 0 && staleEvents.length === 0) {
+      return { synced: 0, removed: 0, duplicates, dataPoints: records.length, incremental: false, errors: [] };
+    }
+
+    const optionsResult = await consumptionOptionsService.getOptionsForHabit(habit.id);
+    const options = optionsResult.success ? optionsResult.data : [];
+    const affectedDates = new Set();
+
+    if (newRecords.length > 0) {
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert(
+          newRecords.map(record => ({
+            user_id: userId,
+            habit_id: habit.id,
+            ...this.getRecordFields(record, options),
+            health_record_id: record.id,
+            health_record_source: source,
+            imported_from: record.dataOrigin || source,
+          })),
+          { onConflict: 'habit_id,health_record_source,health_record_id', ignoreDuplicates: true }
+        );
+
+      if (error) throw error;
+      newRecords.forEach(record => affectedDates.add(toDateStringAt(record.consumedAt)));
+      await this.clearNoneEvents(userId, habit, newRecords);
+    }
+
+    for (const { event, record } of changedEvents) {
+      const { error } = await supabase
+        .from(this.tableName)
+        .update(this.getRecordFields(record, options))
+        .eq('id', event.id);
+
+      if (error) throw error;
+      affectedDates.add(toDateStringAt(event.consumed_at));
+      affectedDates.add(toDateStringAt(record.consumedAt));
+    }
+
+    if (staleEvents.length > 0) {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .in('id', staleEvents.map(event => event.id));
+
+      if (error) throw error;
+      staleEvents.forEach(event => affectedDates.add(toDateStringAt(event.consumed_at)));
+    }
+
+    // A late drink still counts at the next day's bedtime
+    const today = getToday();
+    const levelDates = [...affectedDates]
+      .flatMap(date => [date, addDaysToDateString(date, 1)])
+      .filter(date => date <= today);
+    const levelResult = await drugLevelService.updateBedtimeLevels(userId, habit, levelDates);
+    const errors = levelResult.success ? [] : [{ date: null, message: levelResult.error }];
+
+    return {
+      synced: newRecords.length + changedEvents.length,
+      removed: staleEvents.length,
+      duplicates,
+      dataPoints: records.length,
+      incremental: false,
+      errors
+    };
+  }
+
+  /**
+   * Event fields for a platform record, with the consumption option its amount matches
+   * @param {Object} record - { consumedAt, amount }
+   * @param {Array} options - The habit's consumption options
+   * @returns {Object} consumed_at, amount, volume and drink_type
+   */
+  getRecordFields(record, options) {
+    const match = matchConsumptionOption(record.amount, options);
+    return {
+      consumed_at: record.consumedAt,
+      amount: record.amount,
+      volume: match?.option.default_volume ? Math.round(match.option.default_volume * match.servings) : null,
+      drink_type: match?.option.id || null,
+    };
+  }
+
+  /**
+   * Delete "None" markers on the days drinks were imported for
+   * @param {string} userId - User ID
+   * @param {Object} habit - The habit the drinks were imported for
+   * @param {Array} records - Imported records
+   * @returns {Promise<void>}
+   */
+  async clearNoneEvents(userId, habit, records) {
+    const dates = [...new Set(records.map(record => toDateStringAt(record.consumedAt)))];
+    for (const date of dates) {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id)
+        .eq('drink_type', 'none')
+        .gte('consumed_at', getStartOfDay(date).toISOString())
+        .lte('consumed_at', getEndOfDay(date).toISOString());
+
+      if (error) throw error;
+    }
+  }
+}
+
+export default new ConsumptionImportService();
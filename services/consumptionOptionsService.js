@@ -70,8 +70,9 @@ class ConsumptionOptionsService {
 
   /**
    * Create a new custom option for a user
+   * absorptionMinutes overrides the habit's time to peak for drinks logged with this option
    */
-  async createCustomOption(userId, habitId, name, drugAmount, icon = null, volumeMl = null, servingUnit = 'ml', drugUnit = null) {
+  async createCustomOption(userId, habitId, name, drugAmount, icon = null, volumeMl = null, servingUnit = 'ml', drugUnit = null, absorptionMinutes = null) {
     try {
       // Validate inputs
       if (!userId || !habitId || !name || !drugAmount) {
@@ -118,6 +119,7 @@ class ConsumptionOptionsService {
           default_volume: volumeMl,
           serving_unit: servingUnit,
           drug_unit: finalDrugUnit,
+          absorption_minutes: absorptionMinutes,
           is_custom: true,
           is_active: true
         })
@@ -134,8 +136,10 @@ class ConsumptionOptionsService {
 
   /**
    * Update an existing custom option
+   * Unlike the other optional fields, a null absorptionMinutes clears the option's time to peak;
+   * leave it undefined to keep it.
    */
-  async updateCustomOption(optionId, name, drugAmount, icon = null, volumeMl = null, servingUnit = null, drugUnit = null) {
+  async updateCustomOption(optionId, name, drugAmount, icon = null, volumeMl = null, servingUnit = null, drugUnit = null, absorptionMinutes = undefined) {
     try {
       // Validate inputs
       if (!optionId || !name || !drugAmount) {
@@ -161,6 +165,7 @@ class ConsumptionOptionsService {
       if (volumeMl !== null) updateData.default_volume = volumeMl;
       if (servingUnit !== null) updateData.serving_unit = servingUnit;
       if (drugUnit !== null) updateData.drug_unit = drugUnit;
+      if (absorptionMinutes !== undefined) updateData.absorption_minutes = absorptionMinutes;
 
       const { data, error } = await supabase
         .from('consumption_options')
@@ -0,0 +1,393 @@
+import { supabase } from './supabase';
+import consumptionOptionsService from './consumptionOptionsService';
+import bodyProfileService from './bodyProfileService';
+import {
+  DRUG_MODELS,
+  applyOptionAbsorption,
+  getBedtimeDrugLevel,
+  getDrugModel,
+  getLevelModelKey,
+  getLevelUnit,
+} from '../utils/drugHalfLife';
+import { getZonedTime, toDateStringAt } from '../utils/timezone';
+import { addDaysToDateString, getToday } from '../utils/dateHelpers';
+
+// Bedtimes set before this hour are after midnight, so they fall on the next calendar day
+const EARLY_MORNING_BEDTIME_HOUR = 12;
+
+/**
+ * Service for the bedtime drug levels of caffeine and alcohol habits (the drug_levels table)
+ * Each day's level is what is left at the user's bedtime of the consumption events up to then,
+ * after half-life decay; Insights correlates it with the night that follows. Habits on the Widmark
+ * model (alcohol) store the blood alcohol concentration at sleep onset instead: the start of the
+ * night that follows once it has been recorded, the bedtime until then.
+ */
+class DrugLevelService {
+  constructor() {
+    this.tableName = 'drug_levels';
+  }
+
+  /**
+   * Whether a habit's events feed a drug level
+   * @param {Object} habit - Habit object
+   * @returns {boolean} True for caffeine and alcohol quick_consumption habits
+   */
+  isDrugHabit(habit) {
+    if (!habit || habit.type !== 'quick_consumption') return false;
+
+    const name = habit.name.toLowerCase();
+    return name.includes('caffeine') || name.includes('alcohol');
+  }
+
+  /**
+   * Get the user's bedtime on a date, from their notification time
+   * @param {string} userId - User ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Date>} Bedtime
+   */
+  async getBedtime(userId, date) {
+    const { data: userData } = await supabase
+      .from('users')
+      .select('notification_time')
+      .eq('id', userId)
+      .single();
+
+    const notificationTime = userData?.notification_time || '22:00:00'; // Default 10 PM
+    const [hours, minutes] = notificationTime.split(':').map(Number);
+    const bedtimeDate = hours < EARLY_MORNING_BEDTIME_HOUR ? addDaysToDateString(date, 1) : date;
+    return getZonedTime(bedtimeDate, hours * 60 + minutes);
+  }
+
+  /**
+   * Get when the user fell asleep the night after a date
+   * @param {string} userId - User ID
+   * @param {string} date - Date in YYYY-MM-DD format (the evening's date)
+   * @returns {Promise<Date>} Start of the night's sleep, or the bedtime if no night is recorded yet
+   */
+  async getSleepOnset(userId, date) {
+    // sleep_data is dated by the morning the night ends
+    const { data: night } = await supabase
+      .from('sleep_data')
+      .select('sleep_start_time')
+      .eq('user_id', userId)
+      .eq('date', addDaysToDateString(date, 1))
+      .maybeSingle();
+
+    return night?.sleep_start_time ? new Date(night.sleep_start_time) : this.getBedtime(userId, date);
+  }
+
+  /**
+   * Get the user's active caffeine and alcohol habits
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Habits
+   */
+  async getDrugHabits(userId) {
+    const { data, error } = await supabase
+      .from('habits')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('type', 'quick_consumption')
+      .eq('is_active', true);
+
+    if (error) throw error;
+    return (data || []).filter(habit => this.isDrugHabit(habit));
+  }
+
+  /**
+   * Get a habit's consumption options
+   * @param {string} habitId - Habit ID
+   * @returns {Promise<Array>} consumption_options records (empty if they couldn't be loaded)
+   */
+  async getHabitOptions(habitId) {
+    const optionsResult = await consumptionOptionsService.getOptionsForHabit(habitId);
+    return optionsResult.success ? optionsResult.data : [];
+  }
+
+  /**
+   * Get consumption events ready for the level calculations
+   * Events take the absorption time of the option they were logged with, as they do for stored
+   * levels, so levels drawn on screen match the ones in drug_levels.
+   * @param {Object} habit - Habit the events were logged for
+   * @param {Array} consumptionEvents - Consumption events
+   * @returns {Promise<Array>} Events
+   */
+  async getModelEvents(habit, consumptionEvents) {
+    if (!habit?.id || !consumptionEvents || consumptionEvents.length === 0) {
+      return consumptionEvents || [];
+    }
+
+    return applyOptionAbsorption(consumptionEvents, await this.getHabitOptions(habit.id));
+  }
+
+  /**
+   * Recalculate and store a habit's bedtime drug level for some dates
+   * Levels are stored in the model's unit (the habit's unit, or BAC under the Widmark model) with
+   * the key of the model and parameters they were calculated with.
+   * @param {string} userId - User ID
+   * @param {Object} habit - Caffeine or alcohol habit with id, name, type, unit, half_life_hours and
+   *   the level model (drug_model, absorption_minutes)
+   * @param {Array} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Object>} { success, data: { [date]: level } | null, error }
+   */
+  async updateBedtimeLevels(userId, habit, dates) {
+    try {
+      if (!this.isDrugHabit(habit)) {
+        return { success: true, data: {} };
+      }
+
+      const halfLife = habit.half_life_hours || 5;
+      // Events older than three half-lives are below the 5% threshold by bedtime
+      const historyDays = Math.max(3, Math.ceil((halfLife * 3) / 24));
+      const options = await this.getHabitOptions(habit.id);
+      const modelKey = getLevelModelKey(habit, options);
+      const isWidmark = getDrugModel(habit).type === DRUG_MODELS.widmark;
+      const levels = {};
+
+      for (const date of [...new Set(dates)].sort()) {
+        const bedtime = isWidmark ? await this.getSleepOnset(userId, date) : await this.getBedtime(userId, date);
+        const model = isWidmark
+          ? getDrugModel(habit, await bodyProfileService.getProfileForDate(userId, date))
+          : getDrugModel(habit);
+        const historyStart = new Date(bedtime);
+        historyStart.setDate(historyStart.getDate() - historyDays);
+
+        const { data: events, error: eventsError } = await supabase
+          .from('habit_consumption_events')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('habit_id', habit.id)
+          .gte('consumed_at', historyStart.toISOString())
+          .lte('consumed_at', bedtime.toISOString())
+          .order('consumed_at', { ascending: true });
+
+        if (eventsError) throw eventsError;
+
+        const level = events && events.length > 0
+          ? getBedtimeDrugLevel(
+            applyOptionAbsorption(events, options),
+            bedtime,
+            halfLife,
+            habit.drug_threshold_percent || 5,
+            model
+          )
+          : 0;
+
+        const { error: levelError } = await supabase
+          .from(this.tableName)
+          .upsert({
+            user_id: userId,
+            habit_id: habit.id,
+            date,
+            level_value: level,
+            unit: getLevelUnit(habit, model),
+            model_key: modelKey,
+            calculated_at: new Date().toISOString(),
+          }, {
+            onConflict: 'user_id,habit_id,date',
+          });
+
+        if (levelError) throw levelError;
+        levels[date] = level;
+      }
+
+      return { success: true, data: levels };
+    } catch (error) {
+      console.error(`Error updating bedtime drug levels for ${habit?.name}:`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Recalculate the levels a habit already has stored for some dates, leaving other dates without one
+   * @param {string} userId - User ID
+   * @param {Object} habit - Caffeine or alcohol habit
+   * @param {Array} [dates] - Dates in YYYY-MM-DD format; every stored date when omitted
+   * @returns {Promise<Object>} { success, data: { [date]: level } | null, error }
+   */
+  async recalculateStoredLevels(userId, habit, dates = null) {
+    try {
+      let query = supabase
+        .from(this.tableName)
+        .select('date')
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id);
+
+      if (dates) {
+        query = query.in('date', dates);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      if (!data || data.length === 0) return { success: true, data: {} };
+
+      return await this.updateBedtimeLevels(userId, habit, data.map(row => row.date));
+    } catch (error) {
+      console.error(`Error recalculating stored drug levels for ${habit?.name}:`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Move a habit's stored levels onto the local days its consumption was logged on
+   * Levels dated in UTC can sit a day away from the day the drinks were logged. Every local day with
+   * events (including "None" events) gets a level, as does the day after, which a late drink still
+   * reaches if it already has one; levels on any other day are deleted. The rest are recalculated.
+   * @param {string} userId - User ID
+   * @param {Object} habit - Caffeine or alcohol habit
+   * @returns {Promise<Object>} { success, data: { recalculated, removed } | null, error }
+   */
+  async realignLevelDates(userId, habit) {
+    try {
+      const { data: events, error: eventsError } = await supabase
+        .from('habit_consumption_events')
+        .select('consumed_at')
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id);
+
+      if (eventsError) throw eventsError;
+
+      const { data: rows, error: rowsError } = await supabase
+        .from(this.tableName)
+        .select('date')
+        .eq('user_id', userId)
+        .eq('habit_id', habit.id);
+
+      if (rowsError) throw rowsError;
+
+      const today = getToday();
+      const eventDates = new Set((events || []).map(event => toDateStringAt(event.consumed_at)));
+      const keptDates = new Set([...eventDates].map(date => addDaysToDateString(date, 1)));
+      eventDates.forEach(date => keptDates.add(date));
+
+      const storedDates = (rows || []).map(row => row.date);
+      const removedDates = storedDates.filter(date => !keptDates.has(date));
+
+      let removed = 0;
+      if (removedDates.length > 0) {
+        const { data: deleted, error: deleteError } = await supabase
+          .from(this.tableName)
+          .delete()
+          .eq('user_id', userId)
+          .eq('habit_id', habit.id)
+          .in('date', removedDates)
+          .select('id');
+
+        if (deleteError) throw deleteError;
+
+        // Row level security hides a refused delete as one that matched nothing
+        removed = deleted ? deleted.length : 0;
+        if (removed < removedDates.length) {
+          throw new Error(`Only ${removed} of ${removedDates.length} misdated drug levels could be deleted`);
+        }
+      }
+
+      const levelDates = [...eventDates, ...storedDates.filter(date => keptDates.has(date))]
+        .filter(date => date <= today);
+      const result = await this.updateBedtimeLevels(userId, habit, levelDates);
+      if (!result.success) throw new Error(result.error);
+
+      return {
+        success: true,
+        data: { recalculated: Object.keys(result.data).length, removed }
+      };
+    } catch (error) {
+      console.error(`Error realigning drug level dates for ${habit?.name}:`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Recalculate the stored BAC of the evenings before some nights, now their sleep onset is known
+   * @param {string} userId - User ID
+   * @param {Array} nightDates - sleep_data dates in YYYY-MM-DD format
+   * @returns {Promise<Object>} { success, data: number (levels recalculated) | null, error }
+   */
+  async updateSleepOnsetLevels(userId, nightDates) {
+    try {
+      const habits = (await this.getDrugHabits(userId))
+        .filter(habit => getDrugModel(habit).type === DRUG_MODELS.widmark);
+      const dates = [...new Set(nightDates)].map(date => addDaysToDateString(date, -1));
+
+      let recalculated = 0;
+      for (const habit of habits) {
+        const result = await this.recalculateStoredLevels(userId, habit, dates);
+        if (!result.success) throw new Error(result.error);
+        recalculated += Object.keys(result.data).length;
+      }
+
+      return { success: true, data: recalculated };
+    } catch (error) {
+      console.error('Error updating sleep onset drug levels:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Recalculate every stored BAC, after the body details they were estimated with changed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data: number (levels recalculated) | null, error }
+   */
+  async recalculateBloodAlcoholLevels(userId) {
+    try {
+      const habits = (await this.getDrugHabits(userId))
+        .filter(habit => getDrugModel(habit).type === DRUG_MODELS.widmark);
+
+      let recalculated = 0;
+      for (const habit of habits) {
+        const result = await this.recalculateStoredLevels(userId, habit);
+        if (!result.success) throw new Error(result.error);
+        recalculated += Object.keys(result.data).length;
+      }
+
+      return { success: true, data: recalculated };
+    } catch (error) {
+      console.error('Error recalculating blood alcohol levels:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Recalculate stored levels calculated with a model or parameters their habit no longer uses
+   * Levels are compared by unit and by the model key stored with them, so levels from before a habit
+   * changed model, half-life, threshold or an option's time to peak (or from before keys were
+   * recorded) are brought up to date before Insights reads them.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data: number (levels recalculated) | null, error }
+   */
+  async refreshOutdatedLevels(userId) {
+    try {
+      const today = getToday();
+      let recalculated = 0;
+
+      for (const habit of await this.getDrugHabits(userId)) {
+        const unit = getLevelUnit(habit, getDrugModel(habit));
+        const modelKey = getLevelModelKey(habit, await this.getHabitOptions(habit.id));
+
+        const { data, error } = await supabase
+          .from(this.tableName)
+          .select('date, unit, model_key')
+          .eq('user_id', userId)
+          .eq('habit_id', habit.id)
+          .lte('date', today);
+
+        if (error) throw error;
+
+        const outdatedDates = (data || [])
+          .filter(row => row.unit !== unit || row.model_key !== modelKey)
+          .map(row => row.date);
+        if (outdatedDates.length === 0) continue;
+
+        const result = await this.updateBedtimeLevels(userId, habit, outdatedDates);
+        if (!result.success) throw new Error(result.error);
+        recalculated += Object.keys(result.data).length;
+      }
+
+      return { success: true, data: recalculated };
+    } catch (error) {
+      console.error('Error refreshing outdated drug levels:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+export default new DrugLevelService();
@@ -0,0 +1,109 @@
+import { supabase } from './supabase';
+
+/**
+ * Service for the workouts read from Health Connect exercise sessions and HealthKit workouts
+ */
+class ExerciseSessionService {
+  constructor() {
+    this.tableName = 'exercise_sessions';
+  }
+
+  /**
+   * Save the workouts a source reported for a time window
+   * Workouts stored for that window whose platform record is gone are deleted.
+   * @param {string} source - Data source ('health_connect' or 'healthkit')
+   * @param {Array} sessions - Rows from healthService.syncExerciseSessions()
+   * @param {Date} windowStart - Start of the window the platform was read for
+   * @param {Date} windowEnd - End of that window
+   * @returns {Promise<Object>} { saved, deleted }
+   */
+  async saveSessions(source, sessions, windowStart, windowEnd) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      let saved = [];
+      if (sessions.length > 0) {
+        const { data, error } = await supabase
+          .from(this.tableName)
+          .upsert(
+            sessions.map(session => ({
+              ...session,
+              user_id: user.id,
+              source,
+              updated_at: new Date().toISOString(),
+            })),
+            { onConflict: 'user_id,source,external_id', ignoreDuplicates: false }
+          )
+          .select('id');
+
+        if (error) {
+          throw error;
+        }
+        saved = data || [];
+      }
+
+      let staleQuery = supabase
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', user.id)
+        .eq('source', source)
+        .gte('start_time', windowStart.toISOString())
+        .lte('start_time', windowEnd.toISOString());
+
+      if (sessions.length > 0) {
+        const externalIds = sessions.map(session => `"${session.external_id}"`).join(',');
+        staleQuery = staleQuery.not('external_id', 'in', `(${externalIds})`);
+      }
+
+      const { data: deleted, error: deleteError } = await staleQuery.select('id');
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      return { saved: saved.length, deleted: deleted ? deleted.length : 0 };
+    } catch (error) {
+      console.error('Failed to save exercise sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the workouts that overlap a time window
+   * @param {Date} windowStart - Start of the window
+   * @param {Date} windowEnd - End of the window
+   * @returns {Promise<Array>} Exercise session records ordered by start time
+   */
+  async getSessionsForRange(windowStart, windowEnd) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', user.id)
+        .lt('start_time', windowEnd.toISOString())
+        .gt('end_time', windowStart.toISOString())
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Failed to get exercise sessions for range:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ExerciseSessionService();
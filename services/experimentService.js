@@ -0,0 +1,378 @@
+import { supabase } from './supabase';
+import insightsService from './insightsService';
+import { addDaysToDateString, getDaysBetweenDateStrings, getToday } from '../utils/dateHelpers';
+
+/**
+ * Service for personal N-of-1 experiments
+ * An experiment runs a habit at one expected value (phase A) and then another (phase B),
+ * and compares the chosen sleep metric between the two phases when it ends.
+ */
+
+class ExperimentService {
+  constructor() {
+    this.tableName = 'experiments';
+    this.DEFAULT_PHASE_DAYS = 14;
+  }
+
+  /**
+   * Get all experiments for a user, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getExperiments(userId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(`
+          *,
+          habits(id, name, type, unit)
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching experiments:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get active experiments keyed by habit ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data: { [habitId]: experiment }, error }
+   */
+  async getActiveExperimentsByHabit(userId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'active');
+
+      if (error) throw error;
+
+      const byHabit = {};
+      (data || []).forEach(experiment => {
+        byHabit[experiment.habit_id] = experiment;
+      });
+      return { success: true, data: byHabit };
+    } catch (error) {
+      console.error('Error fetching active experiments:', error);
+      return { success: false, data: {}, error: error.message };
+    }
+  }
+
+  /**
+   * Create and start a new experiment
+   * @param {string} userId - User ID
+   * @param {Object} experiment - { habit, name, sleepMetric, startDate, phaseA: {label, value, days}, phaseB: {label, value, days} }
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async createExperiment(userId, experiment) {
+    try {
+      const { habit, name, sleepMetric, startDate, phaseA, phaseB } = experiment;
+
+      if (!userId || !habit?.id || !name?.trim()) {
+        return { success: false, error: 'Please choose a habit and name the experiment' };
+      }
+      if (!phaseA?.label?.trim() || !phaseB?.label?.trim()) {
+        return { success: false, error: 'Both phases need a description' };
+      }
+
+      const valueA = this.parseExpectedValue(phaseA.value, habit);
+      const valueB = this.parseExpectedValue(phaseB.value, habit);
+      if (valueA === null || valueB === null) {
+        return { success: false, error: 'Both phases need a valid expected value' };
+      }
+      if (valueA === valueB) {
+        return { success: false, error: 'The two phases must have different expected values' };
+      }
+
+      const phaseADays = parseInt(phaseA.days, 10);
+      const phaseBDays = parseInt(phaseB.days, 10);
+      if (!(phaseADays > 0) || !(phaseBDays > 0)) {
+        return { success: false, error: 'Each phase must last at least one day' };
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert({
+          user_id: userId,
+          habit_id: habit.id,
+          name: name.trim(),
+          sleep_metric: sleepMetric || 'total_sleep_minutes',
+          start_date: startDate || getToday(),
+          phase_a_label: phaseA.label.trim(),
+          phase_a_value: String(phaseA.value).trim(),
+          phase_a_days: phaseADays,
+          phase_b_label: phaseB.label.trim(),
+          phase_b_value: String(phaseB.value).trim(),
+          phase_b_days: phaseBDays,
+          status: 'active',
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Unique index: only one active experiment per habit
+        if (error.code === '23505') {
+          return { success: false, error: `${habit.name} already has an active experiment` };
+        }
+        throw error;
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error creating experiment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel an active experiment without calculating results
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  async cancelExperiment(experimentId) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+        .eq('id', experimentId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error cancelling experiment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Calculate results for every active experiment whose last night has passed and mark it completed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, completed: number, error }
+   */
+  async completeFinishedExperiments(userId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(`
+          *,
+          habits(*)
+        `)
+        .eq('user_id', userId)
+        .eq('status', 'active');
+
+      if (error) throw error;
+
+      const today = getToday();
+      let completed = 0;
+
+      for (const experiment of data || []) {
+        // Wait until the sleep that follows the last phase day has been recorded
+        if (this.getLastSleepDate(experiment, experiment.habits) >= today) continue;
+
+        const results = await this.calculateResults(experiment, experiment.habits);
+        const { error: updateError } = await supabase
+          .from(this.tableName)
+          .update({
+            status: 'completed',
+            results,
+            completed_at: new Date().toISOString(),
+          })
+          .eq('id', experiment.id);
+
+        if (updateError) throw updateError;
+        completed++;
+      }
+
+      return { success: true, completed };
+    } catch (error) {
+      console.error('Error completing experiments:', error);
+      return { success: false, completed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Compare the sleep metric between phase A and phase B nights
+   * Nights are grouped by the phase they were scheduled in, whether or not the habit was
+   * followed; adherence is reported separately so off-protocol days are visible.
+   * @param {Object} experiment - Experiment row
+   * @param {Object} habit - Habit the experiment is run on
+   * @returns {Promise<Object>} Results with per-phase stats, adherence and significance
+   */
+  async calculateResults(experiment, habit) {
+    const startDate = new Date(experiment.start_date);
+    const endDate = new Date(this.getLastSleepDate(experiment, habit));
+
+    const habitData = habit.type === 'quick_consumption'
+      ? await insightsService.getDrugLevels(experiment.user_id, startDate, endDate)
+      : await insightsService.getHabitLogs(experiment.user_id, startDate, endDate);
+    const sleepData = await insightsService.getSleepData(experiment.user_id, startDate, endDate);
+
+    const logsByDate = {};
+    habitData
+      .filter(log => log.habit_id === habit.id)
+      .forEach(log => {
+        logsByDate[log.date] = log;
+      });
+
+    const sleepByDate = {};
+    sleepData.forEach(sleep => {
+      sleepByDate[sleep.date] = sleep;
+    });
+
+    const phases = {
+      A: { label: experiment.phase_a_label, expectedValue: experiment.phase_a_value, sleepValues: [], logged: 0, adherent: 0 },
+      B: { label: experiment.phase_b_label, expectedValue: experiment.phase_b_value, sleepValues: [], logged: 0, adherent: 0 },
+    };
+
+    const totalDays = experiment.phase_a_days + experiment.phase_b_days;
+    for (let offset = 0; offset < totalDays; offset++) {
+      const date = addDaysToDateString(experiment.start_date, offset);
+      const { phase } = this.getPhaseForDate(experiment, date);
+      const phaseData = phases[phase];
+
+      const log = logsByDate[date];
+      if (log) {
+        phaseData.logged++;
+        if (this.isAdherent(experiment, habit, insightsService.getHabitValue(log, habit), phase)) {
+          phaseData.adherent++;
+        }
+      }
+
+      const sleepDate = insightsService.getSleepDateForHabitData(habit, { date });
+      const sleepValue = sleepByDate[sleepDate]?.[experiment.sleep_metric];
+      if (sleepValue !== null && sleepValue !== undefined && !isNaN(sleepValue)) {
+        phaseData.sleepValues.push(sleepValue);
+      }
+    }
+
+    const summarizePhase = ({ sleepValues, ...phase }) => ({
+      ...phase,
+      nights: sleepValues.length,
+      stats: sleepValues.length > 0 ? insightsService.calculateBoxPlotStats(sleepValues) : null,
+    });
+
+    const hasComparison = phases.A.sleepValues.length >= 2 && phases.B.sleepValues.length >= 2;
+
+    return {
+      sleepMetric: experiment.sleep_metric,
+      phaseA: summarizePhase(phases.A),
+      phaseB: summarizePhase(phases.B),
+      // Positive differences mean the metric was higher during phase A
+      significance: hasComparison
+        ? insightsService.calculateBinarySignificance(phases.A.sleepValues, phases.B.sleepValues)
+        : null,
+      calculatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Work out which phase a date falls in
+   * @param {Object} experiment - Experiment row
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Object} { phase: 'A'|'B'|null, dayOfPhase, phaseDays, label, expectedValue }
+   */
+  getPhaseForDate(experiment, date) {
+    const offset = getDaysBetweenDateStrings(experiment.start_date, date);
+
+    if (offset < 0 || offset >= experiment.phase_a_days + experiment.phase_b_days) {
+      return { phase: null };
+    }
+
+    if (offset < experiment.phase_a_days) {
+      return {
+        phase: 'A',
+        dayOfPhase: offset + 1,
+        phaseDays: experiment.phase_a_days,
+        label: experiment.phase_a_label,
+        expectedValue: experiment.phase_a_value,
+      };
+    }
+
+    return {
+      phase: 'B',
+      dayOfPhase: offset - experiment.phase_a_days + 1,
+      phaseDays: experiment.phase_b_days,
+      label: experiment.phase_b_label,
+      expectedValue: experiment.phase_b_value,
+    };
+  }
+
+  /**
+   * Get the last habit day of an experiment
+   * @param {Object} experiment - Experiment row
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  getEndDate(experiment) {
+    return addDaysToDateString(experiment.start_date, experiment.phase_a_days + experiment.phase_b_days - 1);
+  }
+
+  /**
+   * Get the sleep date paired with the experiment's last habit day
+   * @param {Object} experiment - Experiment row
+   * @param {Object} habit - Habit the experiment is run on
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  getLastSleepDate(experiment, habit) {
+    return insightsService.getSleepDateForHabitData(habit, { date: this.getEndDate(experiment) });
+  }
+
+  /**
+   * Convert an expected value from the form or database into a number
+   * @param {string|number} value - 'yes'/'no' for binary habits, a number otherwise
+   * @param {Object} habit - Habit object
+   * @returns {number|null} Numeric value, or null if invalid
+   */
+  parseExpectedValue(value, habit) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    if (habit.type === 'binary') {
+      const normalized = String(value).trim().toLowerCase();
+      if (normalized === 'yes') return 1;
+      if (normalized === 'no') return 0;
+      return null;
+    }
+
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Check whether a logged value follows the phase's protocol
+   * A value counts as adherent when it is at least as close to this phase's expected value as to the other phase's.
+   * @param {Object} experiment - Experiment row
+   * @param {Object} habit - Habit object
+   * @param {number} loggedValue - Numeric habit value (see InsightsService.getHabitValue)
+   * @param {string} phase - 'A' or 'B'
+   * @returns {boolean} True if the value follows the protocol
+   */
+  isAdherent(experiment, habit, loggedValue, phase) {
+    if (loggedValue === null || loggedValue === undefined || isNaN(loggedValue)) return false;
+
+    const expected = this.parseExpectedValue(phase === 'A' ? experiment.phase_a_value : experiment.phase_b_value, habit);
+    const other = this.parseExpectedValue(phase === 'A' ? experiment.phase_b_value : experiment.phase_a_value, habit);
+    if (expected === null || other === null) return false;
+
+    return Math.abs(loggedValue - expected) <= Math.abs(loggedValue - other);
+  }
+
+  /**
+   * Format an expected value for display
+   * @param {string} value - Stored expected value
+   * @param {Object} habit - Habit object
+   * @returns {string} Display text, e.g. 'Yes' or '200 mg'
+   */
+  formatExpectedValue(value, habit) {
+    if (habit?.type === 'binary') {
+      return String(value).toLowerCase() === 'yes' ? 'Yes' : 'No';
+    }
+    return habit?.unit ? `${value} ${habit.unit}` : String(value);
+  }
+}
+
+export default new ExperimentService();
@@ -3,9 +3,52 @@ import {
   initialize,
   requestPermission,
   readRecords,
+  insertRecords,
+  deleteRecordsByUuids,
+  getChanges,
   getGrantedPermissions,
   getSdkStatus,
 } from 'react-native-health-connect';
+import { calculateSleepArchitecture } from '../utils/sleepArchitecture';
+import { getStartOfDay, getEndOfDay, toDateStringAt } from '../utils/timezone';
+import { getOvernightDateAt, getOvernightWindowStart } from '../utils/sleepSessions';
+import { isOvernightMetric } from '../constants/healthMetrics';
+import { HEALTH_CONNECT_EXERCISE_TYPES } from '../constants/exerciseTypes';
+
+// Health Connect record type behind each data type the app syncs
+const RECORD_TYPES = {
+  sleep: 'SleepSession',
+  steps: 'Steps',
+  active_energy: 'ActiveCaloriesBurned',
+  heart_rate_max: 'HeartRate',
+  heart_rate_resting: 'RestingHeartRate',
+  exercise_minutes: 'ExerciseSession',
+  distance_walking: 'Distance',
+  respiratory_rate: 'RespiratoryRate',
+  oxygen_saturation: 'OxygenSaturation',
+  hrv: 'HeartRateVariabilityRmssd',
+  body_temperature: 'BodyTemperature',
+  weight: 'Weight',
+};
+
+/**
+ * Read every record in a time range, following the page tokens
+ * readRecords returns one page at a time (1000 records by default), so a long range of steps would
+ * otherwise be cut short and look like days without data.
+ * @param {string} recordType - Health Connect record type
+ * @param {Object} options - readRecords options, e.g. { timeRangeFilter }
+ * @returns {Promise<Array>} All records
+ */
+const readAllRecords = async (recordType, options) => {
+  const records = [];
+  let pageToken;
+  do {
+    const page = await readRecords(recordType, { ...options, ...(pageToken && { pageToken }) });
+    records.push(...page.records);
+    pageToken = page.pageToken;
+  } while (pageToken);
+  return records;
+};
 
 /**
  * Android Health Connect service implementation
@@ -30,6 +73,15 @@ class HealthConnectService {
       { accessType: 'read', recordType: 'Height' },
       { accessType: 'read', recordType: 'BodyFat' },
       { accessType: 'read', recordType: 'RestingHeartRate' },
+      { accessType: 'read', recordType: 'HeartRateVariabilityRmssd' },
+      // Caffeine logged in nutrition apps, imported as consumption events
+      { accessType: 'read', recordType: 'Nutrition' },
+      // Lets the background sync task read while the app isn't in the foreground
+      { accessType: 'read', recordType: 'BackgroundAccessPermission' },
+    ];
+    // Only requested once the user turns on saving caffeine to Health Connect
+    this.writePermissions = [
+      { accessType: 'write', recordType: 'Nutrition' },
     ];
   }
 
@@ -103,9 +155,11 @@ class HealthConnectService {
 
   /**
    * Request permissions for reading health data
+   * @param {Object} [options] - Options object
+   * @param {boolean} [options.write] - Also ask to write the records the app saves back
    * @returns {Promise<boolean>} True if permissions granted
    */
-  async requestPermissions() {
+  async requestPermissions({ write = false } = {}) {
     try {
       if (!this.isInitialized) {
         const initSuccess = await this.initialize();
@@ -114,7 +168,9 @@ class HealthConnectService {
         }
       }
 
-      const grantedPermissions = await requestPermission(this.permissions);
+      const grantedPermissions = await requestPermission(
+        write ? [...this.permissions, ...this.writePermissions] : this.permissions
+      );
 
       // Check if we got the essential sleep permission
       let hasSleepPermission = false;
@@ -199,7 +255,7 @@ class HealthConnectService {
    * @param {Object} options - Options object
    * @param {string} options.startDate - Start date in YYYY-MM-DD format
    * @param {string} options.endDate - End date in YYYY-MM-DD format
-   * @returns {Promise<Array>} Array of sleep data objects
+   * @returns {Promise<Array>} Array of sleep session objects (merged into nights by the sync service)
    */
   async syncSleepData({ startDate, endDate }) {
     try {
@@ -207,12 +263,10 @@ class HealthConnectService {
         throw new Error('Health Connect not initialized or permissions not granted');
       }
 
-      const startTime = new Date(startDate).toISOString();
-      const endTime = new Date(endDate);
-      endTime.setHours(23, 59, 59, 999); // End of the end date
-      const endTimeString = endTime.toISOString();
+      const startTime = getStartOfDay(startDate).toISOString();
+      const endTimeString = getEndOfDay(endDate).toISOString(); // End of the end date
 
-      const { records } = await readRecords('SleepSession', {
+      const records = await readAllRecords('SleepSession', {
         timeRangeFilter: {
           operator: 'between',
           startTime: startTime,
@@ -255,7 +309,7 @@ class HealthConnectService {
       //     { stage: 5, startTime: '...', endTime: '...' }, // Deep sleep
       //     { stage: 6, startTime: '...', endTime: '...' }, // REM sleep
       //   ],
-      //   metadata: { ... }
+      //   metadata: { dataOrigin: 'com.fitbit.FitbitMobile', ... } // App that recorded the session
       // }
 
       if (!rawData) {
@@ -271,9 +325,9 @@ class HealthConnectService {
       }
 
       // Calculate date (sleep date is the morning after, so if sleep ends at 6:30 AM on Jan 2,
-      // the sleep date is Jan 2)
+      // the sleep date is Jan 2 in the zone the user was in)
       const endDate = new Date(rawData.endTime);
-      const sleepDate = endDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+      const sleepDate = toDateStringAt(endDate); // YYYY-MM-DD format
 
       // Calculate total sleep duration in minutes
       const startTime = new Date(rawData.startTime);
@@ -330,6 +384,9 @@ class HealthConnectService {
                 stageType = 'light';
               }
               break;
+            case 3: // Out of bed - excluded from time in bed, counts as wake after sleep onset
+              stageType = 'out_of_bed';
+              break;
           }
 
           // Add to intervals array if we have a valid stage type
@@ -344,13 +401,16 @@ class HealthConnectService {
         });
       }
 
+      // With stage intervals, total sleep is time actually asleep rather than session length
+      const architecture = calculateSleepArchitecture(sleepStages, rawData.startTime, rawData.endTime);
+
       // Health Connect doesn't provide sleep scores in the standard API
       // This would need to be calculated or come from device-specific data
       const sleepScore = null;
 
       return {
         date: sleepDate,
-        total_sleep_minutes: totalSleepMinutes,
+        total_sleep_minutes: architecture ? architecture.total_sleep_minutes : totalSleepMinutes,
         deep_sleep_minutes: deepSleepMinutes,
         light_sleep_minutes: lightSleepMinutes,
         rem_sleep_minutes: remSleepMinutes,
@@ -358,9 +418,17 @@ class HealthConnectService {
         awakenings_count: awakeningsCount,
         sleep_score: sleepScore,
         source: 'health_connect',
+        data_origin: rawData.metadata?.dataOrigin || null, // Package name of the app that recorded the session
+        data_origin_name: null,
+        external_ids: rawData.metadata?.id ? [rawData.metadata.id] : [],
         sleep_stages: sleepStages.length > 0 ? sleepStages : null, // Include stage intervals
         sleep_start_time: rawData.startTime, // Include actual sleep session start time
         sleep_end_time: rawData.endTime, // Include actual sleep session end time
+        time_in_bed_minutes: architecture ? architecture.time_in_bed_minutes : null,
+        sleep_efficiency: architecture ? architecture.sleep_efficiency : null,
+        sleep_latency_minutes: architecture ? architecture.sleep_latency_minutes : null,
+        waso_minutes: architecture ? architecture.waso_minutes : null,
+        longest_sleep_bout_minutes: architecture ? architecture.longest_sleep_bout_minutes : null,
       };
     } catch (error) {
       console.error('Health Connect data transformation failed:', error);
@@ -391,6 +459,7 @@ class HealthConnectService {
    * @param {string} options.endDate - End date in YYYY-MM-DD format
    * @param {Array} options.metrics - Array of metric keys to fetch
    * @returns {Promise<Object>} Object with metrics data
+   * @throws {Error} If any of the metrics can't be read
    */
   async syncHealthMetrics({ startDate, endDate, metrics = ['steps', 'active_energy', 'heart_rate_max', 'heart_rate_resting'] }) {
     try {
@@ -398,22 +467,22 @@ class HealthConnectService {
         throw new Error('Health Connect not initialized or permissions not granted');
       }
 
-      const startTime = new Date(startDate).toISOString();
-      const endTime = new Date(endDate);
-      endTime.setHours(23, 59, 59, 999); // End of the end date
-      const endTimeString = endTime.toISOString();
+      const startTime = getStartOfDay(startDate).toISOString();
+      const endTimeString = getEndOfDay(endDate).toISOString(); // End of the end date
 
 
       const results = {};
 
+      // A failed read throws rather than coming back empty, which would look like days without data
       for (const metric of metrics) {
-        try {
-          const data = await this.fetchHealthMetric(metric, startTime, endTimeString);
-          results[metric] = data;
-        } catch (error) {
-          console.error(`Error fetching ${metric}:`, error);
-          results[metric] = [];
+        if (isOvernightMetric(metric)) {
+          // The first night starts the evening before; the last evening belongs to the night after
+          const data = await this.fetchHealthMetric(metric, getOvernightWindowStart(startDate).toISOString(), endTimeString);
+          results[metric] = data.filter(dataPoint => dataPoint.date >= startDate && dataPoint.date <= endDate);
+          continue;
         }
+
+        results[metric] = await this.fetchHealthMetric(metric, startTime, endTimeString);
       }
 
       return results;
@@ -423,6 +492,143 @@ class HealthConnectService {
     }
   }
 
+  /**
+   * Read the exercise sessions that started within a date range
+   * @param {Object} options - Options object
+   * @param {string} options.startDate - Start date in YYYY-MM-DD format
+   * @param {string} options.endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Rows for the exercise_sessions table
+   */
+  async syncExerciseSessions({ startDate, endDate }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('Health Connect not initialized or permissions not granted');
+    }
+
+    const records = await readAllRecords('ExerciseSession', {
+      timeRangeFilter: {
+        operator: 'between',
+        startTime: getStartOfDay(startDate).toISOString(),
+        endTime: getEndOfDay(endDate).toISOString(),
+      },
+    });
+
+    return records
+      .filter(record => record.metadata?.id && record.startTime && record.endTime)
+      .map(record => ({
+        source: 'health_connect',
+        external_id: record.metadata.id,
+        exercise_type: HEALTH_CONNECT_EXERCISE_TYPES[record.exerciseType] || 'other',
+        platform_exercise_type: record.exerciseType ?? null,
+        title: record.title || null,
+        start_time: record.startTime,
+        end_time: record.endTime,
+        duration_minutes: Math.round((new Date(record.endTime) - new Date(record.startTime)) / (1000 * 60)),
+        energy_kcal: null, // Health Connect keeps calories in separate records
+        data_origin: record.metadata.dataOrigin || '',
+      }))
+      .filter(session => session.duration_minutes > 0);
+  }
+
+  /**
+   * Write a logged drink to Health Connect
+   * Caffeine is saved as a Nutrition record; Health Connect has no field for alcohol.
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {number} options.amount - Caffeine in mg, or alcohol in standard drinks
+   * @param {Date} options.consumedAt - When it was consumed
+   * @returns {Promise<string|null>} The record id, or null if the type isn't supported
+   */
+  async writeConsumption({ type, amount, consumedAt }) {
+    if (type !== 'caffeine') {
+      return null;
+    }
+
+    // Nutrition records need an end after their start
+    const [recordId] = await insertRecords([
+      {
+        recordType: 'Nutrition',
+        startTime: consumedAt.toISOString(),
+        endTime: new Date(consumedAt.getTime() + 60 * 1000).toISOString(),
+        caffeine: { value: amount, unit: 'milligrams' },
+      },
+    ]);
+    return recordId || null;
+  }
+
+  /**
+   * Delete a record written by writeConsumption()
+   * @param {string} recordId - Health Connect record id
+   * @returns {Promise<void>}
+   */
+  async deleteConsumptionRecord(recordId) {
+    await deleteRecordsByUuids('Nutrition', [recordId], []);
+  }
+
+  /**
+   * Read drinks logged in other apps
+   * Caffeine comes from Nutrition records; Health Connect has no field for alcohol.
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ id, consumedAt, amount, dataOrigin }] in time order, amounts in mg
+   */
+  async getConsumptionRecords({ type, startTime, endTime }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('Health Connect not initialized or permissions not granted');
+    }
+    if (type !== 'caffeine') {
+      return [];
+    }
+
+    const records = await readAllRecords('Nutrition', {
+      timeRangeFilter: {
+        operator: 'between',
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+      },
+    });
+
+    // Most Nutrition records are meals without caffeine
+    return records
+      .filter(record => record.metadata?.id && record.startTime && record.caffeine?.inMilligrams > 0)
+      .map(record => ({
+        id: record.metadata.id,
+        consumedAt: new Date(record.startTime).toISOString(),
+        amount: record.caffeine.inMilligrams,
+        dataOrigin: record.metadata.dataOrigin || '',
+      }))
+      .sort((a, b) => a.consumedAt.localeCompare(b.consumedAt));
+  }
+
+  /**
+   * Read individual heart rate samples, e.g. across a night
+   * @param {Object} options - Options object
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ time, bpm }] in time order
+   */
+  async getHeartRateSamples({ startTime, endTime }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('Health Connect not initialized or permissions not granted');
+    }
+
+    const records = await readAllRecords('HeartRate', {
+      timeRangeFilter: {
+        operator: 'between',
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+      },
+    });
+
+    // Each record holds a series of samples, e.g. one per few seconds of a watch reading
+    return records
+      .flatMap(record => record.samples || [])
+      .filter(sample => sample.time && sample.beatsPerMinute > 0)
+      .map(sample => ({ time: new Date(sample.time).toISOString(), bpm: sample.beatsPerMinute }))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+
   /**
    * Fetch a specific health metric
    * @param {string} metric - Metric key (e.g., 'steps', 'active_energy')
@@ -431,118 +637,196 @@ class HealthConnectService {
    * @returns {Promise<Array>} Array of {date, value} objects
    */
   async fetchHealthMetric(metric, startTime, endTime) {
-    const metricMappings = {
-      steps: 'Steps',
-      active_energy: 'ActiveCaloriesBurned',
-      heart_rate_max: 'HeartRate',
-      heart_rate_resting: 'RestingHeartRate',
-      exercise_minutes: 'ExerciseSession',
-      distance_walking: 'Distance'
-    };
-
-    const recordType = metricMappings[metric];
-    if (!recordType) {
+    const recordType = RECORD_TYPES[metric];
+    if (!recordType || metric === 'sleep') {
       console.warn(`Unknown metric: ${metric}`);
       return [];
     }
 
-    try {
-      const { records } = await readRecords(recordType, {
-        timeRangeFilter: {
-          operator: 'between',
-          startTime: startTime,
-          endTime: endTime,
-        },
-      });
+    const records = await readAllRecords(recordType, {
+      timeRangeFilter: {
+        operator: 'between',
+        startTime: startTime,
+        endTime: endTime,
+      },
+    });
 
 
-      // Aggregate by date
-      const dailyData = {};
+    // Aggregate by date, in time order so the latest weight of a day comes last
+    const dailyData = {};
+    const overnight = isOvernightMetric(metric);
+    const recordTime = record => new Date(record.startTime || record.time).getTime();
 
-      records.forEach(record => {
-        const recordDate = new Date(record.startTime || record.time).toISOString().split('T')[0];
+    [...records].sort((a, b) => recordTime(a) - recordTime(b)).forEach(record => {
+      const recordDate = overnight
+        ? getOvernightDateAt(record.startTime || record.time)
+        : toDateStringAt(record.startTime || record.time);
+      if (!recordDate) return; // Daytime reading of an overnight metric
 
-        if (!dailyData[recordDate]) {
-          dailyData[recordDate] = [];
-        }
+      if (!dailyData[recordDate]) {
+        dailyData[recordDate] = [];
+      }
 
-        // Extract value based on metric type
-        let value = null;
-
-        switch (metric) {
-          case 'steps':
-          case 'active_energy':
-            value = record.count || record.energy || 0;
-            break;
-          case 'heart_rate_max':
-          case 'heart_rate_resting':
-            // For heart rate, we'll take the max/resting value
-            if (record.samples && record.samples.length > 0) {
-              if (metric === 'heart_rate_max') {
-                value = Math.max(...record.samples.map(s => s.beatsPerMinute || 0));
-              } else {
-                // For resting heart rate, take average
-                const validSamples = record.samples.filter(s => s.beatsPerMinute > 0);
-                if (validSamples.length > 0) {
-                  value = validSamples.reduce((sum, s) => sum + s.beatsPerMinute, 0) / validSamples.length;
-                }
+      // Extract value based on metric type
+      let value = null;
+
+      switch (metric) {
+        case 'steps':
+        case 'active_energy':
+          value = record.count || record.energy || 0;
+          break;
+        case 'heart_rate_max':
+        case 'heart_rate_resting':
+          // For heart rate, we'll take the max/resting value
+          if (record.samples && record.samples.length > 0) {
+            if (metric === 'heart_rate_max') {
+              value = Math.max(...record.samples.map(s => s.beatsPerMinute || 0));
+            } else {
+              // For resting heart rate, take average
+              const validSamples = record.samples.filter(s => s.beatsPerMinute > 0);
+              if (validSamples.length > 0) {
+                value = validSamples.reduce((sum, s) => sum + s.beatsPerMinute, 0) / validSamples.length;
               }
             }
-            break;
-          case 'exercise_minutes':
-            if (record.startTime && record.endTime) {
-              const duration = new Date(record.endTime) - new Date(record.startTime);
-              value = Math.round(duration / (1000 * 60)); // Convert to minutes
-            }
-            break;
-          case 'distance_walking':
-            value = record.distance?.inMeters || 0;
-            // Convert meters to kilometers
-            value = value / 1000;
-            break;
-        }
+          }
+          break;
+        case 'exercise_minutes':
+          if (record.startTime && record.endTime) {
+            const duration = new Date(record.endTime) - new Date(record.startTime);
+            value = Math.round(duration / (1000 * 60)); // Convert to minutes
+          }
+          break;
+        case 'distance_walking':
+          value = record.distance?.inMeters || 0;
+          // Convert meters to kilometers
+          value = value / 1000;
+          break;
+        case 'respiratory_rate':
+          value = record.rate ?? null;
+          break;
+        case 'oxygen_saturation':
+          value = record.percentage ?? null;
+          break;
+        case 'hrv':
+          value = record.heartRateVariabilityMillis ?? null;
+          break;
+        case 'body_temperature':
+          value = record.temperature?.inCelsius ?? null;
+          break;
+        case 'weight':
+          value = record.weight?.inKilograms ?? null;
+          break;
+      }
 
-        if (value !== null && value > 0) {
-          dailyData[recordDate].push(value);
-        }
-      });
+      if (value !== null && value > 0) {
+        dailyData[recordDate].push(value);
+      }
+    });
+
+    // Aggregate daily values
+    const aggregatedData = [];
+    for (const [date, values] of Object.entries(dailyData)) {
+      let finalValue = 0;
+
+      switch (metric) {
+        case 'steps':
+        case 'active_energy':
+        case 'distance_walking':
+          // Sum for cumulative metrics
+          finalValue = values.reduce((sum, val) => sum + val, 0);
+          break;
+        case 'heart_rate_max':
+          // Max for heart rate
+          finalValue = Math.max(...values);
+          break;
+        case 'heart_rate_resting':
+        case 'exercise_minutes':
+        case 'respiratory_rate':
+        case 'oxygen_saturation':
+        case 'hrv':
+        case 'body_temperature':
+          // Average for resting and overnight metrics
+          finalValue = values.reduce((sum, val) => sum + val, 0) / values.length;
+          break;
+        case 'weight':
+          // Latest reading of the day
+          finalValue = values[values.length - 1];
+          break;
+      }
 
-      // Aggregate daily values
-      const aggregatedData = [];
-      for (const [date, values] of Object.entries(dailyData)) {
-        let finalValue = 0;
-
-        switch (metric) {
-          case 'steps':
-          case 'active_energy':
-          case 'distance_walking':
-            // Sum for cumulative metrics
-            finalValue = values.reduce((sum, val) => sum + val, 0);
-            break;
-          case 'heart_rate_max':
-            // Max for heart rate
-            finalValue = Math.max(...values);
-            break;
-          case 'heart_rate_resting':
-          case 'exercise_minutes':
-            // Average for resting metrics
-            finalValue = values.reduce((sum, val) => sum + val, 0) / values.length;
-            break;
-        }
+      if (finalValue > 0) {
+        aggregatedData.push({
+          date,
+          value: Math.round(finalValue * 100) / 100 // Round to 2 decimal places
+        });
+      }
+    }
 
-        if (finalValue > 0) {
-          aggregatedData.push({
-            date,
-            value: Math.round(finalValue * 100) / 100 // Round to 2 decimal places
-          });
-        }
+    return aggregatedData;
+  }
+
+  /**
+   * Start a changes token for a data type
+   * Reading changes without a token creates one at the current position, with nothing to report yet.
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @returns {Promise<string>} Token to pass to getChanges() next time
+   */
+  async getChangesToken(dataType) {
+    const recordType = RECORD_TYPES[dataType];
+    if (!recordType) {
+      throw new Error(`Unknown data type: ${dataType}`);
+    }
+
+    const { nextChangesToken } = await getChanges({ recordTypes: [recordType] });
+    return nextChangesToken;
+  }
+
+  /**
+   * Read every change to a data type since a changes token
+   * Tokens expire after 30 days without use; the caller then falls back to reading a date window.
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @param {string} changesToken - Token from getChangesToken() or a previous getChanges()
+   * @returns {Promise<Object>} { upserted: [{ id, startTime, endTime }], deletedIds, nextToken, tokenExpired }
+   */
+  async getChanges(dataType, changesToken) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('Health Connect not initialized or permissions not granted');
+    }
+    if (!RECORD_TYPES[dataType]) {
+      throw new Error(`Unknown data type: ${dataType}`);
+    }
+
+    const upserted = [];
+    const deletedIds = [];
+    let token = changesToken;
+    let hasMore = true;
+
+    // Changes come in pages; keep reading until the token is current
+    while (hasMore) {
+      const result = await getChanges({ changesToken: token });
+
+      if (result.changesTokenExpired) {
+        return { upserted: [], deletedIds: [], nextToken: null, tokenExpired: true };
       }
 
-      return aggregatedData;
-    } catch (error) {
-      console.error(`Error fetching ${metric}:`, error);
-      return [];
+      (result.upsertionChanges || []).forEach(change => {
+        const record = change.record;
+        if (!record) return;
+        upserted.push({
+          id: record.metadata?.id || null,
+          startTime: record.startTime || record.time,
+          endTime: record.endTime || record.time,
+        });
+      });
+      (result.deletionChanges || []).forEach(change => {
+        if (change.recordId) deletedIds.push(change.recordId);
+      });
+
+      token = result.nextChangesToken;
+      hasMore = result.hasMore;
     }
+
+    return { upserted, deletedIds, nextToken: token, tokenExpired: false };
   }
 
   /**
@@ -5,11 +5,80 @@ import {
   queryQuantitySamples,
   getMostRecentCategorySample,
   queryCategorySamples,
+  queryQuantitySamplesWithAnchor,
+  queryCategorySamplesWithAnchor,
+  queryWorkoutSamples,
+  saveQuantitySample,
+  deleteObjects,
   HKQuantityTypeIdentifier,
   HKCategoryTypeIdentifier,
-  HKCategoryValueSleepAnalysis,
   useHealthkitAuthorization,
 } from '@kingstinct/react-native-healthkit';
+import { calculateSleepArchitecture } from '../utils/sleepArchitecture';
+import { getStartOfDay, getEndOfDay, toDateStringAt } from '../utils/timezone';
+import { getOvernightDateAt, getOvernightWindowStart } from '../utils/sleepSessions';
+import { isOvernightMetric } from '../constants/healthMetrics';
+import { HEALTHKIT_WORKOUT_TYPES } from '../constants/exerciseTypes';
+
+// Samples further apart than this belong to separate sleep sessions (e.g. a nap and the night)
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Bundle identifier prefix of samples written by the iPhone and Apple Watch themselves
+const APPLE_HEALTH_ORIGIN = 'com.apple.health';
+
+// HKCategoryValueSleepAnalysis raw values; Core, Deep and REM are written from iOS 16 onwards
+const SLEEP_ANALYSIS_VALUES = {
+  InBed: 0,
+  AsleepUnspecified: 1, // Also the pre-iOS 16 "Asleep"
+  Awake: 2,
+  AsleepCore: 3,
+  AsleepDeep: 4,
+  AsleepREM: 5,
+};
+
+const SAMPLE_STAGE_TYPES = {
+  [SLEEP_ANALYSIS_VALUES.AsleepUnspecified]: 'light',
+  [SLEEP_ANALYSIS_VALUES.Awake]: 'awake',
+  [SLEEP_ANALYSIS_VALUES.AsleepCore]: 'light',
+  [SLEEP_ANALYSIS_VALUES.AsleepDeep]: 'deep',
+  [SLEEP_ANALYSIS_VALUES.AsleepREM]: 'rem',
+};
+
+// Where samples overlap, the more specific value wins: stages (and awake) over plain asleep over in bed
+const STAGED_PRIORITY = 3;
+const SAMPLE_PRIORITY = {
+  [SLEEP_ANALYSIS_VALUES.InBed]: 1,
+  [SLEEP_ANALYSIS_VALUES.AsleepUnspecified]: 2,
+  [SLEEP_ANALYSIS_VALUES.Awake]: STAGED_PRIORITY,
+  [SLEEP_ANALYSIS_VALUES.AsleepCore]: STAGED_PRIORITY,
+  [SLEEP_ANALYSIS_VALUES.AsleepDeep]: STAGED_PRIORITY,
+  [SLEEP_ANALYSIS_VALUES.AsleepREM]: STAGED_PRIORITY,
+};
+
+// HealthKit sample type behind each data type the app syncs
+const SAMPLE_TYPES = {
+  sleep: HKCategoryTypeIdentifier.sleepAnalysis,
+  steps: HKQuantityTypeIdentifier.stepCount,
+  active_energy: HKQuantityTypeIdentifier.activeEnergyBurned,
+  heart_rate_max: HKQuantityTypeIdentifier.heartRate,
+  heart_rate_resting: HKQuantityTypeIdentifier.restingHeartRate,
+  exercise_minutes: HKQuantityTypeIdentifier.appleExerciseTime,
+  distance_walking: HKQuantityTypeIdentifier.distanceWalkingRunning,
+  respiratory_rate: HKQuantityTypeIdentifier.respiratoryRate,
+  oxygen_saturation: HKQuantityTypeIdentifier.oxygenSaturation,
+  hrv: HKQuantityTypeIdentifier.heartRateVariabilitySDNN,
+  body_temperature: HKQuantityTypeIdentifier.bodyTemperature,
+  weight: HKQuantityTypeIdentifier.bodyMass,
+};
+
+// Units to read in where the user's preferred unit could differ from what the habit stores
+const SAMPLE_UNITS = {
+  respiratory_rate: 'count/min',
+  oxygen_saturation: '%', // HealthKit percentages are fractions (0.97)
+  hrv: 'ms',
+  body_temperature: 'degC',
+  weight: 'kg',
+};
 
 /**
  * iOS HealthKit service implementation
@@ -57,6 +126,15 @@ class HealthKitService {
       HKCategoryTypeIdentifier.sleepAnalysis,
       HKCategoryTypeIdentifier.mindfulSession,
       HKQuantityTypeIdentifier.heartRateVariabilitySDNN,
+      'HKWorkoutTypeIdentifier',
+      // Drinks logged in other apps, imported as consumption events
+      HKQuantityTypeIdentifier.dietaryCaffeine,
+      HKQuantityTypeIdentifier.numberOfAlcoholicBeverages,
+    ];
+    // Only requested once the user turns on saving caffeine and alcohol to Apple Health
+    this.writePermissions = [
+      HKQuantityTypeIdentifier.dietaryCaffeine,
+      HKQuantityTypeIdentifier.numberOfAlcoholicBeverages,
     ];
   }
 
@@ -91,9 +169,11 @@ class HealthKitService {
 
   /**
    * Request permissions for reading health data
+   * @param {Object} [options] - Options object
+   * @param {boolean} [options.write] - Also ask to write the samples the app saves back
    * @returns {Promise<boolean>} True if permissions granted
    */
-  async requestPermissions() {
+  async requestPermissions({ write = false } = {}) {
     try {
       if (!this.isInitialized) {
         const initSuccess = await this.initialize();
@@ -102,7 +182,7 @@ class HealthKitService {
         }
       }
 
-      await requestAuthorization(this.readPermissions, []);
+      await requestAuthorization(this.readPermissions, write ? this.writePermissions : []);
       // If we reach here without throwing, permissions were granted
       return true;
     } catch (error) {
@@ -143,7 +223,7 @@ class HealthKitService {
    * @param {Object} options - Options object
    * @param {string} options.startDate - Start date in YYYY-MM-DD format
    * @param {string} options.endDate - End date in YYYY-MM-DD format
-   * @returns {Promise<Array>} Array of sleep data objects
+   * @returns {Promise<Array>} Array of sleep session objects (merged into nights by the sync service)
    */
   async syncSleepData({ startDate, endDate }) {
     try {
@@ -151,10 +231,8 @@ class HealthKitService {
         throw new Error('HealthKit not initialized or permissions not granted');
       }
 
-      const startTime = new Date(startDate);
-      startTime.setHours(0, 0, 0, 0);
-      const endTime = new Date(endDate);
-      endTime.setHours(23, 59, 59, 999);
+      const startTime = getStartOfDay(startDate);
+      const endTime = getEndOfDay(endDate);
 
       // Query sleep analysis samples
       const sleepSamples = await queryCategorySamples(HKCategoryTypeIdentifier.sleepAnalysis, {
@@ -162,25 +240,41 @@ class HealthKitService {
         to: endTime,
       });
 
-      // Group samples by date (sleep date is the date when sleep ends)
-      const sleepDataByDate = {};
-
-      sleepSamples.forEach(sample => {
-        const sleepEndDate = new Date(sample.endDate);
-        const dateKey = sleepEndDate.toISOString().split('T')[0]; // YYYY-MM-DD
-
-        if (!sleepDataByDate[dateKey]) {
-          sleepDataByDate[dateKey] = [];
+      // HealthKit has no session records, so group overlapping or adjacent samples into sessions,
+      // separately for each app; the sync service picks between apps that recorded the same sleep
+      const sortedSamples = [...sleepSamples].sort(
+        (a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime()
+      );
+      const lastSessionByOrigin = {};
+      const sessions = [];
+
+      sortedSamples.forEach(sample => {
+        const origin = this.getSampleOrigin(sample);
+        const session = lastSessionByOrigin[origin.id];
+        const sampleStart = new Date(sample.startDate);
+        if (session && sampleStart.getTime() - session.end.getTime() <= SESSION_GAP_MS) {
+          session.samples.push(sample);
+          const sampleEnd = new Date(sample.endDate);
+          if (sampleEnd > session.end) session.end = sampleEnd;
+        } else {
+          const newSession = { origin, samples: [sample], end: new Date(sample.endDate) };
+          lastSessionByOrigin[origin.id] = newSession;
+          sessions.push(newSession);
         }
-        sleepDataByDate[dateKey].push(sample);
       });
 
-      // Transform each date's sleep data
+      // Transform each session (sleep date is the date when the session ends)
       const transformedData = [];
-      for (const [dateKey, samples] of Object.entries(sleepDataByDate)) {
-        const transformed = this.transformSleepDataForDate(dateKey, samples);
+      for (const session of sessions) {
+        const dateKey = toDateStringAt(session.end);
+        const transformed = this.transformSleepDataForDate(dateKey, session.samples);
         if (transformed) {
-          transformedData.push(transformed);
+          transformedData.push({
+            ...transformed,
+            data_origin: session.origin.id,
+            data_origin_name: session.origin.name,
+            external_ids: session.samples.map(sample => sample.uuid).filter(Boolean),
+          });
         }
       }
 
@@ -192,9 +286,85 @@ class HealthKitService {
   }
 
   /**
-   * Transform HealthKit sleep data for a specific date
-   * @param {string} dateKey - Date in YYYY-MM-DD format
-   * @param {Array} samples - Array of sleep analysis samples for that date
+   * Identify the app that wrote a sample
+   * The iPhone and Apple Watch are one origin, Apple Health, since their samples complement each
+   * other within a night (see resolveSampleTimeline); other apps are told apart by bundle identifier.
+   * @param {Object} sample - Sleep analysis sample
+   * @returns {Object} { id, name } where name is null for Apple Health
+   */
+  getSampleOrigin(sample) {
+    const source = sample.sourceRevision?.source;
+    const bundleIdentifier = source?.bundleIdentifier || '';
+
+    if (!bundleIdentifier || bundleIdentifier.startsWith(APPLE_HEALTH_ORIGIN)) {
+      return { id: APPLE_HEALTH_ORIGIN, name: null };
+    }
+    return { id: bundleIdentifier, name: source?.name || null };
+  }
+
+  /**
+   * Resolve the samples of one session into a single non-overlapping timeline
+   * iPhone and Apple Watch both write sleep samples, so the same minutes are often covered twice
+   * (e.g. the phone's "in bed" or "asleep" under the watch's stages). Each stretch of time takes
+   * the most specific value covering it; when two sources disagree at the same level, the source
+   * with the most staged sleep in the session wins.
+   * @param {Array} samples - Sleep analysis samples
+   * @returns {Array} Intervals { value, start, end } sorted by start, adjacent equal values merged
+   */
+  resolveSampleTimeline(samples) {
+    const entries = samples
+      .map(sample => ({
+        value: sample.value,
+        start: new Date(sample.startDate),
+        end: new Date(sample.endDate),
+        sourceId: sample.sourceRevision?.source?.bundleIdentifier || sample.sourceRevision?.source?.name || 'unknown',
+      }))
+      .filter(entry => SAMPLE_PRIORITY[entry.value] !== undefined && entry.end > entry.start);
+
+    const stagedMinutesBySource = {};
+    entries.forEach(entry => {
+      if (SAMPLE_PRIORITY[entry.value] === STAGED_PRIORITY) {
+        stagedMinutesBySource[entry.sourceId] =
+          (stagedMinutesBySource[entry.sourceId] || 0) + (entry.end - entry.start) / (1000 * 60);
+      }
+    });
+    const preferredSource = Object.keys(stagedMinutesBySource)
+      .sort((a, b) => stagedMinutesBySource[b] - stagedMinutesBySource[a])[0];
+
+    const boundaries = [...new Set(entries.flatMap(entry => [entry.start.getTime(), entry.end.getTime()]))]
+      .sort((a, b) => a - b);
+
+    const timeline = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const start = boundaries[i];
+      const end = boundaries[i + 1];
+      const covering = entries.filter(entry => entry.start.getTime() <= start && entry.end.getTime() >= end);
+      if (covering.length === 0) continue;
+
+      const winner = covering.reduce((best, entry) => {
+        const priority = SAMPLE_PRIORITY[entry.value];
+        const bestPriority = SAMPLE_PRIORITY[best.value];
+        if (priority !== bestPriority) return priority > bestPriority ? entry : best;
+        return entry.sourceId === preferredSource && best.sourceId !== preferredSource ? entry : best;
+      });
+
+      const previous = timeline[timeline.length - 1];
+      if (previous && previous.value === winner.value && previous.end.getTime() === start) {
+        previous.end = new Date(end);
+      } else {
+        timeline.push({ value: winner.value, start: new Date(start), end: new Date(end) });
+      }
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Transform the HealthKit samples of one sleep session
+   * Stage intervals use the same format as Health Connect: { stage, startTime, endTime, durationMinutes }.
+   * Core and unspecified sleep become 'light', as Health Connect's general sleep does.
+   * @param {string} dateKey - Date the session ended in YYYY-MM-DD format
+   * @param {Array} samples - Array of sleep analysis samples in the session
    * @returns {Object} Transformed data matching sleep_data table schema
    */
   transformSleepDataForDate(dateKey, samples) {
@@ -203,62 +373,62 @@ class HealthKitService {
         return null;
       }
 
-      // HealthKit sleep analysis categories:
-      // 0: HKCategoryValueSleepAnalysisAsleep (asleep)
-      // 1: HKCategoryValueSleepAnalysisInBed (in bed)
-      // 2: HKCategoryValueSleepAnalysisAwake (awake)
+      const timeline = this.resolveSampleTimeline(samples);
+      if (timeline.length === 0) {
+        return null;
+      }
+
+      const minutesOf = (interval) => Math.round((interval.end - interval.start) / (1000 * 60));
 
-      let totalSleepMinutes = 0;
+      let deepSleepMinutes = 0;
+      let lightSleepMinutes = 0;
+      let remSleepMinutes = 0;
       let awakeMinutes = 0;
       let awakeningsCount = 0;
-      let inBedStart = null;
-      let inBedEnd = null;
-
-      // Track awake periods for awakenings count
-      let lastAwakeStart = null;
-
-      samples.forEach(sample => {
-        const startTime = new Date(sample.startDate);
-        const endTime = new Date(sample.endDate);
-        const durationMs = endTime.getTime() - startTime.getTime();
-        const durationMinutes = Math.round(durationMs / (1000 * 60));
-
-        switch (sample.value) {
-          case HKCategoryValueSleepAnalysis.InBed:
-            // In bed time (includes awake time in bed)
-            if (!inBedStart || startTime < inBedStart) {
-              inBedStart = startTime;
-            }
-            if (!inBedEnd || endTime > inBedEnd) {
-              inBedEnd = endTime;
-            }
-            totalSleepMinutes += durationMinutes;
-            break;
+      const sleepStages = [];
 
-          case HKCategoryValueSleepAnalysis.Asleep:
-            // Actual sleep time
-            totalSleepMinutes += durationMinutes;
-            break;
+      timeline.forEach(interval => {
+        const stageType = SAMPLE_STAGE_TYPES[interval.value];
+        if (!stageType) return; // In bed without a sleep or wake value
 
-          case HKCategoryValueSleepAnalysis.Awake:
-            // Awake time (in bed or out of bed)
+        const durationMinutes = minutesOf(interval);
+        switch (stageType) {
+          case 'deep':
+            deepSleepMinutes += durationMinutes;
+            break;
+          case 'light':
+            lightSleepMinutes += durationMinutes;
+            break;
+          case 'rem':
+            remSleepMinutes += durationMinutes;
+            break;
+          case 'awake':
             awakeMinutes += durationMinutes;
-
-            // Count awakenings (transitions to awake while in bed period)
-            if (!lastAwakeStart) {
-              lastAwakeStart = startTime;
-              awakeningsCount += 1;
-            }
+            awakeningsCount += 1; // Count each awake period as an awakening
             break;
         }
+
+        sleepStages.push({
+          stage: stageType,
+          startTime: interval.start.toISOString(),
+          endTime: interval.end.toISOString(),
+          durationMinutes,
+        });
       });
 
-      // HealthKit doesn't provide detailed sleep stages (deep, light, REM)
-      // We could estimate these from heart rate variability or other data,
-      // but for now we'll leave them as 0
-      const deepSleepMinutes = 0;
-      const lightSleepMinutes = 0;
-      const remSleepMinutes = 0;
+      // The session runs from the first to the last sample, in bed or not
+      const sessionStart = timeline[0].start;
+      const sessionEnd = timeline[timeline.length - 1].end;
+
+      const architecture = calculateSleepArchitecture(sleepStages, sessionStart, sessionEnd);
+
+      // Without any sleep value (older phones only record time in bed) in bed time is all we have
+      const inBedMinutes = timeline
+        .filter(interval => interval.value === SLEEP_ANALYSIS_VALUES.InBed)
+        .reduce((sum, interval) => sum + minutesOf(interval), 0);
+      const totalSleepMinutes = architecture
+        ? architecture.total_sleep_minutes
+        : (deepSleepMinutes + lightSleepMinutes + remSleepMinutes) || inBedMinutes;
 
       // HealthKit doesn't provide sleep scores in the standard API
       const sleepScore = null;
@@ -273,6 +443,14 @@ class HealthKitService {
         awakenings_count: awakeningsCount,
         sleep_score: sleepScore,
         source: 'healthkit',
+        sleep_stages: sleepStages.length > 0 ? sleepStages : null,
+        sleep_start_time: sessionStart.toISOString(),
+        sleep_end_time: sessionEnd.toISOString(),
+        time_in_bed_minutes: architecture ? architecture.time_in_bed_minutes : null,
+        sleep_efficiency: architecture ? architecture.sleep_efficiency : null,
+        sleep_latency_minutes: architecture ? architecture.sleep_latency_minutes : null,
+        waso_minutes: architecture ? architecture.waso_minutes : null,
+        longest_sleep_bout_minutes: architecture ? architecture.longest_sleep_bout_minutes : null,
       };
     } catch (error) {
       console.error('HealthKit data transformation failed for date', dateKey, ':', error);
@@ -302,6 +480,7 @@ class HealthKitService {
    * @param {string} options.endDate - End date in YYYY-MM-DD format
    * @param {Array} options.metrics - Array of metric keys to fetch
    * @returns {Promise<Object>} Object with metrics data
+   * @throws {Error} If any of the metrics can't be read
    */
   async syncHealthMetrics({ startDate, endDate, metrics = ['steps', 'active_energy', 'heart_rate_max', 'heart_rate_resting'] }) {
     try {
@@ -309,22 +488,22 @@ class HealthKitService {
         throw new Error('HealthKit not initialized or permissions not granted');
       }
 
-      const startTime = new Date(startDate);
-      startTime.setHours(0, 0, 0, 0);
-      const endTime = new Date(endDate);
-      endTime.setHours(23, 59, 59, 999);
+      const startTime = getStartOfDay(startDate);
+      const endTime = getEndOfDay(endDate);
 
 
       const results = {};
 
+      // A failed read throws rather than coming back empty, which would look like days without data
       for (const metric of metrics) {
-        try {
-          const data = await this.fetchHealthMetric(metric, startTime, endTime);
-          results[metric] = data;
-        } catch (error) {
-          console.error(`Error fetching ${metric}:`, error);
-          results[metric] = [];
+        if (isOvernightMetric(metric)) {
+          // The first night starts the evening before; the last evening belongs to the night after
+          const data = await this.fetchHealthMetric(metric, getOvernightWindowStart(startDate), endTime);
+          results[metric] = data.filter(dataPoint => dataPoint.date >= startDate && dataPoint.date <= endDate);
+          continue;
         }
+
+        results[metric] = await this.fetchHealthMetric(metric, startTime, endTime);
       }
 
       return results;
@@ -334,6 +513,122 @@ class HealthKitService {
     }
   }
 
+  /**
+   * Read the workouts that started within a date range
+   * @param {Object} options - Options object
+   * @param {string} options.startDate - Start date in YYYY-MM-DD format
+   * @param {string} options.endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Rows for the exercise_sessions table
+   */
+  async syncExerciseSessions({ startDate, endDate }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('HealthKit not initialized or permissions not granted');
+    }
+
+    const workouts = await queryWorkoutSamples({
+      from: getStartOfDay(startDate),
+      to: getEndOfDay(endDate),
+      energyUnit: 'kcal',
+    });
+
+    return (workouts || [])
+      .filter(workout => workout.uuid && workout.startDate && workout.endDate)
+      .map(workout => ({
+        source: 'healthkit',
+        external_id: workout.uuid,
+        exercise_type: HEALTHKIT_WORKOUT_TYPES[workout.workoutActivityType] || 'other',
+        platform_exercise_type: workout.workoutActivityType ?? null,
+        title: null,
+        start_time: new Date(workout.startDate).toISOString(),
+        end_time: new Date(workout.endDate).toISOString(),
+        duration_minutes: Math.round((new Date(workout.endDate) - new Date(workout.startDate)) / (1000 * 60)),
+        energy_kcal: workout.totalEnergyBurned?.quantity ?? null,
+        data_origin: this.getSampleOrigin(workout).id,
+      }))
+      .filter(session => session.duration_minutes > 0);
+  }
+
+  /**
+   * Write a logged drink to Apple Health
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {number} options.amount - Caffeine in mg, or alcohol in standard drinks
+   * @param {Date} options.consumedAt - When it was consumed
+   * @returns {Promise<string|null>} The sample UUID
+   */
+  async writeConsumption({ type, amount, consumedAt }) {
+    const sample = type === 'caffeine'
+      ? await saveQuantitySample(HKQuantityTypeIdentifier.dietaryCaffeine, 'mg', amount, consumedAt, consumedAt)
+      : await saveQuantitySample(HKQuantityTypeIdentifier.numberOfAlcoholicBeverages, 'count', amount, consumedAt, consumedAt);
+    return sample?.uuid || null;
+  }
+
+  /**
+   * Delete a sample written by writeConsumption()
+   * @param {string} recordId - Sample UUID
+   * @param {string} type - 'caffeine' or 'alcohol'
+   * @returns {Promise<void>}
+   */
+  async deleteConsumptionRecord(recordId, type) {
+    const identifier = type === 'caffeine'
+      ? HKQuantityTypeIdentifier.dietaryCaffeine
+      : HKQuantityTypeIdentifier.numberOfAlcoholicBeverages;
+    await deleteObjects(identifier, { uuids: [recordId] });
+  }
+
+  /**
+   * Read drinks logged in other apps
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ id, consumedAt, amount, dataOrigin }] in time order,
+   *   caffeine in mg and alcohol in drinks
+   */
+  async getConsumptionRecords({ type, startTime, endTime }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('HealthKit not initialized or permissions not granted');
+    }
+
+    const samples = type === 'caffeine'
+      ? await queryQuantitySamples(HKQuantityTypeIdentifier.dietaryCaffeine, { from: startTime, to: endTime, unit: 'mg' })
+      : await queryQuantitySamples(HKQuantityTypeIdentifier.numberOfAlcoholicBeverages, { from: startTime, to: endTime, unit: 'count' });
+
+    return (samples || [])
+      .filter(sample => sample.uuid && sample.startDate && sample.quantity > 0)
+      .map(sample => ({
+        id: sample.uuid,
+        consumedAt: new Date(sample.startDate).toISOString(),
+        amount: sample.quantity,
+        dataOrigin: this.getSampleOrigin(sample).id,
+      }))
+      .sort((a, b) => a.consumedAt.localeCompare(b.consumedAt));
+  }
+
+  /**
+   * Read individual heart rate samples, e.g. across a night
+   * @param {Object} options - Options object
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ time, bpm }] in time order
+   */
+  async getHeartRateSamples({ startTime, endTime }) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('HealthKit not initialized or permissions not granted');
+    }
+
+    const samples = await queryQuantitySamples(HKQuantityTypeIdentifier.heartRate, {
+      from: startTime,
+      to: endTime,
+      unit: 'count/min',
+    });
+
+    return (samples || [])
+      .filter(sample => sample.startDate && sample.quantity > 0)
+      .map(sample => ({ time: new Date(sample.startDate).toISOString(), bpm: sample.quantity }))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+
   /**
    * Fetch a specific health metric
    * @param {string} metric - Metric key (e.g., 'steps', 'active_energy')
@@ -342,98 +637,159 @@ class HealthKitService {
    * @returns {Promise<Array>} Array of {date, value} objects
    */
   async fetchHealthMetric(metric, startTime, endTime) {
-    const metricMappings = {
-      steps: HKQuantityTypeIdentifier.stepCount,
-      active_energy: HKQuantityTypeIdentifier.activeEnergyBurned,
-      heart_rate_max: HKQuantityTypeIdentifier.heartRate,
-      heart_rate_resting: HKQuantityTypeIdentifier.restingHeartRate,
-      exercise_minutes: HKQuantityTypeIdentifier.appleExerciseTime,
-      distance_walking: HKQuantityTypeIdentifier.distanceWalkingRunning
-    };
-
-    const quantityType = metricMappings[metric];
-    if (!quantityType) {
+    const quantityType = SAMPLE_TYPES[metric];
+    if (!quantityType || metric === 'sleep') {
       console.warn(`Unknown metric: ${metric}`);
       return [];
     }
 
-    try {
-      const samples = await queryQuantitySamples(quantityType, {
-        from: startTime,
-        to: endTime,
-      });
+    const samples = await queryQuantitySamples(quantityType, {
+      from: startTime,
+      to: endTime,
+      ...(SAMPLE_UNITS[metric] && { unit: SAMPLE_UNITS[metric] }),
+    });
 
 
-      // Aggregate by date
-      const dailyData = {};
+    // Aggregate by date, in time order so the latest weight of a day comes last
+    const dailyData = {};
+    const overnight = isOvernightMetric(metric);
 
-      samples.forEach(sample => {
-        const sampleDate = new Date(sample.startDate).toISOString().split('T')[0];
+    [...samples].sort((a, b) => new Date(a.startDate) - new Date(b.startDate)).forEach(sample => {
+      const sampleDate = overnight ? getOvernightDateAt(sample.startDate) : toDateStringAt(sample.startDate);
+      if (!sampleDate) return; // Daytime reading of an overnight metric
 
-        if (!dailyData[sampleDate]) {
-          dailyData[sampleDate] = [];
-        }
+      if (!dailyData[sampleDate]) {
+        dailyData[sampleDate] = [];
+      }
 
-        // Extract quantity value
-        const value = sample.quantity;
+      // Extract quantity value
+      const value = sample.quantity;
+
+      // Convert units as needed
+      let processedValue = value;
+
+      switch (metric) {
+        case 'distance_walking':
+          // Convert to kilometers if needed (HealthKit typically returns meters)
+          processedValue = value / 1000;
+          break;
+        case 'exercise_minutes':
+          // Convert seconds to minutes
+          processedValue = value / 60;
+          break;
+        case 'oxygen_saturation':
+          // Store as a percentage, like Health Connect
+          processedValue = value <= 1 ? value * 100 : value;
+          break;
+        default:
+          processedValue = value;
+      }
 
-        // Convert units as needed
-        let processedValue = value;
+      if (processedValue > 0) {
+        dailyData[sampleDate].push(processedValue);
+      }
+    });
+
+    // Aggregate daily values
+    const aggregatedData = [];
+    for (const [date, values] of Object.entries(dailyData)) {
+      let finalValue = 0;
+
+      switch (metric) {
+        case 'steps':
+        case 'active_energy':
+        case 'distance_walking':
+        case 'exercise_minutes':
+          // Sum for cumulative metrics
+          finalValue = values.reduce((sum, val) => sum + val, 0);
+          break;
+        case 'heart_rate_max':
+          // Max for heart rate
+          finalValue = Math.max(...values);
+          break;
+        case 'heart_rate_resting':
+        case 'respiratory_rate':
+        case 'oxygen_saturation':
+        case 'hrv':
+        case 'body_temperature':
+          // Average for resting heart rate and overnight metrics
+          finalValue = values.reduce((sum, val) => sum + val, 0) / values.length;
+          break;
+        case 'weight':
+          // Latest reading of the day
+          finalValue = values[values.length - 1];
+          break;
+      }
 
-        switch (metric) {
-          case 'distance_walking':
-            // Convert to kilometers if needed (HealthKit typically returns meters)
-            processedValue = value / 1000;
-            break;
-          case 'exercise_minutes':
-            // Convert seconds to minutes
-            processedValue = value / 60;
-            break;
-          default:
-            processedValue = value;
-        }
+      if (finalValue > 0) {
+        aggregatedData.push({
+          date,
+          value: Math.round(finalValue * 100) / 100 // Round to 2 decimal places
+        });
+      }
+    }
 
-        if (processedValue > 0) {
-          dailyData[sampleDate].push(processedValue);
-        }
-      });
+    return aggregatedData;
+  }
 
-      // Aggregate daily values
-      const aggregatedData = [];
-      for (const [date, values] of Object.entries(dailyData)) {
-        let finalValue = 0;
-
-        switch (metric) {
-          case 'steps':
-          case 'active_energy':
-          case 'distance_walking':
-          case 'exercise_minutes':
-            // Sum for cumulative metrics
-            finalValue = values.reduce((sum, val) => sum + val, 0);
-            break;
-          case 'heart_rate_max':
-            // Max for heart rate
-            finalValue = Math.max(...values);
-            break;
-          case 'heart_rate_resting':
-            // Average for resting heart rate
-            finalValue = values.reduce((sum, val) => sum + val, 0) / values.length;
-            break;
-        }
+  /**
+   * Run an anchored query for a data type
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @param {Object} options - Query options (anchor, filter, limit)
+   * @returns {Promise<Object>} { samples, deletedSamples, newAnchor }
+   */
+  async queryWithAnchor(dataType, options) {
+    const sampleType = SAMPLE_TYPES[dataType];
+    if (!sampleType) {
+      throw new Error(`Unknown data type: ${dataType}`);
+    }
 
-        if (finalValue > 0) {
-          aggregatedData.push({
-            date,
-            value: Math.round(finalValue * 100) / 100 // Round to 2 decimal places
-          });
-        }
-      }
+    return dataType === 'sleep'
+      ? queryCategorySamplesWithAnchor(sampleType, options)
+      : queryQuantitySamplesWithAnchor(sampleType, options);
+  }
 
-      return aggregatedData;
-    } catch (error) {
-      console.error(`Error fetching ${metric}:`, error);
-      return [];
+  /**
+   * Start an anchor for a data type
+   * A query for samples starting from now matches nothing but still returns the store's current anchor.
+   * The date goes in v13's filter option; without one the query starts at the oldest sample, and the
+   * first sync from the anchor would read the whole history again.
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @returns {Promise<string>} Anchor to pass to getChanges() next time
+   */
+  async getChangesToken(dataType) {
+    const { newAnchor } = await this.queryWithAnchor(dataType, {
+      filter: { date: { startDate: new Date() } },
+      limit: 1,
+    });
+    return newAnchor;
+  }
+
+  /**
+   * Read every sample added or deleted for a data type since an anchor
+   * Anchors don't expire, so tokenExpired is always false.
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @param {string} anchor - Anchor from getChangesToken() or a previous getChanges()
+   * @returns {Promise<Object>} { upserted: [{ id, startTime, endTime }], deletedIds, nextToken, tokenExpired }
+   */
+  async getChanges(dataType, anchor) {
+    if (!this.isInitialized || !(await this.hasPermissions())) {
+      throw new Error('HealthKit not initialized or permissions not granted');
     }
+
+    // A limit of 0 returns every change since the anchor
+    const { samples, deletedSamples, newAnchor } = await this.queryWithAnchor(dataType, { anchor, limit: 0 });
+
+    return {
+      upserted: (samples || []).map(sample => ({
+        id: sample.uuid,
+        startTime: sample.startDate,
+        endTime: sample.endDate,
+      })),
+      deletedIds: (deletedSamples || []).map(sample => sample.uuid).filter(Boolean),
+      nextToken: newAnchor,
+      tokenExpired: false,
+    };
   }
 
   /**
@@ -1,6 +1,15 @@
 import { Platform } from 'react-native';
 import { supabase } from './supabase';
 import healthService from './healthService';
+import healthSyncTokenService from './healthSyncTokenService';
+import sleepDataService from './sleepDataService';
+import exerciseSessionService from './exerciseSessionService';
+import consumptionImportService from './consumptionImportService';
+import { addDaysToDateString, getDaysBetweenDateStrings } from '../utils/dateHelpers';
+import { getEndOfDay, getStartOfDay, toDateString, toDateStringAt } from '../utils/timezone';
+import { getOvernightDateAt } from '../utils/sleepSessions';
+import { getExerciseTimingByNight } from '../utils/exerciseTiming';
+import { HEALTH_METRICS, isExerciseTimingMetric, isOvernightMetric } from '../constants/healthMetrics';
 
 /**
  * Service for managing automatic health metrics habits
@@ -9,50 +18,7 @@ import healthService from './healthService';
 class HealthMetricsService {
   constructor() {
     this.isInitialized = false;
-    this.healthMetrics = [
-      {
-        key: 'steps',
-        name: 'Daily Steps',
-        unit: 'steps',
-        type: 'numeric',
-        description: 'Number of steps taken in a day'
-      },
-      {
-        key: 'active_energy',
-        name: 'Active Energy Burned',
-        unit: 'kcal',
-        type: 'numeric',
-        description: 'Calories burned through physical activity'
-      },
-      {
-        key: 'heart_rate_max',
-        name: 'Max Heart Rate',
-        unit: 'bpm',
-        type: 'numeric',
-        description: 'Maximum heart rate during the day'
-      },
-      {
-        key: 'heart_rate_resting',
-        name: 'Resting Heart Rate',
-        unit: 'bpm',
-        type: 'numeric',
-        description: 'Average resting heart rate'
-      },
-      {
-        key: 'exercise_minutes',
-        name: 'Exercise Time',
-        unit: 'minutes',
-        type: 'numeric',
-        description: 'Time spent exercising'
-      },
-      {
-        key: 'distance_walking',
-        name: 'Walking Distance',
-        unit: 'km',
-        type: 'numeric',
-        description: 'Distance walked'
-      }
-    ];
+    this.healthMetrics = HEALTH_METRICS;
   }
 
   /**
@@ -103,7 +69,7 @@ class HealthMetricsService {
         // Check if habit already exists
         const { data: existingHabits, error: checkError } = await supabase
           .from('habits')
-          .select('id, name')
+          .select('id, name, type, unit, is_active')
           .eq('user_id', userId)
           .eq('name', metric.name)
           .eq('is_custom', false)
@@ -118,21 +84,24 @@ class HealthMetricsService {
 
         if (existingHabits && existingHabits.length > 0) {
           // Habit exists, update it if needed
-          habitId = existingHabits[0].id;
-
-          const { error: updateError } = await supabase
-            .from('habits')
-            .update({
-              type: metric.type,
-              unit: metric.unit,
-              is_active: true,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', habitId);
-
-          if (updateError) {
-            console.error(`Error updating habit ${metric.name}:`, updateError);
-            continue;
+          const existing = existingHabits[0];
+          habitId = existing.id;
+
+          if (existing.type !== metric.type || existing.unit !== metric.unit || !existing.is_active) {
+            const { error: updateError } = await supabase
+              .from('habits')
+              .update({
+                type: metric.type,
+                unit: metric.unit,
+                is_active: true,
+                updated_at: new Date().toISOString()
+              })
+              .eq('id', habitId);
+
+            if (updateError) {
+              console.error(`Error updating habit ${metric.name}:`, updateError);
+              continue;
+            }
           }
         } else {
           // Create new automatic habit
@@ -172,12 +141,17 @@ class HealthMetricsService {
 
   /**
    * Sync health metrics for a date range
+   * Metrics with a stored changes token only re-aggregate the days that changed since the last
+   * sync; the date range is read in full the first time, and when a token has expired.
+   * Caffeine and alcohol that other apps logged over the range are imported as well.
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.force] - Read the whole range even where a token is stored
    * @returns {Promise<Object>} Sync results
    */
-  async syncHealthMetrics(userId, startDate, endDate) {
+  async syncHealthMetrics(userId, startDate, endDate, { force = false } = {}) {
     try {
       if (!this.isInitialized) {
         const initialized = await this.initialize();
@@ -193,12 +167,13 @@ class HealthMetricsService {
       }
 
       // Get date range
-      const startDateStr = startDate.toISOString().split('T')[0];
-      const endDateStr = endDate.toISOString().split('T')[0];
+      const startDateStr = toDateString(startDate);
+      const endDateStr = toDateString(endDate);
 
 
       // Fetch health data for each metric
       const syncResults = [];
+      const exerciseHabits = [];
       let totalSynced = 0;
 
       for (const habit of habits) {
@@ -217,15 +192,19 @@ class HealthMetricsService {
             }
           }
 
-          const metricData = await this.fetchHealthMetricData(habit.key, startDate, endDate);
-          const syncedCount = await this.storeHealthMetricData(userId, habit.id, metricData);
-          totalSynced += syncedCount;
+          // Worked out together below, once the workouts have been read
+          if (isExerciseTimingMetric(habit.key)) {
+            exerciseHabits.push(habit);
+            continue;
+          }
+
+          const metricResult = await this.syncHealthMetricChanges(userId, habit, startDate, endDate, { force });
+          totalSynced += metricResult.synced;
 
           syncResults.push({
             metric: habit.key,
             habitId: habit.id,
-            dataPoints: metricData.length,
-            synced: syncedCount
+            ...metricResult
           });
 
         } catch (error) {
@@ -238,10 +217,22 @@ class HealthMetricsService {
         }
       }
 
+      for (const result of await this.syncExerciseTimingMetrics(userId, exerciseHabits, startDateStr, endDateStr)) {
+        totalSynced += result.synced || 0;
+        syncResults.push(result);
+      }
+
+      // Caffeine and alcohol logged in other apps
+      for (const result of await consumptionImportService.importConsumption(userId, startDateStr, endDateStr)) {
+        totalSynced += result.synced || 0;
+        syncResults.push(result);
+      }
+
       return {
         success: true,
         totalSynced,
         results: syncResults,
+        dateRange: { startDate: startDateStr, endDate: endDateStr },
         message: `Synced ${totalSynced} health metric data points`
       };
     } catch (error) {
@@ -253,6 +244,202 @@ class HealthMetricsService {
     }
   }
 
+  /**
+   * Bring one metric's daily logs up to date, from its changes token when there is one
+   * Days with changed records are re-aggregated in full. Deleted records don't say which day they
+   * were on, so a deletion re-aggregates the whole date range; days left without data lose their log.
+   * A failed read throws before anything is stored or removed, and leaves the token where it was.
+   * @param {string} userId - User ID
+   * @param {Object} habit - Health metric habit with id and key
+   * @param {Date} startDate - Start of the range read without a token, or after a deletion
+   * @param {Date} endDate - End of that range
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.force] - Read the whole range and start a new token
+   * @returns {Promise<Object>} { synced, removed, dataPoints, incremental, errors }
+   */
+  async syncHealthMetricChanges(userId, habit, startDate, endDate, { force = false } = {}) {
+    const source = healthService.getSourceIdentifier();
+    const tokenResult = force ? { data: null } : await healthSyncTokenService.getToken(source, habit.key);
+    const errors = [];
+
+    if (tokenResult.data) {
+      const changes = await healthService.getChanges(habit.key, tokenResult.data.token);
+
+      if (!changes.tokenExpired) {
+        // Overnight readings are dated by their night; daytime ones don't count towards any
+        const dateOf = isOvernightMetric(habit.key) ? getOvernightDateAt : toDateStringAt;
+        const changedDates = new Set(
+          changes.upserted
+            .filter(record => record.startTime)
+            .map(record => dateOf(record.startTime))
+            .filter(Boolean)
+        );
+        if (changes.deletedIds.length > 0) {
+          const startDateStr = toDateString(startDate);
+          const dayCount = getDaysBetweenDateStrings(startDateStr, toDateString(endDate));
+          for (let offset = 0; offset <= dayCount; offset++) {
+            changedDates.add(addDaysToDateString(startDateStr, offset));
+          }
+        }
+
+        let synced = 0;
+        let removed = 0;
+        let dataPoints = 0;
+
+        if (changedDates.size > 0) {
+          const dates = [...changedDates].sort();
+          const metricsData = await healthService.syncHealthMetrics({
+            startDate: dates[0],
+            endDate: dates[dates.length - 1],
+            metrics: [habit.key]
+          });
+          const changedData = (metricsData[habit.key] || []).filter(dataPoint => changedDates.has(dataPoint.date));
+          const datesWithData = new Set(changedData.map(dataPoint => dataPoint.date));
+
+          synced = await this.storeHealthMetricData(userId, habit.id, changedData, errors);
+          removed = await this.removeHealthMetricData(
+            userId,
+            habit.id,
+            dates.filter(date => !datesWithData.has(date))
+          );
+          dataPoints = changedData.length;
+        }
+
+        await healthSyncTokenService.saveToken(source, habit.key, changes.nextToken);
+        return { synced, removed, dataPoints, incremental: true, errors };
+      }
+    }
+
+    // Start the token before reading, so anything written during the sync is picked up next time
+    let nextToken = null;
+    try {
+      nextToken = await healthService.getChangesToken(habit.key);
+    } catch (error) {
+      console.warn(`Could not start a changes token for ${habit.key}:`, error.message);
+    }
+
+    const metricData = await this.fetchHealthMetricData(habit.key, startDate, endDate);
+    const synced = await this.storeHealthMetricData(userId, habit.id, metricData, errors);
+
+    if (nextToken) {
+      await healthSyncTokenService.saveToken(source, habit.key, nextToken);
+    }
+
+    return { synced, removed: 0, dataPoints: metricData.length, incremental: false, errors };
+  }
+
+  /**
+   * Re-aggregate every health metric for one day, leaving the changes tokens where they are
+   * Used from the diagnostics screen alongside a sleep replay; a day with no data loses its log.
+   * @param {string} userId - User ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Sync results, shaped like syncHealthMetrics()
+   */
+  async resyncDate(userId, date) {
+    return this.resyncRange(userId, date, date);
+  }
+
+  /**
+   * Re-aggregate every health metric for a range of days, leaving the changes tokens where they are
+   * Days in the range with no data lose their log, unless keepMissing is set.
+   * @param {string} userId - User ID
+   * @param {string} startDate - First date in YYYY-MM-DD format
+   * @param {string} endDate - Last date in YYYY-MM-DD format
+   * @param {Object} [options] - Re-sync options
+   * @param {boolean} [options.keepMissing] - Only store the days the platform returns data for. Logs,
+   *   workouts and imported drinks it doesn't return are kept, and the workouts behind the exercise
+   *   timing metrics are read from the database instead. For ranges the platform may no longer serve in full.
+   * @returns {Promise<Object>} Sync results, shaped like syncHealthMetrics()
+   */
+  async resyncRange(userId, startDate, endDate, { keepMissing = false } = {}) {
+    try {
+      if (!this.isInitialized && !(await this.initialize())) {
+        return { success: false, message: 'Health metrics service not available' };
+      }
+
+      const habits = await this.ensureHealthMetricHabits(userId);
+      const dates = Array.from(
+        { length: getDaysBetweenDateStrings(startDate, endDate) + 1 },
+        (_, offset) => addDaysToDateString(startDate, offset)
+      );
+      const syncResults = [];
+      const exerciseHabits = [];
+      let totalSynced = 0;
+
+      for (const habit of habits) {
+        try {
+          const recordType = this.getRecordTypeForMetric(habit.key);
+          if (recordType && !(await healthService.hasPermissionForRecordType(recordType))) {
+            syncResults.push({ metric: habit.key, skipped: true, reason: 'permission_not_granted' });
+            continue;
+          }
+
+          if (isExerciseTimingMetric(habit.key)) {
+            exerciseHabits.push(habit);
+            continue;
+          }
+
+          const metricsData = await healthService.syncHealthMetrics({
+            startDate,
+            endDate,
+            metrics: [habit.key]
+          });
+          const rangeData = (metricsData[habit.key] || [])
+            .filter(dataPoint => dataPoint.date >= startDate && dataPoint.date <= endDate);
+          const datesWithData = new Set(rangeData.map(dataPoint => dataPoint.date));
+          const errors = [];
+          const synced = await this.storeHealthMetricData(userId, habit.id, rangeData, errors);
+          const removed = keepMissing ? 0 : await this.removeHealthMetricData(
+            userId,
+            habit.id,
+            dates.filter(date => !datesWithData.has(date))
+          );
+
+          totalSynced += synced;
+          syncResults.push({
+            metric: habit.key,
+            habitId: habit.id,
+            synced,
+            removed,
+            dataPoints: rangeData.length,
+            incremental: false,
+            errors
+          });
+        } catch (error) {
+          console.warn(`Error re-syncing ${habit.key} for ${startDate} to ${endDate}:`, error.message);
+          syncResults.push({ metric: habit.key, error: error.message, skipped: true });
+        }
+      }
+
+      // The range's own workouts, and the previous day's that lead into the first night
+      const exerciseResults = await this.syncExerciseTimingMetrics(
+        userId,
+        exerciseHabits,
+        addDaysToDateString(startDate, -1),
+        endDate,
+        { keepMissing }
+      );
+      for (const result of [
+        ...exerciseResults,
+        ...(keepMissing ? [] : await consumptionImportService.importConsumption(userId, startDate, endDate))
+      ]) {
+        totalSynced += result.synced || 0;
+        syncResults.push(result);
+      }
+
+      return {
+        success: true,
+        totalSynced,
+        results: syncResults,
+        dateRange: { startDate, endDate },
+        message: `Synced ${totalSynced} health metric data points`
+      };
+    } catch (error) {
+      console.error(`Health metrics re-sync for ${startDate} to ${endDate} failed:`, error);
+      return { success: false, message: error.message || 'Failed to sync health metrics' };
+    }
+  }
+
   /**
    * Sync a specific health metric for a date range
    * @param {string} userId - User ID
@@ -302,6 +489,24 @@ class HealthMetricsService {
         }
       }
 
+      if (isExerciseTimingMetric(metricKey)) {
+        const [result] = await this.syncExerciseTimingMetrics(
+          userId,
+          [{ id: habitId, key: metricKey }],
+          toDateString(startDate),
+          toDateString(endDate)
+        );
+        if (result.error) {
+          return { success: false, synced: 0, message: result.error };
+        }
+        return {
+          success: true,
+          synced: result.synced,
+          dataPoints: result.dataPoints,
+          message: `Synced ${result.synced} data points for ${metricKey}`
+        };
+      }
+
       // Fetch health data for this metric
       console.log(`📥 Fetching health data for ${metricKey}...`);
       const metricData = await this.fetchHealthMetricData(metricKey, startDate, endDate);
@@ -327,40 +532,113 @@ class HealthMetricsService {
     }
   }
 
+  /**
+   * Read the workouts for a date range and work out the exercise timing metrics from them
+   * Each day's values describe the workouts leading into the night that follows it, so the
+   * day before the range is read too. Days whose night has no workouts lose their gap and
+   * intensity logs; exercise near bedtime is logged as 0 for them once any workouts are stored.
+   * @param {string} userId - User ID
+   * @param {Array} habits - Exercise timing habits with id and key
+   * @param {string} startDate - First log date in YYYY-MM-DD format
+   * @param {string} endDate - Last log date in YYYY-MM-DD format
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.keepMissing] - Use the stored workouts without reading the platform, and
+   *   keep the logs of days without a value
+   * @returns {Promise<Array>} One result per habit, shaped like the entries of syncHealthMetrics().results
+   */
+  async syncExerciseTimingMetrics(userId, habits, startDate, endDate, { keepMissing = false } = {}) {
+    if (!habits || habits.length === 0) {
+      return [];
+    }
+
+    try {
+      const readStartDate = addDaysToDateString(startDate, -1);
+      const windowStart = getStartOfDay(readStartDate);
+      const windowEnd = getEndOfDay(endDate);
+
+      if (!keepMissing) {
+        const platformSessions = await healthService.syncExerciseSessions({
+          startDate: readStartDate,
+          endDate
+        });
+        await exerciseSessionService.saveSessions(
+          healthService.getSourceIdentifier(),
+          platformSessions,
+          windowStart,
+          windowEnd
+        );
+      }
+
+      const [sessions, nights] = await Promise.all([
+        exerciseSessionService.getSessionsForRange(windowStart, windowEnd),
+        sleepDataService.getSleepDataForRange(startDate, addDaysToDateString(endDate, 1))
+      ]);
+      const nightFeatures = getExerciseTimingByNight(nights, sessions)
+        .filter(features => features.date >= startDate && features.date <= endDate);
+
+      const results = [];
+      for (const habit of habits) {
+        const values = nightFeatures.map(features => ({
+          date: features.date,
+          value: habit.key === 'late_exercise_minutes' && sessions.length === 0 ? null : features[habit.key]
+        }));
+        const metricData = values.filter(dataPoint => dataPoint.value !== null);
+        const errors = [];
+
+        const synced = await this.storeHealthMetricData(userId, habit.id, metricData, errors);
+        const removed = keepMissing ? 0 : await this.removeHealthMetricData(
+          userId,
+          habit.id,
+          values.filter(dataPoint => dataPoint.value === null).map(dataPoint => dataPoint.date)
+        );
+
+        results.push({
+          metric: habit.key,
+          habitId: habit.id,
+          synced,
+          removed,
+          dataPoints: metricData.length,
+          incremental: false,
+          errors
+        });
+      }
+      return results;
+    } catch (error) {
+      console.warn('Error syncing exercise timing metrics:', error.message);
+      return habits.map(habit => ({ metric: habit.key, error: error.message, skipped: true }));
+    }
+  }
+
   /**
    * Fetch health metric data from the platform-specific service
    * @param {string} metricKey - Metric key (e.g., 'steps', 'active_energy')
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @returns {Promise<Array>} Array of {date, value} objects
+   * @throws {Error} If the platform read fails, so the caller doesn't mistake it for a range without data
    */
   async fetchHealthMetricData(metricKey, startDate, endDate) {
-    try {
-      if (!this.isInitialized) {
-        const initialized = await this.initialize();
-        if (!initialized) {
-          return [];
-        }
+    if (!this.isInitialized) {
+      const initialized = await this.initialize();
+      if (!initialized) {
+        return [];
       }
+    }
 
-      const startDateStr = startDate.toISOString().split('T')[0];
-      const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = toDateString(startDate);
+    const endDateStr = toDateString(endDate);
 
 
-      // Fetch metrics using the health service
-      const metricsData = await healthService.syncHealthMetrics({
-        startDate: startDateStr,
-        endDate: endDateStr,
-        metrics: [metricKey]
-      });
+    // Fetch metrics using the health service
+    const metricsData = await healthService.syncHealthMetrics({
+      startDate: startDateStr,
+      endDate: endDateStr,
+      metrics: [metricKey]
+    });
 
-      const metricData = metricsData[metricKey] || [];
+    const metricData = metricsData[metricKey] || [];
 
-      return metricData;
-    } catch (error) {
-      console.error(`Error fetching health metric ${metricKey}:`, error);
-      return [];
-    }
+    return metricData;
   }
 
   /**
@@ -368,9 +646,10 @@ class HealthMetricsService {
    * @param {string} userId - User ID
    * @param {string} habitId - Habit ID
    * @param {Array} metricData - Array of {date, value} objects
+   * @param {Array} [errors] - If given, receives { date, message } for each value that failed to save
    * @returns {Promise<number>} Number of records stored
    */
-  async storeHealthMetricData(userId, habitId, metricData) {
+  async storeHealthMetricData(userId, habitId, metricData, errors = null) {
     if (!metricData || metricData.length === 0) {
       return 0;
     }
@@ -390,6 +669,7 @@ class HealthMetricsService {
 
         if (checkError) {
           console.error('Error checking existing log:', checkError);
+          errors?.push({ date: dataPoint.date, message: checkError.message });
           continue;
         }
 
@@ -406,6 +686,7 @@ class HealthMetricsService {
 
           if (updateError) {
             console.error('Error updating health metric log:', updateError);
+            errors?.push({ date: dataPoint.date, message: updateError.message });
             continue;
           }
         } else {
@@ -422,6 +703,7 @@ class HealthMetricsService {
 
           if (insertError) {
             console.error('Error inserting health metric log:', insertError);
+            errors?.push({ date: dataPoint.date, message: insertError.message });
             continue;
           }
         }
@@ -429,12 +711,41 @@ class HealthMetricsService {
         storedCount++;
       } catch (error) {
         console.error('Error storing health metric data point:', error);
+        errors?.push({ date: dataPoint.date, message: error.message });
       }
     }
 
     return storedCount;
   }
 
+  /**
+   * Delete the logs of a health metric habit for days that no longer have any data
+   * @param {string} userId - User ID
+   * @param {string} habitId - Habit ID
+   * @param {string[]} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<number>} Number of logs deleted
+   */
+  async removeHealthMetricData(userId, habitId, dates) {
+    if (!dates || dates.length === 0) {
+      return 0;
+    }
+
+    const { data, error } = await supabase
+      .from('habit_logs')
+      .delete()
+      .eq('user_id', userId)
+      .eq('habit_id', habitId)
+      .in('date', dates)
+      .select('id');
+
+    if (error) {
+      console.error('Error removing health metric logs:', error);
+      return 0;
+    }
+
+    return data ? data.length : 0;
+  }
+
   /**
    * Get all available health metrics
    * @returns {Array} Array of health metric definitions
@@ -476,7 +787,15 @@ class HealthMetricsService {
       heart_rate_max: 'HeartRate',
       heart_rate_resting: 'RestingHeartRate',
       exercise_minutes: 'ExerciseSession',
-      distance_walking: 'Distance'
+      distance_walking: 'Distance',
+      respiratory_rate: 'RespiratoryRate',
+      oxygen_saturation: 'OxygenSaturation',
+      hrv: 'HeartRateVariabilityRmssd',
+      body_temperature: 'BodyTemperature',
+      weight: 'Weight',
+      late_exercise_minutes: 'ExerciseSession',
+      workout_sleep_gap: 'ExerciseSession',
+      workout_intensity: 'ExerciseSession'
     };
 
     return recordTypeMappings[metricKey] || null;
@@ -494,7 +813,15 @@ class HealthMetricsService {
       'Resting Heart Rate': 'Your heart rate while at rest',
       'Max Heart Rate': 'Your highest heart rate during activity',
       'Exercise Time': 'Minutes spent exercising',
-      'Distance Walking': 'Distance traveled by walking/running'
+      'Distance Walking': 'Distance traveled by walking/running',
+      'Overnight Respiratory Rate': 'Breaths per minute while you sleep',
+      'Overnight Blood Oxygen': 'Blood oxygen saturation (SpO2) while you sleep',
+      'Overnight HRV': 'Heart rate variability while you sleep',
+      'Body Temperature': 'Body temperature readings from your device',
+      'Body Weight': 'Your latest weight each day',
+      'Exercise Near Bedtime': 'Minutes of exercise in the 3 hours before you fell asleep that night',
+      'Workout to Sleep Gap': 'How long before falling asleep your last workout ended',
+      'Workout Intensity': 'How hard your workouts were, estimated from their type'
     };
 
     // Try to match by name or key
@@ -515,7 +842,7 @@ class HealthMetricsService {
     try {
       const ninetyDaysAgo = new Date();
       ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-      const cutoffDate = ninetyDaysAgo.toISOString().split('T')[0];
+      const cutoffDate = toDateString(ninetyDaysAgo);
 
       // Get health metric habit IDs
       const { data: healthHabits, error: habitsError } = await supabase
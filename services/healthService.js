@@ -70,18 +70,20 @@ class HealthService {
 
   /**
    * Request permissions for reading health data
+   * @param {Object} [options] - Options object
+   * @param {boolean} [options.write] - Also ask to write caffeine and alcohol back to the platform
    * @returns {Promise<boolean>} True if permissions granted
    */
-  async requestPermissions() {
+  async requestPermissions({ write = false } = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
       if (this.platform === 'android' && healthConnectService) {
-        return await healthConnectService.requestPermissions();
+        return await healthConnectService.requestPermissions({ write });
       } else if (this.platform === 'ios' && healthKitService) {
-        return await healthKitService.requestPermissions();
+        return await healthKitService.requestPermissions({ write });
       }
       return false;
     } catch (error) {
@@ -131,7 +133,7 @@ class HealthService {
    * @param {Object} options - Options object
    * @param {string} options.startDate - Start date in YYYY-MM-DD format
    * @param {string} options.endDate - End date in YYYY-MM-DD format
-   * @returns {Promise<Array>} Array of sleep data objects
+   * @returns {Promise<Array>} Array of sleep session objects, one per platform session
    */
   async syncSleepData({ startDate, endDate }) {
     try {
@@ -161,6 +163,16 @@ class HealthService {
     return this.platform === 'android' ? 'health_connect' : 'healthkit';
   }
 
+  /**
+   * Get how many days back the platform can be relied on to serve data
+   * Health Connect gives apps without the history permission about 30 days; HealthKit serves
+   * everything still on the device.
+   * @returns {number|null} Days of history, or null without a limit
+   */
+  getHistoryDays() {
+    return this.platform === 'android' ? 30 : null;
+  }
+
   /**
    * Transform raw sleep data to match database schema
    * @param {Object} rawData - Raw data from health platform
@@ -210,6 +222,145 @@ class HealthService {
     }
   }
 
+  /**
+   * Write a logged caffeine or alcohol drink to the health platform
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {number} options.amount - Caffeine in mg, or alcohol in standard drinks
+   * @param {Date} options.consumedAt - When it was consumed
+   * @returns {Promise<string|null>} Platform record id, or null where the platform can't store the type
+   */
+  async writeConsumption({ type, amount, consumedAt }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.writeConsumption({ type, amount, consumedAt });
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.writeConsumption({ type, amount, consumedAt });
+    }
+    return null;
+  }
+
+  /**
+   * Delete a record written by writeConsumption()
+   * @param {string} recordId - Platform record id
+   * @param {string} type - 'caffeine' or 'alcohol'
+   * @returns {Promise<void>}
+   */
+  async deleteConsumptionRecord(recordId, type) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      await healthConnectService.deleteConsumptionRecord(recordId);
+    } else if (this.platform === 'ios' && healthKitService) {
+      await healthKitService.deleteConsumptionRecord(recordId, type);
+    }
+  }
+
+  /**
+   * Read caffeine or alcohol drinks other apps saved to the health platform
+   * @param {Object} options - Options object
+   * @param {string} options.type - 'caffeine' or 'alcohol'
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ id, consumedAt, amount, dataOrigin }] in time order, in the habit's unit
+   */
+  async getConsumptionRecords({ type, startTime, endTime }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.getConsumptionRecords({ type, startTime, endTime });
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.getConsumptionRecords({ type, startTime, endTime });
+    }
+    return [];
+  }
+
+  /**
+   * Read individual heart rate samples within a time window
+   * @param {Object} options - Options object
+   * @param {Date} options.startTime - Start of the window
+   * @param {Date} options.endTime - End of the window
+   * @returns {Promise<Array>} [{ time, bpm }] in time order
+   */
+  async getHeartRateSamples({ startTime, endTime }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.getHeartRateSamples({ startTime, endTime });
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.getHeartRateSamples({ startTime, endTime });
+    }
+    return [];
+  }
+
+  /**
+   * Read exercise sessions (Health Connect) or workouts (HealthKit) for a date range
+   * @param {Object} options - Options object
+   * @param {string} options.startDate - Start date in YYYY-MM-DD format
+   * @param {string} options.endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Rows for the exercise_sessions table
+   */
+  async syncExerciseSessions({ startDate, endDate }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.syncExerciseSessions({ startDate, endDate });
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.syncExerciseSessions({ startDate, endDate });
+    }
+    return [];
+  }
+
+  /**
+   * Start a token for incremental sync of a data type
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @returns {Promise<string|null>} Health Connect changes token or HealthKit anchor
+   */
+  async getChangesToken(dataType) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.getChangesToken(dataType);
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.getChangesToken(dataType);
+    }
+    return null;
+  }
+
+  /**
+   * Read what was added, edited or deleted for a data type since a token
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @param {string} token - Token from getChangesToken() or a previous getChanges()
+   * @returns {Promise<Object>} { upserted: [{ id, startTime, endTime }], deletedIds, nextToken, tokenExpired }
+   */
+  async getChanges(dataType, token) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.platform === 'android' && healthConnectService) {
+      return await healthConnectService.getChanges(dataType, token);
+    } else if (this.platform === 'ios' && healthKitService) {
+      return await healthKitService.getChanges(dataType, token);
+    }
+
+    // Without a platform there is nothing to read incrementally
+    return { upserted: [], deletedIds: [], nextToken: null, tokenExpired: true };
+  }
+
   /**
    * Check if we have permission for a specific record type
    * @param {string} recordType - The record type to check
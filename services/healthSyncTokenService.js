@@ -0,0 +1,123 @@
+import { supabase } from './supabase';
+
+/**
+ * Service for the incremental sync positions stored in health_sync_tokens
+ * One token per user, platform and data type ('sleep' or a health metric key). A missing token
+ * means the next sync of that type reads a whole date window and starts a new token.
+ */
+class HealthSyncTokenService {
+  constructor() {
+    this.tableName = 'health_sync_tokens';
+  }
+
+  /**
+   * Get the stored token for a data type
+   * @param {string} source - 'health_connect' or 'healthkit'
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @returns {Promise<Object>} { success, data: { token, synced_at } | null, error }
+   */
+  async getToken(source, dataType) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('token, synced_at')
+        .eq('user_id', user.id)
+        .eq('source', source)
+        .eq('data_type', dataType)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, data: data || null };
+    } catch (error) {
+      console.error(`Error fetching sync token for ${dataType}:`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Store the token a sync finished at
+   * @param {string} source - 'health_connect' or 'healthkit'
+   * @param {string} dataType - 'sleep' or a health metric key
+   * @param {string} token - Changes token or anchor to resume from
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async saveToken(source, dataType, token) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .upsert({
+          user_id: user.id,
+          source,
+          data_type: dataType,
+          token,
+          synced_at: new Date().toISOString(),
+        }, {
+          onConflict: 'user_id,source,data_type',
+          ignoreDuplicates: false
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error(`Error saving sync token for ${dataType}:`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Forget stored tokens so the next sync reads whole date windows again
+   * @param {Object} options - Filters
+   * @param {string[]} [options.dataTypes] - Only these data types; all when omitted
+   * @param {string[]} [options.excludeDataTypes] - Every data type except these
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async clearTokens({ dataTypes, excludeDataTypes } = {}) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      let query = supabase
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', user.id);
+
+      if (dataTypes) {
+        query = query.in('data_type', dataTypes);
+      }
+      if (excludeDataTypes) {
+        query = query.not('data_type', 'in', `(${excludeDataTypes.join(',')})`);
+      }
+
+      const { error } = await query;
+
+      if (error) throw error;
+
+      return { success: true, data: null };
+    } catch (error) {
+      console.error('Error clearing sync tokens:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export default new HealthSyncTokenService();
@@ -0,0 +1,166 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import healthService from './healthService';
+
+const ENABLED_STORAGE_KEY = '@health_write_back_enabled';
+
+/**
+ * Service saving logged caffeine and alcohol to Apple Health / Health Connect
+ * Each written event keeps the platform record id (health_record_id on habit_consumption_events),
+ * so editing or deleting the event in the app changes or removes the platform record too.
+ * New events are only written while the user has it turned on; records already written are kept
+ * in step either way. Platform failures are logged and never stop the event being saved.
+ */
+class HealthWriteBackService {
+  /**
+   * Whether the user wants logged drinks saved to their health app (off unless turned on in Profile)
+   * @returns {Promise<boolean>} True if enabled
+   */
+  async isEnabled() {
+    try {
+      return (await AsyncStorage.getItem(ENABLED_STORAGE_KEY)) === 'true';
+    } catch (error) {
+      console.error('Error reading health write-back setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn saving logged drinks to the health app on or off
+   * Turning it on asks for the platform's write permissions.
+   * @param {boolean} enabled - True to write new events to the platform
+   * @returns {Promise<Object>} { success, data: { enabled } | null, error }
+   */
+  async setEnabled(enabled) {
+    try {
+      if (enabled && !(await healthService.requestPermissions({ write: true }))) {
+        return { success: false, data: null, error: 'Permission to save to your health app was not granted' };
+      }
+
+      await AsyncStorage.setItem(ENABLED_STORAGE_KEY, enabled ? 'true' : 'false');
+      return { success: true, data: { enabled } };
+    } catch (error) {
+      console.error('Error changing health write-back setting:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Get the platform data type a habit's events are written as
+   * @param {Object} habit - Habit object
+   * @returns {string|null} 'caffeine', 'alcohol', or null for habits that aren't written back
+   */
+  getConsumptionType(habit) {
+    if (!habit || habit.type !== 'quick_consumption') return null;
+
+    const name = habit.name.toLowerCase();
+    if (name.includes('caffeine')) return 'caffeine';
+    if (name.includes('alcohol')) return 'alcohol';
+    return null;
+  }
+
+  /**
+   * Write a newly logged event to the platform and keep its record id
+   * @param {Object} habit - The event's habit
+   * @param {Object} event - habit_consumption_events record
+   * @returns {Promise<Object>} { success, data: event with health_record_id and health_record_source, error }
+   */
+  async writeEvent(habit, event) {
+    try {
+      const type = this.getConsumptionType(habit);
+      if (!type || !(event.amount > 0) || !(await this.isEnabled())) {
+        return { success: true, data: event };
+      }
+
+      const recordId = await healthService.writeConsumption({
+        type,
+        amount: event.amount,
+        consumedAt: new Date(event.consumed_at),
+      });
+      return { success: true, data: await this.saveRecordId(event, recordId) };
+    } catch (error) {
+      console.error('Error writing consumption event to health app:', error);
+      return { success: false, data: event, error: error.message };
+    }
+  }
+
+  /**
+   * Bring the platform record of an edited event in line with it
+   * Samples can't be changed in place on HealthKit, so the old record is replaced on both platforms.
+   * @param {Object} habit - The event's habit
+   * @param {Object} event - habit_consumption_events record with the edited values and health_record_id
+   * @returns {Promise<Object>} { success, data: event with health_record_id and health_record_source, error }
+   */
+  async updateEvent(habit, event) {
+    try {
+      if (!(await this.deleteRecord(habit, event))) {
+        // Written from another platform, or by another app; leave it there
+        return { success: true, data: event };
+      }
+
+      const cleared = event.health_record_id ? await this.saveRecordId(event, null) : event;
+      return await this.writeEvent(habit, cleared);
+    } catch (error) {
+      console.error('Error updating consumption event in health app:', error);
+      return { success: false, data: event, error: error.message };
+    }
+  }
+
+  /**
+   * Remove the platform records of deleted events
+   * @param {Object} habit - The events' habit
+   * @param {Array} events - Deleted habit_consumption_events records
+   * @returns {Promise<Object>} { success, data: number (records deleted), error }
+   */
+  async deleteEvents(habit, events) {
+    try {
+      let deleted = 0;
+      for (const event of events || []) {
+        if (event.health_record_id && (await this.deleteRecord(habit, event))) {
+          deleted++;
+        }
+      }
+      return { success: true, data: deleted };
+    } catch (error) {
+      console.error('Error deleting consumption events from health app:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Delete an event's platform record, if SleepFactor wrote it on this platform
+   * @param {Object} habit - The event's habit
+   * @param {Object} event - habit_consumption_events record
+   * @returns {Promise<boolean>} False if the record belongs to the other platform or was imported from another app
+   */
+  async deleteRecord(habit, event) {
+    if (!event.health_record_id) return true;
+    if (event.imported_from || event.health_record_source !== healthService.getSourceIdentifier()) return false;
+
+    await healthService.deleteConsumptionRecord(event.health_record_id, this.getConsumptionType(habit));
+    return true;
+  }
+
+  /**
+   * Store the platform record id on an event
+   * @param {Object} event - habit_consumption_events record
+   * @param {string|null} recordId - Platform record id, or null once the record is gone
+   * @returns {Promise<Object>} The event with the new record fields
+   */
+  async saveRecordId(event, recordId) {
+    const recordFields = {
+      health_record_id: recordId,
+      health_record_source: recordId ? healthService.getSourceIdentifier() : null,
+    };
+
+    const { error } = await supabase
+      .from('habit_consumption_events')
+      .update(recordFields)
+      .eq('id', event.id);
+
+    if (error) throw error;
+    return { ...event, ...recordFields };
+  }
+}
+
+export default new HealthWriteBackService();
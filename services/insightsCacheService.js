@@ -0,0 +1,188 @@
+import { supabase } from './supabase';
+import { toDateString, getTodayDateString } from '../utils/timezone';
+
+/**
+ * Service for persisting computed insights in the insights_cache table
+ * One row per habit, sleep metric, time range and habit timing. Rows are marked stale by database
+ * triggers whenever habit_logs, drug_levels or sleep_data change inside their date range.
+ */
+
+class InsightsCacheService {
+  constructor() {
+    this.tableName = 'insights_cache';
+  }
+
+  /**
+   * Get cached insights for a metric and time range
+   * @param {string} userId - User ID
+   * @param {string} sleepMetric - Sleep metric key (e.g., 'total_sleep_minutes')
+   * @param {string} timeRange - Time range key (e.g., 'all', '30')
+   * @param {string} habitTiming - Habit timing key (e.g., 'default', 'lag1', 'sum3')
+   * @returns {Promise<Object>} { success, data: { insights, isFresh, lastCalculated } | null, error }
+   */
+  async getCachedInsights(userId, sleepMetric, timeRange, habitTiming = 'default') {
+    try {
+      const { data: rows, error } = await supabase
+        .from(this.tableName)
+        .select(`
+          *,
+          habits!inner(*)
+        `)
+        .eq('user_id', userId)
+        .eq('sleep_metric', sleepMetric)
+        .eq('time_range', timeRange)
+        .eq('habit_timing', habitTiming)
+        .eq('habits.is_active', true);
+
+      if (error) throw error;
+      if (!rows || rows.length === 0) {
+        return { success: true, data: null };
+      }
+
+      // Habits added or paused since the last calculation change the active set it was made with. It
+      // is compared by id rather than row count, as an overnight metric's own habit has no row when
+      // that metric is the outcome.
+      const { data: activeHabits, error: habitsError } = await supabase
+        .from('habits')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+      if (habitsError) throw habitsError;
+
+      const calculatedHabitIds = new Set(rows[0].correlation_data.habitIds || []);
+      const sameHabits = activeHabits.length === calculatedHabitIds.size &&
+        activeHabits.every(habit => calculatedHabitIds.has(habit.id));
+
+      const today = getTodayDateString();
+      const isFresh = sameHabits && rows.every(row =>
+        !row.is_stale && row.range_end >= today
+      );
+
+      const validInsights = [];
+      const placeholders = [];
+      const sortedRows = [...rows].sort((a, b) => a.habits.name.localeCompare(b.habits.name));
+
+      sortedRows.forEach(row => {
+        // Always use the current habit row so renames show up without a recalculation
+        const insight = { ...row.correlation_data.insight, habit: row.habits };
+        if (insight.type === 'placeholder') {
+          placeholders.push(insight);
+        } else {
+          validInsights.push(insight);
+        }
+      });
+
+      const lastCalculated = rows.reduce((oldest, row) =>
+        !oldest || row.last_calculated < oldest ? row.last_calculated : oldest
+      , null);
+
+      // Nap factors have no habits row, so they're kept with the model summary
+      (sortedRows[0].correlation_data.napInsights || []).forEach(insight => {
+        if (insight.type === 'placeholder') {
+          placeholders.push(insight);
+        } else {
+          validInsights.push(insight);
+        }
+      });
+
+      return {
+        success: true,
+        data: {
+          insights: {
+            validInsights,
+            placeholders,
+            adjustedModel: sortedRows[0].correlation_data.adjustedModel || null
+          },
+          isFresh,
+          lastCalculated
+        }
+      };
+    } catch (error) {
+      console.error('Error reading insights cache:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Save freshly calculated insights, replacing any cached rows for the same metric and range
+   * @param {string} userId - User ID
+   * @param {string} sleepMetric - Sleep metric key
+   * @param {string} timeRange - Time range key
+   * @param {Object} dateRange - { startDate, endDate } used for the calculation
+   * @param {Object} insightsData - { validInsights, placeholders, adjustedModel, habitIds } from InsightsService
+   * @param {string} habitTiming - Habit timing key
+   * @returns {Promise<Object>} { success, error }
+   */
+  async saveInsights(userId, sleepMetric, timeRange, dateRange, insightsData, habitTiming = 'default') {
+    try {
+      const { validInsights = [], placeholders = [], adjustedModel = null, habitIds = [] } = insightsData;
+      const now = new Date().toISOString();
+
+      // The per-habit effects already live on each insight
+      let modelSummary = null;
+      if (adjustedModel) {
+        const { effects, ...summary } = adjustedModel;
+        modelSummary = summary;
+      }
+
+      const allInsights = [...validInsights, ...placeholders];
+      const napInsights = allInsights.filter(insight => insight.habit.isNapFactor);
+
+      const records = allInsights.filter(insight => !insight.habit.isNapFactor).map(insight => {
+        const { habit, ...insightWithoutHabit } = insight;
+        return {
+          user_id: userId,
+          habit_id: habit.id,
+          sleep_metric: sleepMetric,
+          time_range: timeRange,
+          habit_timing: habitTiming,
+          range_start: toDateString(dateRange.startDate),
+          range_end: toDateString(dateRange.endDate),
+          correlation_data: {
+            insight: insightWithoutHabit,
+            adjustedModel: modelSummary,
+            napInsights,
+            habitIds
+          },
+          confidence_level: this.getConfidenceLevel(insight),
+          is_stale: false,
+          last_calculated: now,
+        };
+      });
+
+      if (records.length === 0) {
+        return { success: true };
+      }
+
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert(records, {
+          onConflict: 'user_id,habit_id,sleep_metric,time_range,habit_timing',
+        });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving insights cache:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Map an insight to the table's confidence_level bucket
+   * @param {Object} insight - Insight object
+   * @returns {string} 'low', 'medium' or 'high'
+   */
+  getConfidenceLevel(insight) {
+    const significance = insight.significance;
+    if (insight.type === 'placeholder' || !significance) {
+      return 'low';
+    }
+    if (significance.pValue < 0.01) return 'high';
+    if (significance.isLikelyReal) return 'medium';
+    return 'low';
+  }
+}
+
+export default new InsightsCacheService();
@@ -1,4 +1,6 @@
 import { supabase } from './supabase';
+import insightsCacheService from './insightsCacheService';
+import drugLevelService from './drugLevelService';
 import {
   calculateMedian,
   calculateQuartiles,
@@ -6,8 +8,21 @@ import {
   calculateBoxPlotStats,
   calculateCorrelation,
   calculateLinearRegression,
-  calculateRSquared
+  calculateRSquared,
+  calculateMultipleRegression,
+  calculateWelchTTest,
+  calculateMannWhitneyU,
+  calculateFisherZTest,
+  calculateBootstrapMedianDifferenceCI
 } from '../utils/statistics';
+import { addDaysToDateString } from '../utils/dateHelpers';
+import { toDateString } from '../utils/timezone';
+import { calculateCircadianMetrics, SOCIAL_JETLAG_WINDOW_NIGHTS } from '../utils/sleepRegularity';
+import { calculateSleepScores, SLEEP_SCORE_BASELINE_NIGHTS } from '../utils/sleepScore';
+import { HEALTH_METRICS } from '../constants/healthMetrics';
+
+// Health metrics measured while asleep; their logs are dated by the night and analysed as outcomes
+const OVERNIGHT_METRICS = HEALTH_METRICS.filter(metric => metric.overnight);
 
 /**
  * Service for aggregating habit logs with sleep data and calculating insights
@@ -15,6 +30,8 @@ import {
 class InsightsService {
   constructor() {
     this.MIN_DATA_POINTS = 10; // Minimum data points needed for meaningful insights
+    this.SIGNIFICANCE_LEVEL = 0.05; // p-value below which an effect is reported as likely real
+    this.MAX_LAG_NIGHTS = 3; // Furthest night after a habit that the lag profile looks at
   }
 
   /**
@@ -23,18 +40,27 @@ class InsightsService {
    * @param {string} sleepMetric - Sleep metric to analyze (e.g., 'total_sleep_minutes')
    * @param {Date} startDate - Start date for analysis
    * @param {Date} endDate - End date for analysis
-   * @returns {Promise<Object>} Object with validInsights and placeholders arrays
+   * @param {Object} habitTiming - { lagNights, rollingWindow } from getAvailableHabitTimings() (default: no lag, single day)
+   * @returns {Promise<Object>} Object with validInsights, placeholders and the adjustedModel summary
    */
-  async getHabitsInsights(userId, sleepMetric, startDate, endDate) {
+  async getHabitsInsights(userId, sleepMetric, startDate, endDate, habitTiming = {}) {
     try {
       // Load habits and their logs
-      const habits = await this.getActiveHabits(userId);
+      const activeHabits = await this.getActiveHabits(userId);
       const habitLogs = await this.getHabitLogs(userId, startDate, endDate);
       const drugLevels = await this.getDrugLevels(userId, startDate, endDate);
       const sleepData = await this.getSleepData(userId, startDate, endDate);
 
+      // Naps are analysed alongside the habits; an overnight metric isn't a habit when it is the outcome
+      const napFactors = this.getNapFactors(sleepData);
+      const outcomeMetric = OVERNIGHT_METRICS.find(metric => metric.key === sleepMetric);
+      const habits = [
+        ...activeHabits.filter(habit => !(outcomeMetric && !habit.is_custom && habit.name === outcomeMetric.name)),
+        ...napFactors.habits
+      ];
+
       // Group logs by habit
-      const logsByHabit = this.groupLogsByHabit(habitLogs);
+      const logsByHabit = { ...this.groupLogsByHabit(habitLogs), ...napFactors.logsByHabit };
 
       // Group drug levels by habit for quick_consumption habits
       const drugLevelsByHabit = this.groupDrugLevelsByHabit(drugLevels);
@@ -53,27 +79,44 @@ class InsightsService {
       for (const habit of habits) {
         // Use different data sources based on habit type
         let habitData;
+        let insightHabit = habit;
         if (habit.type === 'quick_consumption') {
           // For quick_consumption habits (alcohol/caffeine), use drug levels
           habitData = drugLevelsByHabit[habit.id] || [];
+          // Levels are in their model's unit (BAC for alcohol), not the unit drinks are logged in
+          const levelUnit = habitData[habitData.length - 1]?.unit;
+          if (levelUnit) {
+            insightHabit = { ...habit, unit: levelUnit };
+          }
         } else {
           // For other habit types, use habit logs
           habitData = logsByHabit[habit.id] || [];
         }
 
-        const insight = await this.calculateHabitInsight(habit, habitData, sleepData, sleepMetric);
+        const insight = await this.calculateHabitInsight(insightHabit, habitData, sleepData, sleepMetric, habitTiming);
         if (insight) {
+          insight.lagProfile = this.calculateLagProfile(insightHabit, habitData, sleepByDate, sleepMetric);
           validInsights.push(insight);
         } else {
           // Create placeholder insight with tracking statistics
-          const placeholderInsight = this.createPlaceholderInsight(habit, habitData, sleepByDate, sleepData);
+          const placeholderInsight = this.createPlaceholderInsight(insightHabit, habitData, sleepByDate, sleepData);
           placeholders.push(placeholderInsight);
         }
       }
 
+      // Fit all habits together so each insight also carries its confounder-adjusted effect
+      const adjustedModel = this.calculateAdjustedEffects(habits, logsByHabit, drugLevelsByHabit, sleepData, sleepMetric, habitTiming);
+      validInsights.forEach(insight => {
+        insight.adjustedEffect = adjustedModel?.effects[insight.habit.id] || null;
+      });
+
       return {
         validInsights,
-        placeholders
+        placeholders,
+        adjustedModel,
+        // Every active habit considered, including one left out as the outcome, so the cache can
+        // tell when habits have been added or paused since
+        habitIds: activeHabits.map(habit => habit.id)
       };
     } catch (error) {
       console.error('Error getting habits insights:', error);
@@ -81,6 +124,28 @@ class InsightsService {
     }
   }
 
+  /**
+   * Recalculate insights for a time range selection and store them in the insights cache
+   * @param {string} userId - User ID
+   * @param {string} sleepMetric - Sleep metric to analyze
+   * @param {string} timeRangeKey - Time range key from getAvailableTimeRanges()
+   * @param {string} habitTimingKey - Habit timing key from getAvailableHabitTimings() (default: 'default')
+   * @returns {Promise<Object>} Object with validInsights, placeholders and the adjustedModel summary
+   */
+  async refreshHabitsInsights(userId, sleepMetric, timeRangeKey, habitTimingKey = 'default') {
+    const dateRange = this.calculateDateRange(timeRangeKey);
+    const habitTiming = this.getHabitTiming(habitTimingKey);
+    const insightsData = await this.getHabitsInsights(userId, sleepMetric, dateRange.startDate, dateRange.endDate, habitTiming);
+
+    // A failed cache write shouldn't hide freshly calculated insights
+    const cacheResult = await insightsCacheService.saveInsights(userId, sleepMetric, timeRangeKey, dateRange, insightsData, habitTimingKey);
+    if (!cacheResult.success) {
+      console.warn('Insights calculated but not cached:', cacheResult.error);
+    }
+
+    return insightsData;
+  }
+
   /**
    * Get all active habits for a user
    * @param {string} userId - User ID
@@ -106,8 +171,8 @@ class InsightsService {
    * @returns {Promise<Array>} Array of habit logs
    */
   async getHabitLogs(userId, startDate, endDate) {
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = toDateString(startDate);
+    const endDateStr = toDateString(endDate);
 
     const { data, error } = await supabase
       .from('habit_logs')
@@ -125,26 +190,114 @@ class InsightsService {
   }
 
   /**
-   * Get sleep data within date range
+   * Get sleep data within date range, with timing and regularity metrics added to each night
+   * Nights without a platform sleep score get the composite score, with its breakdown in
+   * sleep_score_breakdown. Overnight health metrics (SpO2, breathing rate, HRV) are added under
+   * their metric keys. Nights before the range are loaded too so the rolling metrics and
+   * score baseline are available from the first night of the range.
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @returns {Promise<Array>} Array of sleep data
    */
   async getSleepData(userId, startDate, endDate) {
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = toDateString(startDate);
+    const endDateStr = toDateString(endDate);
+    const lookbackDateStr = addDaysToDateString(
+      startDateStr,
+      -Math.max(SOCIAL_JETLAG_WINDOW_NIGHTS, SLEEP_SCORE_BASELINE_NIGHTS)
+    );
 
     const { data, error } = await supabase
       .from('sleep_data')
       .select('*')
       .eq('user_id', userId)
-      .gte('date', startDateStr)
+      .gte('date', lookbackDateStr)
       .lte('date', endDateStr)
       .order('date', { ascending: true });
 
     if (error) throw error;
-    return data || [];
+
+    const records = data || [];
+    const circadianMetricsByDate = calculateCircadianMetrics(records);
+    const sleepScoresByDate = calculateSleepScores(records);
+    const overnightMetricsByDate = await this.getOvernightMetricsByDate(userId, startDateStr, endDateStr);
+
+    return records
+      .filter(sleep => sleep.date >= startDateStr)
+      .map(sleep => {
+        const computedScore = sleepScoresByDate[sleep.date];
+        const hasPlatformScore = sleep.sleep_score !== null && sleep.sleep_score !== undefined;
+
+        return {
+          ...sleep,
+          ...circadianMetricsByDate[sleep.date],
+          ...overnightMetricsByDate[sleep.date],
+          sleep_score: hasPlatformScore ? sleep.sleep_score : computedScore?.score ?? null,
+          sleep_score_breakdown: hasPlatformScore ? null : computedScore?.components ?? null,
+        };
+      });
+  }
+
+  /**
+   * Get the overnight health metric logs within a date range, keyed by the night they belong to
+   * @param {string} userId - User ID
+   * @param {string} startDateStr - Start date in YYYY-MM-DD format
+   * @param {string} endDateStr - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} { [date]: { [metricKey]: value } }
+   */
+  async getOvernightMetricsByDate(userId, startDateStr, endDateStr) {
+    const { data, error } = await supabase
+      .from('habit_logs')
+      .select('date, numeric_value, habits!inner(name, is_custom)')
+      .eq('user_id', userId)
+      .eq('habits.is_custom', false)
+      .in('habits.name', OVERNIGHT_METRICS.map(metric => metric.name))
+      .gte('date', startDateStr)
+      .lte('date', endDateStr);
+
+    if (error) throw error;
+
+    const byDate = {};
+    (data || []).forEach(log => {
+      const metric = OVERNIGHT_METRICS.find(candidate => candidate.name === log.habits.name);
+      if (!metric || log.numeric_value === null || log.numeric_value === undefined) return;
+      byDate[log.date] = { ...byDate[log.date], [metric.key]: Number(log.numeric_value) };
+    });
+    return byDate;
+  }
+
+  /**
+   * Turn the nap totals stored on each night into habit-like factors
+   * A night's naps were taken the day before, so the logs are dated that day and pair with
+   * the night the same way habit logs do. Nights synced before naps were tracked have no
+   * nap totals and are left out rather than counted as nap-free.
+   * @param {Array} sleepData - Sleep data records
+   * @returns {Object} { habits, logsByHabit } (empty when the user never naps)
+   */
+  getNapFactors(sleepData) {
+    const napNights = sleepData.filter(sleep => sleep.nap_count !== null && sleep.nap_count !== undefined);
+    if (!napNights.some(sleep => sleep.nap_count > 0)) {
+      return { habits: [], logsByHabit: {} };
+    }
+
+    const habits = [
+      { id: 'nap_late', name: 'Nap after 4pm', type: 'binary', unit: null, isNapFactor: true },
+      { id: 'nap_minutes', name: 'Nap time', type: 'numeric', unit: 'minutes', isNapFactor: true },
+    ];
+
+    const logsByHabit = {
+      nap_late: napNights.map(sleep => ({
+        date: addDaysToDateString(sleep.date, -1),
+        value: sleep.late_nap_minutes > 0 ? 'yes' : 'no',
+      })),
+      nap_minutes: napNights.map(sleep => ({
+        date: addDaysToDateString(sleep.date, -1),
+        numeric_value: sleep.nap_minutes || 0,
+      })),
+    };
+
+    return { habits, logsByHabit };
   }
 
   /**
@@ -155,8 +308,14 @@ class InsightsService {
    * @returns {Promise<Array>} Array of drug levels
    */
   async getDrugLevels(userId, startDate, endDate) {
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = toDateString(startDate);
+    const endDateStr = toDateString(endDate);
+
+    // Levels calculated with a habit's earlier model or parameters can't be mixed with the rest
+    const refreshResult = await drugLevelService.refreshOutdatedLevels(userId);
+    if (!refreshResult.success) {
+      console.warn('Outdated drug levels were not recalculated:', refreshResult.error);
+    }
 
     const { data, error } = await supabase
       .from('drug_levels')
@@ -211,9 +370,10 @@ class InsightsService {
    * @param {Array} habitData - Array of habit data (logs or drug levels) for this habit
    * @param {Array} sleepData - Array of sleep data
    * @param {string} sleepMetric - Sleep metric to analyze
+   * @param {Object} habitTiming - { lagNights, rollingWindow } (default: no lag, single day)
    * @returns {Object|null} Insight object or null if insufficient data
    */
-  calculateHabitInsight(habit, habitData, sleepData, sleepMetric) {
+  calculateHabitInsight(habit, habitData, sleepData, sleepMetric, habitTiming = {}) {
     if (!habitData || habitData.length < this.MIN_DATA_POINTS) {
       return null; // Insufficient data
     }
@@ -229,27 +389,15 @@ class InsightsService {
     // - Habit logs: sleep data date should be the next day (sleep from day X is stored as day X+1)
     // - Drug levels: date corresponds directly to sleep data date
     // Example: Steps on Jan 1 should match with sleep from Jan 1-2 (stored as Jan 2)
+    // habitTiming can push the pairing further out (lag) or sum several days (rolling window)
     const dataPoints = [];
     const unmatchedLogs = [];
     const matchedDates = [];
 
-    habitData.forEach(log => {
-      // Date logic depends on habit type
-      let sleepDataDate;
-      if (habit.type === 'quick_consumption') {
-        // For drug levels, the date corresponds directly to sleep data date
-        sleepDataDate = log.date;
-      } else {
-        // For habit logs, sleep data date should be the next day (sleep from day X is stored as day X+1)
-        const logDate = new Date(log.date);
-        const nextDay = new Date(logDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-        sleepDataDate = nextDay.toISOString().split('T')[0];
-      }
-
+    this.buildHabitFeatureSeries(habit, habitData, habitTiming).forEach(({ log, value, sleepDate: sleepDataDate }) => {
       const sleep = sleepByDate[sleepDataDate];
       if (sleep && sleep[sleepMetric] !== null && sleep[sleepMetric] !== undefined) {
-        const habitValue = this.getHabitValue(log, habit);
+        const habitValue = value;
         const sleepValue = sleep[sleepMetric];
         
         // Only add if both values are valid numbers (not NaN, null, or undefined)
@@ -288,15 +436,133 @@ class InsightsService {
       return null; // Insufficient paired data points
     }
 
-    if (habit.type === 'binary') {
-      const insight = this.calculateBinaryInsight(habit, dataPoints);
-      return insight;
-    } else if (habit.type === 'numeric') {
-      const insight = this.calculateNumericalInsight(habit, dataPoints);
-      return insight;
+    // A rolling sum turns a yes/no habit into a count of days, which is numerical
+    const isRollingSum = (habitTiming.rollingWindow || 1) > 1;
+
+    let insight = null;
+    if (habit.type === 'binary' && !isRollingSum) {
+      insight = this.calculateBinaryInsight(habit, dataPoints);
+    } else if (habit.type === 'numeric' || habit.type === 'binary') {
+      insight = this.calculateNumericalInsight(habit, dataPoints);
+    }
+
+    if (insight) {
+      insight.habitTiming = {
+        lagNights: habitTiming.lagNights || 0,
+        rollingWindow: habitTiming.rollingWindow || 1
+      };
+    }
+
+    return insight; // null for unsupported habit types
+  }
+
+  /**
+   * Get the sleep_data date a habit log or drug level should be paired with
+   * - Habit logs: sleep from day X is stored as day X+1, so pair with the next day
+   * - Drug levels: the date already corresponds to the sleep data date
+   * @param {Object} habit - Habit object
+   * @param {Object} log - Habit log or drug level record
+   * @param {number} lagNights - Extra nights to look ahead (default: 0)
+   * @returns {string} Sleep date in YYYY-MM-DD format
+   */
+  getSleepDateForHabitData(habit, log, lagNights = 0) {
+    const baseOffset = habit.type === 'quick_consumption' ? 0 : 1;
+    return addDaysToDateString(log.date, baseOffset + lagNights);
+  }
+
+  /**
+   * Turn a habit's logs into dated feature values paired with a sleep date
+   * With a rolling window, each value is the sum of that day and the preceding days;
+   * days without a complete window are skipped rather than treated as zero.
+   * @param {Object} habit - Habit object
+   * @param {Array} habitData - Habit logs or drug levels for this habit
+   * @param {Object} habitTiming - { lagNights, rollingWindow } (default: no lag, single day)
+   * @returns {Array} Array of {date, value, sleepDate, log} sorted by date
+   */
+  buildHabitFeatureSeries(habit, habitData, habitTiming = {}) {
+    const { lagNights = 0, rollingWindow = 1 } = habitTiming;
+
+    const entriesByDate = {};
+    habitData.forEach(log => {
+      const value = this.getHabitValue(log, habit);
+      if (value !== null && value !== undefined && !isNaN(value)) {
+        entriesByDate[log.date] = { log, value };
+      }
+    });
+
+    return Object.keys(entriesByDate)
+      .sort()
+      .map(date => {
+        const { log, value } = entriesByDate[date];
+        let total = value;
+        for (let offset = 1; offset < rollingWindow; offset++) {
+          const previous = entriesByDate[addDaysToDateString(date, -offset)];
+          if (!previous) return null;
+          total += previous.value;
+        }
+
+        return {
+          date,
+          value: total,
+          sleepDate: this.getSleepDateForHabitData(habit, log, lagNights),
+          log
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Correlate a habit with the sleep metric at each lag (0 to MAX_LAG_NIGHTS nights later)
+   * and for multi-day rolling sums, to show when the habit's association is strongest
+   * @param {Object} habit - Habit object
+   * @param {Array} habitData - Habit logs or drug levels for this habit
+   * @param {Object} sleepByDate - Sleep data lookup by date
+   * @param {string} sleepMetric - Sleep metric to analyze
+   * @returns {Object} { lags, rollingWindows, strongest } where each entry has correlation, n and pValue
+   */
+  calculateLagProfile(habit, habitData, sleepByDate, sleepMetric) {
+    const correlate = (habitTiming) => {
+      const habitValues = [];
+      const sleepValues = [];
+      this.buildHabitFeatureSeries(habit, habitData, habitTiming).forEach(({ value, sleepDate }) => {
+        const sleepValue = sleepByDate[sleepDate]?.[sleepMetric];
+        if (sleepValue !== null && sleepValue !== undefined && !isNaN(sleepValue)) {
+          habitValues.push(value);
+          sleepValues.push(sleepValue);
+        }
+      });
+
+      const n = habitValues.length;
+      const hasEnoughData = n >= this.MIN_DATA_POINTS;
+      const correlation = hasEnoughData ? this.calculateCorrelation(habitValues, sleepValues) : null;
+      const validCorrelation = correlation !== null && !isNaN(correlation) ? correlation : null;
+      const fisherZ = validCorrelation !== null ? calculateFisherZTest(validCorrelation, n) : null;
+
+      return {
+        lagNights: habitTiming.lagNights || 0,
+        rollingWindow: habitTiming.rollingWindow || 1,
+        correlation: validCorrelation,
+        n,
+        pValue: fisherZ ? fisherZ.pValue : null
+      };
+    };
+
+    const lags = [];
+    for (let lagNights = 0; lagNights <= this.MAX_LAG_NIGHTS; lagNights++) {
+      lags.push(correlate({ lagNights, rollingWindow: 1 }));
     }
 
-    return null; // Unsupported habit type
+    const rollingWindows = this.getAvailableHabitTimings()
+      .filter(timing => timing.rollingWindow > 1)
+      .map(timing => correlate({ lagNights: timing.lagNights, rollingWindow: timing.rollingWindow }));
+
+    const strongest = [...lags, ...rollingWindows]
+      .filter(entry => entry.correlation !== null)
+      .reduce((best, entry) =>
+        !best || Math.abs(entry.correlation) > Math.abs(best.correlation) ? entry : best
+      , null);
+
+    return { lags, rollingWindows, strongest };
   }
 
   /**
@@ -396,9 +662,54 @@ class InsightsService {
       insight.noStats = noStats;
     }
 
+    if (insight.hasComparisonData) {
+      insight.significance = this.calculateBinarySignificance(yesData, noData);
+    }
+
     return insight;
   }
 
+  /**
+   * Test whether sleep differs between "yes" and "no" days for a binary habit
+   * @param {Array<number>} yesData - Sleep values on days the habit was done
+   * @param {Array<number>} noData - Sleep values on days it wasn't
+   * @returns {Object} Welch and Mann-Whitney results, bootstrap CI for the median difference and an overall verdict
+   */
+  calculateBinarySignificance(yesData, noData) {
+    const welch = calculateWelchTTest(yesData, noData);
+    const mannWhitney = calculateMannWhitneyU(yesData, noData);
+    const medianDifference = calculateBootstrapMedianDifferenceCI(yesData, noData);
+
+    // Only call an effect real when both the parametric and rank-based tests agree
+    const pValues = [welch?.pValue, mannWhitney?.pValue].filter(p => p !== undefined && !isNaN(p));
+    const pValue = pValues.length > 0 ? Math.max(...pValues) : 1;
+
+    return {
+      welch,
+      mannWhitney,
+      medianDifference,
+      pValue,
+      isLikelyReal: pValue < this.SIGNIFICANCE_LEVEL
+    };
+  }
+
+  /**
+   * Test whether a habit/sleep correlation differs from zero (Fisher z-transformation)
+   * @param {number} correlation - Pearson correlation coefficient
+   * @param {number} n - Number of paired data points
+   * @returns {Object} Fisher z result with CI for r and an overall verdict
+   */
+  calculateCorrelationSignificance(correlation, n) {
+    const fisherZ = calculateFisherZTest(correlation, n);
+    const pValue = fisherZ ? fisherZ.pValue : 1;
+
+    return {
+      fisherZ,
+      pValue,
+      isLikelyReal: pValue < this.SIGNIFICANCE_LEVEL
+    };
+  }
+
   /**
    * Calculate insights for numerical habits
    * @param {Object} habit - Habit object
@@ -428,10 +739,108 @@ class InsightsService {
       correlation: validCorrelation,
       correlationStrength: Math.abs(validCorrelation) > 0.7 ? 'strong' :
                           Math.abs(validCorrelation) > 0.3 ? 'moderate' : 'weak',
-      trendDirection: validCorrelation > 0 ? 'positive' : validCorrelation < 0 ? 'negative' : 'none'
+      trendDirection: validCorrelation > 0 ? 'positive' : validCorrelation < 0 ? 'negative' : 'none',
+      significance: this.calculateCorrelationSignificance(validCorrelation, dataPoints.length)
     };
   }
 
+  /**
+   * Estimate each habit's effect on the sleep metric while holding the other habits constant.
+   * Fits ordinary least squares over every active habit (quick_consumption habits enter via their
+   * bedtime drug levels) using only nights where all included habits have a value. Habits with too
+   * little overlap or no variation are dropped until the model can be fitted.
+   * @param {Array} habits - Active habits
+   * @param {Object} logsByHabit - Habit logs grouped by habit ID
+   * @param {Object} drugLevelsByHabit - Drug levels grouped by habit ID
+   * @param {Array} sleepData - Array of sleep data
+   * @param {string} sleepMetric - Sleep metric to analyze
+   * @param {Object} habitTiming - { lagNights, rollingWindow } applied to every habit (default: no lag, single day)
+   * @returns {Object|null} Model summary with effects keyed by habit ID, or null if no model could be fitted
+   */
+  calculateAdjustedEffects(habits, logsByHabit, drugLevelsByHabit, sleepData, sleepMetric, habitTiming = {}) {
+    // Sleep metric values by date, valid numbers only
+    const outcomeByDate = {};
+    sleepData.forEach(sleep => {
+      const value = sleep[sleepMetric];
+      if (value !== null && value !== undefined && !isNaN(value)) {
+        outcomeByDate[sleep.date] = value;
+      }
+    });
+
+    // Habit values keyed by the sleep date they pair with
+    let candidates = habits
+      .filter(habit => ['binary', 'numeric', 'quick_consumption'].includes(habit.type))
+      .map(habit => {
+        const habitData = habit.type === 'quick_consumption'
+          ? drugLevelsByHabit[habit.id] || []
+          : logsByHabit[habit.id] || [];
+
+        const valuesBySleepDate = {};
+        this.buildHabitFeatureSeries(habit, habitData, habitTiming).forEach(({ value, sleepDate }) => {
+          if (outcomeByDate[sleepDate] !== undefined) {
+            valuesBySleepDate[sleepDate] = value;
+          }
+        });
+
+        return { habit, valuesBySleepDate, coverage: Object.keys(valuesBySleepDate).length };
+      })
+      .filter(candidate => candidate.coverage >= this.MIN_DATA_POINTS);
+
+    const excludedHabits = habits
+      .filter(habit => !candidates.some(candidate => candidate.habit.id === habit.id))
+      .map(habit => habit.name);
+
+    while (candidates.length > 0) {
+      const dates = Object.keys(outcomeByDate).filter(date =>
+        candidates.every(candidate => candidate.valuesBySleepDate[date] !== undefined)
+      );
+
+      // A habit that never varies on the shared nights can't be separated from the intercept
+      const constant = candidates.find(candidate => {
+        const values = dates.map(date => candidate.valuesBySleepDate[date]);
+        return values.every(value => value === values[0]);
+      });
+
+      if (dates.length >= candidates.length + this.MIN_DATA_POINTS && !constant) {
+        const predictors = dates.map(date => candidates.map(candidate => candidate.valuesBySleepDate[date]));
+        const outcomes = dates.map(date => outcomeByDate[date]);
+        const model = calculateMultipleRegression(predictors, outcomes);
+
+        if (model) {
+          const effects = {};
+          candidates.forEach((candidate, index) => {
+            effects[candidate.habit.id] = {
+              ...model.coefficients[index],
+              n: model.n,
+              controlledFor: candidates
+                .filter(other => other.habit.id !== candidate.habit.id)
+                .map(other => other.habit.name)
+            };
+          });
+
+          return {
+            sleepMetric,
+            n: model.n,
+            rSquared: model.rSquared,
+            confidenceLevel: model.confidenceLevel,
+            includedHabits: candidates.map(candidate => candidate.habit.name),
+            excludedHabits,
+            effects
+          };
+        }
+      }
+
+      // Drop the constant habit, otherwise the one with the least data, and try again
+      const dropped = constant || candidates.reduce((least, candidate) =>
+        candidate.coverage < least.coverage ? candidate : least
+      );
+      excludedHabits.push(dropped.habit.name);
+      candidates = candidates.filter(candidate => candidate !== dropped);
+    }
+
+    return null;
+  }
+
   /**
    * Calculate box plot statistics for an array of values
    * @param {Array<number>} values - Array of numeric values
@@ -472,7 +881,24 @@ class InsightsService {
       { key: 'rem_sleep_minutes', label: 'REM Sleep', unit: 'minutes' },
       { key: 'awake_minutes', label: 'Awake Time', unit: 'minutes' },
       { key: 'awakenings_count', label: 'Awakenings', unit: 'count' },
-      { key: 'sleep_score', label: 'Sleep Score', unit: 'score' }
+      { key: 'sleep_score', label: 'Sleep Score', unit: 'score' },
+      { key: 'rested_feeling', label: 'Rested Feeling', unit: '1-5' },
+      { key: 'wake_mood', label: 'Mood on Waking', unit: '1-5' },
+      { key: 'time_in_bed_minutes', label: 'Time in Bed', unit: 'minutes' },
+      { key: 'sleep_efficiency', label: 'Sleep Efficiency', unit: '%' },
+      { key: 'sleep_latency_minutes', label: 'Sleep Latency', unit: 'minutes' },
+      { key: 'waso_minutes', label: 'Wake After Sleep Onset', unit: 'minutes' },
+      { key: 'longest_sleep_bout_minutes', label: 'Longest Sleep Bout', unit: 'minutes' },
+      { key: 'lowest_heart_rate', label: 'Lowest Sleeping HR', unit: 'bpm' },
+      { key: 'nocturnal_hr_dip_percent', label: 'Nocturnal HR Dip', unit: '%' },
+      { key: 'time_to_lowest_hr_minutes', label: 'Time to Lowest HR', unit: 'minutes' },
+      { key: 'bedtime_minutes', label: 'Bedtime', unit: 'min from midnight' },
+      { key: 'wake_time_minutes', label: 'Wake Time', unit: 'min from midnight' },
+      { key: 'sleep_midpoint_minutes', label: 'Sleep Midpoint', unit: 'min from midnight' },
+      { key: 'bedtime_deviation_minutes', label: 'Bedtime Consistency', unit: 'min off usual' },
+      { key: 'social_jetlag_minutes', label: 'Social Jetlag', unit: 'minutes' },
+      { key: 'sleep_regularity_index', label: 'Sleep Regularity', unit: 'SRI' },
+      ...OVERNIGHT_METRICS.map(metric => ({ key: metric.key, label: metric.name, unit: metric.unit }))
     ];
   }
 
@@ -490,6 +916,32 @@ class InsightsService {
     ];
   }
 
+  /**
+   * Get available habit timings for the timing selector
+   * lagNights shifts the pairing further from the habit; rollingWindow sums that many days
+   * @returns {Array} Array of timing objects
+   */
+  getAvailableHabitTimings() {
+    return [
+      { key: 'default', label: 'No delay', shortLabel: '0', lagNights: 0, rollingWindow: 1 },
+      { key: 'lag1', label: '1 night later', shortLabel: '+1', lagNights: 1, rollingWindow: 1 },
+      { key: 'lag2', label: '2 nights later', shortLabel: '+2', lagNights: 2, rollingWindow: 1 },
+      { key: 'lag3', label: '3 nights later', shortLabel: '+3', lagNights: 3, rollingWindow: 1 },
+      { key: 'sum3', label: '3-day total', shortLabel: '3d', lagNights: 0, rollingWindow: 3 },
+      { key: 'sum7', label: '7-day total', shortLabel: '7d', lagNights: 0, rollingWindow: 7 }
+    ];
+  }
+
+  /**
+   * Look up a habit timing by key
+   * @param {string} habitTimingKey - Habit timing key
+   * @returns {Object} Timing object, falling back to the default timing
+   */
+  getHabitTiming(habitTimingKey) {
+    const timings = this.getAvailableHabitTimings();
+    return timings.find(timing => timing.key === habitTimingKey) || timings[0];
+  }
+
   /**
    * Calculate date range from time range selection
    * @param {string} timeRangeKey - Time range key
@@ -536,17 +988,7 @@ class InsightsService {
       daysTracked++;
 
       // Check if we have sleep data for this date
-      let sleepDataDate;
-      if (habit.type === 'quick_consumption') {
-        // For drug levels, the date corresponds directly to sleep data date
-        sleepDataDate = log.date;
-      } else {
-        // For habit logs, sleep data date should be the next day (sleep from day X is stored as day X+1)
-        const logDate = new Date(log.date);
-        const nextDay = new Date(logDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-        sleepDataDate = nextDay.toISOString().split('T')[0];
-      }
+      const sleepDataDate = this.getSleepDateForHabitData(habit, log);
 
       if (sleepByDate[sleepDataDate]) {
         daysWithSleepData++;
@@ -1,4 +1,6 @@
 import { supabase } from './supabase';
+import healthSyncTokenService from './healthSyncTokenService';
+import { toDateString, getTodayDateString } from '../utils/timezone';
 
 /**
  * Sleep data service for Supabase operations
@@ -6,6 +8,7 @@ import { supabase } from './supabase';
 class SleepDataService {
   constructor() {
     this.tableName = 'sleep_data';
+    this.sessionsTableName = 'sleep_sessions';
   }
 
   /**
@@ -20,6 +23,23 @@ class SleepDataService {
    * @param {number} sleepData.awakenings_count - Number of awakenings
    * @param {number|null} sleepData.sleep_score - Sleep score (0-100) or null
    * @param {string} sleepData.source - Data source ('health_connect', 'healthkit', or 'manual')
+   * @param {string} [sleepData.sleep_start_time] - ISO timestamp the sleep session started
+   * @param {string} [sleepData.sleep_end_time] - ISO timestamp the sleep session ended
+   * @param {number|null} [sleepData.time_in_bed_minutes] - Session length minus time out of bed
+   * @param {number|null} [sleepData.sleep_efficiency] - Time asleep as a percentage of time in bed
+   * @param {number|null} [sleepData.sleep_latency_minutes] - Minutes from session start to first sleep
+   * @param {number|null} [sleepData.waso_minutes] - Wake after sleep onset in minutes
+   * @param {number|null} [sleepData.longest_sleep_bout_minutes] - Longest uninterrupted sleep in minutes
+   * @param {number} [sleepData.nap_count] - Naps taken the day before this night
+   * @param {number} [sleepData.nap_minutes] - Minutes asleep in those naps
+   * @param {number} [sleepData.late_nap_minutes] - Minutes asleep in naps starting after 4pm
+   * @param {string|null} [sleepData.data_origin] - App whose session the night was built from
+   * @param {string|null} [sleepData.data_origin_name] - Display name the platform reported for that app
+   * @param {Array|null} [sleepData.heart_rate_samples] - 5-minute heart rate averages across the night
+   * @param {number|null} [sleepData.lowest_heart_rate] - Lowest 5-minute heart rate while asleep
+   * @param {number|null} [sleepData.average_sleeping_heart_rate] - Average heart rate while asleep
+   * @param {number|null} [sleepData.nocturnal_hr_dip_percent] - Sleeping average below the evening's awake average, in %
+   * @param {number|null} [sleepData.time_to_lowest_hr_minutes] - Minutes from sleep onset to the lowest heart rate
    * @returns {Promise<Object>} The upserted record
    */
   async upsertSleepData(sleepData) {
@@ -44,6 +64,37 @@ class SleepDataService {
         updated_at: new Date().toISOString(),
       };
 
+      // Session times drive the bedtime, wake time and regularity metrics
+      if (sleepData.sleep_start_time && sleepData.sleep_end_time) {
+        record.sleep_start_time = new Date(sleepData.sleep_start_time).toISOString();
+        record.sleep_end_time = new Date(sleepData.sleep_end_time).toISOString();
+      }
+
+      // Architecture metrics are only known when the source provides stage intervals
+      const architectureFields = [
+        'time_in_bed_minutes',
+        'sleep_efficiency',
+        'sleep_latency_minutes',
+        'waso_minutes',
+        'longest_sleep_bout_minutes',
+      ];
+      // Nap totals are only known when the night was merged from its sleep sessions
+      const napFields = ['nap_count', 'nap_minutes', 'late_nap_minutes'];
+      const originFields = ['data_origin', 'data_origin_name'];
+      // Heart rate is only known when the platform had readings across the night
+      const heartRateFields = [
+        'heart_rate_samples',
+        'lowest_heart_rate',
+        'average_sleeping_heart_rate',
+        'nocturnal_hr_dip_percent',
+        'time_to_lowest_hr_minutes',
+      ];
+      [...architectureFields, ...napFields, ...originFields, ...heartRateFields].forEach(field => {
+        if (sleepData[field] !== undefined) {
+          record[field] = sleepData[field];
+        }
+      });
+
       // Only include sleep_stages if it's provided and not null
       // This allows the code to work before the migration is run
       // Also ensure it's a valid array before including it
@@ -108,6 +159,312 @@ class SleepDataService {
     }
   }
 
+  /**
+   * Save the morning check-in on a night's sleep record
+   * @param {string} date - Sleep date in YYYY-MM-DD format
+   * @param {Object} checkIn - Check-in answers
+   * @param {number|null} checkIn.rested_feeling - How rested the user felt (1-5)
+   * @param {number|null} checkIn.wake_mood - Mood on waking (1-5)
+   * @param {string|null} [checkIn.check_in_note] - Optional free-text note
+   * @returns {Promise<Object>} The updated sleep data record
+   */
+  async saveMorningCheckIn(date, { rested_feeling, wake_mood, check_in_note = null }) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({
+          rested_feeling,
+          wake_mood,
+          check_in_note: check_in_note?.trim() || null,
+          checked_in_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('user_id', user.id)
+        .eq('date', date)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Failed to save morning check-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a night entered or corrected by hand
+   * The night is flagged user_overridden so later syncs, forced or not, leave it alone. Whatever the
+   * platform derived from its stage timeline no longer matches the edited night, so it is cleared.
+   * @param {Object} sleepData - Record from buildManualSleepRecord() in utils/manualSleepEntry
+   * @param {string} [sleepData.source] - Keeps the original source when correcting a synced night (default: 'manual')
+   * @returns {Promise<Object>} The saved record
+   */
+  async saveManualSleepData(sleepData) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const record = {
+        user_id: user.id,
+        date: sleepData.date,
+        total_sleep_minutes: sleepData.total_sleep_minutes,
+        deep_sleep_minutes: sleepData.deep_sleep_minutes ?? null,
+        light_sleep_minutes: sleepData.light_sleep_minutes ?? null,
+        rem_sleep_minutes: sleepData.rem_sleep_minutes ?? null,
+        awake_minutes: sleepData.awake_minutes || 0,
+        awakenings_count: sleepData.awakenings_count || 0,
+        sleep_score: null,
+        source: sleepData.source || 'manual',
+        sleep_start_time: sleepData.sleep_start_time,
+        sleep_end_time: sleepData.sleep_end_time,
+        sleep_stages: null,
+        time_in_bed_minutes: sleepData.time_in_bed_minutes ?? null,
+        sleep_efficiency: sleepData.sleep_efficiency ?? null,
+        sleep_latency_minutes: null,
+        waso_minutes: null,
+        longest_sleep_bout_minutes: null,
+        heart_rate_samples: null,
+        lowest_heart_rate: null,
+        average_sleeping_heart_rate: null,
+        nocturnal_hr_dip_percent: null,
+        time_to_lowest_hr_minutes: null,
+        user_overridden: true,
+        updated_at: new Date().toISOString(),
+      };
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .upsert(record, {
+          onConflict: 'user_id,date',
+          ignoreDuplicates: false
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Failed to save manual sleep data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert the individual sleep sessions behind a night (or naps without a night yet)
+   * @param {Array} sessions - Session records from mergeSleepSessions(), tagged with date and session_type
+   * @param {string|null} sleepDataId - ID of the sleep_data record the sessions make up, if any
+   * @returns {Promise<Array>} The upserted session records
+   */
+  async upsertSleepSessions(sessions, sleepDataId = null) {
+    try {
+      if (!sessions || sessions.length === 0) {
+        return [];
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const records = sessions.map(session => ({
+        user_id: user.id,
+        sleep_data_id: sleepDataId,
+        date: session.date,
+        session_type: session.session_type,
+        source: session.source,
+        data_origin: session.data_origin || '',
+        data_origin_name: session.data_origin_name || null,
+        start_time: new Date(session.sleep_start_time).toISOString(),
+        end_time: new Date(session.sleep_end_time).toISOString(),
+        total_sleep_minutes: session.total_sleep_minutes || 0,
+        deep_sleep_minutes: session.deep_sleep_minutes || 0,
+        light_sleep_minutes: session.light_sleep_minutes || 0,
+        rem_sleep_minutes: session.rem_sleep_minutes || 0,
+        awake_minutes: session.awake_minutes || 0,
+        awakenings_count: session.awakenings_count || 0,
+        sleep_stages: session.sleep_stages || null,
+        external_ids: session.external_ids || [],
+        updated_at: new Date().toISOString(),
+      }));
+
+      const { data, error } = await supabase
+        .from(this.sessionsTableName)
+        .upsert(records, {
+          onConflict: 'user_id,source,data_origin,start_time',
+          ignoreDuplicates: false
+        })
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Failed to upsert sleep sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sleep sessions (main, split and nap) for a date range
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Array of sleep session records ordered by start time
+   */
+  async getSleepSessionsForRange(startDate, endDate) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.sessionsTableName)
+        .select('*')
+        .eq('user_id', user.id)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Failed to get sleep sessions for range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the dates of stored sessions built from any of the given platform records
+   * @param {string} source - Data source ('health_connect' or 'healthkit')
+   * @param {string[]} externalIds - Health Connect record ids or HealthKit sample UUIDs
+   * @returns {Promise<string[]>} Distinct dates in YYYY-MM-DD format
+   */
+  async getSleepSessionDatesForExternalIds(source, externalIds) {
+    try {
+      if (!externalIds || externalIds.length === 0) {
+        return [];
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.sessionsTableName)
+        .select('date')
+        .eq('user_id', user.id)
+        .eq('source', source)
+        .overlaps('external_ids', externalIds);
+
+      if (error) {
+        throw error;
+      }
+
+      return [...new Set((data || []).map(session => session.date))];
+    } catch (error) {
+      console.error('Failed to get sleep session dates for external ids:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the synced sessions of a source for some dates, before they are rebuilt from the platform
+   * @param {string} source - Data source ('health_connect' or 'healthkit')
+   * @param {string[]} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<void>}
+   */
+  async deleteSleepSessionsForDates(source, dates) {
+    try {
+      if (!dates || dates.length === 0) {
+        return;
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { error } = await supabase
+        .from(this.sessionsTableName)
+        .delete()
+        .eq('user_id', user.id)
+        .eq('source', source)
+        .in('date', dates);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      console.error('Failed to delete sleep sessions for dates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete synced nights whose platform records are gone
+   * Nights the user entered or corrected by hand are kept.
+   * @param {string} source - Data source ('health_connect' or 'healthkit')
+   * @param {string[]} dates - Dates in YYYY-MM-DD format
+   * @returns {Promise<Array>} The deleted records
+   */
+  async deleteSyncedSleepDataForDates(source, dates) {
+    try {
+      if (!dates || dates.length === 0) {
+        return [];
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', user.id)
+        .eq('source', source)
+        .eq('user_overridden', false)
+        .in('date', dates)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Failed to delete synced sleep data for dates:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get sleep data for a specific date
    * @param {string} date - Date in YYYY-MM-DD format
@@ -198,6 +555,16 @@ class SleepDataService {
         throw error;
       }
 
+      const { error: sessionsError } = await supabase
+        .from(this.sessionsTableName)
+        .delete()
+        .eq('user_id', user.id)
+        .eq('date', date);
+
+      if (sessionsError) {
+        throw sessionsError;
+      }
+
       return data;
     } catch (error) {
       console.error('Failed to delete sleep data for date:', error);
@@ -227,6 +594,18 @@ class SleepDataService {
         throw error;
       }
 
+      const { error: sessionsError } = await supabase
+        .from(this.sessionsTableName)
+        .delete()
+        .eq('user_id', user.id);
+
+      if (sessionsError) {
+        throw sessionsError;
+      }
+
+      // Without this the next sync would only read changes, and the deleted nights wouldn't come back
+      await healthSyncTokenService.clearTokens({ dataTypes: ['sleep'] });
+
       const deletedCount = data?.length || 0;
       return deletedCount;
     } catch (error) {
@@ -265,6 +644,9 @@ class SleepDataService {
 
       if (consumptionError) throw consumptionError;
 
+      // Health metric logs are rebuilt from a full window on the next sync
+      await healthSyncTokenService.clearTokens({ excludeDataTypes: ['sleep'] });
+
       const habitLogsDeleted = habitLogsData?.length || 0;
       const consumptionDeleted = consumptionData?.length || 0;
       const totalDeleted = habitLogsDeleted + consumptionDeleted;
@@ -322,7 +704,7 @@ class SleepDataService {
 
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
-      const startDateString = startDate.toISOString().split('T')[0];
+      const startDateString = toDateString(startDate);
 
       const { data, error } = await supabase
         .from(this.tableName)
@@ -340,7 +722,7 @@ class SleepDataService {
           averageSleepMinutes: 0,
           averageDeepSleepMinutes: 0,
           averageSleepScore: null,
-          dateRange: { start: startDateString, end: new Date().toISOString().split('T')[0] }
+          dateRange: { start: startDateString, end: getTodayDateString() }
         };
       }
 
@@ -360,7 +742,7 @@ class SleepDataService {
         averageSleepMinutes,
         averageDeepSleepMinutes,
         averageSleepScore,
-        dateRange: { start: startDateString, end: new Date().toISOString().split('T')[0] }
+        dateRange: { start: startDateString, end: getTodayDateString() }
       };
     } catch (error) {
       console.error('Failed to get sleep data summary:', error);
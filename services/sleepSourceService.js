@@ -0,0 +1,127 @@
+import { supabase } from './supabase';
+
+/**
+ * Service for the user's ranking of the apps that write sleep to the health platform
+ * The ranking lives in users.sleep_source_priority as an ordered list of data origin ids;
+ * origins that aren't in the list rank below every listed one.
+ */
+class SleepSourceService {
+  constructor() {
+    this.sessionsTableName = 'sleep_sessions';
+  }
+
+  /**
+   * Get the current user's source ranking
+   * @returns {Promise<Object>} { success, data: string[] | null, error }
+   */
+  async getSourcePriority() {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from('users')
+        .select('sleep_source_priority')
+        .eq('id', user.id)
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data: data?.sleep_source_priority || [] };
+    } catch (error) {
+      console.error('Error fetching sleep source priority:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Save the current user's source ranking
+   * @param {string[]} priority - Data origin ids, most preferred first
+   * @returns {Promise<Object>} { success, data: string[] | null, error }
+   */
+  async updateSourcePriority(priority) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const cleaned = [...new Set((priority || []).filter(Boolean))];
+
+      const { error } = await supabase
+        .from('users')
+        .update({ sleep_source_priority: cleaned })
+        .eq('id', user.id);
+
+      if (error) throw error;
+
+      return { success: true, data: cleaned };
+    } catch (error) {
+      console.error('Error updating sleep source priority:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Get every app that has written sleep for the current user, in ranking order
+   * Superseded sessions are included, so apps that lost every night can still be moved up.
+   * @returns {Promise<Object>} { success, data: Array<{ data_origin, data_origin_name, source, sessionCount }> | null, error }
+   */
+  async getDataOrigins() {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const [{ data: sessions, error: sessionsError }, priorityResult] = await Promise.all([
+        supabase
+          .from(this.sessionsTableName)
+          .select('data_origin, data_origin_name, source')
+          .eq('user_id', user.id)
+          .neq('data_origin', ''),
+        this.getSourcePriority(),
+      ]);
+
+      if (sessionsError) throw sessionsError;
+
+      const originsById = {};
+      (sessions || []).forEach(session => {
+        const existing = originsById[session.data_origin];
+        if (existing) {
+          existing.sessionCount += 1;
+          existing.data_origin_name = existing.data_origin_name || session.data_origin_name;
+        } else {
+          originsById[session.data_origin] = {
+            data_origin: session.data_origin,
+            data_origin_name: session.data_origin_name,
+            source: session.source,
+            sessionCount: 1,
+          };
+        }
+      });
+
+      const priority = priorityResult.data || [];
+      const rank = (origin) => {
+        const index = priority.indexOf(origin.data_origin);
+        return index === -1 ? priority.length : index;
+      };
+
+      const origins = Object.values(originsById)
+        .sort((a, b) => rank(a) - rank(b) || b.sessionCount - a.sessionCount);
+
+      return { success: true, data: origins };
+    } catch (error) {
+      console.error('Error fetching sleep data origins:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export default new SleepSourceService();
@@ -1,5 +1,13 @@
 import healthService from './healthService';
 import sleepDataService from './sleepDataService';
+import timezoneService from './timezoneService';
+import sleepSourceService from './sleepSourceService';
+import healthSyncTokenService from './healthSyncTokenService';
+import drugLevelService from './drugLevelService';
+import { mergeSleepSessions, selectSessionsBySourcePriority } from '../utils/sleepSessions';
+import { DAYTIME_HEART_RATE_HOURS, summarizeNocturnalHeartRate } from '../utils/nocturnalHeartRate';
+import { addDaysToDateString } from '../utils/dateHelpers';
+import { toDateString, toDateStringAt } from '../utils/timezone';
 
 /**
  * Sleep sync service that orchestrates data synchronization between health platforms and Supabase
@@ -18,6 +26,15 @@ class SleepSyncService {
     try {
       const healthServiceInitialized = await healthService.initialize();
       this.isInitialized = healthServiceInitialized;
+
+      // The last sync is remembered across launches through the stored sleep token
+      if (healthServiceInitialized && !this.lastSyncTimestamp) {
+        const tokenResult = await healthSyncTokenService.getToken(healthService.getSourceIdentifier(), 'sleep');
+        if (tokenResult.data?.synced_at) {
+          this.lastSyncTimestamp = new Date(tokenResult.data.synced_at);
+        }
+      }
+
       return healthServiceInitialized;
     } catch (error) {
       console.error('Sleep sync service initialization failed:', error);
@@ -30,7 +47,8 @@ class SleepSyncService {
    * Get existing sleep data dates for the current user
    * @param {string} startDate - Start date in YYYY-MM-DD format
    * @param {string} endDate - End date in YYYY-MM-DD format
-   * @returns {Promise<Set<string>>} Set of dates that already have sleep data
+   * @returns {Promise<Object>} { existingDates, overriddenDates } - Sets of dates that already have
+   *   sleep data, and of those the nights the user entered or corrected by hand
    */
   async getExistingSleepDates(startDate, endDate) {
     try {
@@ -39,23 +57,29 @@ class SleepSyncService {
       // Ensure data is an array before mapping
       if (!Array.isArray(data)) {
         console.warn('Expected array from getSleepDataForRange, got:', typeof data, 'value:', data);
-        return new Set();
+        return { existingDates: new Set(), overriddenDates: new Set() };
       }
 
-      // Return set of dates that already have data
-      return new Set(data.map(record => record.date));
+      return {
+        existingDates: new Set(data.map(record => record.date)),
+        overriddenDates: new Set(data.filter(record => record.user_overridden).map(record => record.date)),
+      };
     } catch (error) {
       // This can happen when user is not authenticated or during app startup
       console.warn('Failed to get existing sleep dates (likely auth issue):', error.message);
-      return new Set();
+      return { existingDates: new Set(), overriddenDates: new Set() };
     }
   }
 
   /**
    * Sync sleep data from health platform to Supabase
+   * Once a sync has stored a changes token (Health Connect) or anchor (HealthKit), later syncs read
+   * only what changed since and rebuild just the nights those changes touch. The first sync, a forced
+   * one, or one whose token expired reads the whole daysBack window instead.
    * @param {Object} options - Sync options
-   * @param {number} options.daysBack - Number of days back to sync (default: 7)
-   * @param {boolean} options.force - Force sync even if recently synced
+   * @param {number} options.daysBack - Number of days back to sync when reading the window (default: 7)
+   * @param {boolean} options.force - Re-read the window and re-sync dates that already have data,
+   *   except nights the user entered or corrected
    * @returns {Promise<Object>} Sync result with success status and data
    */
   async syncSleepData({ daysBack = 7, force = false } = {}) {
@@ -90,99 +114,245 @@ class SleepSyncService {
         };
       }
 
-      // Calculate date range for sync
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - daysBack);
+      // Pick up a zone change (e.g. after a flight) before any nights are dated
+      await timezoneService.initialize();
+
+      const sourceIdentifier = healthService.getSourceIdentifier();
+
+      if (!force) {
+        const tokenResult = await healthSyncTokenService.getToken(sourceIdentifier, 'sleep');
+        if (tokenResult.data) {
+          const changes = await healthService.getChanges('sleep', tokenResult.data.token)
+            .catch(error => {
+              console.warn('Reading sleep changes failed, re-reading the sync window:', error.message);
+              return { tokenExpired: true };
+            });
+          if (!changes.tokenExpired) {
+            return await this.applySleepChanges(changes, sourceIdentifier);
+          }
+          // Edits made while the token lapsed are unknown, so re-read existing nights too
+          console.log('⚠️ Sleep changes token expired, re-reading the sync window');
+          return await this.syncSleepWindow({ daysBack, force: true, sourceIdentifier });
+        }
+      }
+
+      return await this.syncSleepWindow({ daysBack, force, sourceIdentifier });
+
+    } catch (error) {
+      console.error('Sleep data sync failed:', error);
+      return {
+        success: false,
+        error: healthService.getErrorMessage(error),
+        data: null
+      };
+    }
+  }
 
-      const startDateString = startDate.toISOString().split('T')[0];
-      const endDateString = endDate.toISOString().split('T')[0];
+  /**
+   * Read every session in the last daysBack days and save the nights they make up
+   * @param {Object} options - Sync options
+   * @param {number} options.daysBack - Number of days back to read
+   * @param {boolean} options.force - Re-sync dates that already have data, except nights the user entered or corrected
+   * @param {string} options.sourceIdentifier - 'health_connect' or 'healthkit'
+   * @returns {Promise<Object>} Sync result with success status and data
+   */
+  async syncSleepWindow({ daysBack, force, sourceIdentifier }) {
+    // Start the token before reading, so anything written during the sync is picked up next time
+    const nextToken = await this.startChangesToken();
 
+    // Calculate date range for sync
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(endDate.getDate() - daysBack);
 
-      // Check which dates already have sleep data to avoid unnecessary syncing
-      const existingDates = await this.getExistingSleepDates(startDateString, endDateString);
+    const startDateString = toDateString(startDate);
+    const endDateString = toDateString(endDate);
 
-      // Fetch sleep data from health platform
-      const rawSleepData = await healthService.syncSleepData({
-        startDate: startDateString,
-        endDate: endDateString
-      });
 
-      if (!rawSleepData || rawSleepData.length === 0) {
-        return {
-          success: true,
-          data: [],
-          message: 'No new sleep data to sync'
-        };
-      }
+    // Check which dates already have sleep data to avoid unnecessary syncing
+    const { existingDates, overriddenDates } = await this.getExistingSleepDates(startDateString, endDateString);
 
+    // Fetch sleep sessions from health platform
+    const rawSleepSessions = await healthService.syncSleepData({
+      startDate: startDateString,
+      endDate: endDateString
+    });
 
-      // Filter out records for dates that already exist (unless forcing)
-      let recordsToProcess = rawSleepData;
-      if (!force && existingDates.size > 0) {
-        const originalCount = rawSleepData.length;
-        recordsToProcess = rawSleepData.filter(record => !existingDates.has(record.date));
-        const filteredCount = originalCount - recordsToProcess.length;
-        if (filteredCount > 0) {
-        }
-      }
+    const dateRange = { startDate: startDateString, endDate: endDateString };
 
-      if (recordsToProcess.length === 0) {
+    if (!rawSleepSessions || rawSleepSessions.length === 0) {
+      await this.saveChangesToken(sourceIdentifier, nextToken);
+      return {
+        success: true,
+        data: [],
+        recordsFetched: 0,
+        recordsSkipped: 0,
+        recordErrors: [],
+        dateRange,
+        message: 'No new sleep data to sync'
+      };
+    }
+
+
+    const { nights, sessions } = await this.buildNights(rawSleepSessions, sourceIdentifier);
+
+    // Filter out records for dates that already exist (unless forcing)
+    // Nights the user entered or corrected by hand are never replaced, even when forcing
+    const skipDates = force ? overriddenDates : existingDates;
+    const recordsToProcess = nights.filter(record => !skipDates.has(record.date));
+    const sessionsToProcess = sessions.filter(session => !skipDates.has(session.date));
+    const skippedOverrides = nights.filter(record => overriddenDates.has(record.date)).length;
+    const recordsSkipped = nights.length - recordsToProcess.length;
+
+    if (recordsToProcess.length === 0 && sessionsToProcess.length === 0) {
+      await this.saveChangesToken(sourceIdentifier, nextToken);
+      return {
+        success: true,
+        data: [],
+        skippedOverrides,
+        recordsFetched: rawSleepSessions.length,
+        recordsSkipped,
+        recordErrors: [],
+        dateRange,
+        message: 'All sleep data already synced'
+      };
+    }
+
+
+    const { savedRecords, errors } = await this.saveNightsAndSessions(recordsToProcess, sessionsToProcess);
+
+    // A failed night is retried by the next window read rather than lost behind a newer token
+    if (errors.length === 0) {
+      await this.saveChangesToken(sourceIdentifier, nextToken);
+    }
+
+    // Update last sync timestamp
+    this.lastSyncTimestamp = new Date();
+
+    const result = {
+      success: true,
+      data: savedRecords,
+      syncedRecords: savedRecords.length,
+      errors: errors.length,
+      skippedOverrides,
+      recordsFetched: rawSleepSessions.length,
+      recordsSkipped,
+      recordErrors: this.describeSaveErrors(errors),
+      dateRange,
+      lastSyncTimestamp: this.lastSyncTimestamp.toISOString()
+    };
+
+    return result;
+  }
+
+  /**
+   * Rebuild the nights touched by platform changes since the last sync
+   * A changed record affects the date it starts and ends on, and the next date when it is a nap;
+   * a changed or deleted record also affects wherever its stored session was dated. Those dates are
+   * re-read from the platform and replaced, and nights left without any record are deleted.
+   * @param {Object} changes - Result of healthService.getChanges('sleep', token)
+   * @param {string} sourceIdentifier - 'health_connect' or 'healthkit'
+   * @returns {Promise<Object>} Sync result with success status and data
+   */
+  async applySleepChanges(changes, sourceIdentifier) {
+    const affectedDates = new Set();
+    changes.upserted.forEach(record => {
+      if (!record.startTime || !record.endTime) return;
+      const endDate = toDateStringAt(record.endTime);
+      affectedDates.add(toDateStringAt(record.startTime));
+      affectedDates.add(endDate);
+      affectedDates.add(addDaysToDateString(endDate, 1));
+    });
+
+    const changedIds = [...changes.upserted.map(record => record.id), ...changes.deletedIds].filter(Boolean);
+    const storedDates = await sleepDataService.getSleepSessionDatesForExternalIds(sourceIdentifier, changedIds);
+    storedDates.forEach(date => affectedDates.add(date));
+
+    if (affectedDates.size === 0) {
+      await this.saveChangesToken(sourceIdentifier, changes.nextToken);
+      this.lastSyncTimestamp = new Date();
+      return {
+        success: true,
+        data: [],
+        incremental: true,
+        recordsFetched: 0,
+        recordsSkipped: 0,
+        recordErrors: [],
+        message: 'No new sleep data to sync'
+      };
+    }
+
+    const dates = [...affectedDates].sort();
+    const rebuilt = await this.rebuildDates(dates, sourceIdentifier);
+
+    // Keep the old token after a failure, so the same changes are applied again next time
+    if (rebuilt.errors.length === 0) {
+      await this.saveChangesToken(sourceIdentifier, changes.nextToken);
+    }
+
+    this.lastSyncTimestamp = new Date();
+
+    return {
+      success: true,
+      data: rebuilt.savedRecords,
+      syncedRecords: rebuilt.savedRecords.length,
+      deletedRecords: rebuilt.deletedRecords.length,
+      errors: rebuilt.errors.length,
+      skippedOverrides: rebuilt.skippedOverrides,
+      recordsFetched: rebuilt.recordsFetched,
+      recordsSkipped: rebuilt.skippedOverrides,
+      recordErrors: this.describeSaveErrors(rebuilt.errors),
+      incremental: true,
+      dateRange: { startDate: dates[0], endDate: dates[dates.length - 1] },
+      lastSyncTimestamp: this.lastSyncTimestamp.toISOString()
+    };
+  }
+
+  /**
+   * Re-sync a single night from the health platform, leaving the changes token where it is
+   * Used from the diagnostics screen to retry a night that came out missing or wrong. A night the
+   * user entered or corrected by hand is left alone and reported as skipped.
+   * @param {string} date - Date in YYYY-MM-DD format (the morning the night ends on)
+   * @returns {Promise<Object>} Sync result with success status and data
+   */
+  async replaySleepDate(date) {
+    try {
+      if (!this.isInitialized && !(await this.initialize())) {
         return {
-          success: true,
-          data: [],
-          message: 'All sleep data already synced'
+          success: false,
+          error: 'Unable to connect to your health app. Please make sure it is installed and try again.',
+          data: null
         };
       }
 
-
-      // Data is already transformed by healthService.syncSleepData()
-      // Just ensure source is set and save to database
-      const savedRecords = [];
-      const errors = [];
-
-      for (const transformedData of recordsToProcess) {
-        try {
-          // Data is already transformed by healthService.syncSleepData()
-          // Just ensure source identifier is set
-          if (transformedData) {
-            if (!transformedData.source) {
-              transformedData.source = healthService.getSourceIdentifier();
-            }
-
-            // Save to Supabase (this will upsert, overwriting existing data)
-            const savedRecord = await sleepDataService.upsertSleepData(transformedData);
-            savedRecords.push(savedRecord);
-          } else {
-            console.warn('⚠️ Skipping null/undefined transformed data');
-          }
-        } catch (error) {
-          console.error('❌ Error processing sleep record:', error);
-          console.error('❌ Error message:', error.message);
-          console.error('❌ Error code:', error.code);
-          console.error('❌ Error details:', error.details);
-          console.error('❌ Error hint:', error.hint);
-          console.error('❌ Record data:', JSON.stringify(transformedData, null, 2));
-          errors.push({ record: transformedData, error: error.message });
-        }
+      if (!(await healthService.hasPermissions())) {
+        return {
+          success: false,
+          error: 'Health platform permissions not granted',
+          data: null,
+          needsPermissions: true
+        };
       }
 
-      // Update last sync timestamp
-      this.lastSyncTimestamp = new Date();
+      await timezoneService.initialize();
 
-      const result = {
+      const rebuilt = await this.rebuildDates([date], healthService.getSourceIdentifier());
+
+      return {
         success: true,
-        data: savedRecords,
-        syncedRecords: savedRecords.length,
-        errors: errors.length,
-        dateRange: { startDate: startDateString, endDate: endDateString },
-        lastSyncTimestamp: this.lastSyncTimestamp.toISOString()
+        data: rebuilt.savedRecords,
+        syncedRecords: rebuilt.savedRecords.length,
+        deletedRecords: rebuilt.deletedRecords.length,
+        errors: rebuilt.errors.length,
+        skippedOverrides: rebuilt.skippedOverrides,
+        recordsFetched: rebuilt.recordsFetched,
+        recordsSkipped: rebuilt.skippedOverrides,
+        recordErrors: this.describeSaveErrors(rebuilt.errors),
+        dateRange: { startDate: date, endDate: date },
+        message: rebuilt.skippedOverrides > 0 ? 'Night was entered or corrected by hand and was left as is' : null
       };
-
-      return result;
-
     } catch (error) {
-      console.error('Sleep data sync failed:', error);
+      console.error(`Replaying sleep sync for ${date} failed:`, error);
       return {
         success: false,
         error: healthService.getErrorMessage(error),
@@ -191,6 +361,202 @@ class SleepSyncService {
     }
   }
 
+  /**
+   * Re-read the given dates from the platform and replace their nights and sessions
+   * Sessions on those dates are rebuilt from scratch, and synced nights left without any record are
+   * deleted. Nights the user entered or corrected by hand are never replaced.
+   * @param {string[]} dates - Sorted dates in YYYY-MM-DD format
+   * @param {string} sourceIdentifier - 'health_connect' or 'healthkit'
+   * @returns {Promise<Object>} { savedRecords, deletedRecords, errors, skippedOverrides, recordsFetched }
+   */
+  async rebuildDates(dates, sourceIdentifier) {
+    const startDateString = dates[0];
+    const endDateString = dates[dates.length - 1];
+
+    // Read from the day before, so a night that started the previous evening is complete
+    const rawSleepSessions = (await healthService.syncSleepData({
+      startDate: addDaysToDateString(startDateString, -1),
+      endDate: endDateString
+    })) || [];
+    const { nights, sessions } = await this.buildNights(rawSleepSessions, sourceIdentifier);
+
+    const { overriddenDates } = await this.getExistingSleepDates(startDateString, endDateString);
+    const datesToReplace = dates.filter(date => !overriddenDates.has(date));
+    const replaceDates = new Set(datesToReplace);
+    const recordsToProcess = nights.filter(record => replaceDates.has(record.date));
+    const sessionsToProcess = sessions.filter(session => replaceDates.has(session.date));
+
+    const rebuiltDates = new Set(recordsToProcess.map(record => record.date));
+    await sleepDataService.deleteSleepSessionsForDates(sourceIdentifier, datesToReplace);
+    const deletedRecords = await sleepDataService.deleteSyncedSleepDataForDates(
+      sourceIdentifier,
+      datesToReplace.filter(date => !rebuiltDates.has(date))
+    );
+
+    const { savedRecords, errors } = await this.saveNightsAndSessions(recordsToProcess, sessionsToProcess);
+
+    return {
+      savedRecords,
+      deletedRecords,
+      errors,
+      skippedOverrides: dates.length - datesToReplace.length,
+      recordsFetched: rawSleepSessions.length
+    };
+  }
+
+  /**
+   * Turn the errors from saveNightsAndSessions() into per-date entries for the sync log
+   * @param {Array} errors - [{ record, error }] where record is a night or a list of sessions
+   * @returns {Array} [{ record_type: 'sleep', date, message }]
+   */
+  describeSaveErrors(errors) {
+    return errors.flatMap(({ record, error }) => {
+      const dates = Array.isArray(record)
+        ? [...new Set(record.map(session => session.date))]
+        : [record?.date];
+      return dates.map(date => ({ record_type: 'sleep', date: date || null, message: error }));
+    });
+  }
+
+  /**
+   * Turn platform sessions into nights, keeping the user's preferred app where several overlap
+   * @param {Array} rawSleepSessions - Sessions from healthService.syncSleepData()
+   * @param {string} sourceIdentifier - 'health_connect' or 'healthkit'
+   * @returns {Promise<Object>} { nights, sessions } as from mergeSleepSessions(), plus superseded sessions
+   */
+  async buildNights(rawSleepSessions, sourceIdentifier) {
+    // Several apps can record the same sleep; keep the user's preferred app where they overlap
+    const priorityResult = await sleepSourceService.getSourcePriority();
+    const { selected, superseded } = selectSessionsBySourcePriority(
+      rawSleepSessions
+        .filter(Boolean)
+        .map(session => ({ ...session, source: session.source || sourceIdentifier })),
+      priorityResult.data || []
+    );
+
+    // Naps and split nights arrive as separate sessions; merge them into one night per date
+    const { nights, sessions } = mergeSleepSessions(selected);
+    return { nights, sessions: [...sessions, ...superseded] };
+  }
+
+  /**
+   * Save each night, then the sessions it was merged from
+   * @param {Array} recordsToProcess - Nights to upsert
+   * @param {Array} sessionsToProcess - Sessions to upsert, tagged with date and session_type
+   * @returns {Promise<Object>} { savedRecords, errors }
+   */
+  async saveNightsAndSessions(recordsToProcess, sessionsToProcess) {
+    const savedRecords = [];
+    const errors = [];
+
+    for (const transformedData of recordsToProcess) {
+      try {
+        if (transformedData) {
+          // Save to Supabase (this will upsert, overwriting existing data)
+          const savedRecord = await sleepDataService.upsertSleepData(
+            await this.addOvernightHeartRate(transformedData)
+          );
+          savedRecords.push(savedRecord);
+
+          await sleepDataService.upsertSleepSessions(
+            sessionsToProcess.filter(session =>
+              session.date === transformedData.date && session.session_type !== 'superseded'
+            ),
+            savedRecord.id
+          );
+        } else {
+          console.warn('⚠️ Skipping null/undefined transformed data');
+        }
+      } catch (error) {
+        console.error('❌ Error processing sleep record:', error);
+        console.error('❌ Error message:', error.message);
+        console.error('❌ Error code:', error.code);
+        console.error('❌ Error details:', error.details);
+        console.error('❌ Error hint:', error.hint);
+        console.error('❌ Record data:', JSON.stringify(transformedData, null, 2));
+        errors.push({ record: transformedData, error: error.message });
+      }
+    }
+
+    // Naps leading into a night that hasn't been recorded yet, and sessions another app lost
+    const savedNightDates = new Set(savedRecords.map(record => record.date));
+    const unattachedSessions = sessionsToProcess.filter(session =>
+      session.session_type === 'superseded' || !savedNightDates.has(session.date)
+    );
+    try {
+      await sleepDataService.upsertSleepSessions(unattachedSessions);
+    } catch (error) {
+      errors.push({ record: unattachedSessions, error: error.message });
+    }
+
+    // Blood alcohol is stored at sleep onset, which is only known now the nights are saved
+    if (savedRecords.length > 0) {
+      const levelResult = await drugLevelService.updateSleepOnsetLevels(
+        savedRecords[0].user_id,
+        savedRecords.map(record => record.date)
+      );
+      if (!levelResult.success) {
+        console.warn('Blood alcohol at sleep onset was not updated:', levelResult.error);
+      }
+    }
+
+    return { savedRecords, errors };
+  }
+
+  /**
+   * Read the heart rate around a night and add its summary and 5-minute series to the night
+   * The evening before the session is read too, for the awake average the dip is measured from.
+   * A night is still saved without heart rate if it can't be read (e.g. permission not granted).
+   * @param {Object} night - Night from buildNights()
+   * @returns {Promise<Object>} The night, with the fields from summarizeNocturnalHeartRate() when read
+   */
+  async addOvernightHeartRate(night) {
+    if (!night.sleep_start_time || !night.sleep_end_time) {
+      return night;
+    }
+
+    try {
+      const sleepStart = new Date(night.sleep_start_time);
+      const samples = await healthService.getHeartRateSamples({
+        startTime: new Date(sleepStart.getTime() - DAYTIME_HEART_RATE_HOURS * 60 * 60 * 1000),
+        endTime: new Date(night.sleep_end_time)
+      });
+      return { ...night, ...summarizeNocturnalHeartRate(samples, night) };
+    } catch (error) {
+      console.warn(`Could not read overnight heart rate for ${night.date}:`, error.message);
+      return night;
+    }
+  }
+
+  /**
+   * Start a changes token (or anchor) for sleep
+   * @returns {Promise<string|null>} The token, or null if the platform couldn't provide one
+   */
+  async startChangesToken() {
+    try {
+      return await healthService.getChangesToken('sleep');
+    } catch (error) {
+      // The window sync still works; the next sync just reads the window again
+      console.warn('Could not start a sleep changes token:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the token a sleep sync finished at
+   * @param {string} sourceIdentifier - 'health_connect' or 'healthkit'
+   * @param {string|null} token - Token to resume from
+   * @returns {Promise<void>}
+   */
+  async saveChangesToken(sourceIdentifier, token) {
+    if (!token) return;
+
+    const result = await healthSyncTokenService.saveToken(sourceIdentifier, 'sleep', token);
+    if (!result.success) {
+      console.warn('Could not save the sleep changes token:', result.error);
+    }
+  }
+
   /**
    * Get the last sync timestamp
    * @returns {Date|null} Last sync timestamp or null if never synced
@@ -241,6 +607,8 @@ class SleepSyncService {
 
       if (revoked) {
         // Clear any stored sync timestamps or cached data
+        // A reconnect starts from a full window read rather than stale tokens
+        await healthSyncTokenService.clearTokens();
         this.lastSyncTimestamp = null;
         this.isInitialized = false;
 
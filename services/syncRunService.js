@@ -0,0 +1,191 @@
+import { supabase } from './supabase';
+
+// Runs older than this are removed whenever a new one is recorded
+const SYNC_RUN_RETENTION_DAYS = 30;
+
+/**
+ * Service for the sync_runs log of health data sync outcomes
+ */
+class SyncRunService {
+  constructor() {
+    this.tableName = 'sync_runs';
+  }
+
+  /**
+   * Record the outcome of a sync run
+   * @param {Object} run - Run details
+   * @param {string} run.trigger - 'background', 'foreground', 'manual' or 'replay'
+   * @param {string} run.status - 'success', 'failed' or 'skipped'
+   * @param {Date} run.startedAt - When the run started
+   * @param {Date} [run.finishedAt] - When the run finished (default: now)
+   * @param {number} [run.sleepRecordsSynced] - Nights saved
+   * @param {number} [run.metricsSynced] - Health metric logs saved
+   * @param {string|null} [run.message] - Why the run was skipped or failed
+   * @param {string[]} [run.recordTypes] - 'sleep' and/or the health metric keys read
+   * @param {Object|null} [run.dateRange] - { startDate, endDate } read or rebuilt
+   * @param {boolean} [run.incremental] - Sleep was read from a changes token
+   * @param {number} [run.recordsFetched] - Sleep sessions and metric values the platform returned
+   * @param {number} [run.recordsSkipped] - Records deliberately not saved
+   * @param {Array} [run.errors] - [{ record_type, date, message }] for records that failed to save
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async recordRun({
+    trigger,
+    status,
+    startedAt,
+    finishedAt = new Date(),
+    sleepRecordsSynced = 0,
+    metricsSynced = 0,
+    message = null,
+    recordTypes = [],
+    dateRange = null,
+    incremental = false,
+    recordsFetched = 0,
+    recordsSkipped = 0,
+    errors = [],
+  }) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert({
+          user_id: user.id,
+          trigger,
+          status,
+          started_at: startedAt.toISOString(),
+          finished_at: finishedAt.toISOString(),
+          sleep_records_synced: sleepRecordsSynced,
+          metrics_synced: metricsSynced,
+          message,
+          record_types: recordTypes,
+          range_start: dateRange?.startDate || null,
+          range_end: dateRange?.endDate || null,
+          incremental,
+          records_fetched: recordsFetched,
+          records_skipped: recordsSkipped,
+          errors,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - SYNC_RUN_RETENTION_DAYS);
+      const { error: cleanupError } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', user.id)
+        .lt('started_at', cutoff.toISOString());
+
+      if (cleanupError) {
+        console.warn('Failed to remove old sync runs:', cleanupError.message);
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error recording sync run:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Record a run from the results of the sleep and health metrics syncs
+   * @param {Object} run - Run details
+   * @param {string} run.trigger - 'background', 'foreground', 'manual' or 'replay'
+   * @param {Date} run.startedAt - When the run started
+   * @param {Object} run.sleepResult - Result of a sleepSyncService sync or replay
+   * @param {Object|null} [run.metricsResult] - Result of a healthMetricsService sync, if metrics ran
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async recordSyncRun({ trigger, startedAt, sleepResult, metricsResult = null }) {
+    return this.recordRun({ trigger, startedAt, ...this.summarizeResults(sleepResult, metricsResult) });
+  }
+
+  /**
+   * Reduce sync results to the fields of a sync_runs row
+   * @param {Object} sleepResult - Result of a sleepSyncService sync or replay
+   * @param {Object|null} metricsResult - Result of a healthMetricsService sync
+   * @returns {Object} Fields for recordRun()
+   */
+  summarizeResults(sleepResult, metricsResult) {
+    if (!sleepResult.success) {
+      return {
+        status: sleepResult.needsPermissions ? 'skipped' : 'failed',
+        message: sleepResult.error || 'Sleep sync failed',
+        recordTypes: ['sleep'],
+      };
+    }
+
+    const metricResults = metricsResult?.results || [];
+    const readMetrics = metricResults.filter(result => !result.skipped);
+    const errors = [
+      ...(sleepResult.recordErrors || []),
+      ...metricResults.flatMap(result => [
+        ...(result.errors || []).map(error => ({ record_type: result.metric, ...error })),
+        // A metric that failed as a whole has no date to pin it to
+        ...(result.error ? [{ record_type: result.metric, date: null, message: result.error }] : []),
+      ]),
+    ];
+
+    return {
+      status: 'success',
+      message: metricsResult && !metricsResult.success ? metricsResult.message : (sleepResult.message || null),
+      sleepRecordsSynced: sleepResult.syncedRecords || 0,
+      metricsSynced: metricsResult?.totalSynced || 0,
+      recordTypes: ['sleep', ...readMetrics.map(result => result.metric)],
+      dateRange: sleepResult.dateRange || metricsResult?.dateRange || null,
+      incremental: !!sleepResult.incremental,
+      recordsFetched: (sleepResult.recordsFetched || 0) +
+        readMetrics.reduce((sum, result) => sum + (result.dataPoints || 0), 0),
+      recordsSkipped: (sleepResult.recordsSkipped || 0) +
+        metricResults.filter(result => result.reason === 'permission_not_granted').length,
+      errors,
+    };
+  }
+
+  /**
+   * Get the most recent sync runs, newest first
+   * @param {Object} [options] - Filters
+   * @param {string} [options.trigger] - Only runs with this trigger
+   * @param {number} [options.limit] - Maximum number of runs (default: 10)
+   * @returns {Promise<Object>} { success, data: Array | null, error }
+   */
+  async getRecentRuns({ trigger, limit = 10 } = {}) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', user.id)
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+      if (trigger) {
+        query = query.eq('trigger', trigger);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching sync runs:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export default new SyncRunService();
@@ -0,0 +1,292 @@
+import { supabase } from './supabase';
+import drugLevelService from './drugLevelService';
+import healthMetricsService from './healthMetricsService';
+import healthService from './healthService';
+import { HEALTH_METRICS } from '../constants/healthMetrics';
+import { addDaysToDateString, getToday } from '../utils/dateHelpers';
+import {
+  getDeviceTimezone,
+  setUserTimezone,
+  setTimezoneHistory,
+  toDateStringAt,
+} from '../utils/timezone';
+
+/**
+ * Service keeping users.timezone in step with the device
+ * Every change of zone is recorded in user_timezone_history so past nights keep the local date
+ * they had where the user was. Also owns the one-off repair of dates that were derived in UTC:
+ * sleep nights and sessions, synced health metric logs and drug levels.
+ */
+class TimezoneService {
+  constructor() {
+    this.historyTableName = 'user_timezone_history';
+    this.userId = null;
+    this.deviceTimezone = null;
+    this.initializing = null;
+  }
+
+  /**
+   * Load the user's zone and history into utils/timezone, recording a change if the device
+   * zone moved, and run the date repair if it hasn't run yet
+   * Cheap to call repeatedly: it only goes to the database for a new user or a new zone. Calls made
+   * while a run is in progress (AuthContext and the sleep sync both initialize on start-up) wait for
+   * that run, so a zone change is recorded and the repair runs only once.
+   * @returns {Promise<Object>} { success, data: { timezone, changed } | null, error }
+   */
+  async initialize() {
+    if (!this.initializing) {
+      this.initializing = this.loadTimezone().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Run initialize()
+   * @returns {Promise<Object>} { success, data: { timezone, changed } | null, error }
+   */
+  async loadTimezone() {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const deviceTimezone = getDeviceTimezone();
+      if (this.userId === user.id && this.deviceTimezone === deviceTimezone) {
+        return { success: true, data: { timezone: deviceTimezone, changed: false } };
+      }
+
+      const { data: profile, error: profileError } = await supabase
+        .from('users')
+        .select('timezone, dates_repaired_at')
+        .eq('id', user.id)
+        .single();
+
+      if (profileError) throw profileError;
+
+      const { data: history, error: historyError } = await supabase
+        .from(this.historyTableName)
+        .select('timezone, effective_from')
+        .eq('user_id', user.id)
+        .order('effective_from', { ascending: true });
+
+      if (historyError) throw historyError;
+
+      const entries = history || [];
+      const lastEntry = entries[entries.length - 1];
+      const changed = !lastEntry || lastEntry.timezone !== deviceTimezone;
+
+      if (changed) {
+        const entry = { timezone: deviceTimezone, effective_from: new Date().toISOString() };
+
+        const { error: insertError } = await supabase
+          .from(this.historyTableName)
+          .insert({ user_id: user.id, ...entry });
+
+        if (insertError) throw insertError;
+        entries.push(entry);
+      }
+
+      if (changed || profile?.timezone !== deviceTimezone) {
+        const { error: updateError } = await supabase
+          .from('users')
+          .update({ timezone: deviceTimezone })
+          .eq('id', user.id);
+
+        if (updateError) throw updateError;
+      }
+
+      setUserTimezone(deviceTimezone);
+      setTimezoneHistory(entries);
+      this.userId = user.id;
+      this.deviceTimezone = deviceTimezone;
+
+      if (!profile?.dates_repaired_at) {
+        const repairResult = await this.repairStoredDates(user.id);
+        if (!repairResult.success) {
+          console.warn('Stored date repair did not complete:', repairResult.error);
+        }
+      }
+
+      return { success: true, data: { timezone: deviceTimezone, changed } };
+    } catch (error) {
+      console.error('Error initializing timezone:', error);
+      // Dates still follow the device zone when the profile can't be loaded
+      setUserTimezone(getDeviceTimezone());
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Re-bucket data that was dated in UTC into the user's local day
+   * Sleep nights and sessions are dated with the zone the user was in when they ended; a night whose
+   * local date is already taken by another night is left where it is and counted as a conflict.
+   * Synced health metric logs are re-aggregated from the health platform, and drug levels are moved
+   * onto the days their consumption was logged. The repair is only marked done once all of it has
+   * run, so it is tried again on the next start when the health platform isn't available.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data: { movedNights, movedSessions, conflicts, resyncedLogs,
+   *   removedLevels } | null, error }
+   */
+  async repairStoredDates(userId) {
+    try {
+      const { data: nights, error: nightsError } = await supabase
+        .from('sleep_data')
+        .select('id, date, sleep_end_time')
+        .eq('user_id', userId);
+
+      if (nightsError) throw nightsError;
+
+      const occupiedDates = new Set((nights || []).map(night => night.date));
+      const dateById = {};
+      (nights || []).forEach(night => {
+        dateById[night.id] = night.date;
+      });
+
+      let pending = (nights || [])
+        .filter(night => night.sleep_end_time)
+        .map(night => ({ id: night.id, from: night.date, to: toDateStringAt(night.sleep_end_time) }))
+        .filter(move => move.from !== move.to);
+
+      // (user_id, date) is unique, so keep passing over the moves while some of them free up a date
+      let movedNights = 0;
+      let progress = true;
+      while (pending.length > 0 && progress) {
+        progress = false;
+        const remaining = [];
+
+        for (const move of pending) {
+          if (occupiedDates.has(move.to)) {
+            remaining.push(move);
+            continue;
+          }
+
+          const { error } = await supabase
+            .from('sleep_data')
+            .update({ date: move.to })
+            .eq('id', move.id);
+
+          if (error) throw error;
+
+          occupiedDates.delete(move.from);
+          occupiedDates.add(move.to);
+          dateById[move.id] = move.to;
+          movedNights += 1;
+          progress = true;
+        }
+
+        pending = remaining;
+      }
+
+      const { data: sessions, error: sessionsError } = await supabase
+        .from('sleep_sessions')
+        .select('id, date, session_type, end_time, sleep_data_id')
+        .eq('user_id', userId);
+
+      if (sessionsError) throw sessionsError;
+
+      let movedSessions = 0;
+      for (const session of sessions || []) {
+        // Naps belong to the night after the day they ended
+        const localDate = session.session_type === 'nap'
+          ? addDaysToDateString(toDateStringAt(session.end_time), 1)
+          : toDateStringAt(session.end_time);
+        const date = session.sleep_data_id && dateById[session.sleep_data_id]
+          ? dateById[session.sleep_data_id]
+          : localDate;
+
+        if (date !== session.date) {
+          const { error } = await supabase
+            .from('sleep_sessions')
+            .update({ date })
+            .eq('id', session.id);
+
+          if (error) throw error;
+          movedSessions += 1;
+        }
+      }
+
+      const resyncedLogs = await this.repairHealthMetricLogs(userId);
+      const removedLevels = await this.repairDrugLevels(userId);
+
+      const { error: markError } = await supabase
+        .from('users')
+        .update({ dates_repaired_at: new Date().toISOString() })
+        .eq('id', userId);
+
+      if (markError) throw markError;
+
+      if (pending.length > 0) {
+        console.warn(`Date repair left ${pending.length} night(s) in place: their local date already has a night`);
+      }
+
+      return {
+        success: true,
+        data: { movedNights, movedSessions, conflicts: pending.length, resyncedLogs, removedLevels }
+      };
+    } catch (error) {
+      console.error('Error repairing stored dates:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Re-aggregate the synced health metric logs from the oldest one up to today
+   * The logs don't keep the times of the samples behind them, so they are read again from the
+   * health platform rather than moved. Only days the platform returns data for are rewritten:
+   * it may not serve the whole range (history limits, a new phone), so nothing is deleted, and the
+   * read starts no earlier than the platform's history reaches.
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Data points stored
+   */
+  async repairHealthMetricLogs(userId) {
+    const { data: oldestLogs, error } = await supabase
+      .from('habit_logs')
+      .select('date, habits!inner(name, is_custom)')
+      .eq('user_id', userId)
+      .eq('habits.is_custom', false)
+      .in('habits.name', HEALTH_METRICS.map(metric => metric.name))
+      .order('date', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    if (!oldestLogs || oldestLogs.length === 0) return 0;
+
+    const today = getToday();
+    const historyDays = healthService.getHistoryDays();
+    const historyStart = historyDays ? addDaysToDateString(today, -historyDays) : null;
+    const startDate = historyStart && historyStart > oldestLogs[0].date ? historyStart : oldestLogs[0].date;
+
+    const result = await healthMetricsService.resyncRange(userId, startDate, today, { keepMissing: true });
+    if (!result.success) throw new Error(result.message);
+    return result.totalSynced;
+  }
+
+  /**
+   * Move every caffeine and alcohol habit's drug levels onto the local days of its consumption
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Levels deleted from days without consumption
+   */
+  async repairDrugLevels(userId) {
+    const { data: habits, error } = await supabase
+      .from('habits')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('type', 'quick_consumption');
+
+    if (error) throw error;
+
+    let removed = 0;
+    for (const habit of (habits || []).filter(candidate => drugLevelService.isDrugHabit(candidate))) {
+      const result = await drugLevelService.realignLevelDates(userId, habit);
+      if (!result.success) throw new Error(result.error);
+      removed += result.data.removed;
+    }
+    return removed;
+  }
+}
+
+export default new TimezoneService();
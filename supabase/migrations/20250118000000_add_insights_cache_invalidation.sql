@@ -0,0 +1,84 @@
+-- Store insights per habit, sleep metric and time range, and mark them stale when their inputs change
+-- Cached rows are served immediately by the Insights screen and recalculated in the background
+
+-- Old per-habit rows don't carry a metric or range, so they can't be served anymore
+DELETE FROM public.insights_cache;
+
+ALTER TABLE public.insights_cache
+ADD COLUMN IF NOT EXISTS sleep_metric TEXT NOT NULL DEFAULT 'total_sleep_minutes',
+ADD COLUMN IF NOT EXISTS time_range TEXT NOT NULL DEFAULT 'all',
+ADD COLUMN IF NOT EXISTS range_start DATE,
+ADD COLUMN IF NOT EXISTS range_end DATE,
+ADD COLUMN IF NOT EXISTS is_stale BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Replace the one-row-per-habit constraint with one row per habit/metric/range
+ALTER TABLE public.insights_cache
+DROP CONSTRAINT IF EXISTS unique_user_habit_insight;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'unique_user_habit_metric_range_insight'
+        AND table_name = 'insights_cache'
+    ) THEN
+        ALTER TABLE public.insights_cache
+        ADD CONSTRAINT unique_user_habit_metric_range_insight UNIQUE (user_id, habit_id, sleep_metric, time_range);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_insights_cache_user_metric_range
+    ON public.insights_cache(user_id, sleep_metric, time_range);
+
+-- Mark every cached insight whose date range covers the changed date as stale.
+-- All habits are invalidated, not just the changed one, because adjusted effects
+-- are fitted across every habit at once.
+CREATE OR REPLACE FUNCTION public.mark_insights_cache_stale(p_user_id UUID, p_date DATE)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE public.insights_cache
+    SET is_stale = TRUE
+    WHERE user_id = p_user_id
+      AND is_stale = FALSE
+      AND (range_start IS NULL OR range_start <= p_date)
+      AND (range_end IS NULL OR range_end >= p_date);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION public.invalidate_insights_cache()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM public.mark_insights_cache_stale(OLD.user_id, OLD.date);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM public.mark_insights_cache_stale(NEW.user_id, NEW.date);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_habit_logs ON public.habit_logs;
+CREATE TRIGGER invalidate_insights_on_habit_logs
+    AFTER INSERT OR UPDATE OR DELETE ON public.habit_logs
+    FOR EACH ROW EXECUTE FUNCTION public.invalidate_insights_cache();
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_drug_levels ON public.drug_levels;
+CREATE TRIGGER invalidate_insights_on_drug_levels
+    AFTER INSERT OR UPDATE OR DELETE ON public.drug_levels
+    FOR EACH ROW EXECUTE FUNCTION public.invalidate_insights_cache();
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_sleep_data ON public.sleep_data;
+CREATE TRIGGER invalidate_insights_on_sleep_data
+    AFTER INSERT OR UPDATE OR DELETE ON public.sleep_data
+    FOR EACH ROW EXECUTE FUNCTION public.invalidate_insights_cache();
+
+-- Add comments
+COMMENT ON COLUMN public.insights_cache.correlation_data IS 'Serialized insight for this habit/metric/range, plus a summary of the adjusted model';
+COMMENT ON COLUMN public.insights_cache.sleep_metric IS 'sleep_data column the insight was calculated against';
+COMMENT ON COLUMN public.insights_cache.time_range IS 'Time range key selected on the Insights screen (all, 30, 60, 90, 180)';
+COMMENT ON COLUMN public.insights_cache.range_start IS 'First date included in the calculation';
+COMMENT ON COLUMN public.insights_cache.range_end IS 'Last date included in the calculation';
+COMMENT ON COLUMN public.insights_cache.is_stale IS 'Set by triggers when habit_logs, drug_levels or sleep_data change inside the range';
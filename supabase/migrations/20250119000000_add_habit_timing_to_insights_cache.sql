@@ -0,0 +1,23 @@
+-- Cache insights separately for each habit timing (lag or rolling-sum window)
+-- selected on the Insights screen
+
+ALTER TABLE public.insights_cache
+ADD COLUMN IF NOT EXISTS habit_timing TEXT NOT NULL DEFAULT 'default';
+
+-- Widen the unique constraint to include the timing
+ALTER TABLE public.insights_cache
+DROP CONSTRAINT IF EXISTS unique_user_habit_metric_range_insight;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'unique_user_habit_metric_range_timing_insight'
+        AND table_name = 'insights_cache'
+    ) THEN
+        ALTER TABLE public.insights_cache
+        ADD CONSTRAINT unique_user_habit_metric_range_timing_insight UNIQUE (user_id, habit_id, sleep_metric, time_range, habit_timing);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN public.insights_cache.habit_timing IS 'Habit timing key: default, lag1-lag3 (nights later) or sum3/sum7 (rolling totals)';
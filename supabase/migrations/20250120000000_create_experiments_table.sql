@@ -0,0 +1,69 @@
+-- Create experiments table for personal N-of-1 A/B habit experiments
+-- Each experiment runs phase A for phase_a_days, then phase B for phase_b_days, starting at start_date
+
+CREATE TABLE IF NOT EXISTS public.experiments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    habit_id UUID NOT NULL REFERENCES public.habits(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    sleep_metric TEXT NOT NULL DEFAULT 'total_sleep_minutes', -- sleep_data column the effect is measured on
+    start_date DATE NOT NULL,
+    phase_a_label TEXT NOT NULL, -- e.g. 'No caffeine after 2pm'
+    phase_a_value TEXT NOT NULL, -- Expected habit value during phase A (locked once started)
+    phase_a_days INTEGER NOT NULL CHECK (phase_a_days > 0),
+    phase_b_label TEXT NOT NULL, -- e.g. 'Normal caffeine'
+    phase_b_value TEXT NOT NULL, -- Expected habit value during phase B (locked once started)
+    phase_b_days INTEGER NOT NULL CHECK (phase_b_days > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+    results JSONB, -- Phase comparison calculated when the experiment completes
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.experiments ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own experiments" ON public.experiments;
+DROP POLICY IF EXISTS "Users can insert own experiments" ON public.experiments;
+DROP POLICY IF EXISTS "Users can update own experiments" ON public.experiments;
+DROP POLICY IF EXISTS "Users can delete own experiments" ON public.experiments;
+
+-- RLS Policies
+CREATE POLICY "Users can view own experiments"
+    ON public.experiments FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own experiments"
+    ON public.experiments FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own experiments"
+    ON public.experiments FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own experiments"
+    ON public.experiments FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Add update trigger
+DROP TRIGGER IF EXISTS update_experiments_updated_at ON public.experiments;
+CREATE TRIGGER update_experiments_updated_at
+    BEFORE UPDATE ON public.experiments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_experiments_user_id ON public.experiments(user_id);
+CREATE INDEX IF NOT EXISTS idx_experiments_user_status ON public.experiments(user_id, status);
+
+-- Only one active experiment per habit, so the expected value for a day is unambiguous
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiments_one_active_per_habit
+    ON public.experiments(habit_id)
+    WHERE status = 'active';
+
+-- Add comments
+COMMENT ON TABLE public.experiments IS 'Personal N-of-1 experiments alternating a habit between two phases';
+COMMENT ON COLUMN public.experiments.phase_a_value IS 'Expected habit value during phase A: yes/no for binary habits, a number otherwise';
+COMMENT ON COLUMN public.experiments.phase_b_value IS 'Expected habit value during phase B: yes/no for binary habits, a number otherwise';
+COMMENT ON COLUMN public.experiments.results IS 'Phase A vs B comparison of the sleep metric, calculated with the insights statistics';
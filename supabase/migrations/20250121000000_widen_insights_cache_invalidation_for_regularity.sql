@@ -0,0 +1,15 @@
+-- Sleep regularity metrics (bedtime consistency, social jetlag, Sleep Regularity Index) look back
+-- up to 14 nights, so a change just before a cached range can alter insights inside it.
+-- Widen the staleness check to cover that lookback.
+
+CREATE OR REPLACE FUNCTION public.mark_insights_cache_stale(p_user_id UUID, p_date DATE)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE public.insights_cache
+    SET is_stale = TRUE
+    WHERE user_id = p_user_id
+      AND is_stale = FALSE
+      AND (range_start IS NULL OR range_start - 14 <= p_date)
+      AND (range_end IS NULL OR range_end >= p_date);
+END;
+$$ LANGUAGE plpgsql;
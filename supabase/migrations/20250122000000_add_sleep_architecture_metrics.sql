@@ -0,0 +1,29 @@
+-- Add sleep architecture metrics derived from sleep stage intervals
+-- total_sleep_minutes now holds time actually asleep when stage intervals are available
+
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS time_in_bed_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS sleep_efficiency NUMERIC(4,1),
+ADD COLUMN IF NOT EXISTS sleep_latency_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS waso_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS longest_sleep_bout_minutes INTEGER;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'check_sleep_efficiency_range'
+        AND table_name = 'sleep_data'
+    ) THEN
+        ALTER TABLE public.sleep_data
+        ADD CONSTRAINT check_sleep_efficiency_range CHECK (sleep_efficiency IS NULL OR (sleep_efficiency >= 0 AND sleep_efficiency <= 100));
+    END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.sleep_data.time_in_bed_minutes IS 'Sleep session length minus time out of bed';
+COMMENT ON COLUMN public.sleep_data.sleep_efficiency IS 'Time asleep as a percentage of time in bed';
+COMMENT ON COLUMN public.sleep_data.sleep_latency_minutes IS 'Minutes from the start of the session to the first sleep stage';
+COMMENT ON COLUMN public.sleep_data.waso_minutes IS 'Wake after sleep onset: awake or out-of-bed minutes between first sleep and final awakening';
+COMMENT ON COLUMN public.sleep_data.longest_sleep_bout_minutes IS 'Longest run of sleep stages without a wake period';
+COMMENT ON COLUMN public.sleep_data.sleep_stages IS 'Array of sleep stage intervals with timestamps. Format: [{"stage": "deep|light|rem|awake|out_of_bed", "startTime": "ISO8601", "endTime": "ISO8601", "durationMinutes": number}, ...]';
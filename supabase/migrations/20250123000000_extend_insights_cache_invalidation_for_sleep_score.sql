@@ -0,0 +1,15 @@
+-- The composite sleep score is calibrated against the previous 30 nights, so a sleep_data
+-- change can alter scores (and insights on them) up to 30 days later.
+-- Extend the staleness lookback from 14 to 30 days.
+
+CREATE OR REPLACE FUNCTION public.mark_insights_cache_stale(p_user_id UUID, p_date DATE)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE public.insights_cache
+    SET is_stale = TRUE
+    WHERE user_id = p_user_id
+      AND is_stale = FALSE
+      AND (range_start IS NULL OR range_start - 30 <= p_date)
+      AND (range_end IS NULL OR range_end >= p_date);
+END;
+$$ LANGUAGE plpgsql;
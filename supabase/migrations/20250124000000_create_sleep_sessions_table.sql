@@ -0,0 +1,74 @@
+-- Create sleep_sessions table for the individual sessions behind each night
+-- Health platforms report naps and split nights as separate sessions. sleep_data keeps one
+-- merged night per date; the sessions it was built from (and the naps before it) live here.
+
+CREATE TABLE IF NOT EXISTS public.sleep_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    sleep_data_id UUID REFERENCES public.sleep_data(id) ON DELETE SET NULL, -- Night this session belongs to, null for naps before an unrecorded night
+    date DATE NOT NULL, -- Sleep date the session is attributed to (naps: the night that follows)
+    session_type TEXT NOT NULL CHECK (session_type IN ('main', 'split', 'nap')),
+    source TEXT NOT NULL CHECK (source IN ('health_connect', 'healthkit', 'manual')),
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    total_sleep_minutes INTEGER DEFAULT 0,
+    deep_sleep_minutes INTEGER DEFAULT 0,
+    light_sleep_minutes INTEGER DEFAULT 0,
+    rem_sleep_minutes INTEGER DEFAULT 0,
+    awake_minutes INTEGER DEFAULT 0,
+    awakenings_count INTEGER DEFAULT 0,
+    sleep_stages JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, source, start_time),
+    CHECK (end_time > start_time)
+);
+
+-- Enable RLS
+ALTER TABLE public.sleep_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own sleep sessions" ON public.sleep_sessions;
+DROP POLICY IF EXISTS "Users can insert own sleep sessions" ON public.sleep_sessions;
+DROP POLICY IF EXISTS "Users can update own sleep sessions" ON public.sleep_sessions;
+DROP POLICY IF EXISTS "Users can delete own sleep sessions" ON public.sleep_sessions;
+
+-- RLS Policies
+CREATE POLICY "Users can view own sleep sessions"
+    ON public.sleep_sessions FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own sleep sessions"
+    ON public.sleep_sessions FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own sleep sessions"
+    ON public.sleep_sessions FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own sleep sessions"
+    ON public.sleep_sessions FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Add update trigger
+DROP TRIGGER IF EXISTS update_sleep_sessions_updated_at ON public.sleep_sessions;
+CREATE TRIGGER update_sleep_sessions_updated_at
+    BEFORE UPDATE ON public.sleep_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sleep_sessions_user_date ON public.sleep_sessions(user_id, date);
+CREATE INDEX IF NOT EXISTS idx_sleep_sessions_sleep_data_id ON public.sleep_sessions(sleep_data_id);
+
+-- Nap totals on the merged night. NULL means the night was synced before sessions were tracked.
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS nap_count INTEGER,
+ADD COLUMN IF NOT EXISTS nap_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS late_nap_minutes INTEGER;
+
+-- Add comments
+COMMENT ON TABLE public.sleep_sessions IS 'Individual sleep sessions reported by a health platform, merged into sleep_data nights';
+COMMENT ON COLUMN public.sleep_sessions.session_type IS 'main: longest session of the night, split: another part of the same night, nap: daytime sleep before the night';
+COMMENT ON COLUMN public.sleep_data.nap_count IS 'Naps taken the day before this night (NULL if not tracked)';
+COMMENT ON COLUMN public.sleep_data.nap_minutes IS 'Minutes asleep in naps the day before this night';
+COMMENT ON COLUMN public.sleep_data.late_nap_minutes IS 'Minutes asleep in naps starting at or after 4pm the day before this night';
@@ -0,0 +1,51 @@
+-- Track the zones a user has been in, so dates can be bucketed in the user's local day
+-- users.timezone holds the current zone; user_timezone_history records every change so nights
+-- recorded while travelling keep the local date of wherever the user was.
+
+CREATE TABLE IF NOT EXISTS public.user_timezone_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    timezone TEXT NOT NULL, -- IANA name, e.g. 'Europe/London'
+    effective_from TIMESTAMPTZ NOT NULL, -- First instant the zone applies to
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, effective_from)
+);
+
+-- Enable RLS
+ALTER TABLE public.user_timezone_history ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own timezone history" ON public.user_timezone_history;
+DROP POLICY IF EXISTS "Users can insert own timezone history" ON public.user_timezone_history;
+DROP POLICY IF EXISTS "Users can update own timezone history" ON public.user_timezone_history;
+DROP POLICY IF EXISTS "Users can delete own timezone history" ON public.user_timezone_history;
+
+-- RLS Policies
+CREATE POLICY "Users can view own timezone history"
+    ON public.user_timezone_history FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own timezone history"
+    ON public.user_timezone_history FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own timezone history"
+    ON public.user_timezone_history FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own timezone history"
+    ON public.user_timezone_history FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_user_timezone_history_user_effective
+    ON public.user_timezone_history(user_id, effective_from);
+
+-- When the one-off date repair ran; NULL until existing rows have been re-bucketed
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS dates_repaired_at TIMESTAMPTZ;
+
+-- Add comments
+COMMENT ON TABLE public.user_timezone_history IS 'Zones the user has been in; instants are dated in the zone effective at the time';
+COMMENT ON COLUMN public.users.timezone IS 'Current IANA timezone, kept in sync with the device';
+COMMENT ON COLUMN public.users.dates_repaired_at IS 'When sleep dates derived in UTC were re-bucketed into the user''s local day';
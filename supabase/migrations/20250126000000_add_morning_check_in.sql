@@ -0,0 +1,34 @@
+-- Morning check-in answers on sleep_data
+-- rested_feeling already exists; this adds mood on waking, an optional note and when the
+-- check-in was answered, and enforces the 1-5 scales.
+
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS wake_mood INTEGER,
+ADD COLUMN IF NOT EXISTS check_in_note TEXT,
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'check_rested_feeling_range'
+        AND table_name = 'sleep_data'
+    ) THEN
+        ALTER TABLE public.sleep_data
+        ADD CONSTRAINT check_rested_feeling_range CHECK (rested_feeling IS NULL OR (rested_feeling >= 1 AND rested_feeling <= 5));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'check_wake_mood_range'
+        AND table_name = 'sleep_data'
+    ) THEN
+        ALTER TABLE public.sleep_data
+        ADD CONSTRAINT check_wake_mood_range CHECK (wake_mood IS NULL OR (wake_mood >= 1 AND wake_mood <= 5));
+    END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.sleep_data.wake_mood IS 'Mood on waking from the morning check-in (1 = awful, 5 = great)';
+COMMENT ON COLUMN public.sleep_data.check_in_note IS 'Optional free-text note from the morning check-in';
+COMMENT ON COLUMN public.sleep_data.checked_in_at IS 'When the morning check-in was saved; NULL until the user answers it';
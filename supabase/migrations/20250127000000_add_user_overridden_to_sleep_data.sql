@@ -0,0 +1,9 @@
+-- Flag nights the user entered or corrected by hand
+-- Sync skips these nights, including forced syncs, so a manual correction is never replaced
+-- by the health platform's version of the night.
+
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS user_overridden BOOLEAN NOT NULL DEFAULT false;
+
+-- Add comment
+COMMENT ON COLUMN public.sleep_data.user_overridden IS 'True when the night was entered or edited manually; health platform syncs leave it untouched';
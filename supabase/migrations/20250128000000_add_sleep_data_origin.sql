@@ -0,0 +1,50 @@
+-- Record which app each sleep session and night came from, and the user's preferred ranking of apps
+-- Health Connect and HealthKit collect sleep from several apps (watch, phone, Sleep as Android, ...).
+-- Sync keeps one app's session wherever several recorded the same sleep; the others are stored as
+-- 'superseded' so every app that has written sleep can be ranked in Profile settings.
+
+-- Sessions: origin of each session, part of the unique key since two apps can start a session at the same minute
+ALTER TABLE public.sleep_sessions
+ADD COLUMN IF NOT EXISTS data_origin TEXT NOT NULL DEFAULT '', -- Package name / bundle identifier, '' if the platform didn't say
+ADD COLUMN IF NOT EXISTS data_origin_name TEXT;
+
+ALTER TABLE public.sleep_sessions
+DROP CONSTRAINT IF EXISTS sleep_sessions_user_id_source_start_time_key;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'sleep_sessions_user_source_origin_start_key'
+        AND table_name = 'sleep_sessions'
+    ) THEN
+        ALTER TABLE public.sleep_sessions
+        ADD CONSTRAINT sleep_sessions_user_source_origin_start_key UNIQUE (user_id, source, data_origin, start_time);
+    END IF;
+END $$;
+
+ALTER TABLE public.sleep_sessions
+DROP CONSTRAINT IF EXISTS sleep_sessions_session_type_check;
+
+ALTER TABLE public.sleep_sessions
+ADD CONSTRAINT sleep_sessions_session_type_check CHECK (session_type IN ('main', 'split', 'nap', 'superseded'));
+
+-- Nights: origin of the main session the night was built from
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS data_origin TEXT,
+ADD COLUMN IF NOT EXISTS data_origin_name TEXT;
+
+-- Users: preferred apps, best first; unranked apps come after, those with stage data first
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS sleep_source_priority TEXT[] NOT NULL DEFAULT '{}';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sleep_sessions_user_origin ON public.sleep_sessions(user_id, data_origin);
+
+-- Add comments
+COMMENT ON COLUMN public.sleep_sessions.session_type IS 'main: longest session of the night, split: another part of the same night, nap: daytime sleep before the night, superseded: the same sleep recorded by a lower-ranked app';
+COMMENT ON COLUMN public.sleep_sessions.data_origin IS 'App that recorded the session (Android package name or iOS bundle identifier)';
+COMMENT ON COLUMN public.sleep_sessions.data_origin_name IS 'Display name the platform reported for the app, if any';
+COMMENT ON COLUMN public.sleep_data.data_origin IS 'App whose session the night was built from';
+COMMENT ON COLUMN public.sleep_data.data_origin_name IS 'Display name the platform reported for that app, if any';
+COMMENT ON COLUMN public.users.sleep_source_priority IS 'Data origins in the order the user prefers their sleep, best first';
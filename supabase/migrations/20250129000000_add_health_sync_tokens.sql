@@ -0,0 +1,61 @@
+-- Incremental sync from Health Connect change tokens and HealthKit anchors
+-- health_sync_tokens keeps the position each sync reached per user, platform and data type, so the
+-- next sync reads only what was added, edited or deleted since. sleep_sessions.external_ids records
+-- the platform records behind each session, so deleted records can be traced to the nights they built.
+
+CREATE TABLE IF NOT EXISTS public.health_sync_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('healthkit', 'health_connect')),
+    data_type TEXT NOT NULL, -- 'sleep' or a health metric key, e.g. 'steps'
+    token TEXT NOT NULL, -- Health Connect changes token or serialized HealthKit anchor
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- When the token was last advanced
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, source, data_type)
+);
+
+-- Enable RLS
+ALTER TABLE public.health_sync_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own health sync tokens" ON public.health_sync_tokens;
+DROP POLICY IF EXISTS "Users can insert own health sync tokens" ON public.health_sync_tokens;
+DROP POLICY IF EXISTS "Users can update own health sync tokens" ON public.health_sync_tokens;
+DROP POLICY IF EXISTS "Users can delete own health sync tokens" ON public.health_sync_tokens;
+
+-- RLS Policies
+CREATE POLICY "Users can view own health sync tokens"
+    ON public.health_sync_tokens FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own health sync tokens"
+    ON public.health_sync_tokens FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own health sync tokens"
+    ON public.health_sync_tokens FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own health sync tokens"
+    ON public.health_sync_tokens FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_health_sync_tokens_updated_at ON public.health_sync_tokens;
+CREATE TRIGGER update_health_sync_tokens_updated_at
+    BEFORE UPDATE ON public.health_sync_tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Sessions: ids of the platform records (Health Connect record id, HealthKit sample UUIDs) behind each session
+ALTER TABLE public.sleep_sessions
+ADD COLUMN IF NOT EXISTS external_ids TEXT[] NOT NULL DEFAULT '{}';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sleep_sessions_external_ids ON public.sleep_sessions USING GIN (external_ids);
+
+-- Add comments
+COMMENT ON TABLE public.health_sync_tokens IS 'Where the last incremental sync left off, per platform and data type';
+COMMENT ON COLUMN public.health_sync_tokens.token IS 'Health Connect changes token or HealthKit anchor to read the next changes from';
+COMMENT ON COLUMN public.sleep_sessions.external_ids IS 'Platform record ids the session was built from; used to apply deletions';
@@ -0,0 +1,45 @@
+-- Record the outcome of each health data sync run
+-- Background runs happen while nobody is looking, so each one leaves a row that Profile can show:
+-- whether it ran, was skipped (e.g. low battery) or failed, and how much it brought in.
+
+CREATE TABLE IF NOT EXISTS public.sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    trigger TEXT NOT NULL CHECK (trigger IN ('background', 'foreground', 'manual')),
+    status TEXT NOT NULL CHECK (status IN ('success', 'failed', 'skipped')),
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ NOT NULL,
+    sleep_records_synced INTEGER NOT NULL DEFAULT 0,
+    metrics_synced INTEGER NOT NULL DEFAULT 0,
+    message TEXT, -- Why the run was skipped or failed
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.sync_runs ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own sync runs" ON public.sync_runs;
+DROP POLICY IF EXISTS "Users can insert own sync runs" ON public.sync_runs;
+DROP POLICY IF EXISTS "Users can delete own sync runs" ON public.sync_runs;
+
+-- RLS Policies
+CREATE POLICY "Users can view own sync runs"
+    ON public.sync_runs FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own sync runs"
+    ON public.sync_runs FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own sync runs"
+    ON public.sync_runs FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sync_runs_user_started ON public.sync_runs(user_id, started_at DESC);
+
+-- Add comments
+COMMENT ON TABLE public.sync_runs IS 'Outcome of each health data sync run, kept for 30 days';
+COMMENT ON COLUMN public.sync_runs.trigger IS 'background: scheduled task, foreground: app opened or resumed, manual: user asked for a sync';
+COMMENT ON COLUMN public.sync_runs.message IS 'Why the run was skipped or failed';
@@ -0,0 +1,28 @@
+-- Add diagnostics to sync_runs
+-- Each run now records what it read and where it went wrong, so the diagnostics screen in Profile can
+-- explain a missing or wrong night: which record types and dates were read, how many records came
+-- back, how many were skipped or saved, and the error for each record that failed to save.
+-- A single date re-synced from that screen is recorded as a 'replay' run.
+
+ALTER TABLE public.sync_runs DROP CONSTRAINT IF EXISTS sync_runs_trigger_check;
+ALTER TABLE public.sync_runs ADD CONSTRAINT sync_runs_trigger_check
+    CHECK (trigger IN ('background', 'foreground', 'manual', 'replay'));
+
+ALTER TABLE public.sync_runs
+ADD COLUMN IF NOT EXISTS record_types TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS range_start DATE,
+ADD COLUMN IF NOT EXISTS range_end DATE,
+ADD COLUMN IF NOT EXISTS incremental BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS records_fetched INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS records_skipped INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS errors JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Add comments
+COMMENT ON COLUMN public.sync_runs.trigger IS 'background: scheduled task, foreground: app opened or resumed, manual: user asked for a sync, replay: one date re-synced from diagnostics';
+COMMENT ON COLUMN public.sync_runs.message IS 'Why the run was skipped or failed, or a note on what it found (e.g. nothing new to sync)';
+COMMENT ON COLUMN public.sync_runs.record_types IS 'Data types read: sleep and/or health metric keys';
+COMMENT ON COLUMN public.sync_runs.range_start IS 'First date read or rebuilt; null when nothing was read';
+COMMENT ON COLUMN public.sync_runs.incremental IS 'True if sleep was read from a changes token rather than the whole window';
+COMMENT ON COLUMN public.sync_runs.records_fetched IS 'Sleep sessions and daily metric values returned by the health platform';
+COMMENT ON COLUMN public.sync_runs.records_skipped IS 'Records not saved on purpose: nights already synced or corrected by hand, metrics without permission';
+COMMENT ON COLUMN public.sync_runs.errors IS 'Records that failed to save: [{ record_type, date, message }]';
@@ -0,0 +1,63 @@
+-- Create exercise_sessions table for timed workouts from the health platforms
+-- exercise_minutes only says how long someone exercised in a day. Keeping each workout's start,
+-- end and type lets the app work out how close to bedtime it was and how hard it was, which
+-- feed the exercise timing habits (exercise near bedtime, workout-to-sleep gap, workout intensity).
+
+CREATE TABLE IF NOT EXISTS public.exercise_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('health_connect', 'healthkit')),
+    external_id TEXT NOT NULL, -- Health Connect record id or HealthKit workout UUID
+    exercise_type TEXT NOT NULL DEFAULT 'other', -- Category from constants/exerciseTypes.js
+    platform_exercise_type INTEGER, -- Raw ExerciseSessionRecord type or HKWorkoutActivityType
+    title TEXT,
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    energy_kcal NUMERIC,
+    data_origin TEXT NOT NULL DEFAULT '', -- App that recorded the workout
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, source, external_id),
+    CHECK (end_time > start_time)
+);
+
+-- Enable RLS
+ALTER TABLE public.exercise_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist
+DROP POLICY IF EXISTS "Users can view own exercise sessions" ON public.exercise_sessions;
+DROP POLICY IF EXISTS "Users can insert own exercise sessions" ON public.exercise_sessions;
+DROP POLICY IF EXISTS "Users can update own exercise sessions" ON public.exercise_sessions;
+DROP POLICY IF EXISTS "Users can delete own exercise sessions" ON public.exercise_sessions;
+
+-- RLS Policies
+CREATE POLICY "Users can view own exercise sessions"
+    ON public.exercise_sessions FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own exercise sessions"
+    ON public.exercise_sessions FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own exercise sessions"
+    ON public.exercise_sessions FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own exercise sessions"
+    ON public.exercise_sessions FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Add update trigger
+DROP TRIGGER IF EXISTS update_exercise_sessions_updated_at ON public.exercise_sessions;
+CREATE TRIGGER update_exercise_sessions_updated_at
+    BEFORE UPDATE ON public.exercise_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_exercise_sessions_user_start ON public.exercise_sessions(user_id, start_time);
+
+-- Add comments
+COMMENT ON TABLE public.exercise_sessions IS 'Individual workouts from Health Connect exercise sessions or HealthKit workouts';
+COMMENT ON COLUMN public.exercise_sessions.exercise_type IS 'Shared category (running, strength_training, yoga, ...) used to estimate intensity in METs';
+COMMENT ON COLUMN public.exercise_sessions.platform_exercise_type IS 'Exercise type code as the platform reported it';
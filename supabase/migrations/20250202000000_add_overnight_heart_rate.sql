@@ -0,0 +1,18 @@
+-- Add overnight heart rate to sleep_data
+-- Heart rate samples across each synced night are read from the health platform, averaged into
+-- 5-minute bins and kept with the night, so the Home screen can draw them over the sleep timeline
+-- without reading the platform again. The summaries are offered as sleep metrics in Insights.
+
+ALTER TABLE public.sleep_data
+ADD COLUMN IF NOT EXISTS heart_rate_samples JSONB,
+ADD COLUMN IF NOT EXISTS lowest_heart_rate NUMERIC(4,1),
+ADD COLUMN IF NOT EXISTS average_sleeping_heart_rate NUMERIC(4,1),
+ADD COLUMN IF NOT EXISTS nocturnal_hr_dip_percent NUMERIC(4,1),
+ADD COLUMN IF NOT EXISTS time_to_lowest_hr_minutes INTEGER;
+
+-- Add comments
+COMMENT ON COLUMN public.sleep_data.heart_rate_samples IS '5-minute heart rate averages across the sleep session. Format: [{"time": "ISO8601", "bpm": number}, ...]';
+COMMENT ON COLUMN public.sleep_data.lowest_heart_rate IS 'Lowest 5-minute average heart rate after sleep onset';
+COMMENT ON COLUMN public.sleep_data.average_sleeping_heart_rate IS 'Average heart rate after sleep onset';
+COMMENT ON COLUMN public.sleep_data.nocturnal_hr_dip_percent IS 'How far the sleeping average falls below the awake average of the 12 hours before the session, in percent';
+COMMENT ON COLUMN public.sleep_data.time_to_lowest_hr_minutes IS 'Minutes from sleep onset to the lowest heart rate';
@@ -0,0 +1,12 @@
+-- Link consumption events to the records written for them in the health platform
+-- With write-back turned on in Profile, logged caffeine (and alcohol on HealthKit) is saved to
+-- Apple Health / Health Connect. Keeping the platform record id lets edits and deletes in the app
+-- change or remove that record, and the source stops one platform touching another's records.
+
+ALTER TABLE public.habit_consumption_events
+ADD COLUMN IF NOT EXISTS health_record_id TEXT,
+ADD COLUMN IF NOT EXISTS health_record_source TEXT CHECK (health_record_source IN ('health_connect', 'healthkit'));
+
+-- Add comments
+COMMENT ON COLUMN public.habit_consumption_events.health_record_id IS 'Health Connect record id or HealthKit sample UUID written for this event, null if it was not written';
+COMMENT ON COLUMN public.habit_consumption_events.health_record_source IS 'Platform the health record was written to';
@@ -0,0 +1,16 @@
+-- Import caffeine and alcohol logged in other apps as consumption events
+-- Nutrition apps save caffeine (and on HealthKit, alcoholic drinks) to the health platforms.
+-- Imported records become habit_consumption_events with the platform record in
+-- health_record_id / health_record_source, like the records SleepFactor writes back, and
+-- imported_from naming the app that logged them. Those events are kept in step with the platform
+-- and can't be edited in SleepFactor.
+
+ALTER TABLE public.habit_consumption_events
+ADD COLUMN IF NOT EXISTS imported_from TEXT;
+
+-- One event per platform record, so overlapping syncs can't import a record twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_habit_consumption_events_health_record
+    ON public.habit_consumption_events(habit_id, health_record_source, health_record_id);
+
+-- Add comments
+COMMENT ON COLUMN public.habit_consumption_events.imported_from IS 'Package name or bundle identifier of the app the event was imported from, null for events logged in SleepFactor';
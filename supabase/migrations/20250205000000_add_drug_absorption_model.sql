@@ -0,0 +1,17 @@
+-- Add an absorption phase to drug level calculations
+-- Drug levels treated each drink as fully absorbed the moment it was logged, so a coffee five
+-- minutes before bed counted in full at bedtime. Levels now follow a one-compartment model with
+-- first-order absorption (the Bateman function), set by how long after a drink its level peaks.
+-- Habits can keep the old instant-absorption model to compare the two.
+
+ALTER TABLE public.habits
+ADD COLUMN IF NOT EXISTS drug_model TEXT NOT NULL DEFAULT 'absorption' CHECK (drug_model IN ('absorption', 'bolus')),
+ADD COLUMN IF NOT EXISTS absorption_minutes NUMERIC CHECK (absorption_minutes > 0);
+
+ALTER TABLE public.consumption_options
+ADD COLUMN IF NOT EXISTS absorption_minutes NUMERIC CHECK (absorption_minutes > 0);
+
+-- Add comments
+COMMENT ON COLUMN public.habits.drug_model IS 'How drug levels are calculated: absorption (Bateman function) or bolus (instant absorption, exponential decay)';
+COMMENT ON COLUMN public.habits.absorption_minutes IS 'Minutes from a drink to its peak level under the absorption model; null uses 45';
+COMMENT ON COLUMN public.consumption_options.absorption_minutes IS 'Time to peak for drinks logged with this option, overriding the habit''s';
@@ -0,0 +1,25 @@
+-- Estimate blood alcohol with the Widmark formula
+-- Alcohol is eliminated at a roughly constant rate rather than with a half-life, so the Alcohol
+-- habit moves to a zero-order (Widmark) model whose drug_levels are the BAC at sleep onset, in
+-- '% BAC'. The estimate needs the user's body weight and sex; weight synced from the health
+-- platform is preferred, with body_weight_kg as the fallback.
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS body_weight_kg NUMERIC CHECK (body_weight_kg > 0),
+ADD COLUMN IF NOT EXISTS sex TEXT CHECK (sex IN ('male', 'female'));
+
+-- Allow the Widmark model alongside the half-life models
+ALTER TABLE public.habits DROP CONSTRAINT IF EXISTS habits_drug_model_check;
+ALTER TABLE public.habits ADD CONSTRAINT habits_drug_model_check
+    CHECK (drug_model IN ('absorption', 'bolus', 'widmark'));
+
+-- Move existing Alcohol habits to it; their stored levels are in drinks and are recalculated
+-- by the app (drugLevelService.refreshOutdatedLevels) the next time Insights reads them
+UPDATE public.habits
+SET drug_model = 'widmark'
+WHERE name = 'Alcohol' AND type = 'quick_consumption';
+
+-- Add comments
+COMMENT ON COLUMN public.users.body_weight_kg IS 'Body weight in kg for blood alcohol estimates when none is synced from the health platform';
+COMMENT ON COLUMN public.users.sex IS 'male or female, for the Widmark factor in blood alcohol estimates; null uses the midpoint';
+COMMENT ON COLUMN public.habits.drug_model IS 'How drug levels are calculated: absorption (Bateman function), bolus (instant absorption, exponential decay) or widmark (blood alcohol, zero-order elimination)';
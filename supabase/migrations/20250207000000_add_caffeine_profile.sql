@@ -0,0 +1,10 @@
+-- Store each user's caffeine metabolism profile
+-- Holds the questionnaire answers and the half-life they suggest, the latest fit of the half-life
+-- to the user's sleep data, and which half-life was applied to the Caffeine habit. The applied
+-- value itself lives on habits.half_life_hours like any other drug habit.
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS caffeine_profile JSONB;
+
+-- Add comments
+COMMENT ON COLUMN public.users.caffeine_profile IS 'Caffeine metabolism profile: { answers, questionnaireHalfLifeHours, fit, appliedHalfLifeHours, appliedSource, updatedAt }';
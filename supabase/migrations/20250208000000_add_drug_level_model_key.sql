@@ -0,0 +1,12 @@
+-- Record the model each drug level was calculated with
+-- Levels were only told apart by unit, so levels calculated before a habit moved to the absorption
+-- model, or before its half-life, threshold or time to peak changed, were used alongside new ones.
+-- model_key identifies the model and its parameters; the app recalculates levels whose key no
+-- longer matches their habit's (drugLevelService.refreshOutdatedLevels). Existing levels have none
+-- and are all recalculated once.
+
+ALTER TABLE public.drug_levels
+ADD COLUMN IF NOT EXISTS model_key TEXT;
+
+-- Add comments
+COMMENT ON COLUMN public.drug_levels.model_key IS 'Model and parameters the level was calculated with (see getLevelModelKey in utils/drugHalfLife.js); null for levels from before it was recorded';
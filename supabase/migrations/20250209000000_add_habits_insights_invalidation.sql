@@ -0,0 +1,25 @@
+-- Mark a user's cached insights stale when one of their habits is edited or deleted
+-- Drug settings, the active flag and the habit itself all change what gets analysed, but none of
+-- them touch the dated rows the existing triggers watch
+
+-- Every cached row is marked, whatever its range, because adjusted effects are fitted across
+-- every habit at once
+CREATE OR REPLACE FUNCTION public.invalidate_insights_cache_for_habit()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.insights_cache
+    SET is_stale = TRUE
+    WHERE user_id = OLD.user_id
+      AND is_stale = FALSE;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_habits ON public.habits;
+CREATE TRIGGER invalidate_insights_on_habits
+    AFTER UPDATE OR DELETE ON public.habits
+    FOR EACH ROW EXECUTE FUNCTION public.invalidate_insights_cache_for_habit();
+
+-- Update comments
+COMMENT ON COLUMN public.insights_cache.is_stale IS 'Set by triggers when habit_logs, drug_levels or sleep_data change inside the range, or when any of the user''s habits is edited or deleted';
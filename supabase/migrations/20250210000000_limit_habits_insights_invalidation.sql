@@ -0,0 +1,29 @@
+-- Only mark cached insights stale for habit edits that change the analysis
+-- The health sync touches every health metric habit on each run, which made every sync throw the
+-- whole cache away. Deletes still always invalidate.
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_habits ON public.habits;
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_habit_edits ON public.habits;
+CREATE TRIGGER invalidate_insights_on_habit_edits
+    AFTER UPDATE ON public.habits
+    FOR EACH ROW
+    WHEN (
+        OLD.is_active IS DISTINCT FROM NEW.is_active
+        OR OLD.name IS DISTINCT FROM NEW.name
+        OR OLD.type IS DISTINCT FROM NEW.type
+        OR OLD.unit IS DISTINCT FROM NEW.unit
+        OR OLD.half_life_hours IS DISTINCT FROM NEW.half_life_hours
+        OR OLD.drug_threshold_percent IS DISTINCT FROM NEW.drug_threshold_percent
+        OR OLD.drug_model IS DISTINCT FROM NEW.drug_model
+        OR OLD.absorption_minutes IS DISTINCT FROM NEW.absorption_minutes
+    )
+    EXECUTE FUNCTION public.invalidate_insights_cache_for_habit();
+
+DROP TRIGGER IF EXISTS invalidate_insights_on_habit_deletes ON public.habits;
+CREATE TRIGGER invalidate_insights_on_habit_deletes
+    AFTER DELETE ON public.habits
+    FOR EACH ROW EXECUTE FUNCTION public.invalidate_insights_cache_for_habit();
+
+-- Update comments
+COMMENT ON COLUMN public.insights_cache.is_stale IS 'Set by triggers when habit_logs, drug_levels or sleep_data change inside the range, or when any of the user''s habits is deleted or has its activity, name, type, unit or drug settings edited';
@@ -0,0 +1,9 @@
+-- Let users delete their own drug levels
+-- The timezone repair removes levels left on days that were only derived in UTC. Without a DELETE
+-- policy, row level security made those deletes match nothing without reporting an error.
+
+DROP POLICY IF EXISTS "Users can delete own drug levels" ON public.drug_levels;
+
+CREATE POLICY "Users can delete own drug levels"
+    ON public.drug_levels FOR DELETE
+    USING (auth.uid() = user_id);
@@ -0,0 +1,106 @@
+// Blood alcohol utilities
+// Estimates blood alcohol concentration (BAC) from standard drinks with the Widmark formula.
+// Alcohol isn't cleared with a half-life: the liver removes a roughly constant amount per hour
+// (zero-order elimination), so a heavy evening lasts much longer than exponential decay suggests.
+// Each drink is absorbed at a steady rate over its absorption time while elimination runs at a
+// fixed rate whenever there is alcohol left, which makes BAC piecewise linear between drinks.
+
+// Grams of ethanol in one standard drink (US definition; a 12oz beer, 5oz wine or 1.5oz spirits)
+export const STANDARD_DRINK_GRAMS = 14;
+
+// Widmark's beta: BAC percentage points eliminated per hour (typical range 0.010-0.020)
+export const BAC_ELIMINATION_PER_HOUR = 0.015;
+
+// Widmark's r: the share of body weight alcohol distributes into
+export const WIDMARK_FACTORS = {
+  male: 0.68,
+  female: 0.55,
+};
+
+// Used when sex isn't set: the midpoint of the two factors
+const DEFAULT_WIDMARK_FACTOR = 0.615;
+
+// Used when no weight has been entered or synced
+export const DEFAULT_BODY_WEIGHT_KG = 70;
+
+// Unit drug_levels stores BAC in, and the charts label it with
+export const BAC_UNIT = '% BAC';
+
+const HOUR_MS = 1000 * 60 * 60;
+const MINUTE_MS = 1000 * 60;
+
+/**
+ * Get the Widmark factor for a sex
+ * @param {string|null} sex - 'male', 'female' or null
+ * @returns {number} r
+ */
+export const getWidmarkFactor = (sex) => WIDMARK_FACTORS[sex] || DEFAULT_WIDMARK_FACTOR;
+
+/**
+ * BAC a number of standard drinks would give if absorbed at once with nothing eliminated
+ * BAC% = grams of alcohol / (body weight in grams × r) × 100
+ * @param {number} standardDrinks - Standard drinks
+ * @param {number} bodyWeightKg - Body weight in kg
+ * @param {string|null} sex - 'male', 'female' or null
+ * @returns {number} BAC in percent (g/100 ml)
+ */
+export const getWidmarkPeak = (standardDrinks, bodyWeightKg, sex) => {
+  const weightKg = bodyWeightKg > 0 ? bodyWeightKg : DEFAULT_BODY_WEIGHT_KG;
+  return ((standardDrinks * STANDARD_DRINK_GRAMS) / (weightKg * 1000 * getWidmarkFactor(sex))) * 100;
+};
+
+/**
+ * Estimate BAC at a time from the drinks before it
+ * @param {Array} consumptionEvents - Consumption events with consumed_at and amount in standard
+ *   drinks, and optionally absorption_minutes
+ * @param {Date} targetTime - Time to estimate BAC for
+ * @param {Object} model - Widmark model from getDrugModel(): { absorptionMinutes, bodyWeightKg, sex }
+ * @returns {number} BAC in percent, never below 0
+ */
+export const calculateBloodAlcohol = (consumptionEvents, targetTime, model) => {
+  const target = targetTime.getTime();
+
+  const drinks = (consumptionEvents || [])
+    .filter(event => event.amount > 0 && new Date(event.consumed_at).getTime() < target)
+    .map(event => {
+      const start = new Date(event.consumed_at).getTime();
+      const absorptionMs = Math.max(1, event.absorption_minutes || model.absorptionMinutes) * MINUTE_MS;
+      return {
+        start,
+        end: start + absorptionMs,
+        ratePerHour: getWidmarkPeak(event.amount, model.bodyWeightKg, model.sex) / (absorptionMs / HOUR_MS),
+      };
+    });
+
+  if (drinks.length === 0) return 0;
+
+  // Between consecutive starts and ends of absorption the net rate is constant, so BAC moves in a
+  // straight line; when it would fall below zero no drink is being absorbed fast enough to refill it
+  const breakpoints = [...new Set(drinks.flatMap(drink => [drink.start, drink.end]))]
+    .filter(time => time < target)
+    .sort((a, b) => a - b);
+  breakpoints.push(target);
+
+  let bac = 0;
+  for (let i = 0; i < breakpoints.length - 1; i++) {
+    const from = breakpoints[i];
+    const to = breakpoints[i + 1];
+    const absorptionRate = drinks
+      .filter(drink => drink.start <= from && drink.end >= to)
+      .reduce((sum, drink) => sum + drink.ratePerHour, 0);
+
+    bac = Math.max(0, bac + (absorptionRate - BAC_ELIMINATION_PER_HOUR) * ((to - from) / HOUR_MS));
+  }
+
+  return bac;
+};
+
+/**
+ * Format a BAC for display (e.g., "0.045% BAC")
+ * @param {number} bac - BAC in percent
+ * @returns {string} Formatted string
+ */
+export const formatBloodAlcohol = (bac) => {
+  const value = Number(bac);
+  return `${(isNaN(value) ? 0 : value).toFixed(3)}${BAC_UNIT}`;
+};
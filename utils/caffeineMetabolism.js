@@ -0,0 +1,113 @@
+// Caffeine metabolism utilities
+// Two ways to personalise the caffeine half-life: scale the typical half-life by questionnaire
+// answers, or fit it to the user's own nights, picking the half-life whose caffeine level at sleep
+// onset tracks a sleep metric most closely.
+
+import {
+  CAFFEINE_METABOLISM_QUESTIONS,
+  MAX_CAFFEINE_HALF_LIFE_HOURS,
+  MIN_CAFFEINE_HALF_LIFE_HOURS,
+  TYPICAL_CAFFEINE_HALF_LIFE_HOURS,
+} from '../constants/caffeineMetabolism';
+import { calculateTotalDrugLevel } from './drugHalfLife';
+import { calculateCorrelation, calculateMaxCorrelationPermutationPValue } from './statistics';
+
+// Half-lives tried when fitting to sleep data
+export const FIT_HALF_LIFE_MIN_HOURS = 1.5;
+export const FIT_HALF_LIFE_MAX_HOURS = 16;
+const FIT_HALF_LIFE_STEP_HOURS = 0.5;
+
+// Fewer nights than this give a fit that mostly reflects noise (the same minimum Insights uses)
+export const MIN_FIT_NIGHTS = 10;
+
+const roundToHalfHour = hours => Math.round(hours * 2) / 2;
+
+/**
+ * Suggest a caffeine half-life from questionnaire answers
+ * @param {Object} answers - { [question key]: option value }, see CAFFEINE_METABOLISM_QUESTIONS
+ * @returns {Object} { halfLifeHours, explanation: [{ question, answer, multiplier, text }] } with an
+ *   entry in explanation for each answer that moved the half-life away from typical
+ */
+export const suggestCaffeineHalfLife = (answers) => {
+  let halfLife = TYPICAL_CAFFEINE_HALF_LIFE_HOURS;
+  const explanation = [];
+
+  CAFFEINE_METABOLISM_QUESTIONS.forEach(question => {
+    const option = question.options.find(candidate => candidate.value === answers?.[question.key]);
+    if (!option || option.multiplier === 1) return;
+
+    halfLife *= option.multiplier;
+    explanation.push({
+      question: question.key,
+      answer: option.value,
+      multiplier: option.multiplier,
+      text: option.explanation,
+    });
+  });
+
+  return {
+    halfLifeHours: roundToHalfHour(
+      Math.min(MAX_CAFFEINE_HALF_LIFE_HOURS, Math.max(MIN_CAFFEINE_HALF_LIFE_HOURS, halfLife))
+    ),
+    explanation,
+  };
+};
+
+/**
+ * Find the half-life whose caffeine level at sleep onset is most strongly associated with a sleep metric
+ * Only correlations in the direction caffeine is expected to move the metric count, so a fit can't come
+ * from caffeine appearing to help sleep. Levels under nearby half-lives are strongly correlated with
+ * each other, so a fit from a few weeks of nights is a rough estimate; the p-value (a permutation test
+ * over the whole search) says whether the association itself is likely real.
+ * @param {Array} nights - [{ onset: Date, value: number, events }], events being the caffeine events
+ *   in the days before onset
+ * @param {Object} model - From getDrugModel()
+ * @param {number} expectedDirection - 1 if more caffeine is expected to raise the metric, -1 to lower it
+ *   (see CAFFEINE_EXPECTED_EFFECTS)
+ * @param {number} thresholdPercent - Threshold percentage (default 5%)
+ * @returns {Object|null} { halfLifeHours, correlation, pValue, nights, candidates: [{ halfLifeHours,
+ *   correlation }] } with halfLifeHours, correlation and pValue null when no half-life gives a correlation
+ *   in the expected direction; null with fewer than MIN_FIT_NIGHTS nights or no variation in caffeine
+ */
+export const fitCaffeineHalfLife = (nights, model, expectedDirection, thresholdPercent = 5) => {
+  const usable = (nights || []).filter(night => night.onset && Number.isFinite(night.value));
+  if (usable.length < MIN_FIT_NIGHTS) return null;
+
+  const values = usable.map(night => night.value);
+  const candidates = [];
+  const candidateLevels = [];
+
+  for (
+    let halfLife = FIT_HALF_LIFE_MIN_HOURS;
+    halfLife <= FIT_HALF_LIFE_MAX_HOURS;
+    halfLife += FIT_HALF_LIFE_STEP_HOURS
+  ) {
+    const levels = usable.map(night =>
+      calculateTotalDrugLevel(night.events, night.onset, halfLife, thresholdPercent, model)
+    );
+    // Every night at the same level (e.g. all zero) says nothing about the half-life
+    if (new Set(levels).size < 2) continue;
+
+    candidates.push({ halfLifeHours: halfLife, correlation: calculateCorrelation(levels, values) });
+    candidateLevels.push(levels);
+  }
+
+  if (candidates.length === 0) return null;
+
+  const expected = candidates.filter(candidate => candidate.correlation * expectedDirection > 0);
+  if (expected.length === 0) {
+    return { halfLifeHours: null, correlation: null, pValue: null, nights: usable.length, candidates };
+  }
+
+  const best = expected.reduce((strongest, candidate) =>
+    candidate.correlation * expectedDirection > strongest.correlation * expectedDirection ? candidate : strongest
+  );
+
+  return {
+    halfLifeHours: best.halfLifeHours,
+    correlation: best.correlation,
+    pValue: calculateMaxCorrelationPermutationPValue(candidateLevels, values, expectedDirection),
+    nights: usable.length,
+    candidates,
+  };
+};
@@ -0,0 +1,99 @@
+// Consumption import utilities
+// Decides which caffeine and alcohol records read from the health platform become
+// habit_consumption_events: records already imported are updated in place, records the user
+// also logged in SleepFactor are left out, and records SleepFactor wrote itself are never read back.
+
+// A platform record this close in time to a drink logged in SleepFactor is taken to be the same drink
+export const DUPLICATE_WINDOW_MINUTES = 30;
+
+// ...as long as the amounts are within this fraction of each other (95 mg logged vs 100 mg imported)
+const DUPLICATE_AMOUNT_TOLERANCE = 0.25;
+
+// An imported amount matches a consumption option when it is within this fraction of a serving
+const OPTION_AMOUNT_TOLERANCE = 0.1;
+
+// Servings tried against each option, in order of preference; the same ones the log modal offers
+const MATCH_SERVINGS = [1, 2, 0.5];
+
+const MINUTE_MS = 60 * 1000;
+
+const relativeDifference = (a, b) => Math.abs(a - b) / Math.max(a, b);
+
+/**
+ * Find the consumption option an imported amount most likely was
+ * @param {number} amount - Imported amount in the habit's unit
+ * @param {Array} options - consumption_options records for the habit
+ * @returns {Object|null} { option, servings }, or null when no option is close
+ */
+export const matchConsumptionOption = (amount, options) => {
+  let best = null;
+  (options || [])
+    .filter(option => option.drug_amount > 0)
+    .forEach(option => {
+      MATCH_SERVINGS.forEach(servings => {
+        const difference = relativeDifference(option.drug_amount * servings, amount);
+        if (difference <= OPTION_AMOUNT_TOLERANCE && (!best || difference < best.difference)) {
+          best = { option, servings, difference };
+        }
+      });
+    });
+
+  return best ? { option: best.option, servings: best.servings } : null;
+};
+
+/**
+ * Work out how one habit's events should change to reflect the platform's records
+ * @param {Array} records - [{ id, consumedAt, amount, dataOrigin }] from healthService.getConsumptionRecords()
+ * @param {Array} events - The habit's habit_consumption_events over the same window
+ * @param {Object} context - Import context
+ * @param {string} context.source - 'health_connect' or 'healthkit'
+ * @param {Array} context.ownDataOrigins - Data origins of SleepFactor itself
+ * @returns {Object} { newRecords, changedEvents: [{ event, record }], staleEvents, duplicates }
+ */
+export const reconcileConsumptionRecords = (records, events, { source, ownDataOrigins }) => {
+  const sameSource = event => event.health_record_id && event.health_record_source === source;
+  const importedById = new Map(
+    events.filter(event => event.imported_from && sameSource(event)).map(event => [event.health_record_id, event])
+  );
+  // Written back from SleepFactor; the event is already the source of truth
+  const writtenIds = new Set(
+    events.filter(event => !event.imported_from && sameSource(event)).map(event => event.health_record_id)
+  );
+  const unmatchedLogged = events.filter(event => !event.imported_from && event.drink_type !== 'none');
+
+  const newRecords = [];
+  const changedEvents = [];
+  let duplicates = 0;
+
+  (records || [])
+    .filter(record => !writtenIds.has(record.id) && !ownDataOrigins.includes(record.dataOrigin))
+    .forEach(record => {
+      const imported = importedById.get(record.id);
+      if (imported) {
+        const moved = new Date(imported.consumed_at).getTime() !== new Date(record.consumedAt).getTime();
+        if (moved || Number(imported.amount) !== record.amount) {
+          changedEvents.push({ event: imported, record });
+        }
+        return;
+      }
+
+      const recordTime = new Date(record.consumedAt).getTime();
+      const duplicateIndex = unmatchedLogged.findIndex(event =>
+        Math.abs(new Date(event.consumed_at).getTime() - recordTime) <= DUPLICATE_WINDOW_MINUTES * MINUTE_MS &&
+        relativeDifference(Number(event.amount), record.amount) <= DUPLICATE_AMOUNT_TOLERANCE
+      );
+      if (duplicateIndex >= 0) {
+        // Each logged drink stands in for one record at most
+        unmatchedLogged.splice(duplicateIndex, 1);
+        duplicates++;
+        return;
+      }
+
+      newRecords.push(record);
+    });
+
+  const recordIds = new Set((records || []).map(record => record.id));
+  const staleEvents = [...importedById.values()].filter(event => !recordIds.has(event.health_record_id));
+
+  return { newRecords, changedEvents, staleEvents, duplicates };
+};
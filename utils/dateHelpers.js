@@ -1,5 +1,7 @@
 // Date utility functions
 
+import { getTodayDateString } from './timezone';
+
 /**
  * Format date for display (e.g., "Mon, July 20th")
  */
@@ -27,15 +29,13 @@ export const formatDateRange = (startDate, endDate) => {
 };
 
 /**
- * Get today's date as YYYY-MM-DD string
+ * Get today's date as YYYY-MM-DD string in the user's timezone
  */
-export const getToday = () => {
-  const today = new Date();
-  return formatDateForDB(today);
-};
+export const getToday = () => getTodayDateString();
 
 /**
- * Format date as YYYY-MM-DD for database
+ * Format a calendar date picked in the UI as YYYY-MM-DD for database
+ * Uses the device's local date parts; date instants from health data go through utils/timezone
  */
 export const formatDateForDB = (date) => {
   const d = new Date(date);
@@ -45,6 +45,28 @@ export const formatDateForDB = (date) => {
   return `${year}-${month}-${day}`;
 };
 
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ * Works on the calendar date only, so DST changes can't skip or repeat a day
+ */
+export const addDaysToDateString = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Number of calendar days from one YYYY-MM-DD date string to another
+ * Positive when toDateString is after fromDateString
+ */
+export const getDaysBetweenDateStrings = (fromDateString, toDateString) => {
+  const toUTC = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toDateString) - toUTC(fromDateString)) / (24 * 60 * 60 * 1000));
+};
+
 /**
  * Check if date is today
  */
@@ -105,11 +127,7 @@ export const formatDateSelector = (date) => {
 /**
  * Get yesterday's date as YYYY-MM-DD string
  */
-export const getYesterday = () => {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return formatDateForDB(yesterday);
-};
+export const getYesterday = () => addDaysToDateString(getToday(), -1);
 
 /**
  * Format date for homepage title display
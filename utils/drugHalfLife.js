@@ -1,25 +1,177 @@
 // Drug half-life calculation utilities
 // Handles pharmacokinetic calculations for drug levels over time
+//
+// Three models are available. The absorption model (the default) is a one-compartment model with
+// first-order absorption: the Bateman function, where a drink is absorbed over time and the level
+// peaks some minutes after it. The bolus model treats each drink as absorbed instantly and then
+// decaying exponentially, as earlier versions of the app did; habits can keep it for comparison.
+// The Widmark model is for alcohol, which is eliminated at a constant rate rather than with a
+// half-life; its levels are blood alcohol concentrations (see utils/bloodAlcohol.js).
+
+import { BAC_UNIT, calculateBloodAlcohol, formatBloodAlcohol } from './bloodAlcohol';
+
+export const DRUG_MODELS = {
+  absorption: 'absorption',
+  bolus: 'bolus',
+  widmark: 'widmark',
+};
+
+// Time from a drink to its peak level when neither the option nor the habit sets one
+// (caffeine peaks roughly 30-60 minutes after a drink)
+export const DEFAULT_ABSORPTION_MINUTES = 45;
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// Timelines ask for the same few rates at every point, and each one takes a bisection to find
+const absorptionRateCache = new Map();
+
+/**
+ * Get the level model a habit's drug levels are calculated with
+ * @param {Object} habit - Habit with drug_model and absorption_minutes
+ * @param {Object} [bodyProfile] - { weightKg, sex } from bodyProfileService, for the Widmark model
+ * @returns {Object} { type: 'absorption' | 'bolus' | 'widmark', absorptionMinutes, bodyWeightKg, sex }
+ */
+export const getDrugModel = (habit, bodyProfile = null) => ({
+  type: Object.values(DRUG_MODELS).includes(habit?.drug_model) ? habit.drug_model : DRUG_MODELS.absorption,
+  absorptionMinutes: habit?.absorption_minutes > 0 ? Number(habit.absorption_minutes) : DEFAULT_ABSORPTION_MINUTES,
+  bodyWeightKg: bodyProfile?.weightKg || null,
+  sex: bodyProfile?.sex || null,
+});
+
+/**
+ * Unit a habit's levels are in under a model
+ * @param {Object} habit - Habit object
+ * @param {Object} model - From getDrugModel()
+ * @returns {string} BAC for the Widmark model, otherwise the habit's unit
+ */
+export const getLevelUnit = (habit, model) => (
+  model.type === DRUG_MODELS.widmark ? BAC_UNIT : habit?.unit || 'units'
+);
+
+/**
+ * Format a level in its model's unit (e.g., "23.5 mg", "0.045% BAC")
+ * @param {number} level - Level from calculateTotalDrugLevel()
+ * @param {Object} habit - Habit object
+ * @param {Object} model - From getDrugModel()
+ * @returns {string} Formatted string
+ */
+export const formatModelLevel = (level, habit, model) => (
+  model.type === DRUG_MODELS.widmark ? formatBloodAlcohol(level) : formatDrugLevel(level, getLevelUnit(habit, model))
+);
+
+/**
+ * Key for the model and parameters a habit's levels are calculated with
+ * Stored with each level (drug_levels.model_key), so levels calculated before the habit's model or
+ * parameters changed can be found and recalculated.
+ * @param {Object} habit - Habit object
+ * @param {Array} [options] - The habit's consumption_options records, for their absorption times
+ * @returns {string} Key, e.g. 'absorption|5|5|45'
+ */
+export const getLevelModelKey = (habit, options = []) => {
+  const model = getDrugModel(habit);
+  const optionMinutes = (options || [])
+    .filter(option => option.absorption_minutes > 0)
+    .map(option => `${option.id}:${Number(option.absorption_minutes)}`)
+    .sort();
+
+  return [
+    model.type,
+    Number(habit?.half_life_hours) || 5,
+    Number(habit?.drug_threshold_percent) || 5,
+    model.absorptionMinutes,
+    ...optionMinutes,
+  ].join('|');
+};
+
+/**
+ * Give events the absorption time of the consumption option they were logged with, where it sets one
+ * @param {Array} consumptionEvents - Consumption events with drink_type
+ * @param {Array} options - consumption_options records with absorption_minutes
+ * @returns {Array} Events, with absorption_minutes on those whose option overrides the habit's
+ */
+export const applyOptionAbsorption = (consumptionEvents, options) => {
+  const minutesByOption = new Map(
+    (options || []).filter(option => option.absorption_minutes > 0).map(option => [option.id, Number(option.absorption_minutes)])
+  );
+  if (minutesByOption.size === 0) return consumptionEvents;
+
+  return consumptionEvents.map(event => (
+    minutesByOption.has(event.drink_type) ? { ...event, absorption_minutes: minutesByOption.get(event.drink_type) } : event
+  ));
+};
+
+/**
+ * Absorption rate constant that makes a drink peak a given time after it is taken
+ * Solves t_max = ln(ka / ke) / (ka - ke) for ka. Peaks later than 1/ke can't be reached with
+ * first-order absorption, so they are capped just below it.
+ * @param {number} eliminationRate - ke, per hour
+ * @param {number} peakHours - Time to peak in hours
+ * @returns {number} ka, per hour
+ */
+export const getAbsorptionRate = (eliminationRate, peakHours) => {
+  const cacheKey = `${eliminationRate}:${peakHours}`;
+  if (absorptionRateCache.has(cacheKey)) return absorptionRateCache.get(cacheKey);
+
+  const peakAt = rate => Math.log(rate / eliminationRate) / (rate - eliminationRate);
+  const targetPeak = Math.min(peakHours, (1 / eliminationRate) * 0.999);
+
+  // t_max falls as ka grows, so bisect (on a log scale) between just above ke and a very fast rate
+  let low = eliminationRate * 1.000001;
+  let high = eliminationRate * 1e6;
+  for (let i = 0; i < 100; i++) {
+    const mid = Math.sqrt(low * high);
+    if (peakAt(mid) > targetPeak) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const rate = Math.sqrt(low * high);
+  absorptionRateCache.set(cacheKey, rate);
+  return rate;
+};
+
+/**
+ * Hours from a drink to its peak level under a model
+ * @param {Object} consumptionEvent - Consumption event, optionally with absorption_minutes
+ * @param {Object} model - From getDrugModel()
+ * @returns {number} 0 for the bolus model
+ */
+const getPeakHours = (consumptionEvent, model) => {
+  if (model.type === DRUG_MODELS.bolus) return 0;
+  return (consumptionEvent.absorption_minutes || model.absorptionMinutes || DEFAULT_ABSORPTION_MINUTES) / 60;
+};
 
 /**
  * Calculate remaining drug level at target time from a single consumption event
- * @param {Object} consumptionEvent - Consumption event with consumed_at and amount
+ * @param {Object} consumptionEvent - Consumption event with consumed_at and amount, and optionally
+ *   absorption_minutes to override the model's
  * @param {Date} targetTime - Time to calculate drug level for
  * @param {number} halfLifeHours - Half-life in hours
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
  * @returns {number} Remaining drug amount at target time
  */
-export const calculateDrugLevel = (consumptionEvent, targetTime, halfLifeHours) => {
+export const calculateDrugLevel = (consumptionEvent, targetTime, halfLifeHours, model = getDrugModel(null)) => {
   const consumedAt = new Date(consumptionEvent.consumed_at);
-  const hoursElapsed = (targetTime.getTime() - consumedAt.getTime()) / (1000 * 60 * 60);
+  const hoursElapsed = (targetTime.getTime() - consumedAt.getTime()) / HOUR_MS;
 
   if (hoursElapsed <= 0) {
     return 0; // Future consumption doesn't affect past levels
   }
 
-  // Exponential decay formula: remaining_amount = initial_amount × (0.5)^(hours_elapsed / half_life_hours)
-  const remainingAmount = consumptionEvent.amount * Math.pow(0.5, hoursElapsed / halfLifeHours);
+  const eliminationRate = Math.LN2 / halfLifeHours;
+  const peakHours = getPeakHours(consumptionEvent, model);
+
+  if (peakHours <= 0) {
+    // Exponential decay formula: remaining_amount = initial_amount × (0.5)^(hours_elapsed / half_life_hours)
+    return consumptionEvent.amount * Math.pow(0.5, hoursElapsed / halfLifeHours);
+  }
 
-  return remainingAmount;
+  // Bateman function: amount × ka / (ka - ke) × (e^(-ke·t) - e^(-ka·t))
+  const absorptionRate = getAbsorptionRate(eliminationRate, peakHours);
+  return consumptionEvent.amount * (absorptionRate / (absorptionRate - eliminationRate)) *
+    (Math.exp(-eliminationRate * hoursElapsed) - Math.exp(-absorptionRate * hoursElapsed));
 };
 
 /**
@@ -28,19 +180,33 @@ export const calculateDrugLevel = (consumptionEvent, targetTime, halfLifeHours)
  * @param {Date} targetTime - Time to calculate drug level for
  * @param {number} halfLifeHours - Half-life in hours
  * @param {number} thresholdPercent - Threshold percentage below which drug is considered zero (default 5%)
- * @returns {number} Total remaining drug amount at target time
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
+ * @returns {number} Total remaining drug amount at target time, or BAC under the Widmark model
+ *   (which uses neither the half-life nor the threshold)
  */
-export const calculateTotalDrugLevel = (consumptionEvents, targetTime, halfLifeHours, thresholdPercent = 5) => {
+export const calculateTotalDrugLevel = (
+  consumptionEvents,
+  targetTime,
+  halfLifeHours,
+  thresholdPercent = 5,
+  model = getDrugModel(null)
+) => {
+  if (model.type === DRUG_MODELS.widmark) {
+    return calculateBloodAlcohol(consumptionEvents, targetTime, model);
+  }
+
   let totalLevel = 0;
 
   consumptionEvents.forEach(event => {
-    const remainingAmount = calculateDrugLevel(event, targetTime, halfLifeHours);
+    const remainingAmount = calculateDrugLevel(event, targetTime, halfLifeHours, model);
 
     // Check if this remaining amount is above the threshold
-    // Threshold is calculated as percentage of original amount
+    // Threshold is calculated as percentage of original amount; while a drink is still being
+    // absorbed its level is rising, so the threshold only cuts off the tail after the peak
     const thresholdAmount = event.amount * (thresholdPercent / 100);
+    const hoursElapsed = (targetTime.getTime() - new Date(event.consumed_at).getTime()) / HOUR_MS;
 
-    if (remainingAmount >= thresholdAmount) {
+    if (remainingAmount >= thresholdAmount || (remainingAmount > 0 && hoursElapsed <= getPeakHours(event, model))) {
       totalLevel += remainingAmount;
     }
     // If below threshold, treat as 0 (don't add to total)
@@ -57,6 +223,7 @@ export const calculateTotalDrugLevel = (consumptionEvents, targetTime, halfLifeH
  * @param {number} halfLifeHours - Half-life in hours
  * @param {number} thresholdPercent - Threshold percentage (default 5%)
  * @param {number} intervalMinutes - Interval between data points in minutes (default 30)
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
  * @returns {Array} Array of {time, level} data points
  */
 export const generateDrugLevelTimeline = (
@@ -65,7 +232,8 @@ export const generateDrugLevelTimeline = (
   endTime,
   halfLifeHours,
   thresholdPercent = 5,
-  intervalMinutes = 30
+  intervalMinutes = 30,
+  model = getDrugModel(null)
 ) => {
   const dataPoints = [];
   const intervalMs = intervalMinutes * 60 * 1000; // Convert to milliseconds
@@ -73,7 +241,7 @@ export const generateDrugLevelTimeline = (
   let currentTime = new Date(startTime);
 
   while (currentTime <= endTime) {
-    const level = calculateTotalDrugLevel(consumptionEvents, currentTime, halfLifeHours, thresholdPercent);
+    const level = calculateTotalDrugLevel(consumptionEvents, currentTime, halfLifeHours, thresholdPercent, model);
 
     dataPoints.push({
       time: new Date(currentTime),
@@ -92,11 +260,18 @@ export const generateDrugLevelTimeline = (
  * @param {Date|string} bedtime - Bedtime (Date object or ISO string)
  * @param {number} halfLifeHours - Half-life in hours
  * @param {number} thresholdPercent - Threshold percentage (default 5%)
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
  * @returns {number} Drug level at bedtime
  */
-export const getBedtimeDrugLevel = (consumptionEvents, bedtime, halfLifeHours, thresholdPercent = 5) => {
+export const getBedtimeDrugLevel = (
+  consumptionEvents,
+  bedtime,
+  halfLifeHours,
+  thresholdPercent = 5,
+  model = getDrugModel(null)
+) => {
   const bedtimeDate = bedtime instanceof Date ? bedtime : new Date(bedtime);
-  return calculateTotalDrugLevel(consumptionEvents, bedtimeDate, halfLifeHours, thresholdPercent);
+  return calculateTotalDrugLevel(consumptionEvents, bedtimeDate, halfLifeHours, thresholdPercent, model);
 };
 
 /**
@@ -118,10 +293,11 @@ export const getEventsInDateRange = (allEvents, startDate, endDate) => {
  * @param {Array} consumptionEvents - Array of consumption events
  * @param {number} halfLifeHours - Half-life in hours
  * @param {number} thresholdPercent - Threshold percentage (default 5%)
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
  * @returns {number} Current drug level
  */
-export const getCurrentDrugLevel = (consumptionEvents, halfLifeHours, thresholdPercent = 5) => {
-  return calculateTotalDrugLevel(consumptionEvents, new Date(), halfLifeHours, thresholdPercent);
+export const getCurrentDrugLevel = (consumptionEvents, halfLifeHours, thresholdPercent = 5, model = getDrugModel(null)) => {
+  return calculateTotalDrugLevel(consumptionEvents, new Date(), halfLifeHours, thresholdPercent, model);
 };
 
 /**
@@ -173,6 +349,7 @@ export const getDrugLevelColor = (level, maxLevel) => {
  * @param {number} halfLifeHours - Half-life in hours
  * @param {number} thresholdPercent - Threshold percentage (default 5%)
  * @param {number} intervalMinutes - Interval between data points (default 60)
+ * @param {Object} [model] - From getDrugModel(); the absorption model by default
  * @returns {Array} Average daily pattern data points
  */
 export const calculateAverageDailyPattern = (
@@ -181,7 +358,8 @@ export const calculateAverageDailyPattern = (
   endTime,
   halfLifeHours,
   thresholdPercent = 5,
-  intervalMinutes = 60
+  intervalMinutes = 60,
+  model = getDrugModel(null)
 ) => {
   if (!dailyConsumptionEvents || dailyConsumptionEvents.length === 0) {
     return [];
@@ -189,7 +367,7 @@ export const calculateAverageDailyPattern = (
 
   // Generate timeline for each day
   const dayTimelines = dailyConsumptionEvents.map(dayEvents =>
-    generateDrugLevelTimeline(dayEvents, startTime, endTime, halfLifeHours, thresholdPercent, intervalMinutes)
+    generateDrugLevelTimeline(dayEvents, startTime, endTime, halfLifeHours, thresholdPercent, intervalMinutes, model)
   );
 
   // Calculate average at each time point
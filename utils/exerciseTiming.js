@@ -0,0 +1,95 @@
+// Exercise timing utilities
+// Relates each night's sleep onset (sleep_start_time on sleep_data) to the workouts done before it:
+// how much exercise fell in the last hours before sleep, how long before sleep the last workout
+// ended, and how hard the day's workouts were.
+
+import { addDaysToDateString } from './dateHelpers';
+import { getExerciseMet } from '../constants/exerciseTypes';
+
+// Exercise within this long before sleep onset counts as close to bedtime
+export const LATE_EXERCISE_WINDOW_MINUTES = 180;
+
+// Without a previous wake time, workouts this long before sleep onset still count towards the night
+const MAX_LOOKBACK_MINUTES = 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes two intervals overlap, given in milliseconds
+ * @returns {number} Overlap in minutes, 0 if they don't overlap
+ */
+const overlapMinutes = (startA, endA, startB, endB) =>
+  Math.max(0, Math.min(endA, endB) - Math.max(startA, startB)) / MINUTE_MS;
+
+/**
+ * Work out the exercise timing features for each night
+ * A night's workouts are those done since waking from the previous night (or within the day before
+ * sleep onset, if the previous night is missing). Features are keyed by the habit log date, the day
+ * before the night, which Insights pairs with that night's sleep.
+ * @param {Array} nights - sleep_data records with date, sleep_start_time, sleep_end_time and sleep_latency_minutes
+ * @param {Array} sessions - exercise_sessions records with start_time, end_time and exercise_type
+ * @returns {Array} [{ date, sleepDate, workoutCount, late_exercise_minutes, workout_sleep_gap, workout_intensity }],
+ *   where the gap and intensity are null on nights without workouts
+ */
+export const getExerciseTimingByNight = (nights, sessions) => {
+  const nightsByDate = new Map(
+    (nights || [])
+      .filter(night => night.sleep_start_time)
+      .map(night => [night.date, night])
+  );
+  const workouts = (sessions || []).map(session => ({
+    start: new Date(session.start_time).getTime(),
+    end: new Date(session.end_time).getTime(),
+    met: getExerciseMet(session.exercise_type),
+  }));
+
+  return [...nightsByDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(night => {
+      // sleep_start_time is when the session began; sleep onset is after the latency
+      const onset = new Date(night.sleep_start_time).getTime() + (night.sleep_latency_minutes || 0) * MINUTE_MS;
+      const previousWake = nightsByDate.get(addDaysToDateString(night.date, -1))?.sleep_end_time;
+      const windowStart = previousWake && new Date(previousWake).getTime() < onset
+        ? Math.max(new Date(previousWake).getTime(), onset - MAX_LOOKBACK_MINUTES * MINUTE_MS)
+        : onset - MAX_LOOKBACK_MINUTES * MINUTE_MS;
+
+      // Only the part of each workout between waking and sleep onset counts
+      const nightWorkouts = workouts
+        .filter(workout => workout.start < onset && workout.end > windowStart)
+        .map(workout => ({
+          ...workout,
+          start: Math.max(workout.start, windowStart),
+          end: Math.min(workout.end, onset),
+        }));
+
+      const lateStart = onset - LATE_EXERCISE_WINDOW_MINUTES * MINUTE_MS;
+      const lateMinutes = nightWorkouts.reduce(
+        (sum, workout) => sum + overlapMinutes(workout.start, workout.end, lateStart, onset),
+        0
+      );
+
+      let gap = null;
+      let intensity = null;
+      if (nightWorkouts.length > 0) {
+        const lastEnd = Math.max(...nightWorkouts.map(workout => workout.end));
+        gap = Math.round((onset - lastEnd) / MINUTE_MS);
+
+        const totalMinutes = nightWorkouts.reduce((sum, workout) => sum + (workout.end - workout.start) / MINUTE_MS, 0);
+        intensity = totalMinutes > 0
+          ? Math.round(
+            (nightWorkouts.reduce((sum, workout) => sum + workout.met * (workout.end - workout.start) / MINUTE_MS, 0) /
+              totalMinutes) * 10
+          ) / 10
+          : null;
+      }
+
+      return {
+        date: addDaysToDateString(night.date, -1),
+        sleepDate: night.date,
+        workoutCount: nightWorkouts.length,
+        late_exercise_minutes: Math.round(lateMinutes),
+        workout_sleep_gap: gap,
+        workout_intensity: intensity,
+      };
+    });
+};
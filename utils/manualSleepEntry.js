@@ -0,0 +1,148 @@
+// Manual sleep entry utilities
+// Turns the bed/wake clock times and optional totals from the entry screen into a sleep_data record,
+// and back again when an existing night is edited.
+
+import { addDaysToDateString } from './dateHelpers';
+import { getTimezoneAt, getZonedParts, getZonedTime } from './timezone';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const STAGE_FIELDS = ['deep_sleep_minutes', 'light_sleep_minutes', 'rem_sleep_minutes'];
+
+const toIntegerOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Math.round(Number(value));
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Local clock minutes after midnight for an instant, in the zone the user was in at the time
+ * @param {Date|string} instant - Timestamp
+ * @returns {number} Minutes after midnight (0-1439)
+ */
+export const getClockMinutes = (instant) => {
+  const { hour, minute } = getZonedParts(instant, getTimezoneAt(instant));
+  return hour * 60 + minute;
+};
+
+/**
+ * Place bed and wake clock times on the night that ends on a sleep date
+ * The wake time is on the sleep date itself; a bedtime at or after the wake time went to bed the day before.
+ * @param {string} date - Sleep date (the morning after) in YYYY-MM-DD format
+ * @param {number} bedtimeMinutes - Bedtime as minutes after midnight
+ * @param {number} wakeTimeMinutes - Wake time as minutes after midnight
+ * @returns {Object} { start, end } as Dates
+ */
+export const getManualSleepInterval = (date, bedtimeMinutes, wakeTimeMinutes) => {
+  const bedDate = bedtimeMinutes >= wakeTimeMinutes ? addDaysToDateString(date, -1) : date;
+  return {
+    start: getZonedTime(bedDate, bedtimeMinutes),
+    end: getZonedTime(date, wakeTimeMinutes),
+  };
+};
+
+/**
+ * Check a manual entry before it is saved
+ * @param {Object} entry - Entry from the manual sleep screen
+ * @param {string} entry.date - Sleep date in YYYY-MM-DD format
+ * @param {number} entry.bedtimeMinutes - Bedtime as minutes after midnight
+ * @param {number} entry.wakeTimeMinutes - Wake time as minutes after midnight
+ * @param {number|string} [entry.awakeMinutes] - Minutes awake during the night
+ * @param {number|string} [entry.deepMinutes] - Deep sleep minutes
+ * @param {number|string} [entry.lightMinutes] - Light sleep minutes
+ * @param {number|string} [entry.remMinutes] - REM sleep minutes
+ * @returns {string|null} Message describing the first problem, or null if the entry is valid
+ */
+export const validateManualSleepEntry = (entry) => {
+  if (entry.bedtimeMinutes === entry.wakeTimeMinutes) {
+    return 'Bedtime and wake time can\'t be the same.';
+  }
+
+  const { start, end } = getManualSleepInterval(entry.date, entry.bedtimeMinutes, entry.wakeTimeMinutes);
+  if (end > new Date()) {
+    return 'Wake time is in the future.';
+  }
+
+  const values = [entry.awakeMinutes, entry.deepMinutes, entry.lightMinutes, entry.remMinutes].map(toIntegerOrNull);
+  if (values.some(value => value !== null && value < 0)) {
+    return 'Minutes can\'t be negative.';
+  }
+
+  const timeInBedMinutes = Math.round((end - start) / MS_PER_MINUTE);
+  const enteredMinutes = values.reduce((sum, value) => sum + (value || 0), 0);
+  if (enteredMinutes > timeInBedMinutes) {
+    return 'Awake and stage minutes add up to more than the time between bedtime and wake time.';
+  }
+
+  const record = buildManualSleepRecord(entry);
+  if (record.total_sleep_minutes <= 0) {
+    return 'There is no time left asleep between bedtime and wake time.';
+  }
+
+  return null;
+};
+
+/**
+ * Build a sleep_data record from a manual entry
+ * Without stage minutes the whole time in bed, less any awake minutes, counts as asleep and the
+ * stage fields are left empty. With them, total sleep is the sum of the stages.
+ * @param {Object} entry - Entry from the manual sleep screen (see validateManualSleepEntry)
+ * @param {number|string} [entry.awakeningsCount] - Number of awakenings
+ * @returns {Object} sleep_data fields for sleepDataService.saveManualSleepData
+ */
+export const buildManualSleepRecord = (entry) => {
+  const { start, end } = getManualSleepInterval(entry.date, entry.bedtimeMinutes, entry.wakeTimeMinutes);
+  const timeInBedMinutes = Math.round((end - start) / MS_PER_MINUTE);
+  const awakeMinutes = toIntegerOrNull(entry.awakeMinutes) || 0;
+
+  const stages = {
+    deep_sleep_minutes: toIntegerOrNull(entry.deepMinutes) || 0,
+    light_sleep_minutes: toIntegerOrNull(entry.lightMinutes) || 0,
+    rem_sleep_minutes: toIntegerOrNull(entry.remMinutes) || 0,
+  };
+  const stageTotal = STAGE_FIELDS.reduce((sum, field) => sum + stages[field], 0);
+  const totalSleepMinutes = stageTotal > 0 ? stageTotal : timeInBedMinutes - awakeMinutes;
+
+  // Unknown stages are stored as null so insights don't read them as nights without deep or REM sleep
+  if (stageTotal === 0) {
+    STAGE_FIELDS.forEach(field => {
+      stages[field] = null;
+    });
+  }
+
+  return {
+    date: entry.date,
+    sleep_start_time: start.toISOString(),
+    sleep_end_time: end.toISOString(),
+    total_sleep_minutes: totalSleepMinutes,
+    ...stages,
+    awake_minutes: awakeMinutes,
+    awakenings_count: toIntegerOrNull(entry.awakeningsCount) || 0,
+    time_in_bed_minutes: timeInBedMinutes,
+    sleep_efficiency: timeInBedMinutes > 0
+      ? Math.round((totalSleepMinutes / timeInBedMinutes) * 1000) / 10
+      : null,
+  };
+};
+
+/**
+ * Pre-fill the manual entry form from a stored night
+ * @param {Object} record - sleep_data record
+ * @returns {Object|null} Entry values, or null when the night has no session times
+ */
+export const getManualSleepEntryFromRecord = (record) => {
+  if (!record?.sleep_start_time || !record?.sleep_end_time) return null;
+
+  const toFieldText = (value) => (value ? String(value) : '');
+
+  return {
+    date: record.date,
+    bedtimeMinutes: getClockMinutes(record.sleep_start_time),
+    wakeTimeMinutes: getClockMinutes(record.sleep_end_time),
+    awakeningsCount: toFieldText(record.awakenings_count),
+    awakeMinutes: toFieldText(record.awake_minutes),
+    deepMinutes: toFieldText(record.deep_sleep_minutes),
+    lightMinutes: toFieldText(record.light_sleep_minutes),
+    remMinutes: toFieldText(record.rem_sleep_minutes),
+  };
+};
@@ -0,0 +1,101 @@
+// Nocturnal heart rate utilities
+// Summarises the heart rate samples around a night: the series drawn over the sleep timeline,
+// the lowest heart rate while asleep, how long after sleep onset it came, and the nocturnal dip
+// (how far the sleeping average falls below the evening's awake average).
+
+// Samples are averaged into bins this long, for the stored series and to smooth single-beat spikes
+const HR_BIN_MINUTES = 5;
+
+// The awake average for the dip is taken over this long before the sleep session started
+export const DAYTIME_HEART_RATE_HOURS = 12;
+
+// Fewer bins than this (30 minutes of readings) aren't enough to summarise
+const MIN_BINS = 6;
+
+const MINUTE_MS = 60 * 1000;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Average samples into fixed bins counted from a start time
+ * @param {Array} samples - [{ time, bpm }]
+ * @param {number} startMs - Start of the first bin
+ * @returns {Array} [{ startMs, bpm }] for the bins that have samples, in time order
+ */
+const binSamples = (samples, startMs) => {
+  const bins = new Map();
+  samples.forEach(sample => {
+    const index = Math.floor((new Date(sample.time).getTime() - startMs) / (HR_BIN_MINUTES * MINUTE_MS));
+    const bin = bins.get(index) || { sum: 0, count: 0 };
+    bin.sum += sample.bpm;
+    bin.count += 1;
+    bins.set(index, bin);
+  });
+
+  return [...bins.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, bin]) => ({
+      startMs: startMs + index * HR_BIN_MINUTES * MINUTE_MS,
+      bpm: bin.sum / bin.count,
+    }));
+};
+
+const meanBpm = bins => bins.reduce((sum, bin) => sum + bin.bpm, 0) / bins.length;
+
+/**
+ * Summarise a night's heart rate
+ * @param {Array} samples - [{ time, bpm }] from DAYTIME_HEART_RATE_HOURS before the night to its end
+ * @param {Object} night - Night with sleep_start_time, sleep_end_time and sleep_latency_minutes
+ * @returns {Object} { heart_rate_samples, lowest_heart_rate, average_sleeping_heart_rate,
+ *   nocturnal_hr_dip_percent, time_to_lowest_hr_minutes }, all null without enough readings
+ */
+export const summarizeNocturnalHeartRate = (samples, night) => {
+  const empty = {
+    heart_rate_samples: null,
+    lowest_heart_rate: null,
+    average_sleeping_heart_rate: null,
+    nocturnal_hr_dip_percent: null,
+    time_to_lowest_hr_minutes: null,
+  };
+  if (!night?.sleep_start_time || !night?.sleep_end_time || !samples || samples.length === 0) {
+    return empty;
+  }
+
+  const sleepStartMs = new Date(night.sleep_start_time).getTime();
+  const sleepEndMs = new Date(night.sleep_end_time).getTime();
+  const onsetMs = sleepStartMs + (night.sleep_latency_minutes || 0) * MINUTE_MS;
+
+  const timeOf = sample => new Date(sample.time).getTime();
+  const nightBins = binSamples(
+    samples.filter(sample => timeOf(sample) >= sleepStartMs && timeOf(sample) < sleepEndMs),
+    sleepStartMs
+  );
+  const sleepingBins = nightBins.filter(bin => bin.startMs >= onsetMs - HR_BIN_MINUTES * MINUTE_MS);
+  if (sleepingBins.length < MIN_BINS) {
+    return empty;
+  }
+
+  const lowest = sleepingBins.reduce((min, bin) => (bin.bpm < min.bpm ? bin : min));
+  const sleepingAverage = meanBpm(sleepingBins);
+
+  const awakeBins = binSamples(
+    samples.filter(sample => timeOf(sample) < sleepStartMs),
+    sleepStartMs - DAYTIME_HEART_RATE_HOURS * 60 * MINUTE_MS
+  );
+  const awakeAverage = awakeBins.length >= MIN_BINS ? meanBpm(awakeBins) : null;
+
+  return {
+    // Bin midpoints, so the line sits in the middle of the readings it averages
+    heart_rate_samples: nightBins.map(bin => ({
+      time: new Date(bin.startMs + (HR_BIN_MINUTES * MINUTE_MS) / 2).toISOString(),
+      bpm: round1(bin.bpm),
+    })),
+    lowest_heart_rate: round1(lowest.bpm),
+    average_sleeping_heart_rate: round1(sleepingAverage),
+    nocturnal_hr_dip_percent: awakeAverage ? round1(((awakeAverage - sleepingAverage) / awakeAverage) * 100) : null,
+    time_to_lowest_hr_minutes: Math.max(
+      0,
+      Math.round((lowest.startMs + (HR_BIN_MINUTES * MINUTE_MS) / 2 - onsetMs) / MINUTE_MS)
+    ),
+  };
+};
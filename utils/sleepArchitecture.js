@@ -0,0 +1,109 @@
+// Sleep architecture utilities
+// Derives time in bed, efficiency, latency, WASO and the longest sleep bout from stage intervals
+
+const SLEEP_STAGE_TYPES = ['light', 'deep', 'rem'];
+const WAKE_STAGE_TYPES = ['awake', 'out_of_bed'];
+
+// Stage intervals closer together than this still count as one uninterrupted bout
+const BOUT_GAP_TOLERANCE_MINUTES = 1;
+
+const minutesBetween = (start, end) => (end.getTime() - start.getTime()) / (1000 * 60);
+
+// Minutes covered by sorted intervals, counting time where they overlap once
+const coveredMinutes = (intervals) => {
+  let total = 0;
+  let current = null;
+  intervals.forEach(interval => {
+    if (current && interval.start <= current.end) {
+      if (interval.end > current.end) current.end = interval.end;
+    } else {
+      if (current) total += minutesBetween(current.start, current.end);
+      current = { start: interval.start, end: interval.end };
+    }
+  });
+  if (current) total += minutesBetween(current.start, current.end);
+  return total;
+};
+
+/**
+ * Calculate sleep architecture metrics for one sleep session
+ * Time without any stage interval is treated as unknown: it counts towards time in bed,
+ * but not as sleep or as wake. Stages are clipped to the session and overlapping stages are
+ * only counted once.
+ * @param {Array} stages - Stage intervals: { stage: 'light'|'deep'|'rem'|'awake'|'out_of_bed', startTime, endTime }
+ * @param {Date|string} sessionStart - When the session started
+ * @param {Date|string} sessionEnd - When the session ended
+ * @returns {Object|null} { time_in_bed_minutes, total_sleep_minutes, sleep_efficiency, sleep_latency_minutes,
+ *   waso_minutes, longest_sleep_bout_minutes }, or null without any sleep stage
+ */
+export const calculateSleepArchitecture = (stages, sessionStart, sessionEnd) => {
+  if (!stages || stages.length === 0 || !sessionStart || !sessionEnd) return null;
+
+  const start = new Date(sessionStart);
+  const end = new Date(sessionEnd);
+
+  const intervals = stages
+    .filter(stage => stage && stage.startTime && stage.endTime)
+    .map(stage => {
+      const stageStart = new Date(stage.startTime);
+      const stageEnd = new Date(stage.endTime);
+      return {
+        stage: stage.stage,
+        start: stageStart < start ? start : stageStart,
+        end: stageEnd > end ? end : stageEnd,
+      };
+    })
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  const sleepIntervals = intervals.filter(interval => SLEEP_STAGE_TYPES.includes(interval.stage));
+  if (sleepIntervals.length === 0) return null;
+
+  const outOfBedMinutes = coveredMinutes(intervals.filter(interval => interval.stage === 'out_of_bed'));
+  const timeInBed = Math.max(0, minutesBetween(start, end) - outOfBedMinutes);
+
+  const asleep = coveredMinutes(sleepIntervals);
+
+  // Sleep onset is the first sleep stage, the final awakening is the end of the last one
+  const sleepOnset = sleepIntervals[0].start;
+  const finalAwakening = sleepIntervals.reduce(
+    (latest, interval) => (interval.end > latest ? interval.end : latest),
+    sleepIntervals[0].end
+  );
+
+  const waso = coveredMinutes(intervals
+    .filter(interval => WAKE_STAGE_TYPES.includes(interval.stage))
+    .map(interval => ({
+      start: interval.start > sleepOnset ? interval.start : sleepOnset,
+      end: interval.end < finalAwakening ? interval.end : finalAwakening,
+    }))
+    .filter(interval => interval.end > interval.start));
+
+  // Longest run of sleep stages with no wake interval or data gap in between
+  let longestBout = 0;
+  let bout = null;
+  const closeBout = () => {
+    if (bout) longestBout = Math.max(longestBout, minutesBetween(bout.start, bout.end));
+    bout = null;
+  };
+  intervals.forEach(interval => {
+    if (!SLEEP_STAGE_TYPES.includes(interval.stage)) {
+      closeBout();
+    } else if (bout && minutesBetween(bout.end, interval.start) <= BOUT_GAP_TOLERANCE_MINUTES) {
+      if (interval.end > bout.end) bout.end = interval.end;
+    } else {
+      closeBout();
+      bout = { start: interval.start, end: interval.end };
+    }
+  });
+  closeBout();
+
+  return {
+    time_in_bed_minutes: Math.round(timeInBed),
+    total_sleep_minutes: Math.round(asleep),
+    sleep_efficiency: timeInBed > 0 ? Math.min(100, Math.round((asleep / timeInBed) * 1000) / 10) : null,
+    sleep_latency_minutes: Math.max(0, Math.round(minutesBetween(start, sleepOnset))),
+    waso_minutes: Math.round(waso),
+    longest_sleep_bout_minutes: Math.round(longestBout),
+  };
+};
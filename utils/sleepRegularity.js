@@ -0,0 +1,202 @@
+// Sleep timing and regularity utilities
+// Derives circadian metrics (bedtime, wake time, midpoint, social jetlag, Sleep Regularity Index)
+// from the sleep_start_time/sleep_end_time stored on each sleep_data record
+
+import { addDaysToDateString } from './dateHelpers';
+import { getTimezoneAt, getZonedParts, getZonedTime } from './timezone';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Trailing windows (in nights, including the current one) for the rolling metrics
+export const BEDTIME_BASELINE_NIGHTS = 7;
+export const SOCIAL_JETLAG_WINDOW_NIGHTS = 14;
+export const SRI_WINDOW_NIGHTS = 7;
+
+// Minimum data inside a window before a rolling metric is reported
+const MIN_BEDTIME_BASELINE_NIGHTS = 3;
+const MIN_NIGHTS_PER_DAY_TYPE = 2;
+const MIN_SRI_PAIRS = 3;
+
+/**
+ * Days since the epoch for a YYYY-MM-DD date string
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {number} Whole day number
+ */
+const getDayNumber = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / (MINUTES_PER_DAY * 60 * 1000);
+};
+
+/**
+ * Convert a timestamp to local clock minutes relative to midnight
+ * Local means the zone the user was in at the time, so bedtimes stay comparable across trips.
+ * Times from noon to midnight are negative, so 23:00 is -60 and 01:30 is 90.
+ * This keeps bedtimes on either side of midnight next to each other.
+ * @param {Date|string} timestamp - Timestamp to convert
+ * @returns {number} Minutes relative to midnight, in [-720, 720)
+ */
+export const getMinutesFromMidnight = (timestamp) => {
+  const { hour, minute, second } = getZonedParts(timestamp, getTimezoneAt(timestamp));
+  const clockMinutes = hour * 60 + minute + second / 60;
+  return clockMinutes >= MINUTES_PER_DAY / 2 ? clockMinutes - MINUTES_PER_DAY : clockMinutes;
+};
+
+/**
+ * Whether a sleep date is the morning of a free day
+ * Sleep dates are the wake-up date, so Friday and Saturday nights are the free nights.
+ * @param {string} dateString - Sleep date in YYYY-MM-DD format
+ * @returns {boolean} True for Saturday and Sunday mornings
+ */
+export const isFreeDay = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday === 0 || weekday === 6;
+};
+
+/**
+ * Get a night's sleep interval in minutes from noon the day before the sleep date
+ * Nights are compared on this noon-to-noon window so each one fits in a single day.
+ * @param {Object} record - Sleep data record with date, sleep_start_time and sleep_end_time
+ * @returns {Object|null} { start, end } clipped to [0, 1440], or null without session times
+ */
+const getNightInterval = (record) => {
+  if (!record.sleep_start_time || !record.sleep_end_time) return null;
+
+  const windowStart = getZonedTime(
+    addDaysToDateString(record.date, -1),
+    MINUTES_PER_DAY / 2,
+    getTimezoneAt(record.sleep_end_time)
+  );
+  const toWindowMinutes = (timestamp) =>
+    (new Date(timestamp).getTime() - windowStart.getTime()) / (60 * 1000);
+
+  const start = Math.max(0, toWindowMinutes(record.sleep_start_time));
+  const end = Math.min(MINUTES_PER_DAY, toWindowMinutes(record.sleep_end_time));
+
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Fraction of minutes with the same sleep/wake state on two consecutive nights
+ * @param {Object} first - { start, end } interval of the first night
+ * @param {Object} second - { start, end } interval of the second night
+ * @returns {number} Concordance between 0 and 1
+ */
+const calculateConcordance = (first, second) => {
+  const overlap = Math.max(0, Math.min(first.end, second.end) - Math.max(first.start, second.start));
+  const mismatched = (first.end - first.start) + (second.end - second.start) - 2 * overlap;
+  return 1 - mismatched / MINUTES_PER_DAY;
+};
+
+/**
+ * Calculate the Sleep Regularity Index over a set of nights
+ * The SRI is the probability of being in the same state (asleep or awake) at any two times
+ * 24 hours apart, scaled from -100 to 100. Only consecutive nights that both have session
+ * times are compared, so missing nights aren't treated as being awake all night.
+ * @param {Array} records - Sleep data records sorted by date
+ * @returns {number|null} SRI, or null with fewer than MIN_SRI_PAIRS consecutive pairs
+ */
+export const calculateSleepRegularityIndex = (records) => {
+  const concordances = [];
+
+  for (let i = 1; i < records.length; i++) {
+    const previous = records[i - 1];
+    const current = records[i];
+    if (getDayNumber(current.date) - getDayNumber(previous.date) !== 1) continue;
+
+    const previousInterval = getNightInterval(previous);
+    const currentInterval = getNightInterval(current);
+    if (previousInterval && currentInterval) {
+      concordances.push(calculateConcordance(previousInterval, currentInterval));
+    }
+  }
+
+  if (concordances.length < MIN_SRI_PAIRS) return null;
+
+  const meanConcordance = concordances.reduce((sum, value) => sum + value, 0) / concordances.length;
+  return 200 * meanConcordance - 100;
+};
+
+/**
+ * Calculate social jetlag: the gap between sleep midpoints on free and work days
+ * @param {Array} nights - Array of { date, midpoint } objects
+ * @returns {number|null} Absolute difference of the mean midpoints in minutes, or null without enough of each day type
+ */
+export const calculateSocialJetlag = (nights) => {
+  const free = nights.filter(night => isFreeDay(night.date)).map(night => night.midpoint);
+  const work = nights.filter(night => !isFreeDay(night.date)).map(night => night.midpoint);
+
+  if (free.length < MIN_NIGHTS_PER_DAY_TYPE || work.length < MIN_NIGHTS_PER_DAY_TYPE) return null;
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.abs(mean(free) - mean(work));
+};
+
+/**
+ * Derive timing and regularity metrics for each night
+ * Rolling metrics look back over the preceding nights, so pass in records from before the
+ * range of interest (see SOCIAL_JETLAG_WINDOW_NIGHTS) for the first nights to have values.
+ * @param {Array} records - Sleep data records
+ * @returns {Object} Metrics keyed by date: bedtime_minutes, wake_time_minutes, sleep_midpoint_minutes,
+ *   bedtime_deviation_minutes, social_jetlag_minutes and sleep_regularity_index (null when unavailable)
+ */
+export const calculateCircadianMetrics = (records) => {
+  const sorted = [...records]
+    .filter(record => record && record.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const timings = sorted.map(record => {
+    if (!record.sleep_start_time || !record.sleep_end_time) {
+      return { date: record.date, dayNumber: getDayNumber(record.date), bedtime: null, wakeTime: null, midpoint: null };
+    }
+
+    const start = new Date(record.sleep_start_time).getTime();
+    const end = new Date(record.sleep_end_time).getTime();
+
+    return {
+      date: record.date,
+      dayNumber: getDayNumber(record.date),
+      bedtime: getMinutesFromMidnight(start),
+      wakeTime: getMinutesFromMidnight(end),
+      midpoint: getMinutesFromMidnight(start + (end - start) / 2),
+    };
+  });
+
+  const metricsByDate = {};
+
+  timings.forEach((timing, index) => {
+    const inWindow = (nights) => (other, otherIndex) =>
+      otherIndex <= index && timing.dayNumber - other.dayNumber < nights;
+
+    // Bedtime deviation compares tonight against the nights before it
+    const previousBedtimes = timings
+      .filter((other, otherIndex) =>
+        otherIndex < index &&
+        timing.dayNumber - other.dayNumber <= BEDTIME_BASELINE_NIGHTS &&
+        other.bedtime !== null
+      )
+      .map(other => other.bedtime);
+    const baselineBedtime = previousBedtimes.length >= MIN_BEDTIME_BASELINE_NIGHTS
+      ? previousBedtimes.reduce((sum, value) => sum + value, 0) / previousBedtimes.length
+      : null;
+
+    const jetlagNights = timings
+      .filter(inWindow(SOCIAL_JETLAG_WINDOW_NIGHTS))
+      .filter(other => other.midpoint !== null);
+
+    const sriRecords = sorted.filter((record, recordIndex) => inWindow(SRI_WINDOW_NIGHTS)(timings[recordIndex], recordIndex));
+
+    metricsByDate[timing.date] = {
+      bedtime_minutes: timing.bedtime,
+      wake_time_minutes: timing.wakeTime,
+      sleep_midpoint_minutes: timing.midpoint,
+      bedtime_deviation_minutes: timing.bedtime !== null && baselineBedtime !== null
+        ? Math.abs(timing.bedtime - baselineBedtime)
+        : null,
+      social_jetlag_minutes: timing.midpoint !== null ? calculateSocialJetlag(jetlagNights) : null,
+      sleep_regularity_index: timing.bedtime !== null ? calculateSleepRegularityIndex(sriRecords) : null,
+    };
+  });
+
+  return metricsByDate;
+};
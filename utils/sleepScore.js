@@ -0,0 +1,218 @@
+// Composite sleep score utilities
+// Scores a night from 0 to 100 against the user's own recent nights, for sources that don't provide a score
+
+import { addDaysToDateString } from './dateHelpers';
+
+export const SLEEP_SCORE_BASELINE_NIGHTS = 30;
+
+// Fewer personal nights than this and a component falls back to the population baseline
+const MIN_BASELINE_NIGHTS = 7;
+
+// Duration is never calibrated below or above the recommended range, so chronic short
+// sleep doesn't become "normal" for the user
+const RECOMMENDED_SLEEP_MINUTES = { min: 420, max: 540 };
+
+const positiveOrNull = (value) =>
+  value !== null && value !== undefined && !isNaN(value) && Number(value) > 0 ? Number(value) : null;
+
+/**
+ * Score components
+ * - higherIsBetter: direction of improvement
+ * - population: { mean, sd } used until the user has enough nights
+ * - minSd: floor on the personal spread so a very regular user isn't punished for small changes
+ */
+const COMPONENTS = [
+  {
+    key: 'duration',
+    label: 'Duration',
+    weight: 0.35,
+    higherIsBetter: true,
+    population: { mean: 450, sd: 60 },
+    minSd: 30,
+    getValue: (record) => positiveOrNull(record.total_sleep_minutes),
+  },
+  {
+    key: 'efficiency',
+    label: 'Efficiency',
+    weight: 0.2,
+    higherIsBetter: true,
+    population: { mean: 90, sd: 5 },
+    minSd: 2,
+    getValue: (record) => {
+      if (record.sleep_efficiency !== null && record.sleep_efficiency !== undefined) {
+        return Number(record.sleep_efficiency);
+      }
+      const asleep = record.total_sleep_minutes || 0;
+      const awake = record.awake_minutes || 0;
+      return asleep > 0 ? (asleep / (asleep + awake)) * 100 : null;
+    },
+  },
+  {
+    key: 'stages',
+    label: 'Deep & REM',
+    weight: 0.15,
+    higherIsBetter: true,
+    population: { mean: 33, sd: 7 },
+    minSd: 3,
+    getValue: (record) => {
+      const deep = record.deep_sleep_minutes || 0;
+      const rem = record.rem_sleep_minutes || 0;
+      const staged = deep + rem + (record.light_sleep_minutes || 0);
+      // Sources without stage detail report everything as 0
+      return staged > 0 && deep + rem > 0 ? ((deep + rem) / staged) * 100 : null;
+    },
+  },
+  {
+    key: 'awakenings',
+    label: 'Awakenings',
+    weight: 0.1,
+    higherIsBetter: false,
+    population: { mean: 1.5, sd: 1.5 },
+    minSd: 1,
+    getValue: (record) =>
+      record.awakenings_count !== null && record.awakenings_count !== undefined && record.total_sleep_minutes > 0
+        ? record.awakenings_count
+        : null,
+  },
+  {
+    key: 'rested',
+    label: 'Rested feeling',
+    weight: 0.2,
+    higherIsBetter: true,
+    population: { mean: 3, sd: 1 },
+    minSd: 0.5,
+    getValue: (record) => positiveOrNull(record.rested_feeling),
+  },
+];
+
+/**
+ * Build a per-component baseline from previous nights
+ * @param {Array} records - Sleep data records to calibrate against (not including the night being scored)
+ * @returns {Object} Baselines keyed by component: { mean, sd, nights, isPersonal }
+ */
+export const calculateSleepScoreBaseline = (records) => {
+  const baseline = {};
+
+  COMPONENTS.forEach(component => {
+    const values = (records || [])
+      .map(record => component.getValue(record))
+      .filter(value => value !== null);
+
+    if (values.length < MIN_BASELINE_NIGHTS) {
+      baseline[component.key] = { ...component.population, nights: values.length, isPersonal: false };
+      return;
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+
+    baseline[component.key] = {
+      mean: component.key === 'duration'
+        ? Math.min(Math.max(mean, RECOMMENDED_SLEEP_MINUTES.min), RECOMMENDED_SLEEP_MINUTES.max)
+        : mean,
+      sd: Math.max(Math.sqrt(variance), component.minSd),
+      nights: values.length,
+      isPersonal: true,
+    };
+  });
+
+  return baseline;
+};
+
+/**
+ * Calculate the composite sleep score for one night
+ * A night at the baseline scores 75 on a component, one standard deviation better scores 100,
+ * three worse scores 0. Components without data are left out and the weights rescaled.
+ * @param {Object} record - Sleep data record to score
+ * @param {Object} baseline - Result of calculateSleepScoreBaseline()
+ * @returns {Object|null} { score, components: [{ key, label, value, baseline, score, weight, isPersonal, explanation }] }
+ */
+export const calculateSleepScore = (record, baseline) => {
+  if (!record || !baseline) return null;
+
+  const components = COMPONENTS
+    .map(component => {
+      const value = component.getValue(record);
+      const reference = baseline[component.key];
+      if (value === null || !reference) return null;
+
+      const direction = component.higherIsBetter ? 1 : -1;
+      const z = (direction * (value - reference.mean)) / reference.sd;
+      const componentScore = Math.min(100, Math.max(0, 75 + 25 * z));
+
+      return {
+        key: component.key,
+        label: component.label,
+        value,
+        baseline: reference.mean,
+        score: Math.round(componentScore),
+        weight: component.weight,
+        isPersonal: reference.isPersonal,
+        explanation: describeComponent(component, value, reference),
+      };
+    })
+    .filter(Boolean);
+
+  // Duration is the anchor of the score; without it the night can't be scored
+  if (!components.some(component => component.key === 'duration')) return null;
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const score = components.reduce((sum, component) => sum + component.score * component.weight, 0) / totalWeight;
+
+  return {
+    score: Math.round(score),
+    components: components.map(component => ({
+      ...component,
+      weight: Math.round((component.weight / totalWeight) * 100) / 100,
+    })),
+  };
+};
+
+/**
+ * Score every night against the nights before it
+ * @param {Array} records - Sleep data records, including up to SLEEP_SCORE_BASELINE_NIGHTS of lookback
+ * @returns {Object} Score results keyed by date (null when a night can't be scored)
+ */
+export const calculateSleepScores = (records) => {
+  const sorted = [...records]
+    .filter(record => record && record.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const scoresByDate = {};
+  sorted.forEach((record, index) => {
+    const earliest = addDaysToDateString(record.date, -SLEEP_SCORE_BASELINE_NIGHTS);
+    const previousNights = sorted
+      .slice(0, index)
+      .filter(other => other.date >= earliest);
+    scoresByDate[record.date] = calculateSleepScore(record, calculateSleepScoreBaseline(previousNights));
+  });
+
+  return scoresByDate;
+};
+
+/**
+ * One-line explanation of a component for the score breakdown
+ */
+const describeComponent = (component, value, reference) => {
+  const against = reference.isPersonal ? 'your usual' : 'typical';
+
+  switch (component.key) {
+    case 'duration':
+      return `${formatMinutes(value)} asleep vs a target of ${formatMinutes(reference.mean)}`;
+    case 'efficiency':
+      return `${Math.round(value)}% of time in bed asleep vs ${against} ${Math.round(reference.mean)}%`;
+    case 'stages':
+      return `${Math.round(value)}% deep and REM sleep vs ${against} ${Math.round(reference.mean)}%`;
+    case 'awakenings':
+      return `${value} awakening${value !== 1 ? 's' : ''} vs ${against} ${reference.mean.toFixed(1)}`;
+    case 'rested':
+      return `Rested ${value}/5 vs ${against} ${reference.mean.toFixed(1)}`;
+    default:
+      return '';
+  }
+};
+
+const formatMinutes = (minutes) => {
+  const rounded = Math.round(minutes);
+  return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+};
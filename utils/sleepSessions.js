@@ -0,0 +1,273 @@
+// Sleep session utilities
+// Health platforms report every sleep session separately; sleep_data holds one night per date.
+// These rules merge the sessions into a main night per sleep date and pick out the naps.
+
+import { addDaysToDateString } from './dateHelpers';
+import { getStartOfDay, getTimezoneAt, getZonedParts, getZonedTime, toDateString, toDateStringAt } from './timezone';
+
+// Sessions separated by less than this are one night with a break (split sleep)
+const SPLIT_SLEEP_MAX_GAP_MINUTES = 120;
+
+// A block of sleep counts as a night if it's at least this long or covers the early morning
+const MIN_MAIN_SLEEP_MINUTES = 180;
+const NIGHT_CORE_END_HOUR = 5;
+
+// Naps starting at or after this local hour are reported separately as late naps
+export const LATE_NAP_START_HOUR = 16;
+
+// Overnight readings (SpO2, breathing rate) from this local hour belong to the next morning's night,
+// and those before the end hour to that morning's night; readings in between are daytime
+const OVERNIGHT_START_HOUR = 18;
+const OVERNIGHT_END_HOUR = 12;
+
+const minutesBetween = (start, end) => (end.getTime() - start.getTime()) / (1000 * 60);
+
+/**
+ * Whether an interval overlaps midnight to NIGHT_CORE_END_HOUR local time on any day it spans
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end
+ * @returns {boolean} True if part of the interval falls in the early morning
+ */
+const overlapsNightCore = (start, end) => {
+  const timeZone = getTimezoneAt(start);
+  const lastDate = toDateString(end, timeZone);
+  for (let date = toDateString(start, timeZone); date <= lastDate; date = addDaysToDateString(date, 1)) {
+    const coreStart = getStartOfDay(date, timeZone);
+    const coreEnd = getZonedTime(date, NIGHT_CORE_END_HOUR * 60, timeZone);
+    if (start < coreEnd && end > coreStart) return true;
+  }
+  return false;
+};
+
+/**
+ * Get the sleep date an overnight reading belongs to, matching how nights are dated
+ * @param {Date|string} instant - When the reading was taken
+ * @returns {string|null} Sleep date in YYYY-MM-DD format, or null for a daytime reading
+ */
+export const getOvernightDateAt = (instant) => {
+  const { hour } = getZonedParts(instant, getTimezoneAt(instant));
+  const date = toDateStringAt(instant);
+  if (hour >= OVERNIGHT_START_HOUR) return addDaysToDateString(date, 1);
+  if (hour < OVERNIGHT_END_HOUR) return date;
+  return null;
+};
+
+/**
+ * Get when overnight readings for a sleep date can start: the evening before it
+ * @param {string} dateString - Sleep date in YYYY-MM-DD format
+ * @returns {Date} OVERNIGHT_START_HOUR local time on the previous day
+ */
+export const getOvernightWindowStart = (dateString) =>
+  getZonedTime(addDaysToDateString(dateString, -1), OVERNIGHT_START_HOUR * 60);
+
+/**
+ * Sum a field over segments, or null when none of them have it
+ */
+const sumOrNull = (segments, field) => {
+  const values = segments.map(segment => segment[field]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+};
+
+/**
+ * Combine the segments of one night into a single sleep_data record
+ * @param {Array} segments - Session records sorted by start time
+ * @param {Object} mainSegment - The longest segment, whose source and score are kept
+ * @returns {Object} Combined sleep data record (without date or nap fields)
+ */
+const combineSegments = (segments, mainSegment) => {
+  if (segments.length === 1) {
+    return { ...mainSegment };
+  }
+
+  const first = segments[0];
+  const last = segments.reduce((latest, segment) =>
+    new Date(segment.sleep_end_time) > new Date(latest.sleep_end_time) ? segment : latest
+  , first);
+
+  const totalSleepMinutes = sumOrNull(segments, 'total_sleep_minutes') || 0;
+  const timeInBedMinutes = sumOrNull(segments, 'time_in_bed_minutes');
+  // Efficiency only from the segments that know their time in bed, so an unstaged segment's sleep
+  // isn't divided by the other segments' time in bed
+  const measuredSegments = segments.filter(segment =>
+    segment.time_in_bed_minutes > 0 && segment.total_sleep_minutes !== null && segment.total_sleep_minutes !== undefined
+  );
+  const measuredTimeInBed = sumOrNull(measuredSegments, 'time_in_bed_minutes');
+  const longestBouts = segments
+    .map(segment => segment.longest_sleep_bout_minutes)
+    .filter(value => value !== null && value !== undefined);
+  const stages = segments.flatMap(segment => segment.sleep_stages || []);
+
+  return {
+    total_sleep_minutes: totalSleepMinutes,
+    deep_sleep_minutes: sumOrNull(segments, 'deep_sleep_minutes') || 0,
+    light_sleep_minutes: sumOrNull(segments, 'light_sleep_minutes') || 0,
+    rem_sleep_minutes: sumOrNull(segments, 'rem_sleep_minutes') || 0,
+    awake_minutes: sumOrNull(segments, 'awake_minutes') || 0,
+    // Getting up between segments is an awakening too
+    awakenings_count: (sumOrNull(segments, 'awakenings_count') || 0) + segments.length - 1,
+    // A platform score only describes the session it was given for
+    sleep_score: null,
+    source: mainSegment.source,
+    data_origin: mainSegment.data_origin ?? null,
+    data_origin_name: mainSegment.data_origin_name ?? null,
+    sleep_stages: stages.length > 0 ? stages : null,
+    sleep_start_time: first.sleep_start_time,
+    sleep_end_time: last.sleep_end_time,
+    time_in_bed_minutes: timeInBedMinutes,
+    sleep_efficiency: measuredTimeInBed > 0
+      ? Math.min(100, Math.round((sumOrNull(measuredSegments, 'total_sleep_minutes') / measuredTimeInBed) * 1000) / 10)
+      : null,
+    sleep_latency_minutes: first.sleep_latency_minutes ?? null,
+    waso_minutes: sumOrNull(segments, 'waso_minutes'),
+    longest_sleep_bout_minutes: longestBouts.length > 0 ? Math.max(...longestBouts) : null,
+  };
+};
+
+const stagedMinutes = (session) =>
+  (session.deep_sleep_minutes || 0) + (session.rem_sleep_minutes || 0) + (session.light_sleep_minutes || 0);
+
+/**
+ * Pick one data origin wherever several apps recorded the same sleep
+ * Sessions from different origins that overlap in time describe the same sleep; only the best one is
+ * kept. Best means earliest in the user's ranking, then (for unranked origins) the session with the
+ * most stage detail, then the longest. Sleep only one app recorded, such as a nap logged on the phone,
+ * is kept whatever its rank, so a night can be merged from several origins.
+ * @param {Array} sessions - Transformed session records with data_origin, sleep_start_time and sleep_end_time
+ * @param {Array<string>} priority - Data origins in the user's preferred order (may be empty)
+ * @returns {Object} { selected, superseded } - Sessions to merge, and the overlapping ones that lost,
+ *   tagged with date and session_type 'superseded'
+ */
+export const selectSessionsBySourcePriority = (sessions, priority = []) => {
+  const rankOf = (session) => {
+    const index = priority.indexOf(session.data_origin);
+    return index === -1 ? priority.length : index;
+  };
+
+  const candidates = (sessions || [])
+    .filter(session => session && session.sleep_start_time && session.sleep_end_time)
+    .map(session => ({
+      session,
+      start: new Date(session.sleep_start_time),
+      end: new Date(session.sleep_end_time),
+    }))
+    .sort((a, b) =>
+      rankOf(a.session) - rankOf(b.session) ||
+      stagedMinutes(b.session) - stagedMinutes(a.session) ||
+      (b.session.total_sleep_minutes || 0) - (a.session.total_sleep_minutes || 0)
+    );
+
+  const kept = [];
+  const superseded = [];
+  candidates.forEach(candidate => {
+    const overlapsOtherOrigin = kept.some(entry =>
+      entry.session.data_origin !== candidate.session.data_origin &&
+      candidate.start < entry.end && candidate.end > entry.start
+    );
+    if (overlapsOtherOrigin) {
+      superseded.push({ ...candidate.session, date: toDateStringAt(candidate.end), session_type: 'superseded' });
+    } else {
+      kept.push(candidate);
+    }
+  });
+
+  return { selected: kept.map(entry => entry.session), superseded };
+};
+
+/**
+ * Merge a platform's sleep sessions into nights and naps
+ * Rules:
+ * - Sessions less than SPLIT_SLEEP_MAX_GAP_MINUTES apart form one block
+ * - A block is night sleep if it lasts MIN_MAIN_SLEEP_MINUTES or overlaps midnight to 5am,
+ *   otherwise its sessions are naps
+ * - Night blocks ending on the same local date are one night; the longest session is 'main',
+ *   the others 'split'
+ * - A nap belongs to the night that follows it, i.e. the sleep date after the day it ended
+ * Run selectSessionsBySourcePriority() first when the sessions come from several apps.
+ * @param {Array} sessions - Transformed session records with sleep_start_time and sleep_end_time
+ * @returns {Object} { nights, sessions } where nights are sleep_data records (with nap_count,
+ *   nap_minutes and late_nap_minutes) and sessions are the inputs tagged with date and session_type
+ */
+export const mergeSleepSessions = (sessions) => {
+  const sorted = (sessions || [])
+    .filter(session => session && session.sleep_start_time && session.sleep_end_time)
+    .map(session => ({
+      session,
+      start: new Date(session.sleep_start_time),
+      end: new Date(session.sleep_end_time),
+    }))
+    .filter(entry => entry.end > entry.start)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  const blocks = [];
+  sorted.forEach(entry => {
+    const block = blocks[blocks.length - 1];
+    if (block && minutesBetween(block.end, entry.start) <= SPLIT_SLEEP_MAX_GAP_MINUTES) {
+      block.entries.push(entry);
+      if (entry.end > block.end) block.end = entry.end;
+    } else {
+      blocks.push({ entries: [entry], start: entry.start, end: entry.end });
+    }
+  });
+
+  const nightSegmentsByDate = {};
+  const napsByDate = {};
+
+  blocks.forEach(block => {
+    const asleepMinutes = block.entries.reduce(
+      (sum, entry) => sum + (entry.session.total_sleep_minutes || minutesBetween(entry.start, entry.end)),
+      0
+    );
+    const isNight = asleepMinutes >= MIN_MAIN_SLEEP_MINUTES || overlapsNightCore(block.start, block.end);
+
+    if (isNight) {
+      const date = toDateStringAt(block.end);
+      nightSegmentsByDate[date] = [...(nightSegmentsByDate[date] || []), ...block.entries];
+    } else {
+      block.entries.forEach(entry => {
+        const date = addDaysToDateString(toDateStringAt(entry.end), 1);
+        napsByDate[date] = [...(napsByDate[date] || []), entry];
+      });
+    }
+  });
+
+  const taggedSessions = [];
+  const nights = [];
+
+  Object.entries(nightSegmentsByDate).forEach(([date, entries]) => {
+    const segments = entries
+      .sort((a, b) => a.start.getTime() - b.start.getTime())
+      .map(entry => entry.session);
+    const mainSegment = segments.reduce((longest, segment) =>
+      (segment.total_sleep_minutes || 0) > (longest.total_sleep_minutes || 0) ? segment : longest
+    );
+
+    segments.forEach(segment => {
+      taggedSessions.push({ ...segment, date, session_type: segment === mainSegment ? 'main' : 'split' });
+    });
+
+    const naps = (napsByDate[date] || []).map(entry => entry.session);
+    const lateNaps = (napsByDate[date] || [])
+      .filter(entry => getZonedParts(entry.start, getTimezoneAt(entry.start)).hour >= LATE_NAP_START_HOUR)
+      .map(entry => entry.session);
+
+    nights.push({
+      ...combineSegments(segments, mainSegment),
+      date,
+      nap_count: naps.length,
+      nap_minutes: sumOrNull(naps, 'total_sleep_minutes') || 0,
+      late_nap_minutes: sumOrNull(lateNaps, 'total_sleep_minutes') || 0,
+    });
+  });
+
+  // Naps are kept even when the night they lead into hasn't been recorded (yet)
+  Object.entries(napsByDate).forEach(([date, entries]) => {
+    entries.forEach(entry => {
+      taggedSessions.push({ ...entry.session, date, session_type: 'nap' });
+    });
+  });
+
+  nights.sort((a, b) => a.date.localeCompare(b.date));
+  taggedSessions.sort((a, b) => new Date(a.sleep_start_time) - new Date(b.sleep_start_time));
+
+  return { nights, sessions: taggedSessions };
+};
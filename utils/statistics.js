@@ -223,11 +223,10 @@ export function calculateStandardDeviation(array, population = true) {
   if (array.length === 1) return 0;
 
   const mean = calculateMean(array);
-  const squaredDiffs = array.map(val => Math.pow(val - mean, 2));
-  const variance = calculateMean(squaredDiffs);
+  const sumSquaredDiffs = array.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
 
   const divisor = population ? array.length : array.length - 1;
-  return Math.sqrt(variance);
+  return Math.sqrt(sumSquaredDiffs / divisor);
 }
 
 /**
@@ -334,3 +333,521 @@ export function calculateDescriptiveStats(array) {
     kurtosis
   };
 }
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (let j = 0; j < coefficients.length; j++) {
+    y += 1;
+    series += coefficients[j] / y;
+  }
+
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction used by the regularized incomplete beta function
+ * @param {number} x - Evaluation point (0 to 1)
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Evaluation point (0 to 1)
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Value between 0 and 1
+ */
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // Use the symmetry relation where the continued fraction converges faster
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - t statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} P(T <= t)
+ */
+export function studentTCDF(t, degreesOfFreedom) {
+  if (!isFinite(t)) return t > 0 ? 1 : 0;
+  if (!degreesOfFreedom || degreesOfFreedom <= 0) return NaN;
+
+  const x = degreesOfFreedom / (degreesOfFreedom + t * t);
+  const tail = 0.5 * regularizedIncompleteBeta(x, degreesOfFreedom / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse of Student's t CDF, found by bisection
+ * @param {number} probability - Cumulative probability (0 to 1, exclusive)
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} t value whose CDF equals the probability
+ */
+export function studentTQuantile(probability, degreesOfFreedom) {
+  if (probability <= 0) return -Infinity;
+  if (probability >= 1) return Infinity;
+  if (probability === 0.5) return 0;
+
+  let low = -1000;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCDF(mid, degreesOfFreedom) < probability) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Invert a square matrix using Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>|null} Inverse matrix, or null if the matrix is singular
+ */
+export function invertMatrix(matrix) {
+  const n = matrix.length;
+  if (n === 0) return null;
+
+  // Augment with the identity matrix
+  const augmented = matrix.map((row, i) => [
+    ...row,
+    ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  ]);
+
+  const scale = Math.max(...matrix.flat().map(Math.abs), 1);
+  const tolerance = 1e-12 * scale;
+
+  for (let col = 0; col < n; col++) {
+    // Pick the row with the largest pivot for numerical stability
+    let pivotRow = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivotRow][col])) {
+        pivotRow = row;
+      }
+    }
+
+    if (Math.abs(augmented[pivotRow][col]) < tolerance) {
+      return null; // Singular (e.g. perfectly collinear predictors)
+    }
+
+    [augmented[col], augmented[pivotRow]] = [augmented[pivotRow], augmented[col]];
+
+    const pivot = augmented[col][col];
+    for (let j = 0; j < 2 * n; j++) {
+      augmented[col][j] /= pivot;
+    }
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = augmented[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) {
+        augmented[row][j] -= factor * augmented[col][j];
+      }
+    }
+  }
+
+  return augmented.map(row => row.slice(n));
+}
+
+/**
+ * Fit an ordinary least squares regression with multiple predictors and an intercept
+ * @param {Array<Array<number>>} predictors - One row per observation, one column per predictor
+ * @param {Array<number>} outcomes - Outcome value for each observation
+ * @param {number} confidenceLevel - Confidence level for coefficient intervals (default: 0.95)
+ * @returns {Object|null} Model with intercept, per-predictor coefficients and fit statistics, or null if it cannot be fitted
+ */
+export function calculateMultipleRegression(predictors, outcomes, confidenceLevel = 0.95) {
+  if (!predictors || !outcomes || predictors.length !== outcomes.length || predictors.length === 0) {
+    return null;
+  }
+
+  const n = outcomes.length;
+  const k = predictors[0].length;
+  const degreesOfFreedom = n - k - 1;
+  if (degreesOfFreedom < 1) {
+    return null; // More parameters than observations allow
+  }
+
+  // Design matrix with a leading intercept column
+  const design = predictors.map(row => [1, ...row]);
+  const p = k + 1;
+
+  // X'X and X'y
+  const xtx = Array.from({ length: p }, () => new Array(p).fill(0));
+  const xty = new Array(p).fill(0);
+  for (let i = 0; i < n; i++) {
+    const row = design[i];
+    for (let a = 0; a < p; a++) {
+      xty[a] += row[a] * outcomes[i];
+      for (let b = a; b < p; b++) {
+        xtx[a][b] += row[a] * row[b];
+      }
+    }
+  }
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) {
+      xtx[a][b] = xtx[b][a];
+    }
+  }
+
+  const xtxInverse = invertMatrix(xtx);
+  if (!xtxInverse) {
+    return null;
+  }
+
+  const beta = xtxInverse.map(row => row.reduce((sum, val, j) => sum + val * xty[j], 0));
+
+  // Residual variance
+  const meanOutcome = calculateMean(outcomes);
+  let sse = 0;
+  let sst = 0;
+  for (let i = 0; i < n; i++) {
+    const fitted = design[i].reduce((sum, val, j) => sum + val * beta[j], 0);
+    sse += Math.pow(outcomes[i] - fitted, 2);
+    sst += Math.pow(outcomes[i] - meanOutcome, 2);
+  }
+  const residualVariance = sse / degreesOfFreedom;
+
+  const criticalValue = studentTQuantile(1 - (1 - confidenceLevel) / 2, degreesOfFreedom);
+
+  const coefficients = beta.slice(1).map((coefficient, index) => {
+    const variance = residualVariance * xtxInverse[index + 1][index + 1];
+    const standardError = variance > 0 ? Math.sqrt(variance) : 0;
+    const tStatistic = standardError > 0 ? coefficient / standardError : 0;
+    const pValue = standardError > 0
+      ? 2 * (1 - studentTCDF(Math.abs(tStatistic), degreesOfFreedom))
+      : 1;
+
+    return {
+      coefficient,
+      standardError,
+      tStatistic,
+      pValue,
+      ciLower: coefficient - criticalValue * standardError,
+      ciUpper: coefficient + criticalValue * standardError
+    };
+  });
+
+  const rSquared = sst > 0 ? 1 - sse / sst : 0;
+
+  return {
+    intercept: beta[0],
+    coefficients,
+    rSquared,
+    adjustedRSquared: 1 - (1 - rSquared) * (n - 1) / degreesOfFreedom,
+    residualStandardError: Math.sqrt(residualVariance),
+    degreesOfFreedom,
+    confidenceLevel,
+    n
+  };
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * @param {number} z - z score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCDF(z) {
+  // Abramowitz & Stegun 7.1.26 approximation of erf
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Welch's two-sample t-test (does not assume equal variances)
+ * @param {Array<number>} sample1 - First sample
+ * @param {Array<number>} sample2 - Second sample
+ * @param {number} confidenceLevel - Confidence level for the mean difference interval (default: 0.95)
+ * @returns {Object|null} Test result with tStatistic, degreesOfFreedom, pValue and mean difference CI, or null if either sample is too small
+ */
+export function calculateWelchTTest(sample1, sample2, confidenceLevel = 0.95) {
+  if (!sample1 || !sample2 || sample1.length < 2 || sample2.length < 2) {
+    return null;
+  }
+
+  const n1 = sample1.length;
+  const n2 = sample2.length;
+  const meanDifference = calculateMean(sample1) - calculateMean(sample2);
+  const se1 = Math.pow(calculateStandardDeviation(sample1, false), 2) / n1;
+  const se2 = Math.pow(calculateStandardDeviation(sample2, false), 2) / n2;
+  const standardError = Math.sqrt(se1 + se2);
+
+  if (standardError === 0) {
+    // Both groups are constant: any difference is exact
+    return {
+      tStatistic: 0,
+      degreesOfFreedom: n1 + n2 - 2,
+      pValue: meanDifference === 0 ? 1 : 0,
+      meanDifference,
+      ciLower: meanDifference,
+      ciUpper: meanDifference
+    };
+  }
+
+  // Welch-Satterthwaite degrees of freedom
+  const degreesOfFreedom = Math.pow(se1 + se2, 2) /
+    (Math.pow(se1, 2) / (n1 - 1) + Math.pow(se2, 2) / (n2 - 1));
+  const tStatistic = meanDifference / standardError;
+  const pValue = 2 * (1 - studentTCDF(Math.abs(tStatistic), degreesOfFreedom));
+  const criticalValue = studentTQuantile(1 - (1 - confidenceLevel) / 2, degreesOfFreedom);
+
+  return {
+    tStatistic,
+    degreesOfFreedom,
+    pValue,
+    meanDifference,
+    ciLower: meanDifference - criticalValue * standardError,
+    ciUpper: meanDifference + criticalValue * standardError
+  };
+}
+
+/**
+ * Mann-Whitney U test using the normal approximation with tie and continuity corrections
+ * @param {Array<number>} sample1 - First sample
+ * @param {Array<number>} sample2 - Second sample
+ * @returns {Object|null} Test result with u, z and two-sided pValue, or null if either sample is empty
+ */
+export function calculateMannWhitneyU(sample1, sample2) {
+  if (!sample1 || !sample2 || sample1.length === 0 || sample2.length === 0) {
+    return null;
+  }
+
+  const n1 = sample1.length;
+  const n2 = sample2.length;
+  const n = n1 + n2;
+
+  // Rank the pooled sample, giving tied values their average rank
+  const pooled = [
+    ...sample1.map(value => ({ value, group: 1 })),
+    ...sample2.map(value => ({ value, group: 2 }))
+  ].sort((a, b) => a.value - b.value);
+
+  let rankSum1 = 0;
+  let tieCorrection = 0;
+  let i = 0;
+  while (i < n) {
+    let j = i;
+    while (j + 1 < n && pooled[j + 1].value === pooled[i].value) j++;
+    const tiedCount = j - i + 1;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (pooled[k].group === 1) rankSum1 += averageRank;
+    }
+    tieCorrection += Math.pow(tiedCount, 3) - tiedCount;
+    i = j + 1;
+  }
+
+  const u1 = rankSum1 - n1 * (n1 + 1) / 2;
+  const u = Math.min(u1, n1 * n2 - u1);
+  const meanU = n1 * n2 / 2;
+  const varianceU = (n1 * n2 / 12) * ((n + 1) - tieCorrection / (n * (n - 1)));
+
+  if (varianceU <= 0) {
+    return { u, z: 0, pValue: 1 }; // Every value is tied
+  }
+
+  const z = (Math.abs(u1 - meanU) - 0.5) / Math.sqrt(varianceU);
+  const pValue = Math.min(1, 2 * (1 - normalCDF(Math.max(z, 0))));
+
+  return { u, z, pValue };
+}
+
+/**
+ * Significance test and confidence interval for a Pearson correlation via Fisher's z-transformation
+ * @param {number} r - Pearson correlation coefficient
+ * @param {number} n - Number of paired observations
+ * @param {number} confidenceLevel - Confidence level for the interval (default: 0.95)
+ * @returns {Object|null} Result with z, two-sided pValue and CI for r, or null if n is too small
+ */
+export function calculateFisherZTest(r, n, confidenceLevel = 0.95) {
+  if (r === null || r === undefined || isNaN(r) || !n || n < 4) {
+    return null;
+  }
+
+  // Keep |r| < 1 so the transform stays finite
+  const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+  const fisherZ = 0.5 * Math.log((1 + clamped) / (1 - clamped));
+  const standardError = 1 / Math.sqrt(n - 3);
+  const z = fisherZ / standardError;
+  const pValue = 2 * (1 - normalCDF(Math.abs(z)));
+
+  // Normal quantile via the t distribution with very large df
+  const criticalValue = studentTQuantile(1 - (1 - confidenceLevel) / 2, 1e6);
+
+  return {
+    z,
+    pValue,
+    ciLower: Math.tanh(fisherZ - criticalValue * standardError),
+    ciUpper: Math.tanh(fisherZ + criticalValue * standardError)
+  };
+}
+
+/**
+ * Seeded random number generator (Mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Function returning the next number in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Bootstrap confidence interval for the difference in medians (sample1 - sample2)
+ * Uses a seeded random generator so the same data always gives the same interval.
+ * @param {Array<number>} sample1 - First sample
+ * @param {Array<number>} sample2 - Second sample
+ * @param {number} iterations - Number of bootstrap resamples (default: 1000)
+ * @param {number} confidenceLevel - Confidence level for the interval (default: 0.95)
+ * @param {number} seed - Seed for the random generator (default: 42)
+ * @returns {Object|null} Object with estimate, ciLower and ciUpper, or null if either sample is empty
+ */
+export function calculateBootstrapMedianDifferenceCI(sample1, sample2, iterations = 1000, confidenceLevel = 0.95, seed = 42) {
+  if (!sample1 || !sample2 || sample1.length === 0 || sample2.length === 0) {
+    return null;
+  }
+
+  const random = createSeededRandom(seed);
+
+  const resample = (sample) =>
+    Array.from({ length: sample.length }, () => sample[Math.floor(random() * sample.length)]);
+
+  const differences = [];
+  for (let i = 0; i < iterations; i++) {
+    differences.push(calculateMedian(resample(sample1)) - calculateMedian(resample(sample2)));
+  }
+  differences.sort((a, b) => a - b);
+
+  const alpha = (1 - confidenceLevel) / 2;
+  return {
+    estimate: calculateMedian(sample1) - calculateMedian(sample2),
+    ciLower: calculatePercentile(differences, alpha * 100),
+    ciUpper: calculatePercentile(differences, (1 - alpha) * 100)
+  };
+}
+
+/**
+ * Permutation p-value for the strongest of several correlations with the same outcome
+ * Each permutation shuffles the outcome and takes the strongest correlation across all the predictors
+ * again, so the p-value allows for having picked the best of them. Uses a seeded random generator so
+ * the same data always gives the same p-value.
+ * @param {Array<Array<number>>} predictors - Predictor series, each the same length as outcome
+ * @param {Array<number>} outcome - Outcome values
+ * @param {number} direction - 1 to test the most positive correlation, -1 the most negative
+ * @param {number} iterations - Number of permutations (default: 1000)
+ * @param {number} seed - Seed for the random generator (default: 42)
+ * @returns {number|null} p-value, or null without predictors or with fewer than 3 values
+ */
+export function calculateMaxCorrelationPermutationPValue(predictors, outcome, direction = 1, iterations = 1000, seed = 42) {
+  if (!predictors || predictors.length === 0 || !outcome || outcome.length < 3) {
+    return null;
+  }
+
+  const strongest = (values) => Math.max(
+    ...predictors.map(predictor => direction * calculateCorrelation(predictor, values))
+  );
+  const observed = strongest(outcome);
+
+  const random = createSeededRandom(seed);
+
+  const shuffled = [...outcome];
+  let atLeastAsStrong = 0;
+  for (let i = 0; i < iterations; i++) {
+    // Fisher-Yates shuffle
+    for (let j = shuffled.length - 1; j > 0; j--) {
+      const k = Math.floor(random() * (j + 1));
+      [shuffled[j], shuffled[k]] = [shuffled[k], shuffled[j]];
+    }
+    if (strongest(shuffled) >= observed) {
+      atLeastAsStrong++;
+    }
+  }
+
+  return (atLeastAsStrong + 1) / (iterations + 1);
+}
+
+/**
+ * Format a p-value for display
+ * @param {number} pValue - p-value (0 to 1)
+ * @returns {string} Formatted p-value, e.g. "p = 0.03" or "p < 0.001"
+ */
+export function formatPValue(pValue) {
+  if (pValue === null || pValue === undefined || isNaN(pValue)) return 'p = N/A';
+  if (pValue < 0.001) return 'p < 0.001';
+  return `p = ${pValue < 0.01 ? pValue.toFixed(3) : pValue.toFixed(2)}`;
+}
@@ -0,0 +1,192 @@
+// Timezone-aware date utilities
+// Day boundaries follow the user's zone (users.timezone) instead of UTC. For users who travel,
+// past instants are bucketed with the zone they were in at the time (user_timezone_history).
+
+const MS_PER_MINUTE = 60 * 1000;
+
+let userTimezone = null;
+let timezoneHistory = [];
+
+// Intl formatters are expensive to create, so keep one per zone
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+};
+
+/**
+ * Get the device's IANA timezone
+ * @returns {string} e.g. 'Europe/London', or 'UTC' if it can't be determined
+ */
+export const getDeviceTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Set the zone used for "today" and for new data (normally users.timezone)
+ * @param {string} timeZone - IANA timezone name; invalid values fall back to the device zone
+ */
+export const setUserTimezone = (timeZone) => {
+  userTimezone = isValidTimezone(timeZone) ? timeZone : null;
+};
+
+/**
+ * Get the user's current zone
+ * @returns {string} IANA timezone name
+ */
+export const getUserTimezone = () => userTimezone || getDeviceTimezone();
+
+/**
+ * Set the zones the user has been in, so past instants get the zone they happened in
+ * @param {Array} history - Rows of { timezone, effective_from }
+ */
+export const setTimezoneHistory = (history) => {
+  timezoneHistory = (history || [])
+    .filter(entry => isValidTimezone(entry.timezone) && entry.effective_from)
+    .map(entry => ({ timezone: entry.timezone, effectiveFrom: new Date(entry.effective_from).getTime() }))
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+};
+
+/**
+ * Get the zone the user was in at an instant
+ * Instants before the first recorded zone use that first zone.
+ * @param {Date|string|number} instant - The moment in question
+ * @returns {string} IANA timezone name
+ */
+export const getTimezoneAt = (instant) => {
+  if (timezoneHistory.length === 0) return getUserTimezone();
+
+  const time = new Date(instant).getTime();
+  let timeZone = timezoneHistory[0].timezone;
+  for (const entry of timezoneHistory) {
+    if (entry.effectiveFrom > time) break;
+    timeZone = entry.timezone;
+  }
+  return timeZone;
+};
+
+/**
+ * Get the wall-clock parts of an instant in a zone
+ * @param {Date|string|number} instant - The moment to convert
+ * @param {string} timeZone - IANA timezone name (default: the user's zone)
+ * @returns {Object} { year, month, day, hour, minute, second } with month 1-12
+ */
+export const getZonedParts = (instant, timeZone = getUserTimezone()) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Format an instant as the YYYY-MM-DD date it falls on in a zone
+ * @param {Date|string|number} instant - The moment to convert
+ * @param {string} timeZone - IANA timezone name (default: the user's zone)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const toDateString = (instant, timeZone = getUserTimezone()) => {
+  const { year, month, day } = getZonedParts(instant, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Format an instant as a date in the zone the user was in at the time
+ * Use this for anything recorded by a device (sleep sessions, samples), so a trip
+ * doesn't move past nights onto another day.
+ * @param {Date|string|number} instant - The moment to convert
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const toDateStringAt = (instant) => toDateString(instant, getTimezoneAt(instant));
+
+/**
+ * Today's date in the user's zone
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const getTodayDateString = () => toDateString(new Date());
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {Date|string|number} instant - The moment in question
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Minutes ahead of UTC (e.g. 60 for Europe/Paris in winter)
+ */
+export const getTimezoneOffsetMinutes = (instant, timeZone = getUserTimezone()) => {
+  const time = new Date(instant).getTime();
+  const { year, month, day, hour, minute, second } = getZonedParts(time, timeZone);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClockAsUTC - Math.floor(time / 1000) * 1000) / MS_PER_MINUTE);
+};
+
+/**
+ * The instant a wall-clock time happens in a zone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} minutesIntoDay - Minutes after midnight (default: 0)
+ * @param {string} timeZone - IANA timezone name (default: the user's zone)
+ * @returns {Date} The matching instant
+ */
+export const getZonedTime = (dateString, minutesIntoDay = 0, timeZone = getUserTimezone()) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, 0, minutesIntoDay);
+
+  // Start from the offset at the wall-clock time read as UTC, then correct once for DST changes
+  let time = wallClockAsUTC - getTimezoneOffsetMinutes(wallClockAsUTC, timeZone) * MS_PER_MINUTE;
+  time = wallClockAsUTC - getTimezoneOffsetMinutes(time, timeZone) * MS_PER_MINUTE;
+  return new Date(time);
+};
+
+/**
+ * First instant of a date in a zone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone name (default: the user's zone)
+ * @returns {Date} Local midnight as an instant
+ */
+export const getStartOfDay = (dateString, timeZone = getUserTimezone()) =>
+  getZonedTime(dateString, 0, timeZone);
+
+/**
+ * Last instant of a date in a zone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone name (default: the user's zone)
+ * @returns {Date} One millisecond before the next local midnight
+ */
+export const getEndOfDay = (dateString, timeZone = getUserTimezone()) =>
+  new Date(getZonedTime(dateString, 24 * 60, timeZone).getTime() - 1);